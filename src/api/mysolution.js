@@ -1,8 +1,7 @@
-import axios from 'axios';
 import { logger } from '../utils/logger.js';
 import config from '../utils/config.js';
-import mysolutionAuthClient from '../utils/mysolutionAuthClient.js';
-import { analyzeJobModificationDates } from '../utils/jobUtils.js';
+import { createMysolutionClient } from '../utils/mysolutionHttpClient.js';
+import { analyzeJobModificationDates, getJobModificationDate } from '../utils/jobUtils.js';
 
 // Mysolution API client
 class MysolutionAPI {
@@ -10,54 +9,8 @@ class MysolutionAPI {
     this.baseURL = config.mysolution.apiUrl;
     this.timeout = config.mysolution.timeout;
     
-    this.client = axios.create({
-      baseURL: this.baseURL,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: this.timeout
-    });
-
-    // Add response interceptor for logging
-    this.client.interceptors.response.use(
-      response => {
-        return response;
-      },
-      error => {
-        logger.error('Mysolution API error:', {
-          url: error.config?.url,
-          method: error.config?.method,
-          status: error.response?.status,
-          data: error.response?.data,
-          message: error.message
-        });
-        
-        // Handle authentication errors by invalidating the token
-        if (error.response?.status === 401 || 
-            error.response?.status === 403 ||
-            error.response?.data?.error === 'invalid_token') {
-          logger.warn('Authentication error detected, invalidating token');
-          mysolutionAuthClient.invalidateToken();
-        }
-        
-        return Promise.reject(error);
-      }
-    );
-
-    // Add request interceptor to add auth token
-    this.client.interceptors.request.use(
-      async config => {
-        // Get a valid token from the auth client
-        const token = await mysolutionAuthClient.getAccessToken();
-        
-        // Add the token to the request
-        config.headers['Authorization'] = `Bearer ${token}`;
-        return config;
-      },
-      error => {
-        return Promise.reject(error);
-      }
-    );
+    // Auth token, retries and the circuit breaker are handled by the shared Mysolution HTTP layer
+    this.client = createMysolutionClient({ timeout: this.timeout });
   }
 
   // Jobs endpoints
@@ -125,169 +78,82 @@ class MysolutionAPI {
 
   /**
    * Get jobs that have changed since the specified time
+   * Compares each job's modification date (including its child records) with the given time. The
+   * job list is filtered by Mysolution when MYSOLUTION_CHANGED_SINCE_PARAM names a working filter
+   * parameter, otherwise all jobs are fetched once and filtered here.
+   * Syncs use the change feed (services/jobChangeFeed.js), which also reports created and disappeared jobs.
    * @param {string} lastSyncTime - ISO timestamp of last sync
-   * @param {Object} params - Additional parameters for the request
-   * @returns {Array} Array of changed jobs
+   * @returns {Promise<Array>} Array of changed jobs
    */
-  async getChangedJobs(lastSyncTime, params = {}) {
-    try {
-      if (!lastSyncTime) {
-        console.log('No lastSyncTime provided, returning all jobs');
-        return await this.getJobs(params);
-      }
+  async getChangedJobs(lastSyncTime) {
+    const lastSyncDate = lastSyncTime ? new Date(lastSyncTime) : null;
+    if (!lastSyncDate || isNaN(lastSyncDate.getTime())) {
+      console.log(`No valid lastSyncTime provided (${lastSyncTime}), returning all jobs`);
+      return this.getJobs();
+    }
 
-      // Ensure the lastSyncTime is properly formatted for API consumption
-      const lastSyncDate = new Date(lastSyncTime);
-      if (isNaN(lastSyncDate.getTime())) {
-        console.log(`Invalid lastSyncTime provided: ${lastSyncTime}, returning all jobs`);
-        return await this.getJobs(params);
-      }
+    const formattedLastSync = lastSyncDate.toISOString();
+    const { changedSinceParam } = config.mysolution;
+    const jobs = changedSinceParam
+      ? await this.getJobsModifiedSince(formattedLastSync, changedSinceParam)
+      : await this.getJobs();
 
-      // Format the date for Salesforce API (ISO format is typically expected)
-      const formattedLastSync = lastSyncDate.toISOString();
-      
-      console.log(`Getting jobs changed since: ${formattedLastSync} (from input: ${lastSyncTime})`);
-      logger.info(`Attempting to fetch jobs modified since ${formattedLastSync}`);
-      
-      // Approach 1: Try API-level filtering first
-      // This is more efficient if the API supports it
-      logger.info(`Attempting API filtering for jobs modified since ${formattedLastSync}`);
-      
-      // We'll try with multiple parameter variations that might work with the API
-      // Common parameters for Salesforce/API date filtering
-      const apiFilterParams = {
-        ...params,
-        lastModifiedDate: formattedLastSync,
-        modifiedSince: formattedLastSync,
-        modifiedAfter: formattedLastSync,
-        updatedSince: formattedLastSync
-      };
-      
-      // Log what we're trying
-      console.log('INCREMENTAL SYNC: Attempting API filtering with parameters:', JSON.stringify(apiFilterParams, null, 2));
-      
-      try {
-        const response = await this.client.get('/services/apexrest/msf/api/job/Get', { 
-          params: apiFilterParams
-        });
-        
-        const jobCount = response.data ? response.data.length : 0;
-        console.log(`INCREMENTAL SYNC: API filtered response returned ${jobCount} jobs`);
-        
-        // If we got jobs back, assume filtering worked and validate the results
-        if (jobCount > 0) {
-          // Double-check that returned jobs are actually newer than lastSyncTime
-          const validatedJobs = response.data.filter(job => {
-            if (!job.LastModifiedDate) {
-              console.log(`Warning: Job ${job.Id} from API has no LastModifiedDate, including for safety`);
-              return true;
-            }
-            const jobModDate = new Date(job.LastModifiedDate);
-            const isNewer = jobModDate > lastSyncDate;
-            if (!isNewer) {
-              console.log(`Warning: Job ${job.Id} from API is not newer than lastSync (${job.LastModifiedDate} <= ${formattedLastSync})`);
-            }
-            return isNewer;
-          });
-          
-          console.log(`API validation: ${validatedJobs.length} of ${jobCount} jobs are actually newer than last sync`);
-          logger.info(`API filtering returned ${validatedJobs.length} validated jobs modified since ${formattedLastSync}`);
-          return validatedJobs;
-        } else {
-          console.log('API filtering returned 0 jobs - will verify with client-side filtering');
-        }
-      } catch (error) {
-        console.log(`API filtering attempt failed with error: ${error.message}. Trying client-side filtering.`);
-      }
-      
-      // Approach 2: Client-side filtering (more reliable fallback)
-      // Since API filtering didn't work or returned suspicious results, get all jobs and filter them ourselves
-      logger.info(`API filtering unsuccessful, falling back to client-side filtering for jobs modified since ${formattedLastSync}`);
-      console.log('INCREMENTAL SYNC: Falling back to client-side filtering by date');
-      
-      const allJobs = await this.getJobs(params);
-      console.log(`Fetched ${allJobs.length} total jobs for client-side filtering`);
-      
-      // The getJobs method already analyzes date fields, now filter based on that
-      // Use the most reliable date field for filtering
-      const filteredJobs = allJobs.filter(job => {
-        const analysis = analyzeJobModificationDates(job);
-        
-        if (!analysis.hasModificationDate) {
-          console.log(`WARNING: Job ${job.Id} (${job.Name || 'Unnamed'}) has no modification date, including by default`);
-          return true; // Include jobs with no modification date to be safe
-        }
-        
-        const jobModDate = new Date(analysis.recommendedValue);
-        
-        // Add timezone awareness - ensure we're comparing dates correctly
-        const lastSyncDateWithBuffer = new Date(lastSyncDate.getTime() - 1000); // 1 second buffer for precision issues
-        
-        // If the job was modified after our last sync time (with small buffer), include it
-        const isNewer = jobModDate > lastSyncDateWithBuffer;
-        
-        // Enhanced logging for debugging
-        if (isNewer) {
-          console.log(`✅ Including job ${job.Id} (${job.Name || 'Unnamed'}):`);
-          console.log(`   Modification field: ${analysis.recommendedField}`);
-          console.log(`   Modification date: ${analysis.recommendedValue}`);
-          console.log(`   Last sync time: ${formattedLastSync}`);
-          console.log(`   Time difference: ${jobModDate.getTime() - lastSyncDate.getTime()}ms`);
-        } else {
-          // Only log a few examples to avoid spam
-          if (Math.random() < 0.1) { // Log ~10% of skipped jobs
-            console.log(`❌ Skipping job ${job.Id} (not modified since last sync)`);
-          }
-        }
-        
-        return isNewer;
+    const changedJobs = jobs.filter(job => {
+      const modified = getJobModificationDate(job);
+      // Include jobs without a modification date to be safe
+      return !modified || new Date(modified) > lastSyncDate;
+    });
+
+    logger.info(`Found ${changedJobs.length} of ${jobs.length} jobs modified since ${formattedLastSync}`);
+    return changedJobs;
+  }
+
+  /**
+   * Get the jobs Mysolution reports as modified since a time, using a filter parameter of the Get endpoint
+   * @param {string} since - ISO timestamp
+   * @param {string} param - Name of the filter parameter
+   * @returns {Promise<Array>} Jobs (all jobs if Mysolution ignores the parameter)
+   */
+  async getJobsModifiedSince(since, param) {
+    try {
+      const response = await this.client.get('/services/apexrest/msf/api/job/Get', {
+        params: { [param]: since }
       });
-      
-      const totalCount = allJobs.length;
-      const foundCount = filteredJobs.length;
-      const skippedCount = totalCount - foundCount;
-      
-      logger.info(`Client-side filtering found ${foundCount} jobs modified since ${formattedLastSync} out of ${totalCount} total jobs (${skippedCount} skipped)`);
-      console.log(`INCREMENTAL SYNC: Client-side filtering found ${foundCount} jobs modified since ${formattedLastSync}`);
-      
-      if (foundCount === 0) {
-        console.log(`INCREMENTAL SYNC: No jobs have been modified since last sync ${formattedLastSync}`);
-      } else {
-        console.log(`INCREMENTAL SYNC: Found ${foundCount} jobs modified since last sync:`);
-        // Log first few jobs as examples
-        filteredJobs.slice(0, 5).forEach(job => {
-          console.log(`  - Job ${job.Id} (${job.Name || 'Unnamed'}) - Modified: ${job.LastModifiedDate}`);
-        });
-        if (foundCount > 5) {
-          console.log(`  ... and ${foundCount - 5} more jobs`);
-        }
-      }
-      
-      return filteredJobs;
+      const jobs = response.data || [];
+      logger.info(`Fetched ${jobs.length} jobs modified since ${since} (${param})`);
+      return jobs;
     } catch (error) {
-      logger.error('Error fetching changed jobs from Mysolution:', error);
-      console.log(`ERROR in getChangedJobs: ${error.message}`);
-      console.log('Falling back to returning all jobs due to error');
-      
-      // As a last resort, return all jobs if filtering fails completely
-      try {
-        return await this.getJobs(params);
-      } catch (fallbackError) {
-        logger.error('Error in fallback getJobs call:', fallbackError);
-        throw new Error(`Failed to fetch jobs: ${error.message}. Fallback also failed: ${fallbackError.message}`);
-      }
+      logger.error(`Error fetching jobs modified since ${since} from Mysolution:`, error);
+      throw error;
     }
   }
 
+  /**
+   * Get a single job from Mysolution
+   * The job is requested with an ID filter on the job Get endpoint (MYSOLUTION_JOB_ID_PARAM); only when
+   * that request fails is the job looked up in the full job list.
+   * @param {string} id - Mysolution job ID
+   * @returns {Promise<Object>} Job
+   * @throws {Error} Error with code JOB_NOT_FOUND if Mysolution has no job with this ID
+   */
   async getJobById(id) {
     try {
-      // In the current Postman collection, there's no endpoint for getting a job by ID
-      // We'll need to fetch all jobs and filter
-      const jobs = await this.getJobs();
-      const job = jobs.find(job => job.Id === id);
+      let job;
+      try {
+        job = await this.getJobWithIdFilter(id);
+      } catch (error) {
+        if (error.code === 'MYSOLUTION_UNAVAILABLE') {
+          throw error;
+        }
+        logger.warn(`Fetching job ${id} with the ${config.mysolution.jobIdParam} filter failed (${error.message}), looking it up in the full job list`);
+        const jobs = await this.getJobs();
+        job = jobs.find(item => item.Id === id) || null;
+      }
       
       if (!job) {
-        throw new Error(`Job with ID ${id} not found`);
+        const notFoundError = new Error(`Job with ID ${id} not found`);
+        notFoundError.code = 'JOB_NOT_FOUND';
+        throw notFoundError;
       }
       
       return job;
@@ -297,6 +163,23 @@ class MysolutionAPI {
     }
   }
 
+  /**
+   * Request a job with an ID filter on the job Get endpoint
+   * If Mysolution ignores the filter the response is the full list, which is searched as well.
+   * @param {string} id - Mysolution job ID
+   * @returns {Promise<Object|null>} Job, or null if the response doesn't contain it
+   * @private
+   */
+  async getJobWithIdFilter(id) {
+    const response = await this.client.get('/services/apexrest/msf/api/job/Get', {
+      params: { [config.mysolution.jobIdParam]: id }
+    });
+    const data = response.data || [];
+    const jobs = Array.isArray(data) ? data : [data];
+    logger.debug(`Fetched ${jobs.length} jobs for job ${id} (${config.mysolution.jobIdParam} filter)`);
+    return jobs.find(job => job && job.Id === id) || null;
+  }
+
   // Job application configuration
   async getJobApplicationConfiguration(setApiName = 'default') {
     try {
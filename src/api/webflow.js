@@ -1,28 +1,61 @@
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
 import config from '../utils/config.js';
+import { getCurrentTenant } from '../utils/tenants.js';
+import {
+  REQUEST_PRIORITIES,
+  TokenBucket,
+  getRequestPriority,
+  parseResetTime,
+  parseRetryAfter,
+  getBackoffDelay
+} from '../utils/rateLimiter.js';
+
+/**
+ * Choose the item that stands for a job when several items share its mysolution-id
+ * Live items come before drafts and archived items, then the most recently updated one.
+ * @param {Array<Object>} items - Webflow items with the same mysolution-id
+ * @returns {Object|null} The primary item, or null if there are no items
+ */
+function choosePrimaryItem(items) {
+  const rank = item => (item.isArchived ? 2 : item.isDraft ? 1 : 0);
+  return [...items].sort((a, b) =>
+    rank(a) - rank(b) || new Date(b.lastUpdated || 0) - new Date(a.lastUpdated || 0)
+  )[0] || null;
+}
 
 // Webflow API client
 class WebflowAPI {
-  constructor() {
+  /**
+   * @param {Object} settings - Webflow settings of a tenant (defaults to config.webflow)
+   */
+  constructor(settings = config.webflow) {
     this.baseURL = 'https://api.webflow.com/v2';
-    this.apiKey = config.webflow.apiKey;
-    this.siteId = config.webflow.siteId;
-    this.jobsCollectionId = config.webflow.jobsCollectionId;
-    this.candidatesCollectionId = config.webflow.candidatesCollectionId;
-    this.sectorsCollectionId = config.webflow.sectorsCollectionId;
-    this.employeesCollectionId = config.webflow.employeesCollectionId;
-    this.timeout = config.webflow.timeout;
-    this.rateLimit = config.webflow.rateLimit;
+    this.apiKey = settings.apiKey;
+    this.siteId = settings.siteId;
+    this.jobsCollectionId = settings.jobsCollectionId;
+    this.candidatesCollectionId = settings.candidatesCollectionId;
+    this.sectorsCollectionId = settings.sectorsCollectionId;
+    this.employeesCollectionId = settings.employeesCollectionId;
+    this.timeout = settings.timeout;
+    this.rateLimit = settings.rateLimit;
+    this.bulkSize = Math.min(Math.max(settings.bulkSize || 100, 1), 100); // Webflow accepts at most 100 items per bulk request
     this.customDomains = [];
     
-    // Rate limiting state
+    // Items written since the last publish: collection ID -> Map(item ID -> 'publish' | 'unpublish')
+    this.changedItems = new Map();
+    
+    // Collection schemas by collection ID, refreshed after schemaCacheTtl
+    this.collectionSchemas = new Map();
+    this.schemaCacheTtl = settings.schemaCacheTtl;
+    
+    // Rate limiting state: queued requests in priority order, and a token bucket corrected by the
+    // rate-limit headers of Webflow's responses
     this.requestQueue = [];
     this.processing = false;
-    this.requestsThisMinute = 0;
-    this.rateLimitResetTime = Date.now() + 60000; // 1 minute from now
-    this.lastRequestTime = 0;
-    this.perRequestIntervalMs = Math.max(1, Math.ceil(60000 / this.rateLimit));
+    this.limiter = new TokenBucket({ capacity: this.rateLimit, perMinute: this.rateLimit });
+    this.maxRetries = settings.maxRetries;
+    this.retryBaseDelay = settings.retryBaseDelay;
     
     if (!this.apiKey) {
       logger.error('Webflow API key is not set');
@@ -52,10 +85,7 @@ class WebflowAPI {
     // Add response interceptor for logging and rate limit tracking
     this.client.interceptors.response.use(
       response => {
-        // Avoid relying on provider headers; we enforce our own pacing
-        if (response.headers['x-ratelimit-reset']) {
-          this.rateLimitResetTime = parseInt(response.headers['x-ratelimit-reset'], 10) * 1000;
-        }
+        this.limiter.updateFromHeaders(response.headers);
         return response;
       },
       error => {
@@ -70,8 +100,7 @@ class WebflowAPI {
         
         // Handle rate limit exceeded errors
         if (error.response?.status === 429) {
-          const resetTime = error.response.headers['x-ratelimit-reset'];
-          const waitTime = resetTime ? (parseInt(resetTime, 10) * 1000) - Date.now() : 60000;
+          const waitTime = this._getRateLimitWait(error.response.headers);
           const resetDate = new Date(Date.now() + waitTime);
           
           const humanReadableMsg = `Webflow API rate limit reached! The API allows ${this.rateLimit} requests per minute, but this limit has been exceeded. The system will automatically resume at ${resetDate.toLocaleTimeString()}. This is normal during large syncs and the system will automatically retry.`;
@@ -84,9 +113,9 @@ class WebflowAPI {
             humanReadable: true
           });
           
-          // Update rate limit state - set current usage to the limit
-          this.requestsThisMinute = this.rateLimit;
-          this.rateLimitResetTime = Date.now() + waitTime;
+          // Make no requests until Webflow accepts them again
+          this.limiter.updateFromHeaders(error.response.headers);
+          this.limiter.pauseUntil(resetDate.getTime());
         } 
         // Handle authentication errors
         else if (error.response?.status === 401) {
@@ -115,21 +144,91 @@ class WebflowAPI {
   /**
    * Add a request to the rate-limited queue
    * @param {Function} requestFn - Function that returns a promise for the request
+   * @param {string} priority - 'high', 'normal' or 'low'; higher priority requests go first
    * @returns {Promise<any>} - Promise that resolves with the request result
    * @private
    */
-  _enqueueRequest(requestFn) {
+  _enqueueRequest(requestFn, priority = 'normal') {
     return new Promise((resolve, reject) => {
-      // Add to queue
-      this.requestQueue.push({ requestFn, resolve, reject });
-      
-      // Start processing if not already
-      if (!this.processing) {
-        this._processQueue();
-      }
+      this._insertRequest({ requestFn, resolve, reject, priority, attempt: 0 });
     });
   }
 
+  /**
+   * Put a request in the queue behind the requests of the same or a higher priority
+   * @param {object} request - Queued request
+   * @private
+   */
+  _insertRequest(request) {
+    const rank = REQUEST_PRIORITIES[request.priority] ?? REQUEST_PRIORITIES.normal;
+    const index = this.requestQueue.findIndex(queued => REQUEST_PRIORITIES[queued.priority] > rank);
+    if (index === -1) {
+      this.requestQueue.push(request);
+    } else {
+      this.requestQueue.splice(index, 0, request);
+    }
+    
+    // Start processing if not already
+    if (!this.processing) {
+      this._processQueue();
+    }
+  }
+
+  /**
+   * Get how long to wait after a 429 response
+   * Uses Retry-After, then x-ratelimit-reset, and waits a minute if Webflow sent neither.
+   * @param {object} headers - Response headers
+   * @returns {number} Wait time in ms
+   * @private
+   */
+  _getRateLimitWait(headers = {}) {
+    const retryAfter = parseRetryAfter(headers['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+    const reset = parseResetTime(headers['x-ratelimit-reset']);
+    return reset !== null ? Math.max(reset - Date.now(), 0) : 60000;
+  }
+
+  /**
+   * Check whether a failed request is retried: rate-limited requests (429) and server errors (5xx)
+   * Creating an item (POST) is only retried on gateway errors, where Webflow didn't handle the
+   * request, so a retry can't create the item twice.
+   * @param {Error} error - Axios error
+   * @param {object} request - Queued request
+   * @returns {boolean} True if the request should be retried
+   * @private
+   */
+  _isRetryable(error, request) {
+    const status = error.response?.status;
+    if (!status || request.attempt >= this.maxRetries) {
+      return false;
+    }
+    if (status === 429) {
+      return true;
+    }
+    if (status >= 500) {
+      return error.config?.method !== 'post' || [502, 503, 504].includes(status);
+    }
+    return false;
+  }
+
+  /**
+   * Queue a failed request again after a jittered backoff (or the wait Webflow asked for)
+   * @param {object} request - Queued request
+   * @param {Error} error - Axios error
+   * @private
+   */
+  _retryRequest(request, error) {
+    const status = error.response.status;
+    const backoff = getBackoffDelay(request.attempt, this.retryBaseDelay);
+    const delay = status === 429 ? Math.max(this._getRateLimitWait(error.response.headers), backoff) : backoff;
+    request.attempt++;
+    
+    logger.warn(`Retrying Webflow ${error.config?.method?.toUpperCase()} ${error.config?.url} after ${status} in ${delay}ms (retry ${request.attempt} of ${this.maxRetries})`);
+    setTimeout(() => this._insertRequest(request), delay);
+  }
+
   /**
    * Process the request queue with rate limiting
    * @private
@@ -142,45 +241,29 @@ class WebflowAPI {
     
     this.processing = true;
     
-    // Check if we need to wait for rate limit reset
-    const now = Date.now();
-    if (this.requestsThisMinute >= this.rateLimit) {
-      const waitTime = Math.max(this.rateLimitResetTime - now, 0);
-      
-      if (waitTime > 0) {
-        logger.debug(`Rate limit reached. Waiting ${waitTime}ms before next request.`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        
-        // Reset counter after waiting
-        this.requestsThisMinute = 0;
-        this.rateLimitResetTime = Date.now() + 60000;
-      }
-    }
-    
-    // Check if minute has elapsed and reset counter
-    if (now > this.rateLimitResetTime) {
-      this.requestsThisMinute = 0;
-      this.rateLimitResetTime = now + 60000;
-    }
-    
-    // Enforce per-request interval pacing (hard cap)
-    const sinceLast = now - this.lastRequestTime;
-    const spacingWait = Math.max(this.perRequestIntervalMs - sinceLast, 0);
-    if (spacingWait > 0) {
-      await new Promise(resolve => setTimeout(resolve, spacingWait));
+    // Wait for a token; check again afterwards, as a 429 may have paused the bucket meanwhile
+    const waitTime = this.limiter.getWaitTime();
+    if (waitTime > 0) {
+      logger.debug(`Rate limit reached. Waiting ${waitTime}ms before next request.`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+      setImmediate(() => this._processQueue());
+      return;
     }
     
-    // Process next request
-    const { requestFn, resolve, reject } = this.requestQueue.shift();
+    // Process the next request; the queue is in priority order, so requests with a higher priority
+    // that were queued while waiting go first
+    const request = this.requestQueue.shift();
     
     try {
-      // Execute the request and increment counter
-      this.requestsThisMinute++;
-      const result = await requestFn();
-      this.lastRequestTime = Date.now();
-      resolve(result);
+      this.limiter.take();
+      const result = await request.requestFn();
+      request.resolve(result);
     } catch (error) {
-      reject(error);
+      if (this._isRetryable(error, request)) {
+        this._retryRequest(request, error);
+      } else {
+        request.reject(error);
+      }
     }
     
     // Continue processing queue
@@ -188,57 +271,55 @@ class WebflowAPI {
   }
 
   /**
-   * Execute an API request with rate limiting
+   * Execute an API request with rate limiting; rate-limited and failed requests are retried (see _isRetryable)
    * @param {string} method - HTTP method (get, post, put, delete)
    * @param {string} url - URL path
    * @param {object} options - Request options (data, params)
    * @returns {Promise<any>} - Request response data
    * @private
    */
-  _makeRequest(method, url, options = {}) {
-    return this._enqueueRequest(async () => {
-      try {
-        const response = await this.client[method](url, options);
-        return response.data;
-      } catch (error) {
-        // Specific error handling for each error type
-        if (error.response) {
-          // Server responded with error status
-          // Log more detailed error information for validation errors
-          if (error.response.status === 400 && error.response.data) {
-            console.error('DETAILED API ERROR:', JSON.stringify(error.response.data, null, 2));
-            logger.error('Detailed Webflow API validation error:', error.response.data);
+  async _makeRequest(method, url, options = {}) {
+    try {
+      const response = await this._enqueueRequest(() => this.client[method](url, options), getRequestPriority());
+      return response.data;
+    } catch (error) {
+      // Specific error handling for each error type
+      if (error.response) {
+        // Server responded with error status
+        // Log more detailed error information for validation errors
+        if (error.response.status === 400 && error.response.data) {
+          console.error('DETAILED API ERROR:', JSON.stringify(error.response.data, null, 2));
+          logger.error('Detailed Webflow API validation error:', error.response.data);
+          
+          // For validation errors, try to extract and include specific field errors in the message
+          if (error.response.data.code === 'validation_error' && 
+              error.response.data.details && 
+              error.response.data.details.length > 0) {
             
-            // For validation errors, try to extract and include specific field errors in the message
-            if (error.response.data.code === 'validation_error' && 
-                error.response.data.details && 
-                error.response.data.details.length > 0) {
-              
-              // Create a detailed error message with all field errors
-              const fieldErrors = error.response.data.details.map(detail => {
-                return `${detail.param}: ${detail.description}`;
-              }).join('; ');
-              
-              throw new Error(
-                `Webflow API ${error.response.status} error: ${error.response.data.message} - ${fieldErrors}`
-              );
-            }
+            // Create a detailed error message with all field errors
+            const fieldErrors = error.response.data.details.map(detail => {
+              return `${detail.param}: ${detail.description}`;
+            }).join('; ');
+            
+            throw new Error(
+              `Webflow API ${error.response.status} error: ${error.response.data.message} - ${fieldErrors}`
+            );
           }
-          
-          throw new Error(
-            `Webflow API ${error.response.status} error: ${
-              error.response.data?.message || error.response.data?.error || error.message
-            }`
-          );
-        } else if (error.request) {
-          // Request was made but no response received
-          throw new Error(`Webflow API request timeout or no response: ${error.message}`);
-        } else {
-          // Error in request setup
-          throw new Error(`Webflow API request error: ${error.message}`);
         }
+        
+        throw new Error(
+          `Webflow API ${error.response.status} error: ${
+            error.response.data?.message || error.response.data?.error || error.message
+          }`
+        );
+      } else if (error.request) {
+        // Request was made but no response received
+        throw new Error(`Webflow API request timeout or no response: ${error.message}`);
+      } else {
+        // Error in request setup
+        throw new Error(`Webflow API request error: ${error.message}`);
       }
-    });
+    }
   }
 
   // Site endpoints
@@ -331,12 +412,44 @@ class WebflowAPI {
 
   /**
    * Get the structure (schema/fields) of a collection
+   * Schemas are cached for config.webflow.schemaCacheTtl.
    * @param {string} collectionId - ID of the collection
+   * @param {object} options - Options
+   * @param {boolean} options.refresh - Fetch the schema even if it is cached
    * @returns {Promise<object[]>} Array of field definitions
    */
-  async getCollectionStructure(collectionId) {
+  async getCollectionStructure(collectionId, { refresh = false } = {}) {
+    const cached = this.collectionSchemas.get(collectionId);
+    if (!refresh && cached && (Date.now() - cached.fetchedAt) < this.schemaCacheTtl) {
+      return cached.fields;
+    }
+    
     const collection = await this.getCollection(collectionId);
-    return collection.fields || [];
+    const fields = collection.fields || [];
+    this.collectionSchemas.set(collectionId, { fields, fetchedAt: Date.now() });
+    return fields;
+  }
+
+  /**
+   * Get the choices of every Option field in a collection
+   * @param {string} collectionId - ID of the collection (defaults to the jobs collection)
+   * @param {object} options - Options passed to getCollectionStructure
+   * @returns {Promise<object>} Map of field slug to an array of { id, name } options
+   */
+  async getOptionFields(collectionId = this.jobsCollectionId, options = {}) {
+    const fields = await this.getCollectionStructure(collectionId, options);
+    const optionFields = {};
+    
+    fields
+      .filter(field => field.type === 'Option')
+      .forEach(field => {
+        optionFields[field.slug] = (field.validations?.options || []).map(option => ({
+          id: option.id,
+          name: option.name
+        }));
+      });
+    
+    return optionFields;
   }
 
   /**
@@ -561,10 +674,10 @@ class WebflowAPI {
     return this._makeRequest('get', `/collections/${collectionId}/items/${itemId}`);
   }
 
-  async createItem(collectionId, itemData) {
+  async createItem(collectionId, itemData, { isDraft = false } = {}) {
     return this._makeRequest('post', `collections/${collectionId}/items`, {
       fieldData: itemData,
-      isDraft: false
+      isDraft
     });
   }
 
@@ -576,10 +689,126 @@ class WebflowAPI {
     });
   }
 
+  /**
+   * Change fields of an item without changing whether it is a draft or archived
+   * @param {string} collectionId - Collection ID
+   * @param {string} itemId - Item ID
+   * @param {object} fieldData - Fields to change
+   * @returns {Promise<object>} Updated item
+   */
+  async updateItemFields(collectionId, itemId, fieldData) {
+    return this._makeRequest('patch', `collections/${collectionId}/items/${itemId}`, { fieldData });
+  }
+
   async deleteItem(collectionId, itemId) {
     return this._makeRequest('delete', `/collections/${collectionId}/items/${itemId}`);
   }
 
+  /**
+   * Create several items in one request
+   * @param {string} collectionId - Collection ID
+   * @param {Array<object>} items - Field data per item (at most 100)
+   * @param {object} options - Create options
+   * @param {boolean} options.isDraft - Create the items as drafts
+   * @returns {Promise<object>} Response with the created items
+   */
+  async createItems(collectionId, items, { isDraft = false } = {}) {
+    return this._makeRequest('post', `collections/${collectionId}/items`, {
+      items: items.map(fieldData => ({ fieldData, isDraft, isArchived: false }))
+    });
+  }
+
+  /**
+   * Update several items in one request (they are also unarchived and taken out of draft)
+   * @param {string} collectionId - Collection ID
+   * @param {Array<object>} items - Items as { id, fieldData } (at most 100)
+   * @returns {Promise<object>} Response with the updated items
+   */
+  async updateItems(collectionId, items) {
+    return this._makeRequest('patch', `collections/${collectionId}/items`, {
+      items: items.map(({ id, fieldData }) => ({ id, fieldData, isDraft: false, isArchived: false }))
+    });
+  }
+
+  /**
+   * Archive several items in one request
+   * @param {string} collectionId - Collection ID
+   * @param {Array<string>} itemIds - Item IDs (at most 100)
+   * @returns {Promise<object>} Response with the archived items
+   */
+  async archiveItems(collectionId, itemIds) {
+    return this._makeRequest('patch', `collections/${collectionId}/items`, {
+      items: itemIds.map(id => ({ id, fieldData: {}, isDraft: false, isArchived: true }))
+    });
+  }
+
+  /**
+   * Publish items to the live site without publishing the rest of the site
+   * @param {string} collectionId - Collection ID
+   * @param {Array<string>} itemIds - Item IDs (sent in requests of at most bulkSize items)
+   * @returns {Promise<Array<string>>} Published item IDs
+   */
+  async publishItems(collectionId, itemIds) {
+    for (let start = 0; start < itemIds.length; start += this.bulkSize) {
+      const batch = itemIds.slice(start, start + this.bulkSize);
+      await this._makeRequest('post', `collections/${collectionId}/items/publish`, { itemIds: batch });
+    }
+    return itemIds;
+  }
+
+  /**
+   * Remove items from the live site (they stay in the collection)
+   * @param {string} collectionId - Collection ID
+   * @param {Array<string>} itemIds - Item IDs (sent in requests of at most bulkSize items)
+   * @returns {Promise<Array<string>>} Unpublished item IDs
+   */
+  async unpublishItems(collectionId, itemIds) {
+    for (let start = 0; start < itemIds.length; start += this.bulkSize) {
+      const batch = itemIds.slice(start, start + this.bulkSize);
+      await this._makeRequest('delete', `collections/${collectionId}/items/live`, { data: { items: batch.map(id => ({ id })) } });
+    }
+    return itemIds;
+  }
+
+  /**
+   * Remember an item that was written, so an item-level publish can publish (or unpublish) it
+   * @param {string} collectionId - Collection ID
+   * @param {string} itemId - Item ID
+   * @param {string} change - 'publish' for created/updated items, 'unpublish' for archived items
+   * @private
+   */
+  _recordItemChange(collectionId, itemId, change) {
+    if (!itemId) {
+      return;
+    }
+    if (!this.changedItems.has(collectionId)) {
+      this.changedItems.set(collectionId, new Map());
+    }
+    this.changedItems.get(collectionId).set(itemId, change);
+  }
+
+  /**
+   * Count the items written since the last publish
+   * @returns {number} Number of items waiting to be published or unpublished
+   */
+  countChangedItems() {
+    return [...this.changedItems.values()].reduce((total, items) => total + items.size, 0);
+  }
+
+  /**
+   * Get the items written since the last publish and forget them
+   * @returns {Array<object>} Changes as { collectionId, publish: [itemId], unpublish: [itemId] }
+   */
+  takeChangedItems() {
+    const changes = [...this.changedItems.entries()].map(([collectionId, items]) => ({
+      collectionId,
+      publish: [...items].filter(([, change]) => change === 'publish').map(([itemId]) => itemId),
+      unpublish: [...items].filter(([, change]) => change === 'unpublish').map(([itemId]) => itemId)
+    }));
+    this.changedItems.clear();
+    return changes;
+  }
+
   // Job-specific methods
   async getJobs(options = {}) {
     logger.debug('Fetching jobs from Webflow');
@@ -602,16 +831,23 @@ class WebflowAPI {
   /**
    * Find a job by Mysolution ID
    * @param {string} mysolutionId - Mysolution ID to search for
+   * @param {object} options - Lookup options
+   * @param {string} options.collectionId - Collection to search (defaults to the jobs collection)
    * @returns {Promise<object|null>} Job data or null if not found
    */
-  async findJobByMysolutionId(mysolutionId) {
+  async findJobByMysolutionId(mysolutionId, { collectionId = this.jobsCollectionId } = {}) {
     if (!mysolutionId) {
       console.log('WARNING: Empty Mysolution ID provided to findJobByMysolutionId');
       return null;
     }
     
     console.log(`Looking for job with Mysolution ID: ${mysolutionId}`);
-    const result = await this.findItemByField(this.jobsCollectionId, 'mysolution-id', mysolutionId);
+    const items = await this.getAllItems(collectionId);
+    const matches = items.filter(item => item.fieldData && item.fieldData['mysolution-id'] === mysolutionId);
+    const result = choosePrimaryItem(matches);
+    if (matches.length > 1) {
+      logger.warn(`${matches.length} Webflow items share Mysolution ID ${mysolutionId}, using ${result.id}; see GET /api/admin/reconciliation`);
+    }
     
     if (result) {
       console.log(`Found job in Webflow with Mysolution ID ${mysolutionId}: ${result.id}`);
@@ -635,9 +871,11 @@ class WebflowAPI {
   /**
    * Create a job in the jobs collection
    * @param {object} jobData - Job data to create
+   * @param {object} options - Create options
+   * @param {string} options.collectionId - Collection to create the job in (defaults to the jobs collection)
    * @returns {Promise<object>} Created job data with action metadata
    */
-  async createJob(jobData) {
+  async createJob(jobData, { collectionId = this.jobsCollectionId } = {}) {
     console.log('===== CREATING JOB IN WEBFLOW =====');
     console.log('Job data being sent to Webflow API:', JSON.stringify(jobData, null, 2));
     
@@ -668,8 +906,9 @@ class WebflowAPI {
       console.log('Formatted payload for Webflow API:', JSON.stringify(payload, null, 2));
       
       try {
-        const result = await this._makeRequest('post', `collections/${this.jobsCollectionId}/items`, payload);
+        const result = await this._makeRequest('post', `collections/${collectionId}/items`, payload);
         console.log('Webflow API creation response:', JSON.stringify(result, null, 2));
+        this._recordItemChange(collectionId, result.id, 'publish');
         
         return {
           ...result,
@@ -693,8 +932,9 @@ class WebflowAPI {
           payload.fieldData = jobData;
           
           // Retry the request with the new slug
-          const retryResult = await this._makeRequest('post', `collections/${this.jobsCollectionId}/items`, payload);
+          const retryResult = await this._makeRequest('post', `collections/${collectionId}/items`, payload);
           console.log('Retry successful with new slug:', retryResult);
+          this._recordItemChange(collectionId, retryResult.id, 'publish');
           
           return {
             ...retryResult,
@@ -715,9 +955,11 @@ class WebflowAPI {
    * Update a job in the jobs collection
    * @param {string} jobId - ID of the job to update
    * @param {object} jobData - Job data to update
+   * @param {object} options - Update options
+   * @param {string} options.collectionId - Collection holding the job (defaults to the jobs collection)
    * @returns {Promise<object>} Updated job data with action metadata
    */
-  async updateJob(jobId, jobData) {
+  async updateJob(jobId, jobData, { collectionId = this.jobsCollectionId } = {}) {
     console.log('===== UPDATING JOB IN WEBFLOW =====');
     console.log(`Updating job ID: ${jobId}`);
     console.log('Job data being sent to Webflow API:', JSON.stringify(jobData, null, 2));
@@ -736,77 +978,8 @@ class WebflowAPI {
       console.log('- uren-per-week:', jobData['uren-per-week'], typeof jobData['uren-per-week']);
       console.log('- hourly:', jobData['hourly'], typeof jobData['hourly']);
       
-      // Verify that dropdown values are among allowed options
-      const allowedSalaryOptions = [
-        'In overleg',
-        '35.000-40.000',
-        '40.000-45.000',
-        '45.000-50.000',
-        '50.000-55.000',
-        '55.000-60.000',
-        '60.000-65.000',
-        '65.000-70.000',
-        '70.000-75.000',
-        '75.000-80.000',
-        '80.000-85.000',
-        '85.000-90.000',
-        '90.000-95.000',
-        '95.000-100.000',
-        '100.000-105.000',
-        '105.000-110.000',
-        '110.000-115.000',
-        '115.000-120.000',
-        '125.000+'
-      ];
-      
-      const allowedEmploymentTypes = ['Vast', 'Interim'];
-      const allowedHoursOptions = ['16-24 uur', '24-32 uur', '32-36 uur', '36-40 uur'];
-      const allowedHourlyOptions = [
-        'In overleg',
-        '55-60',
-        '60-65',
-        '65-70',
-        '70-75',
-        '75-80',
-        '80-85',
-        '85-90',
-        '90-95',
-        '95-100',
-        '100-105',
-        '105-110',
-        '110-115',
-        '115-120',
-        '120-125',
-        '125+'
-      ];
-      
-      // Check and fix salary option
-      if (jobData['vacature-salaris'] && !allowedSalaryOptions.includes(jobData['vacature-salaris'])) {
-        console.log(`WARNING: Invalid salary option: "${jobData['vacature-salaris']}"`);
-        console.log(`Allowed options are: ${allowedSalaryOptions.join(', ')}`);
-        jobData['vacature-salaris'] = 'In overleg'; // Default to safe value
-      }
-      
-      // Check and fix employment type
-      if (jobData['vacature-type'] && !allowedEmploymentTypes.includes(jobData['vacature-type'])) {
-        console.log(`WARNING: Invalid employment type: "${jobData['vacature-type']}"`);
-        console.log(`Allowed options are: ${allowedEmploymentTypes.join(', ')}`);
-        jobData['vacature-type'] = 'Vast'; // Default to safe value
-      }
-      
-      // Check and fix hours option
-      if (jobData['uren-per-week'] && !allowedHoursOptions.includes(jobData['uren-per-week'])) {
-        console.log(`WARNING: Invalid hours option: "${jobData['uren-per-week']}"`);
-        console.log(`Allowed options are: ${allowedHoursOptions.join(', ')}`);
-        jobData['uren-per-week'] = '36-40 uur'; // Default to safe value
-      }
-      
-      // Check and fix hourly rate option
-      if (jobData['hourly'] && !allowedHourlyOptions.includes(jobData['hourly'])) {
-        console.log(`WARNING: Invalid hourly rate option: "${jobData['hourly']}"`);
-        console.log(`Allowed options are: ${allowedHourlyOptions.join(', ')}`);
-        jobData['hourly'] = 'In overleg'; // Default to safe value
-      }
+      // Verify that dropdown values are among the options of the live collection schema
+      await this._validateDropdownFields(jobData, collectionId);
       
       // Separate handling for option fields that need to be cleared
       const optionFieldsToHandle = {
@@ -825,12 +998,6 @@ class WebflowAPI {
         }
       });
       
-      // CRITICAL FIX: Final check to ensure internal jobs keep their sector
-      const internalSectorId = '65f935a2e6b9d7f69afed2bb';
-      if (jobData['job-companies'] === internalSectorId) {
-        console.log(`🔒 PRESERVING INTERNAL JOB SECTOR: Job ${jobId} has internal sector ID, ensuring it's preserved`);
-      }
-      
       // Check for other null or undefined values in top-level properties
       const invalidFields = [];
       Object.entries(jobData).forEach(([key, value]) => {
@@ -860,19 +1027,12 @@ class WebflowAPI {
         isArchived: false
       };
       
-      // Final safety check: ALWAYS preserve internal sector ID if it's set
-      if (payload.fieldData['job-companies'] === internalSectorId) {
-        console.log(`✅ FINAL CHECK: Internal sector ID confirmed for job ${jobId}`);
-      } else if (jobData['job-companies'] === internalSectorId) {
-        console.log(`🔄 FINAL FIX: Restoring internal sector ID for job ${jobId} that was lost in the payload`);
-        payload.fieldData['job-companies'] = internalSectorId;
-      }
-      
       console.log('Formatted payload for Webflow API:', JSON.stringify(payload, null, 2));
       
       try {
-        const result = await this._makeRequest('patch', `collections/${this.jobsCollectionId}/items/${jobId}`, payload);
+        const result = await this._makeRequest('patch', `collections/${collectionId}/items/${jobId}`, payload);
         console.log('Webflow API update response:', JSON.stringify(result, null, 2));
+        this._recordItemChange(collectionId, jobId, 'publish');
         
         return {
           ...result,
@@ -888,8 +1048,9 @@ class WebflowAPI {
             delete jobData['slug'];
             payload.fieldData = jobData;
           }
-          const retryResult = await this._makeRequest('patch', `collections/${this.jobsCollectionId}/items/${jobId}`, payload);
+          const retryResult = await this._makeRequest('patch', `collections/${collectionId}/items/${jobId}`, payload);
           console.log('Retry successful after preserving slug:', retryResult);
+          this._recordItemChange(collectionId, jobId, 'publish');
           return {
             ...retryResult,
             action: 'updated (slug preserved)'
@@ -909,11 +1070,7 @@ class WebflowAPI {
           const minimalData = {
             'name': jobData['name'],
             'slug': jobData['slug'],
-            'mysolution-id': jobData['mysolution-id'],
-            'vacature-salaris': 'In overleg',
-            'vacature-type': 'Vast',
-            'uren-per-week': '36-40 uur',
-            'hourly': 'In overleg'
+            'mysolution-id': jobData['mysolution-id']
           };
           
           console.log('Fallback minimal data:', JSON.stringify(minimalData, null, 2));
@@ -926,8 +1083,9 @@ class WebflowAPI {
           
           try {
             console.log('Attempting fallback update with minimal data...');
-            const fallbackResult = await this._makeRequest('patch', `collections/${this.jobsCollectionId}/items/${jobId}`, fallbackPayload);
+            const fallbackResult = await this._makeRequest('patch', `collections/${collectionId}/items/${jobId}`, fallbackPayload);
             console.log('Fallback update succeeded:', JSON.stringify(fallbackResult, null, 2));
+            this._recordItemChange(collectionId, jobId, 'publish');
             
             return {
               ...fallbackResult,
@@ -951,6 +1109,10 @@ class WebflowAPI {
    * Create or update a job by Mysolution ID
    * @param {string} mysolutionId - Mysolution job ID
    * @param {object} jobData - Job data
+   * @param {object} options - Options
+   * @param {string} options.existingJobId - Webflow item ID of the job, if known (saves a lookup)
+   * @param {boolean} options.skipSectorValidation - Don't check that the sector reference exists
+   * @param {string} options.collectionId - Collection the job belongs in (defaults to the jobs collection)
    * @returns {Promise<object>} - Created or updated job
    */
   async createOrUpdateJobByMysolutionId(mysolutionId, jobData, options = {}) {
@@ -958,117 +1120,24 @@ class WebflowAPI {
       throw new Error('Mysolution ID is required');
     }
     
+    const collectionId = options.collectionId || this.jobsCollectionId;
+    
     try {
-      // Validate job data to ensure it matches Webflow's expectations
-      if (!jobData['name']) {
-        logger.error('Job data is missing required "name" field');
-        throw new Error('Job name is required');
-      }
-      
-      // Additional validation for dropdown fields
-      // IMPORTANT: This will skip fields explicitly set to null (to allow clearing on update)
-      this._validateDropdownFields(jobData);
-      
-      // Validate and clean up field data to prevent validation errors
-      // Remove any null or undefined values, EXCEPT fields we intentionally clear on update
-      const nullableOptionFields = ['vacature-salaris', 'hourly'];
-      Object.keys(jobData).forEach(key => {
-        if ((jobData[key] === null || jobData[key] === undefined) && !nullableOptionFields.includes(key)) {
-          logger.debug(`Removing null/undefined field ${key} from job data`);
-          delete jobData[key];
-        }
-      });
-      
-      // Remove problematic custom archive fields if they exist
-      const fieldsToRemove = ['archived', 'archive-reason', 'archive-date'];
-      fieldsToRemove.forEach(field => {
-        if (field in jobData) {
-          logger.debug(`Removing custom archive field ${field} from job data`);
-          delete jobData[field];
-        }
-      });
-      
-      // Check if sector reference is properly formatted
-      // Allow skipping remote validation to reduce API calls during large syncs
-      const skipSectorValidation = options.skipSectorValidation === true;
-      if (!skipSectorValidation && jobData['job-companies'] && typeof jobData['job-companies'] === 'string') {
-        const sectorId = jobData['job-companies'];
-        logger.debug(`Found sector ID in jobData: ${sectorId}`);
-        
-        // Special handling for internal job sector (Interne Vacature)
-        const internalSectorId = '65f935a2e6b9d7f69afed2bb';
-        if (sectorId === internalSectorId) {
-          logger.info(`Job has internal sector ID (${internalSectorId}), preserving it for Webflow update`);
-          // Continue with this ID without additional validation
-        } else {
-          // For non-internal sectors, ensure it's a valid ID before proceeding
-          try {
-            // Attempt to get the sector to validate it exists
-            const sectorsCollectionId = await this.getSectorsCollection();
-            if (sectorsCollectionId) {
-              try {
-                await this.getItem(sectorsCollectionId, sectorId);
-                logger.debug(`Verified sector ID ${sectorId} exists in collection ${sectorsCollectionId}`);
-              } catch (error) {
-                // If sector doesn't exist, log warning and remove from job data
-                logger.warn(`Sector ID ${sectorId} not found in collection ${sectorsCollectionId}, removing reference`);
-                delete jobData['job-companies'];
-              }
-            }
-          } catch (error) {
-            logger.warn(`Error validating sector ID ${sectorId}:`, error);
-            // Remove invalid reference
-            delete jobData['job-companies'];
-          }
-        }
-      }
-      
-      // Ensure slug is properly formatted
-      if (jobData['slug']) {
-        // Convert to lowercase, replace spaces with hyphens, remove special characters
-        jobData['slug'] = jobData['slug']
-          .toLowerCase()
-          .replace(/\s+/g, '-')
-          .replace(/[^\w-]+/g, '')
-          .replace(/--+/g, '-')
-          .replace(/^-+/, '')
-          .replace(/-+$/, '');
-      }
-      
-      // Validate job data against collection schema
-      console.log('Validating job data against Webflow collection schema...');
-      const validatedJobData = await this.validateJobData(jobData);
-      
-      // CRITICAL FIX: Explicitly ensure internal jobs ALWAYS have the Interne Vacature sector
-      // This is a hardcoded protection to ensure Webflow doesn't overwrite the internal sector
-      const internalSectorId = '65f935a2e6b9d7f69afed2bb';
-      if (validatedJobData['job-companies'] === internalSectorId) {
-        console.log(`✅ ENSURING INTERNAL JOB: Using Internal Sector ID ${internalSectorId} for job ${mysolutionId}`);
-      } else if (jobData['job-companies'] === internalSectorId) {
-        // The sector ID was lost in validation, restore it
-        console.log(`⚠️ FIXING INTERNAL JOB: Sector ID was lost during validation, restoring ${internalSectorId} for job ${mysolutionId}`);
-        validatedJobData['job-companies'] = internalSectorId;
-      }
+      const validatedJobData = await this._prepareJobData(jobData, { ...options, collectionId });
       
       // Find existing job (or use the provided ID to avoid extra API calls)
       const existingJob = options.existingJobId
         ? { id: options.existingJobId }
-        : await this.findJobByMysolutionId(mysolutionId);
+        : await this.findJobByMysolutionId(mysolutionId, { collectionId });
       
       try {
         if (existingJob) {
           logger.debug(`Updating existing job with Mysolution ID ${mysolutionId}`);
-          // Preserve explicit nulls for option fields so update can clear them in Webflow
-          const nullableOptionFields = ['vacature-salaris', 'hourly'];
-          nullableOptionFields.forEach(field => {
-            if (Object.prototype.hasOwnProperty.call(jobData, field) && jobData[field] === null) {
-              validatedJobData[field] = null;
-            }
-          });
-          return this.updateJob(existingJob.id, validatedJobData);
+          this._keepClearedOptionFields(jobData, validatedJobData);
+          return this.updateJob(existingJob.id, validatedJobData, { collectionId });
         } else {
           logger.debug(`Creating new job with Mysolution ID ${mysolutionId}`);
-          return this.createJob(validatedJobData);
+          return this.createJob(validatedJobData, { collectionId });
         }
       } catch (error) {
         // Handle specific validation errors
@@ -1087,9 +1156,9 @@ class WebflowAPI {
             
             // Retry the operation with the new slug
             if (existingJob) {
-              return this.updateJob(existingJob.id, validatedJobData);
+              return this.updateJob(existingJob.id, validatedJobData, { collectionId });
             } else {
-              return this.createJob(validatedJobData);
+              return this.createJob(validatedJobData, { collectionId });
             }
           }
         }
@@ -1104,68 +1173,142 @@ class WebflowAPI {
   }
 
   /**
-   * Validate dropdown fields to ensure they have valid option values
+   * Check and clean job field data before it is sent to Webflow
+   * Unknown dropdown values, empty fields and fields that are not in the collection schema are removed,
+   * and the slug is normalised. Option fields set to null are left out too; see _keepClearedOptionFields.
+   * @param {object} jobData - Job data (cleaned in place)
+   * @param {object} options - Options
+   * @param {boolean} options.skipSectorValidation - Don't check that the sector reference exists
+   * @param {string} options.collectionId - Collection the job belongs in
+   * @returns {Promise<object>} - Validated job data
+   * @private
+   */
+  async _prepareJobData(jobData, { skipSectorValidation = false, collectionId = this.jobsCollectionId } = {}) {
+    // Validate job data to ensure it matches Webflow's expectations
+    if (!jobData['name']) {
+      logger.error('Job data is missing required "name" field');
+      throw new Error('Job name is required');
+    }
+    
+    // Additional validation for dropdown fields
+    // IMPORTANT: This will skip fields explicitly set to null (to allow clearing on update)
+    await this._validateDropdownFields(jobData, collectionId);
+    
+    // Validate and clean up field data to prevent validation errors
+    // Remove any null or undefined values, EXCEPT fields we intentionally clear on update
+    const nullableOptionFields = ['vacature-salaris', 'hourly'];
+    Object.keys(jobData).forEach(key => {
+      if ((jobData[key] === null || jobData[key] === undefined) && !nullableOptionFields.includes(key)) {
+        logger.debug(`Removing null/undefined field ${key} from job data`);
+        delete jobData[key];
+      }
+    });
+    
+    // Remove problematic custom archive fields if they exist
+    const fieldsToRemove = ['archived', 'archive-reason', 'archive-date'];
+    fieldsToRemove.forEach(field => {
+      if (field in jobData) {
+        logger.debug(`Removing custom archive field ${field} from job data`);
+        delete jobData[field];
+      }
+    });
+    
+    // Check if sector reference is properly formatted
+    // Allow skipping remote validation to reduce API calls during large syncs
+    if (!skipSectorValidation && jobData['job-companies'] && typeof jobData['job-companies'] === 'string') {
+      const sectorId = jobData['job-companies'];
+      logger.debug(`Found sector ID in jobData: ${sectorId}`);
+      
+      // Ensure it's a valid ID before proceeding
+      try {
+        // Attempt to get the sector to validate it exists
+        const sectorsCollectionId = await this.getSectorsCollection();
+        if (sectorsCollectionId) {
+          try {
+            await this.getItem(sectorsCollectionId, sectorId);
+            logger.debug(`Verified sector ID ${sectorId} exists in collection ${sectorsCollectionId}`);
+          } catch (error) {
+            // If sector doesn't exist, log warning and remove from job data
+            logger.warn(`Sector ID ${sectorId} not found in collection ${sectorsCollectionId}, removing reference`);
+            delete jobData['job-companies'];
+          }
+        }
+      } catch (error) {
+        logger.warn(`Error validating sector ID ${sectorId}:`, error);
+        // Remove invalid reference
+        delete jobData['job-companies'];
+      }
+    }
+    
+    // Ensure slug is properly formatted
+    if (jobData['slug']) {
+      // Convert to lowercase, replace spaces with hyphens, remove special characters
+      jobData['slug'] = jobData['slug']
+        .toLowerCase()
+        .replace(/\s+/g, '-')
+        .replace(/[^\w-]+/g, '')
+        .replace(/--+/g, '-')
+        .replace(/^-+/, '')
+        .replace(/-+$/, '');
+    }
+    
+    // Validate job data against collection schema
+    console.log('Validating job data against Webflow collection schema...');
+    return this.validateJobData(jobData, collectionId);
+  }
+
+  /**
+   * Preserve explicit nulls for option fields so an update can clear them in Webflow
+   * @param {object} jobData - Job data before validation
+   * @param {object} validatedJobData - Validated job data (changed in place)
+   * @private
+   */
+  _keepClearedOptionFields(jobData, validatedJobData) {
+    const nullableOptionFields = ['vacature-salaris', 'hourly'];
+    nullableOptionFields.forEach(field => {
+      if (Object.prototype.hasOwnProperty.call(jobData, field) && jobData[field] === null) {
+        validatedJobData[field] = null;
+      }
+    });
+  }
+
+  /**
+   * Validate dropdown fields against the Option field choices of the live jobs collection schema
+   * Unknown values are removed from the job data (so Webflow keeps its current value) and logged.
+   * Fields explicitly set to null are left alone so they can be cleared on update.
    * @param {object} jobData - Job data to validate
+   * @param {string} collectionId - Collection the job is written to (defaults to the jobs collection)
+   * @returns {Promise<Array<object>>} Removed values as { field, value }
    * @private
    */
-  _validateDropdownFields(jobData) {
-    // Define valid options for dropdown fields
-    const validOptions = {
-      'vacature-salaris': [
-        'In overleg',
-        '35.000-40.000',
-        '40.000-45.000',
-        '45.000-50.000',
-        '50.000-55.000',
-        '55.000-60.000',
-        '60.000-65.000',
-        '65.000-70.000',
-        '70.000-75.000',
-        '75.000-80.000',
-        '80.000-85.000',
-        '85.000-90.000',
-        '90.000-95.000',
-        '95.000-100.000',
-        '100.000-105.000',
-        '105.000-110.000',
-        '110.000-115.000',
-        '115.000-120.000',
-        '125.000+'
-      ],
-      'vacature-type': ['Vast', 'Interim'],
-      'uren-per-week': ['16-24 uur', '24-32 uur', '32-36 uur', '36-40 uur'],
-      'hourly': [
-        'In overleg',
-        '55-60',
-        '60-65',
-        '65-70',
-        '70-75',
-        '75-80',
-        '80-85',
-        '85-90',
-        '90-95',
-        '95-100',
-        '100-105',
-        '105-110',
-        '110-115',
-        '115-120',
-        '120-125',
-        '125+'
-      ]
-    };
+  async _validateDropdownFields(jobData, collectionId = this.jobsCollectionId) {
+    let optionFields;
+    try {
+      optionFields = await this.getOptionFields(collectionId);
+    } catch (error) {
+      logger.warn(`Could not load jobs collection schema, skipping dropdown validation: ${error.message}`);
+      return [];
+    }
+    
+    const unknownValues = [];
     
     // Validate each dropdown field
-    Object.entries(validOptions).forEach(([field, options]) => {
-      if (field in jobData && !options.includes(jobData[field])) {
-        logger.warn(`Invalid value for ${field}: "${jobData[field]}". Must be one of: ${options.join(', ')}`);
-        console.warn(`Invalid value for ${field}: "${jobData[field]}". Setting to default.`);
-        
-        // Set to first option as default
-        jobData[field] = options[0];
+    Object.entries(optionFields).forEach(([field, options]) => {
+      const value = jobData[field];
+      if (value === null || value === undefined) {
+        return;
+      }
+      
+      const names = options.map(option => option.name);
+      const ids = options.map(option => option.id);
+      if (!names.includes(value) && !ids.includes(value)) {
+        logger.warn(`Unknown value for ${field}: "${value}" is not an option in Webflow (${names.join(', ')}), leaving the field unchanged`);
+        unknownValues.push({ field, value });
+        delete jobData[field];
       }
     });
     
-    return jobData;
+    return unknownValues;
   }
 
   async deleteJob(jobId) {
@@ -1176,9 +1319,11 @@ class WebflowAPI {
   /**
    * Archive a job in Webflow (marks it as archived without deleting it)
    * @param {string} jobId - ID of the job to archive
+   * @param {object} options - Archive options
+   * @param {string} options.collectionId - Collection holding the job (defaults to the jobs collection)
    * @returns {Promise<object>} Update result
    */
-  async archiveJob(jobId) {
+  async archiveJob(jobId, { collectionId = this.jobsCollectionId } = {}) {
     console.log('===== ARCHIVING JOB IN WEBFLOW =====');
     console.log(`Archiving job ID: ${jobId}`);
     
@@ -1192,8 +1337,9 @@ class WebflowAPI {
       
       console.log('Archiving job with payload:', JSON.stringify(payload, null, 2));
       
-      const result = await this._makeRequest('patch', `collections/${this.jobsCollectionId}/items/${jobId}`, payload);
+      const result = await this._makeRequest('patch', `collections/${collectionId}/items/${jobId}`, payload);
       console.log('Webflow API archive response:', JSON.stringify(result, null, 2));
+      this._recordItemChange(collectionId, jobId, 'unpublish');
       
       return {
         ...result,
@@ -1205,6 +1351,146 @@ class WebflowAPI {
     }
   }
 
+  /**
+   * Create, update and archive jobs with bulk item requests
+   * Operations are grouped by action into requests of at most bulkSize items, so a few hundred jobs
+   * take a handful of requests instead of one each. When a bulk request fails, its jobs are sent one by
+   * one, so every error belongs to a single job (and a duplicate slug is handled as in createJob). A
+   * failed create may have been committed anyway, so jobs that have an item by then update it instead.
+   * @param {Array<object>} operations - Operations as { mysolutionId, action: 'create'|'update'|'archive', itemId, fieldData }
+   * @param {object} options - Options
+   * @param {string} options.collectionId - Collection holding the jobs (defaults to the jobs collection)
+   * @returns {Promise<Array<object>>} Result per operation, in order, as { mysolutionId, action, itemId, error }
+   */
+  async bulkWriteJobs(operations, { collectionId = this.jobsCollectionId } = {}) {
+    const results = new Array(operations.length);
+    const batches = { create: [], update: [], archive: [] };
+
+    // Clean the field data like a single upsert would; a job that fails here fails on its own
+    for (let index = 0; index < operations.length; index++) {
+      const operation = operations[index];
+      if (operation.action === 'archive') {
+        batches.archive.push({ index, operation });
+        continue;
+      }
+
+      try {
+        const fieldData = await this._prepareJobData(operation.fieldData, { collectionId, skipSectorValidation: true });
+        if (operation.action === 'update') {
+          this._keepClearedOptionFields(operation.fieldData, fieldData);
+          // Preserve existing URL slug on updates to avoid breaking links
+          delete fieldData['slug'];
+        }
+        batches[operation.action].push({ index, operation, fieldData });
+      } catch (error) {
+        results[index] = { mysolutionId: operation.mysolutionId, action: 'failed', itemId: operation.itemId, error: error.message };
+      }
+    }
+
+    for (const [action, entries] of Object.entries(batches)) {
+      for (let start = 0; start < entries.length; start += this.bulkSize) {
+        const batch = entries.slice(start, start + this.bulkSize);
+
+        let response;
+        try {
+          if (action === 'create') {
+            response = await this.createItems(collectionId, batch.map(entry => entry.fieldData));
+          } else if (action === 'update') {
+            response = await this.updateItems(collectionId, batch.map(entry => ({ id: entry.operation.itemId, fieldData: entry.fieldData })));
+          } else {
+            response = await this.archiveItems(collectionId, batch.map(entry => entry.operation.itemId));
+          }
+        } catch (error) {
+          logger.warn(`Bulk ${action} of ${batch.length} jobs failed, sending them one by one: ${error.message}`);
+          let existingItems = new Map();
+          if (action === 'create') {
+            // A request that failed ambiguously (e.g. a timeout) may have created the items after all
+            try {
+              existingItems = await this._findItemsByMysolutionId(collectionId);
+            } catch (lookupError) {
+              logger.error(`Could not check for items created by the failed bulk create: ${lookupError.message}`);
+              batch.forEach(entry => {
+                results[entry.index] = { mysolutionId: entry.operation.mysolutionId, action: 'failed', error: `Bulk create failed and existing items could not be checked: ${error.message}` };
+              });
+              continue;
+            }
+          }
+          for (const entry of batch) {
+            const existingItem = existingItems.get(entry.operation.mysolutionId);
+            if (existingItem) {
+              // Update the existing item instead of creating a duplicate, as createOrUpdateJobByMysolutionId does
+              this._keepClearedOptionFields(entry.operation.fieldData, entry.fieldData);
+              delete entry.fieldData['slug'];
+              results[entry.index] = await this._writeSingleJob('update', { ...entry, operation: { ...entry.operation, itemId: existingItem.id } }, collectionId);
+            } else {
+              results[entry.index] = await this._writeSingleJob(action, entry, collectionId);
+            }
+          }
+          continue;
+        }
+
+        logger.info(`Bulk ${action} of ${batch.length} jobs in collection ${collectionId} succeeded`);
+        const items = (response && response.items) || [];
+        batch.forEach((entry, position) => {
+          const { mysolutionId, itemId } = entry.operation;
+          const created = action === 'create'
+            ? items.find(item => item.fieldData && item.fieldData['mysolution-id'] === mysolutionId) || items[position]
+            : null;
+          results[entry.index] = {
+            mysolutionId,
+            action: `${action}d`,
+            itemId: created ? created.id : itemId
+          };
+          this._recordItemChange(collectionId, results[entry.index].itemId, action === 'archive' ? 'unpublish' : 'publish');
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the primary item (see choosePrimaryItem) of every Mysolution ID in a collection
+   * @param {string} collectionId - Collection ID
+   * @returns {Promise<Map<string, object>>} Items by Mysolution ID
+   * @private
+   */
+  async _findItemsByMysolutionId(collectionId) {
+    const groups = new Map();
+    (await this.getAllItems(collectionId)).forEach(item => {
+      const mysolutionId = item.fieldData && item.fieldData['mysolution-id'];
+      if (mysolutionId) {
+        groups.set(mysolutionId, [...(groups.get(mysolutionId) || []), item]);
+      }
+    });
+    return new Map([...groups].map(([mysolutionId, items]) => [mysolutionId, choosePrimaryItem(items)]));
+  }
+
+  /**
+   * Send a single job of a failed bulk request
+   * @param {string} action - 'create', 'update' or 'archive'
+   * @param {object} entry - Batch entry with operation and fieldData
+   * @param {string} collectionId - Collection holding the job
+   * @returns {Promise<object>} Result as { mysolutionId, action, itemId, error }
+   * @private
+   */
+  async _writeSingleJob(action, { operation, fieldData }, collectionId) {
+    try {
+      let result;
+      if (action === 'create') {
+        result = await this.createJob(fieldData, { collectionId });
+      } else if (action === 'update') {
+        result = await this.updateJob(operation.itemId, fieldData, { collectionId });
+      } else {
+        result = await this.archiveJob(operation.itemId, { collectionId });
+      }
+      return { mysolutionId: operation.mysolutionId, action: result.action, itemId: result.id || operation.itemId };
+    } catch (error) {
+      logger.error(`Error writing job ${operation.mysolutionId} to Webflow (${action}): ${error.message}`);
+      return { mysolutionId: operation.mysolutionId, action: 'failed', itemId: operation.itemId, error: error.message };
+    }
+  }
+
   /**
    * Delete a job by Mysolution ID
    * @param {string} mysolutionId - Mysolution ID of the job to delete
@@ -1400,9 +1686,11 @@ class WebflowAPI {
   
   /**
    * Find a sector by name with fuzzy matching
-   * Uses multiple matching techniques to find the closest match
+   * Uses multiple matching techniques to find the closest match. Known sector values should be
+   * mapped in the sector mapping table (see sectorMappingService) rather than relying on this.
    * @param {string} sectorName - The sector name to find
-   * @returns {Promise<Object|null>} - The found sector or null
+   * @returns {Promise<Object|null>} - The found sector as { id, name, strategy } or null;
+   *   strategy is 'exact', 'normalized', 'substring', 'words' or 'abbreviation'
    */
   async findSectorByName(sectorName) {
     try {
@@ -1415,18 +1703,6 @@ class WebflowAPI {
       // Log the input sector name for debugging
       logger.debug(`Finding sector by name: "${sectorName}"`);
       
-      // Direct aliases for exact naming mismatches
-      const exactAliases = {
-        'Food & FCMG': 'Food & FMCG'
-      };
-      
-      // Check if we have a direct alias match
-      if (sectorName in exactAliases) {
-        const aliasedName = exactAliases[sectorName];
-        logger.debug(`Using exact alias: "${sectorName}" -> "${aliasedName}"`);
-        sectorName = aliasedName;
-      }
-      
       const allSectors = await this.getAllSectors();
       
       if (!allSectors || allSectors.length === 0) {
@@ -1474,44 +1750,12 @@ class WebflowAPI {
           logger.debug(`Found exact sector match for "${sectorName}": ${sectorName1} (${getSectorId(sector)})`);
           return {
             id: getSectorId(sector),
-            name: sectorName1
+            name: sectorName1,
+            strategy: 'exact'
           };
         }
       }
       
-      // If we get here, continue with the existing matching logic
-      // Add a special case for common problematic sectors
-      const specialCases = {
-        'Food & FCMG': ['food', 'fcmg', 'fmcg', 'consumer goods'],
-        'Food & FMCG': ['food', 'fcmg', 'fmcg', 'consumer goods'],
-        'IT': ['technology', 'tech', 'information technology'],
-        'Healthcare': ['health', 'healthcare', 'medical', 'zorg']
-      };
-      
-      // Check if we have a special case mapping for this sector
-      if (sectorName in specialCases) {
-        logger.debug(`Using special case mapping for "${sectorName}"`);
-        // Try to find a sector that matches any of the special case keywords
-        for (const sector of allSectors) {
-          const sectorName1 = getSectorName(sector);
-          if (!sectorName1) continue;
-          
-          const sectorNameLower = sectorName1.toLowerCase();
-          // Check if any of the special case keywords match
-          const matches = specialCases[sectorName].some(keyword => 
-            sectorNameLower.includes(keyword)
-          );
-          
-          if (matches) {
-            logger.debug(`Found special case match for "${sectorName}": ${sectorName1} (${getSectorId(sector)})`);
-            return {
-              id: getSectorId(sector),
-              name: sectorName1
-            };
-          }
-        }
-      }
-      
       // Normalize the input sector name
       const normalizeName = (name) => {
         if (!name) {
@@ -1548,7 +1792,8 @@ class WebflowAPI {
         logger.debug(`Found exact sector match for "${sectorName}": ${exactMatchName} (${getSectorId(exactMatch)})`);
         return {
           id: getSectorId(exactMatch),
-          name: exactMatchName
+          name: exactMatchName,
+          strategy: 'normalized'
         };
       }
       
@@ -1570,7 +1815,8 @@ class WebflowAPI {
         logger.debug(`Found substring sector match for "${sectorName}": ${matchName} (${getSectorId(match)})`);
         return {
           id: getSectorId(match),
-          name: matchName
+          name: matchName,
+          strategy: 'substring'
         };
       }
       
@@ -1615,7 +1861,8 @@ class WebflowAPI {
           logger.debug(`Found fuzzy sector match for "${sectorName}": ${bestMatch.sector.name} (${bestMatch.sector._id}) with score ${bestMatch.score.toFixed(2)}`);
           return {
             id: bestMatch.sector._id,  // Use _id for the id property
-            name: bestMatch.sector.name
+            name: bestMatch.sector.name,
+            strategy: 'words'
           };
         }
       }
@@ -1643,7 +1890,8 @@ class WebflowAPI {
           logger.debug(`Found normalized sector match for "${sectorName}": ${sector.name} (${sector._id})`);
           return {
             id: sector._id,  // Use _id for the id property
-            name: sector.name
+            name: sector.name,
+            strategy: 'abbreviation'
           };
         }
       }
@@ -1974,6 +2222,103 @@ class WebflowAPI {
     }
   }
 
+  /**
+   * Create an item in a reference collection (sectors, employees) from a name
+   * A duplicate slug is retried once with a random suffix.
+   * @param {string} collectionId - Reference collection ID
+   * @param {string} name - Item name
+   * @param {object} fieldData - Extra field data
+   * @param {object} options - Create options
+   * @param {boolean} options.isDraft - Create the item as a draft
+   * @returns {Promise<object>} The created item as { id, name, isDraft }
+   * @private
+   */
+  async _createReferenceItem(collectionId, name, fieldData = {}, { isDraft = false } = {}) {
+    const slug = name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' en ')
+      .replace(/[^a-z0-9\s-]/g, '')
+      .trim()
+      .replace(/[\s-]+/g, '-')
+      .substring(0, 100);
+    const itemData = { ...fieldData, name, slug };
+
+    let item;
+    try {
+      item = await this.createItem(collectionId, itemData, { isDraft });
+    } catch (error) {
+      if (!error.message || !error.message.includes('slug')) {
+        throw error;
+      }
+      item = await this.createItem(collectionId, { ...itemData, slug: this._generateUniqueSlug(slug) }, { isDraft });
+    }
+
+    if (!isDraft) {
+      this._recordItemChange(collectionId, item.id || item._id, 'publish');
+    }
+    return { id: item.id || item._id, name, isDraft };
+  }
+
+  /**
+   * Create a sector item
+   * @param {string} name - Sector name
+   * @param {object} options - Create options
+   * @param {boolean} options.isDraft - Create the sector as a draft
+   * @returns {Promise<object>} The created sector as { id, name, isDraft }
+   */
+  async createSector(name, { isDraft = false } = {}) {
+    const sectorsCollectionId = await this.getSectorsCollection();
+    if (!sectorsCollectionId) {
+      throw new Error('No sectors collection found');
+    }
+
+    const sector = await this._createReferenceItem(sectorsCollectionId, name, {}, { isDraft });
+    logger.info(`Created sector "${name}" (${sector.id})${isDraft ? ' as draft' : ''}`);
+
+    if (this.sectors) {
+      this.sectors.push({ _id: sector.id, id: sector.id, name, isDraft });
+    }
+    return sector;
+  }
+
+  /**
+   * Create an employee item
+   * The email address is stored in the first Email field of the employees collection, if it has one.
+   * @param {object} employee - Employee details
+   * @param {string} employee.name - Full name
+   * @param {string} employee.email - Email address (optional)
+   * @param {object} options - Create options
+   * @param {boolean} options.isDraft - Create the employee as a draft
+   * @returns {Promise<object>} The created employee as { id, name, isDraft }
+   */
+  async createEmployee({ name, email }, { isDraft = false } = {}) {
+    const employeesCollectionId = await this.getEmployeesCollection();
+    if (!employeesCollectionId) {
+      throw new Error('No employees collection found');
+    }
+
+    const fieldData = {};
+    if (email) {
+      const fields = await this.getCollectionStructure(employeesCollectionId);
+      const emailField = fields.find(field => field.type === 'Email');
+      if (emailField) {
+        fieldData[emailField.slug] = email;
+      } else {
+        logger.warn(`Employees collection has no Email field, not storing the email address of "${name}"`);
+      }
+    }
+
+    const employee = await this._createReferenceItem(employeesCollectionId, name, fieldData, { isDraft });
+    logger.info(`Created employee "${name}" (${employee.id})${isDraft ? ' as draft' : ''}`);
+
+    if (this.employees) {
+      this.employees.push({ _id: employee.id, id: employee.id, name, isDraft });
+    }
+    return employee;
+  }
+
   /**
    * Generate a unique slug by adding a random suffix if needed
    * @param {string} slug - The original slug
@@ -2062,12 +2407,13 @@ class WebflowAPI {
   /**
    * Validate job data against collection schema to prevent validation errors
    * @param {object} jobData - Job data to validate
+   * @param {string} collectionId - Collection whose schema is used (defaults to the jobs collection)
    * @returns {Promise<object>} - Validated and cleaned job data
    */
-  async validateJobData(jobData) {
+  async validateJobData(jobData, collectionId = this.jobsCollectionId) {
     try {
       // Get collection schema/structure
-      const fields = await this.getCollectionStructure(this.jobsCollectionId);
+      const fields = await this.getCollectionStructure(collectionId);
       
       // Extract valid field slugs/IDs from collection
       const validFields = fields.map(field => field.slug || field.id);
@@ -2076,50 +2422,6 @@ class WebflowAPI {
       // Explicitly blacklist fields we know are problematic
       const blacklistedFields = ['archived', 'archive-reason', 'archive-date'];
       
-      // Valid options for dropdown fields
-      const validOptions = {
-        'vacature-salaris': [
-          'In overleg',
-          '35.000-40.000',
-          '40.000-45.000',
-          '45.000-50.000',
-          '50.000-55.000',
-          '55.000-60.000',
-          '60.000-65.000',
-          '65.000-70.000',
-          '70.000-75.000',
-          '75.000-80.000',
-          '80.000-85.000',
-          '85.000-90.000',
-          '90.000-95.000',
-          '95.000-100.000',
-          '100.000-105.000',
-          '105.000-110.000',
-          '110.000-115.000',
-          '115.000-120.000',
-          '125.000+'
-        ],
-        'vacature-type': ['Vast', 'Interim'],
-        'hourly': [
-          'In overleg',
-          '55-60',
-          '60-65',
-          '65-70',
-          '70-75',
-          '75-80',
-          '80-85',
-          '85-90',
-          '90-95',
-          '95-100',
-          '100-105',
-          '105-110',
-          '110-115',
-          '115-120',
-          '120-125',
-          '125+'
-        ]
-      };
-      
       // Keep track of fields that are not in the schema
       const invalidFields = [];
       const cleanedData = {};
@@ -2143,43 +2445,6 @@ class WebflowAPI {
           }
         }
         
-        // Check for dropdown fields with predefined options
-        if (key in validOptions) {
-          if (!validOptions[key].includes(value)) {
-            console.warn(`Invalid value "${value}" for field "${key}", must be one of: ${validOptions[key].join(', ')}`);
-            
-            // For salary, try to find the closest match
-            if (key === 'vacature-salaris' && value !== 'In overleg' && !isNaN(parseInt(value, 10))) {
-              const numValue = parseInt(value, 10);
-              const numericOptions = validOptions[key]
-                .filter(opt => opt !== 'In overleg')
-                .map(opt => parseInt(opt, 10));
-              
-              // Find the closest option (not exceeding the value)
-              let closestOption = null;
-              for (const option of numericOptions) {
-                if (option <= numValue && (closestOption === null || option > closestOption)) {
-                  closestOption = option;
-                }
-              }
-              
-              if (closestOption !== null) {
-                const fixedValue = closestOption.toString();
-                console.warn(`Fixed invalid salary value "${value}" to "${fixedValue}"`);
-                jobData[key] = fixedValue;
-              } else {
-                // If no proper match found, default to 'In overleg'
-                console.warn(`No valid salary option found for "${value}", defaulting to "In overleg"`);
-                jobData[key] = 'In overleg';
-              }
-            } else {
-              // For other fields, default to the first valid option
-              console.warn(`Setting field "${key}" to default value "${validOptions[key][0]}"`);
-              jobData[key] = validOptions[key][0];
-            }
-          }
-        }
-        
         // Ensure salary is a string
         if (key === 'vacature-salaris' && typeof value !== 'string') {
           console.warn(`Salary value "${value}" is not a string, converting to string`);
@@ -2247,5 +2512,36 @@ class WebflowAPI {
   }
 }
 
-const webflowAPI = new WebflowAPI();
+// One client per tenant, each with its own token, caches and rate limiting
+const clients = new Map();
+
+/**
+ * Get the Webflow client of a tenant
+ * @param {Object} tenant - Tenant (defaults to the tenant the current code runs for)
+ * @returns {WebflowAPI} Client
+ */
+function getWebflowAPI(tenant = getCurrentTenant()) {
+  if (!clients.has(tenant.id)) {
+    clients.set(tenant.id, new WebflowAPI(tenant.webflow));
+  }
+  return clients.get(tenant.id);
+}
+
+// Create the client of the first tenant at startup, so missing settings are reported right away
+getWebflowAPI();
+
+// The exported client forwards to the client of the current tenant
+const webflowAPI = new Proxy({}, {
+  get(target, property) {
+    const client = getWebflowAPI();
+    const value = client[property];
+    return typeof value === 'function' ? value.bind(client) : value;
+  },
+  set(target, property, value) {
+    getWebflowAPI()[property] = value;
+    return true;
+  }
+});
+
+export { WebflowAPI, getWebflowAPI, choosePrimaryItem };
 export default webflowAPI; 
\ No newline at end of file
@@ -7,8 +7,10 @@ import cron from 'node-cron';
 import { EventEmitter } from 'events';
 import { logger } from './utils/logger.js';
 import config from './utils/config.js';
-import { jobsSync, incrementalJobsSync } from './services/jobsSync.js';
+import { jobsSync, incrementalJobsSync, describeSyncResult } from './services/jobsSync.js';
 import { processNewCandidate } from './services/candidatesSync.js';
+import { processSyncQueue } from './services/syncWorker.js';
+import syncLock from './services/syncLock.js';
 import jobsRoutes from './routes/jobs.js';
 import candidatesRoutes from './routes/candidates.js';
 import webhookRoutes from './routes/webhooks.js';
@@ -18,6 +20,9 @@ import webflowAPI from './api/webflow.js';
 import mysolutionAPI from './api/mysolution.js';
 import syncStateStore from './utils/syncStateStore.js';
 import { initializeDeploymentInfo } from './utils/deploymentInfo.js';
+import jobRoutingService from './services/jobRoutingService.js';
+import { forEachTenant, getTenants, summarizeTenantResults, tenantMiddleware } from './utils/tenants.js';
+import { MYSOLUTION_UNAVAILABLE } from './utils/mysolutionHttpClient.js';
 
 // Helper for __dirname in ES modules
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -74,6 +79,9 @@ if (config.logging.httpRequestLogging) {
 // Real-time logger transport will be attached per SSE connection in /api/events
 
 // API Routes
+// Run API requests for the tenant named in the x-tenant-id header or ?tenant= (see src/utils/tenants.js)
+app.use('/api', tenantMiddleware);
+
 app.use('/api/jobs', jobsRoutes);
 app.use('/api/candidates', candidatesRoutes);
 app.use('/api/webhooks', webhookRoutes);
@@ -123,11 +131,7 @@ app.get('/api/cron/incremental-sync', async (req, res) => {
     
     logger.info('Vercel cron incremental jobs sync completed successfully', { 
       syncId, 
-      result: {
-        successful: result.successful || 0,
-        failed: result.failed || 0,
-        skipped: result.skipped || 0
-      }
+      result: describeSyncResult(result)
     });
     
     res.json({ 
@@ -138,6 +142,26 @@ app.get('/api/cron/incremental-sync', async (req, res) => {
     });
     
   } catch (error) {
+    if (error.code === 'SYNC_ALREADY_RUNNING') {
+      logger.info(`Skipping Vercel cron incremental jobs sync: ${error.message}`);
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Sync already running',
+        message: error.message,
+        runningSyncId: error.runningSyncId
+      });
+    }
+
+    if (error.code === MYSOLUTION_UNAVAILABLE) {
+      logger.warn(`Skipping Vercel cron incremental jobs sync: ${error.message}`);
+      return res.status(503).json({
+        success: false,
+        error: 'Mysolution unavailable',
+        message: error.message,
+        retryAt: error.retryAt
+      });
+    }
+    
     const syncId = `vercel-incremental-sync-error-${Date.now()}`;
     logger.error('Error in Vercel cron incremental jobs sync', { 
       syncId, 
@@ -181,11 +205,7 @@ app.get('/api/cron/full-sync', async (req, res) => {
     
     logger.info('Vercel cron full jobs sync completed successfully', { 
       syncId, 
-      result: {
-        successful: result.successful || 0,
-        failed: result.failed || 0,
-        skipped: result.skipped || 0
-      }
+      result: describeSyncResult(result)
     });
     
     res.json({ 
@@ -196,6 +216,26 @@ app.get('/api/cron/full-sync', async (req, res) => {
     });
     
   } catch (error) {
+    if (error.code === 'SYNC_ALREADY_RUNNING') {
+      logger.info(`Skipping Vercel cron full jobs sync: ${error.message}`);
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Sync already running',
+        message: error.message,
+        runningSyncId: error.runningSyncId
+      });
+    }
+
+    if (error.code === MYSOLUTION_UNAVAILABLE) {
+      logger.warn(`Skipping Vercel cron full jobs sync: ${error.message}`);
+      return res.status(503).json({
+        success: false,
+        error: 'Mysolution unavailable',
+        message: error.message,
+        retryAt: error.retryAt
+      });
+    }
+    
     const syncId = `vercel-full-sync-error-${Date.now()}`;
     logger.error('Error in Vercel cron full jobs sync', { 
       syncId, 
@@ -212,6 +252,66 @@ app.get('/api/cron/full-sync', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/cron/process-queue
+ * @desc    Vercel cron job endpoint that resumes queued sync tasks (every 10 minutes)
+ * @access  Public (Vercel cron only)
+ */
+app.get('/api/cron/process-queue', async (req, res) => {
+  try {
+    // Verify this is actually coming from Vercel cron
+    const authHeader = req.headers.authorization;
+    if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+      logger.warn('Unauthorized cron request for queue processing', { 
+        ip: req.ip, 
+        userAgent: req.headers['user-agent'] 
+      });
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Unauthorized' 
+      });
+    }
+    
+    const workerId = `vercel-queue-${Date.now()}`;
+    logger.info('Running Vercel cron sync queue processing', { workerId });
+    
+    // Like the node-cron queue check, don't take the sync lock when no task is due
+    const result = await processSyncQueue({ owner: workerId, onlyWhenDue: true });
+    
+    res.json({ 
+      success: true, 
+      message: `Processed ${summarizeTenantResults(result, tenantResult => (tenantResult.remaining > 0
+        ? `${tenantResult.processed} tasks, ${tenantResult.remaining} remaining`
+        : `${tenantResult.processed} tasks, queue is empty`))}`,
+      workerId,
+      result
+    });
+    
+  } catch (error) {
+    if (error.code === 'SYNC_ALREADY_RUNNING') {
+      // The running sync drains the queue itself
+      logger.info(`Skipping Vercel cron sync queue processing: ${error.message}`);
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Sync already running',
+        message: error.message,
+        runningSyncId: error.runningSyncId
+      });
+    }
+    
+    logger.error('Error in Vercel cron sync queue processing', { 
+      error: error.message, 
+      stack: error.stack 
+    });
+    
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error processing sync queue',
+      message: error.message
+    });
+  }
+});
+
 // Static files
 app.use(express.static(path.join(__dirname, '../public')));
 
@@ -261,7 +361,7 @@ app.get('/api/events', (req, res) => {
   const syncCompletedListener = async () => {
     try {
       // Fetch updated sync state
-      const syncState = syncStateStore.getSyncState();
+      const syncState = await syncStateStore.getSyncState();
       
       // Fetch job counts
       const webflowJobsResponse = await webflowAPI.getJobs().catch(() => ({ items: [] }));
@@ -358,7 +458,7 @@ let scheduledFullJobsSync = null;
 
 if (isServerless) {
   logger.info('Serverless environment detected - using platform cron jobs instead of Node.js cron');
-  logger.info('Vercel cron jobs configured: /api/cron/incremental-sync (every 2 hours) and /api/cron/full-sync (daily 7 AM)');
+  logger.info('Vercel cron jobs configured: /api/cron/incremental-sync (every 2 hours), /api/cron/full-sync (daily 7 AM) and /api/cron/process-queue (every 10 minutes)');
 } else {
   // Create the scheduler for incremental syncs (only for non-serverless)
   scheduledIncrementalJobsSync = cron.schedule(incrementalSyncCronPattern, async () => {
@@ -380,6 +480,14 @@ if (isServerless) {
       });
       logger.info('Incremental jobs sync completed successfully', { syncId });
     } catch (error) {
+      if (error.code === 'SYNC_ALREADY_RUNNING') {
+        logger.info(`Skipping scheduled incremental jobs sync: ${error.message}`, { syncId });
+        return;
+      }
+      if (error.code === MYSOLUTION_UNAVAILABLE) {
+        logger.warn(`Skipping scheduled incremental jobs sync: ${error.message}`, { syncId });
+        return;
+      }
       logger.error('Error in scheduled incremental jobs sync', { syncId, error: error.message, stack: error.stack });
     }
   }, {
@@ -395,12 +503,38 @@ if (isServerless) {
       await jobsSync(); // Run full sync
       logger.info('Full jobs sync completed successfully', { syncId });
     } catch (error) {
+      if (error.code === 'SYNC_ALREADY_RUNNING') {
+        logger.warn(`Skipping scheduled full jobs sync: ${error.message}`, { syncId });
+        return;
+      }
+      if (error.code === MYSOLUTION_UNAVAILABLE) {
+        logger.warn(`Skipping scheduled full jobs sync: ${error.message}`, { syncId });
+        return;
+      }
       logger.error('Error in scheduled full jobs sync', { syncId, error: error.message, stack: error.stack });
     }
   }, {
     scheduled: config.sync.enableScheduledSync // Only start if enabled in config
   });
 
+  // Process publication window checks (and other queued tasks) when they are due
+  if (config.publicationWindows.enabled) {
+    const queueCronPattern = '*/' + config.publicationWindows.checkIntervalMinutes + ' * * * *';
+    logger.info(`Setting up publication window checks: ${queueCronPattern}`);
+
+    cron.schedule(queueCronPattern, async () => {
+      try {
+        await processSyncQueue({ owner: `queue-cron-${Date.now()}`, onlyWhenDue: true });
+      } catch (error) {
+        if (error.code === 'SYNC_ALREADY_RUNNING') {
+          logger.info(`Skipping scheduled queue processing: ${error.message}`);
+          return;
+        }
+        logger.error('Error in scheduled queue processing', { error: error.message, stack: error.stack });
+      }
+    });
+  }
+
   // Log whether scheduled sync is enabled
   if (config.sync.enableScheduledSync) {
     logger.info(`Scheduled sync is ENABLED - incremental sync every ${syncIntervalMinutes} minute(s) with a full sync daily at 7 AM`);
@@ -414,7 +548,7 @@ global.scheduledJobsSync = scheduledIncrementalJobsSync; // Keep existing API re
 global.scheduledFullJobsSync = scheduledFullJobsSync;
 
 // Add an endpoint to reset sync state and trigger a full sync
-app.post('/api/admin/reset-sync', (req, res) => {
+app.post('/api/admin/reset-sync', async (req, res) => {
   if (req.headers['x-api-key'] !== config.app.adminApiKey) {
     return res.status(401).json({ 
       success: false, 
@@ -423,6 +557,17 @@ app.post('/api/admin/reset-sync', (req, res) => {
   }
   
   try {
+    // The full sync runs in the background, so check the lock up front to report a running sync
+    const lock = await syncLock.getLock();
+    if (lock) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Sync already running',
+        message: `Sync already running (syncId ${lock.owner}, started ${lock.acquiredAt})`,
+        runningSyncId: lock.owner
+      });
+    }
+    
     const resetId = `reset-sync-${Date.now()}`;
     logger.info('Resetting sync state and triggering full sync', { resetId });
     
@@ -482,6 +627,9 @@ async function runSmartSync() {
       });
     }
   } catch (error) {
+    if (error.code === 'SYNC_ALREADY_RUNNING' || error.code === MYSOLUTION_UNAVAILABLE) {
+      throw error;
+    }
     logger.error('Error during smart sync determination', { syncId, error: error.message, stack: error.stack });
     // Fall back to incremental sync on error
     logger.info('Falling back to incremental sync due to error', { syncId });
@@ -497,6 +645,14 @@ initializeDeploymentInfo().then((info) => {
   console.warn('⚠️ Deployment info initialization failed:', error.message);
 });
 
+// Resolve the sectors and collections of the job routing rules, so misconfigured rules show up at startup
+console.log(`Syncing ${getTenants().length} tenant(s): ${getTenants().map(tenant => tenant.id).join(', ')}`);
+forEachTenant((tenant) => jobRoutingService.initialize().then((rules) => {
+  console.log(`✅ Job routing rules resolved for tenant ${tenant.id}: ${rules.length} rules`);
+})).catch((error) => {
+  console.error('❌ Job routing rules could not be loaded:', error.message);
+});
+
 // Start server
 app.listen(PORT, () => {
   logger.info(`Server is running on port ${PORT} in ${config.app.nodeEnv} mode`);
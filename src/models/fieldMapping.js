@@ -0,0 +1,326 @@
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import { getCurrentTenant } from '../utils/tenants.js';
+import webflowAPI from '../api/webflow.js';
+import sectorMappingService from '../services/sectorMappingService.js';
+import referenceItemService from '../services/referenceItemService.js';
+import { bucketValue, validateBucketSet } from '../utils/rangeBucketing.js';
+import { getSlugTemplate } from '../utils/slugPolicy.js';
+
+/**
+ * Declarative field mapping
+ *
+ * A mapping file lists one definition per Webflow field:
+ * - target: Webflow field slug
+ * - source: Mysolution field (dot paths such as "Owner.Name" allowed), or a list whose first non-empty value is used
+ * - transform: name of a registered transform, or a list applied in order
+ * - default: value used when the source is empty or the transform produces nothing
+ * - options: allowed values (used when the live collection schema is unavailable); other values are left out
+ * - when / otherwise: only map the field when the condition holds, else use `otherwise` (or leave the field out)
+ * - overrides: [{ when, value }] fixed values that win over the source
+ * Fields set by a job routing rule (see jobRoutingService) are not mapped.
+ * Conditions look like { "source": "Field", "equals": value } (also notEquals, in, exists).
+ */
+
+// Transform functions by name: (value, fieldDefinition, sourceJob, context) => mapped value (may be async)
+const transforms = new Map();
+
+// Loaded mapping by file path
+const mappingCache = new Map();
+
+/**
+ * Register a transform that mapping definitions can refer to by name
+ * @param {string} name - Transform name
+ * @param {Function} fn - (value, fieldDefinition, sourceJob, context) => mapped value
+ */
+export function registerTransform(name, fn) {
+  transforms.set(name, fn);
+}
+
+/**
+ * Get the names of all registered transforms
+ * @returns {Array<string>} Transform names
+ */
+export function getTransformNames() {
+  return [...transforms.keys()];
+}
+
+/**
+ * Load and validate the job field mapping
+ * The file is read once and cached; pass reload to pick up changes without a restart.
+ * @param {Object} options - Load options
+ * @param {string} options.filePath - Mapping file (defaults to the mapping file of the current tenant)
+ * @param {boolean} options.reload - Read the file again even if it is cached
+ * @returns {Object} Mapping with a fields array
+ */
+export function getJobFieldMapping({ filePath = getCurrentTenant().mappingFile, reload = false } = {}) {
+  if (!reload && mappingCache.has(filePath)) {
+    return mappingCache.get(filePath);
+  }
+
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load job field mapping from ${filePath}: ${error.message}`);
+  }
+
+  validateMapping(mapping, filePath);
+  mappingCache.set(filePath, mapping);
+  logger.info(`Loaded job field mapping with ${mapping.fields.length} fields from ${filePath}`);
+  return mapping;
+}
+
+/**
+ * Check that a mapping is well-formed and only refers to registered transforms
+ * @param {Object} mapping - Parsed mapping
+ * @param {string} filePath - File the mapping came from (for error messages)
+ * @throws {Error} If the mapping is invalid
+ */
+function validateMapping(mapping, filePath) {
+  if (!mapping || !Array.isArray(mapping.fields)) {
+    throw new Error(`Invalid job field mapping in ${filePath}: expected a "fields" array`);
+  }
+
+  const problems = [];
+  const targets = new Set();
+
+  mapping.fields.forEach((field, index) => {
+    const label = field && field.target ? `"${field.target}"` : `#${index}`;
+
+    if (!field || typeof field.target !== 'string' || !field.target) {
+      problems.push(`field ${label} has no target`);
+      return;
+    }
+    if (targets.has(field.target)) {
+      problems.push(`field ${label} is mapped more than once`);
+    }
+    targets.add(field.target);
+
+    if (field.source === undefined && !field.overrides) {
+      problems.push(`field ${label} has no source`);
+    }
+    for (const name of toList(field.transform)) {
+      if (!transforms.has(name)) {
+        problems.push(`field ${label} uses unknown transform "${name}"`);
+      }
+    }
+    if (field.options !== undefined && !Array.isArray(field.options)) {
+      problems.push(`field ${label} has options that are not a list`);
+    }
+    if (toList(field.transform).includes('range-bucket')) {
+      validateBucketSet(field).forEach(problem => problems.push(`field ${label}: ${problem}`));
+    }
+    if (field.pattern !== undefined) {
+      try {
+        getSlugTemplate(field.pattern);
+      } catch (error) {
+        problems.push(`field ${label}: ${error.message}`);
+      }
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid job field mapping in ${filePath}: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Map a source record to Webflow field data using a mapping
+ * @param {Object} sourceJob - Mysolution job
+ * @param {Object} mapping - Mapping (see getJobFieldMapping)
+ * @param {Object} context - Mapping context
+ * @param {Object} context.allowedOptions - Live option names by field slug; replaces the options in the mapping
+ * @param {Function} context.onUnknownOption - Called with (target, value) for values that are not an allowed option
+ * @param {boolean} context.dryRun - Transforms must not change anything in Webflow (e.g. create reference items)
+ * @param {Object} context.fixedValues - Values by field slug that are used as-is instead of mapping the field
+ * @returns {Promise<Object>} Webflow field data
+ */
+export async function applyFieldMapping(sourceJob, mapping = getJobFieldMapping(), context = {}) {
+  const fieldData = {};
+  const fixedValues = context.fixedValues || {};
+
+  for (const definition of mapping.fields) {
+    if (definition.target in fixedValues) {
+      continue;
+    }
+
+    const liveOptions = context.allowedOptions && context.allowedOptions[definition.target];
+    const field = liveOptions ? { ...definition, options: liveOptions } : definition;
+
+    let value = await mapField(sourceJob, field, context);
+
+    if (field.options && value !== null && value !== undefined && !field.options.includes(value)) {
+      logger.warn(`Mapped value ${JSON.stringify(value)} for "${field.target}" is not an allowed option, leaving the field out`);
+      if (context.onUnknownOption) {
+        await context.onUnknownOption(field.target, value);
+      }
+      value = undefined;
+    }
+
+    if (value !== undefined) {
+      fieldData[field.target] = value;
+    }
+  }
+
+  return { ...fieldData, ...fixedValues };
+}
+
+/**
+ * Map a single field
+ * @param {Object} sourceJob - Mysolution job
+ * @param {Object} field - Field definition
+ * @param {Object} context - Mapping context (see applyFieldMapping)
+ * @returns {Promise<any>} Mapped value, or undefined to leave the field out
+ */
+async function mapField(sourceJob, field, context = {}) {
+  const override = (field.overrides || []).find(candidate => matchesCondition(sourceJob, candidate.when));
+  if (override) {
+    logger.debug(`Field "${field.target}": using override value ${JSON.stringify(override.value)}`);
+    return override.value;
+  }
+
+  if (field.when && !matchesCondition(sourceJob, field.when)) {
+    return field.otherwise;
+  }
+
+  const rawValue = toList(field.source)
+    .map(source => getPath(sourceJob, source))
+    .find(value => !isEmpty(value));
+
+  if (isEmpty(rawValue)) {
+    return field.default;
+  }
+
+  let value = rawValue;
+  try {
+    for (const name of toList(field.transform)) {
+      value = await transforms.get(name)(value, field, sourceJob, context);
+      if (value === undefined) {
+        break;
+      }
+    }
+  } catch (error) {
+    logger.error(`Error mapping field "${field.target}" from ${JSON.stringify(rawValue)}: ${error.message}`);
+    value = undefined;
+  }
+
+  return value === undefined ? field.default : value;
+}
+
+/**
+ * Check a mapping condition against a source record
+ * @param {Object} sourceJob - Mysolution job
+ * @param {Object} condition - { source, equals | notEquals | in | exists }
+ * @returns {boolean} Whether the condition holds
+ */
+export function matchesCondition(sourceJob, condition) {
+  if (!condition) {
+    return false;
+  }
+
+  const value = getPath(sourceJob, condition.source);
+
+  if ('equals' in condition) {
+    return value === condition.equals;
+  }
+  if ('notEquals' in condition) {
+    return value !== condition.notEquals;
+  }
+  if ('in' in condition) {
+    return Array.isArray(condition.in) && condition.in.includes(value);
+  }
+  if ('exists' in condition) {
+    return isEmpty(value) !== Boolean(condition.exists);
+  }
+
+  logger.warn(`Ignoring mapping condition without a comparison: ${JSON.stringify(condition)}`);
+  return false;
+}
+
+function getPath(object, sourcePath) {
+  if (!sourcePath) {
+    return undefined;
+  }
+  return sourcePath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Map a numeric value or range onto one of the field's range options
+ * The field definition is the bucket set (see utils/rangeBucketing.js for its settings).
+ * @param {string|number} value - Source value, e.g. "40.000 - 45.000", "€ 4.500 per maand" or 32
+ * A value that fits no bucket (e.g. it can't be parsed) is reported like a value that is not an option.
+ * @param {Object} field - Field definition with options
+ * @param {Object} sourceJob - Mysolution job
+ * @param {Object} context - Mapping context (see applyFieldMapping)
+ * @returns {Promise<string|undefined>} Matching option, or undefined if no bucket applies
+ */
+async function rangeBucket(value, field, sourceJob, context = {}) {
+  const { option, rule, parsed } = bucketValue(value, field);
+
+  if (option === null) {
+    logger.warn(`No "${field.target}" bucket for ${JSON.stringify(value)} (${rule}), using default`);
+    if (context.onUnknownOption) {
+      await context.onUnknownOption(field.target, value);
+    }
+    return undefined;
+  }
+
+  logger.debug(`Field "${field.target}": ${JSON.stringify(value)} -> "${option}" (${rule})`, { parsed });
+  return option;
+}
+
+// Reference collections that can be looked up by item name: (name, field, sourceJob, context) => { id, name } or null
+const referenceLookups = {
+  sectors: (name, field, sourceJob, context) => sectorMappingService.resolveSector(name, {
+    mysolutionId: sourceJob.Id,
+    dryRun: context.dryRun
+  }),
+  employees: async (name, field, sourceJob, context) => {
+    const employee = await webflowAPI.findEmployeeByName(name);
+    if (employee) {
+      return employee;
+    }
+    // Missing employees can be created from the job owner (opt-in)
+    return referenceItemService.createEmployee(
+      { name, email: getPath(sourceJob, field.emailSource) },
+      { mysolutionId: sourceJob.Id, dryRun: context.dryRun }
+    );
+  }
+};
+
+registerTransform('range-bucket', rangeBucket);
+
+registerTransform('keyword-map', (value, field) => {
+  const text = String(value).toLowerCase();
+  const match = Object.entries(field.keywords || {}).find(([keyword]) => text.includes(keyword.toLowerCase()));
+  return match ? match[1] : undefined;
+});
+
+registerTransform('reference-lookup', async (value, field, sourceJob, context = {}) => {
+  const lookup = referenceLookups[field.collection];
+  if (!lookup) {
+    throw new Error(`Unknown reference collection "${field.collection}"`);
+  }
+
+  const item = await lookup(value, field, sourceJob, context);
+  if (item && item.id) {
+    // Webflow expects a plain item ID for ItemRef fields
+    logger.debug(`Found ${field.collection} reference for "${value}": ${item.id} (${item.name})`);
+    return item.id;
+  }
+
+  logger.warn(`No ${field.collection} item found for "${value}", ${field.target} field will not be set`);
+  return undefined;
+});
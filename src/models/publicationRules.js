@@ -0,0 +1,249 @@
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import { getCurrentTenant } from '../utils/tenants.js';
+import { matchesCondition } from './fieldMapping.js';
+
+/**
+ * Publication rules
+ *
+ * A rules file lists the checks a Mysolution job has to pass to be published on the website:
+ * - code: machine-readable reason reported when the job fails the rule
+ * - type: name of a registered rule type (see below)
+ * - source: Mysolution field the rule checks (dot paths such as "Owner.Name" allowed)
+ * - values: values for allowed-values / excluded-values
+ * - message: human-readable reason; "{value}" is replaced by the field value
+ * - enabled: set to false to skip the rule
+ * Every failed rule is reported, so sync, the unpublish scan and the admin API show the same reasons.
+ * On top of the rules, jobs outside the publication filter of the tenant fail with "outside-tenant-filter".
+ * Every tenant can have its own rules file.
+ */
+
+// Rule types by name: (value, rule, job, now) => true if the job passes the rule
+const ruleTypes = new Map();
+
+// Loaded rules by file path
+const rulesCache = new Map();
+
+const TENANT_FILTER_CODE = 'outside-tenant-filter';
+
+// Date rule types and the side of the publication window their date marks
+const dateRuleKinds = {
+  'date-reached': 'start',
+  'date-not-passed': 'end'
+};
+
+/**
+ * Register a rule type that rules can refer to by name
+ * @param {string} name - Rule type name
+ * @param {Function} fn - (value, rule, job, now) => true if the job passes the rule
+ */
+export function registerRuleType(name, fn) {
+  ruleTypes.set(name, fn);
+}
+
+/**
+ * Get the names of all registered rule types
+ * @returns {Array<string>} Rule type names
+ */
+export function getRuleTypeNames() {
+  return [...ruleTypes.keys()];
+}
+
+/**
+ * Load and validate the publication rules
+ * The file is read once and cached; pass reload to pick up changes without a restart.
+ * @param {Object} options - Load options
+ * @param {string} options.filePath - Rules file (defaults to the rules file of the current tenant)
+ * @param {boolean} options.reload - Read the file again even if it is cached
+ * @returns {Array<Object>} Rules
+ */
+export function getPublicationRules({ filePath = getCurrentTenant().publicationRulesFile, reload = false } = {}) {
+  if (!reload && rulesCache.has(filePath)) {
+    return rulesCache.get(filePath);
+  }
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load publication rules from ${filePath}: ${error.message}`);
+  }
+
+  validateRules(file, filePath);
+  rulesCache.set(filePath, file.rules);
+  logger.info(`Loaded ${file.rules.length} publication rules from ${filePath}`);
+  return file.rules;
+}
+
+/**
+ * Check that a rules file is well-formed and only refers to registered rule types
+ * @param {Object} file - Parsed rules file
+ * @param {string} filePath - File the rules came from (for error messages)
+ * @throws {Error} If the rules are invalid
+ */
+export function validateRules(file, filePath) {
+  if (!file || !Array.isArray(file.rules)) {
+    throw new Error(`Invalid publication rules in ${filePath}: expected a "rules" array`);
+  }
+
+  const problems = [];
+  const codes = new Set([TENANT_FILTER_CODE]);
+
+  file.rules.forEach((rule, index) => {
+    const label = rule && rule.code ? `"${rule.code}"` : `#${index}`;
+
+    if (!rule || typeof rule.code !== 'string' || !rule.code) {
+      problems.push(`rule ${label} has no code`);
+      return;
+    }
+    if (codes.has(rule.code)) {
+      problems.push(`rule ${label} is defined more than once`);
+    }
+    codes.add(rule.code);
+
+    if (!ruleTypes.has(rule.type)) {
+      problems.push(`rule ${label} has unknown type "${rule.type}"`);
+    }
+    if (!rule.source) {
+      problems.push(`rule ${label} has no source`);
+    }
+    if (['allowed-values', 'excluded-values'].includes(rule.type) && !Array.isArray(rule.values)) {
+      problems.push(`rule ${label} has values that are not a list`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid publication rules in ${filePath}: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Determines if a job belongs to the current tenant, based on the tenant's publication filter
+ * The filter is a condition, or a list of conditions that must all hold (see matchesCondition).
+ * @param {Object} job - The job object from Mysolution
+ * @returns {boolean} True if the tenant has no filter or the job matches it
+ */
+export function matchesTenantFilter(job) {
+  const { filter } = getCurrentTenant();
+  if (!filter) {
+    return true;
+  }
+  const conditions = Array.isArray(filter) ? filter : [filter];
+  return conditions.every(condition => matchesCondition(job, condition));
+}
+
+/**
+ * Check a job against the publication rules of the current tenant
+ * @param {Object} job - The job object from Mysolution
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.rules - Rules to use instead of the tenant's rules file
+ * @param {Date} options.now - Moment to check dates against
+ * @returns {Object} { publish, reasons } - reasons lists { code, message, source, value } for every failed rule
+ */
+export function evaluatePublication(job, { rules = getPublicationRules(), now = new Date() } = {}) {
+  if (!job) {
+    return { publish: false, reasons: [{ code: 'job-missing', message: 'Unknown', source: null, value: null }] };
+  }
+
+  const reasons = [];
+  for (const rule of rules) {
+    if (rule.enabled === false) {
+      continue;
+    }
+
+    const value = getPath(job, rule.source);
+    if (!ruleTypes.get(rule.type)(value, rule, job, now)) {
+      reasons.push({
+        code: rule.code,
+        message: formatMessage(rule, value),
+        source: rule.source,
+        value: value === undefined ? null : value
+      });
+    }
+  }
+
+  if (!matchesTenantFilter(job)) {
+    reasons.push({
+      code: TENANT_FILTER_CODE,
+      message: `Outside the publication filter of tenant ${getCurrentTenant().id}`,
+      source: null,
+      value: null
+    });
+  }
+
+  if (reasons.length > 0) {
+    logger.debug(`Job ${job.Id} is not publishable: ${reasons.map(reason => reason.code).join(', ')}`);
+  }
+
+  return { publish: reasons.length === 0, reasons };
+}
+
+/**
+ * Get the moments at which a job's verdict changes because a date rule starts or stops passing
+ * Only dates after now are returned, earliest first. An end date fails from the second after it.
+ * @param {Object} job - The job object from Mysolution
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.rules - Rules to use instead of the tenant's rules file
+ * @param {Date} options.now - Moment to compare the dates with
+ * @returns {Array<Object>} Boundaries as { code, kind: 'start'|'end', at: Date }
+ */
+export function getPublicationBoundaries(job, { rules = getPublicationRules(), now = new Date() } = {}) {
+  if (!job) {
+    return [];
+  }
+
+  const boundaries = [];
+  for (const rule of rules) {
+    if (rule.enabled === false || !dateRuleKinds[rule.type]) {
+      continue;
+    }
+
+    const value = getPath(job, rule.source);
+    const date = isEmpty(value) ? null : new Date(value);
+    if (!date || Number.isNaN(date.getTime())) {
+      continue;
+    }
+
+    const kind = dateRuleKinds[rule.type];
+    const at = kind === 'end' ? new Date(date.getTime() + 1000) : date;
+    if (at > now) {
+      boundaries.push({ code: rule.code, kind, at });
+    }
+  }
+
+  return boundaries.sort((a, b) => a.at - b.at);
+}
+
+function formatMessage(rule, value) {
+  const message = rule.message || `Failed publication rule "${rule.code}"`;
+  return message.replace(/\{value\}/g, value === undefined || value === null ? '' : String(value));
+}
+
+function getPath(object, sourcePath) {
+  if (!sourcePath.includes('.')) {
+    return object[sourcePath];
+  }
+  return sourcePath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// The value must be one of the rule's values
+registerRuleType('allowed-values', (value, rule) => rule.values.includes(value));
+
+// The value must not be one of the rule's values; an empty list excludes nothing
+registerRuleType('excluded-values', (value, rule) => !rule.values.includes(value));
+
+// The value must be set (checkboxes must be checked)
+registerRuleType('required-true', value => Boolean(value));
+
+// The value must not be empty
+registerRuleType('not-empty', value => !isEmpty(value));
+
+// If the value is set, that date must not be in the past (e.g. the end date)
+registerRuleType('date-not-passed', (value, rule, job, now) => isEmpty(value) || new Date(value) >= now);
+
+// If the value is set, that date must have been reached (e.g. the start date)
+registerRuleType('date-reached', (value, rule, job, now) => isEmpty(value) || new Date(value) <= now);
@@ -5,9 +5,29 @@ import webflowAPI from '../api/webflow.js';
 import config from '../utils/config.js';
 import mysolutionAPI from '../api/mysolution.js';
 import syncStateStore from '../utils/syncStateStore.js';
-import { incrementalJobsSync, jobsSync } from '../services/jobsSync.js';
+import { incrementalJobsSync, jobsSync, describeSyncResult } from '../services/jobsSync.js';
+import syncQueue from '../services/syncQueue.js';
+import syncRunHistory from '../services/syncRunHistory.js';
+import syncLock from '../services/syncLock.js';
+import jobChangeFeed from '../services/jobChangeFeed.js';
+import archiveApprovalService from '../services/archiveApprovalService.js';
+import reconciliationService from '../services/reconciliationService.js';
+import slugHistoryService from '../services/slugHistoryService.js';
+import { processSyncQueue } from '../services/syncWorker.js';
+import { describeSyncPlan } from '../services/syncPlan.js';
+import { summarizeTenantResults } from '../utils/tenants.js';
+import { getJobFieldMapping, getTransformNames } from '../models/fieldMapping.js';
+import { getPublicationRules, getRuleTypeNames, evaluatePublication } from '../models/publicationRules.js';
+import { bucketValue } from '../utils/rangeBucketing.js';
+import collectionSchemaService from '../services/collectionSchemaService.js';
+import sectorMappingService from '../services/sectorMappingService.js';
+import referenceItemService from '../services/referenceItemService.js';
+import jobRoutingService from '../services/jobRoutingService.js';
+import publicationWindowService from '../services/publicationWindowService.js';
 import auth from '../utils/auth.js';
 import { getDeploymentInfo } from '../utils/deploymentInfo.js';
+import { getCurrentTenant, getTenants } from '../utils/tenants.js';
+import { mysolutionCircuitBreaker } from '../utils/mysolutionHttpClient.js';
 
 const router = express.Router();
 
@@ -41,7 +61,7 @@ router.use(authenticateAdmin);
  * @desc    Get current publishing configuration status
  * @access  Private (Admin)
  */
-router.get('/publishing/status', (req, res) => {
+router.get('/publishing/status', async (req, res) => {
   try {
     const status = {
       autoPublishEnabled: publishingService.isAutoPublishEnabled(),
@@ -49,7 +69,9 @@ router.get('/publishing/status', (req, res) => {
         ? new Date(publishingService.lastPublishTime).toISOString() 
         : null,
       pendingPublish: publishingService.pendingPublish,
-      minPublishInterval: `${publishingService.minPublishInterval}ms`
+      minPublishInterval: `${publishingService.minPublishInterval}ms`,
+      publishMode: publishingService.publishMode,
+      changedItems: await publishingService.countPendingItems()
     };
     
     res.json({
@@ -120,19 +142,24 @@ router.post('/publishing/disable', (req, res) => {
 
 /**
  * @route   POST /api/admin/publishing/publish
- * @desc    Force publish all site changes
+ * @desc    Force publish all site changes (or only the changed items with scope "items")
  * @access  Private (Admin)
  */
 router.post('/publishing/publish', async (req, res) => {
   try {
     const reason = req.body.reason || 'Manual publish via admin API';
-    const result = await publishingService.forcePublish(reason);
+    const scope = req.body.scope === 'items' ? 'items' : 'site';
+    const result = await publishingService.forcePublish(reason, { scope });
     
     res.json({
       success: true,
-      message: 'Site changes have been published successfully',
+      message: scope === 'items'
+        ? `Published ${result.published} changed items and unpublished ${result.unpublished} archived items`
+        : 'Site changes have been published successfully',
       data: {
-        publishTime: result.publishedOn || new Date().toISOString()
+        scope,
+        publishTime: result.publishedOn || new Date().toISOString(),
+        ...(scope === 'items' && { published: result.published, unpublished: result.unpublished })
       }
     });
   } catch (error) {
@@ -196,9 +223,9 @@ router.get('/webflow/collections', async (req, res) => {
  * @desc    Get current sync state
  * @access  Private
  */
-router.get('/sync/state', (req, res) => {
+router.get('/sync/state', async (req, res) => {
   try {
-    const syncState = syncStateStore.loadSyncState();
+    const syncState = await syncStateStore.loadSyncState();
     
     res.json({
       success: true,
@@ -219,9 +246,9 @@ router.get('/sync/state', (req, res) => {
  * @desc    Reset sync state
  * @access  Private
  */
-router.post('/sync/reset', (req, res) => {
+router.post('/sync/reset', async (req, res) => {
   try {
-    const resetState = syncStateStore.resetSyncState();
+    const resetState = await syncStateStore.resetSyncState();
     
     res.json({
       success: true,
@@ -238,45 +265,1097 @@ router.post('/sync/reset', (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/sync/lock
+ * @desc    Get the sync lock held by the running sync, if any
+ * @access  Private
+ */
+router.get('/sync/lock', async (req, res) => {
+  try {
+    const lock = await syncLock.getLock();
+    
+    res.json({
+      success: true,
+      message: lock ? `Sync running (syncId ${lock.owner})` : 'No sync running',
+      data: lock
+    });
+  } catch (error) {
+    logger.error('Error retrieving sync lock:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/sync/lock
+ * @desc    Force-release the sync lock (e.g. after a crashed run, before its TTL expires)
+ * @access  Private
+ */
+router.delete('/sync/lock', async (req, res) => {
+  try {
+    const lock = await syncLock.forceRelease();
+    logger.warn('Sync lock force-released by admin', { lock });
+    
+    res.json({
+      success: true,
+      message: lock ? `Released sync lock held by ${lock.owner}` : 'No sync lock was held',
+      data: lock
+    });
+  } catch (error) {
+    logger.error('Error releasing sync lock:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route   POST /api/admin/sync/test-incremental
  * @desc    Test incremental sync with a specific datetime
  * @access  Private
  */
-router.post('/sync/test-incremental', async (req, res) => {
+router.post('/sync/test-incremental', async (req, res) => {
+  try {
+    const { timestamp } = req.body;
+    let testTimestamp = timestamp;
+    
+    // If no timestamp provided, use a timestamp from 24 hours ago
+    if (!testTimestamp) {
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      testTimestamp = yesterday.toISOString();
+    }
+    
+    logger.info(`Testing incremental sync with timestamp: ${testTimestamp}`);
+    
+    // Test the Mysolution API with the provided timestamp
+    const jobs = await mysolutionAPI.getChangedJobs(testTimestamp);
+    
+    // Get current jobs from Webflow for comparison
+    const webflowJobsResponse = await webflowAPI.getJobs();
+    const webflowJobs = webflowJobsResponse.items || [];
+    
+    res.json({
+      success: true,
+      message: `Successfully tested incremental sync with timestamp: ${testTimestamp}`,
+      data: {
+        timestamp: testTimestamp,
+        jobsCount: jobs.length,
+        webflowJobsCount: webflowJobs.length,
+        // Include sample job data for analysis if available
+        sampleJob: jobs.length > 0 ? jobs[0] : null
+      }
+    });
+  } catch (error) {
+    logger.error('Error testing incremental sync:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/sync/changes
+ * @desc    Show the change feed state and the jobs the next incremental sync would pick up (nothing is stored)
+ * @access  Private
+ */
+router.get('/sync/changes', async (req, res) => {
+  try {
+    const status = await jobChangeFeed.getStatus();
+    const lastSyncTime = await syncStateStore.getLastSyncTime();
+    const changes = await jobChangeFeed.getChanges({ fullList: req.query.fullList === 'true', baseline: lastSyncTime });
+    const describe = job => ({ id: job.Id, name: job.Name, modified: changes.jobDates[job.Id] || null });
+    
+    res.json({
+      success: true,
+      message: `${changes.created.length} created, ${changes.changed.length} changed and ${changes.disappeared.length} disappeared jobs`,
+      data: {
+        ...status,
+        complete: changes.complete,
+        fetched: changes.fetched,
+        unchanged: changes.unchanged,
+        nextHighWaterMark: changes.highWaterMark,
+        created: changes.created.map(describe),
+        changed: changes.changed.map(describe),
+        disappeared: changes.disappeared,
+        // Why an incremental sync would hold these deletions for the full sync (null if it would archive them)
+        deletionCheck: config.sync.incrementalDeletions
+          ? jobChangeFeed.checkDeletionSafety(changes, {
+            maxCount: config.sync.maxIncrementalDeletions,
+            maxRatio: config.sync.maxIncrementalDeletionRatio
+          })
+          : 'Deletion detection in incremental syncs is disabled (SYNC_INCREMENTAL_DELETIONS)'
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving job changes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  } finally {
+    jobChangeFeed.releaseJobList();
+  }
+});
+
+/**
+ * @route   POST /api/admin/sync/run-incremental
+ * @desc    Run incremental sync manually
+ * @access  Private
+ */
+router.post('/sync/run-incremental', async (req, res) => {
+  try {
+    logger.info('Manually running incremental job sync');
+    
+    // Run the incremental sync
+    const result = await incrementalJobsSync();
+    
+    res.json({
+      success: true,
+      message: 'Incremental sync completed successfully',
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'SYNC_ALREADY_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        error: 'Sync already running',
+        message: error.message,
+        runningSyncId: error.runningSyncId
+      });
+    }
+    logger.error('Error running incremental sync:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/sync/runs
+ * @desc    List recent sync runs (without per-job records)
+ * @access  Private
+ */
+router.get('/sync/runs', async (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    const runs = await syncRunHistory.listRuns({ limit });
+    
+    res.json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    logger.error('Error retrieving sync runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/sync/runs/:syncId
+ * @desc    Get a sync run with its per-job records (filter with ?action=failed)
+ * @access  Private
+ */
+router.get('/sync/runs/:syncId', async (req, res) => {
+  try {
+    const run = await syncRunHistory.getRun(req.params.syncId, { action: req.query.action });
+    
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: `Sync run ${req.params.syncId} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    logger.error('Error retrieving sync run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/sync/plan
+ * @desc    Show what a full or incremental sync would change without writing anything
+ * @access  Private
+ */
+router.post('/sync/plan', async (req, res) => {
+  try {
+    const { type = 'full', force = false, disableUnpublishScan = false } = req.body || {};
+    
+    if (!['full', 'incremental'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'type must be "full" or "incremental"'
+      });
+    }
+    
+    logger.info(`Building ${type} sync plan (dry run)`);
+    
+    const plan = type === 'incremental'
+      ? await incrementalJobsSync({ dryRun: true, force: force === true, disableUnpublishScan: disableUnpublishScan === true })
+      : await jobsSync({ dryRun: true, force: force === true });
+    
+    res.json({
+      success: true,
+      // Without a tenant, several tenants give a plan per tenant ({ tenants })
+      message: `Sync plan: ${summarizeTenantResults(plan, describeSyncPlan)}`,
+      data: plan
+    });
+  } catch (error) {
+    logger.error('Error building sync plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/queue
+ * @desc    Get sync work queue statistics and tasks
+ * @access  Private
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    const stats = await syncQueue.getStats();
+    const tasks = await syncQueue.list({ status: req.query.status });
+    
+    res.json({
+      success: true,
+      data: {
+        stats,
+        // Leave out the full Mysolution job payloads to keep the response small
+        tasks: tasks.map(({ payload, ...task }) => ({
+          ...task,
+          mysolutionId: payload?.mysolutionJob?.Id || payload?.mysolutionId || null
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving sync queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/queue/drain
+ * @desc    Process queued sync tasks now
+ * @access  Private
+ */
+router.post('/queue/drain', async (req, res) => {
+  try {
+    logger.info('Manually draining sync queue');
+    
+    const timeBudgetMs = req.body?.timeBudgetMs !== undefined ? parseInt(req.body.timeBudgetMs, 10) : undefined;
+    const result = await processSyncQueue({ owner: `admin-${Date.now()}`, timeBudgetMs });
+    
+    res.json({
+      success: true,
+      message: `Processed ${summarizeTenantResults(result, tenantResult => `${tenantResult.processed} tasks, ${tenantResult.remaining} remaining`)}`,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'SYNC_ALREADY_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        error: 'Sync already running',
+        message: error.message,
+        runningSyncId: error.runningSyncId
+      });
+    }
+    logger.error('Error draining sync queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Describe an archive approval without its items, e.g. for the dashboard alert
+ * @param {Object|null} approval - Approval from archiveApprovalService
+ * @returns {Object|null} { id, status, syncId, syncType, reason, liveCount, itemCount, createdAt }
+ */
+function summarizeApproval(approval) {
+  if (!approval) {
+    return null;
+  }
+  const { items, ...summary } = approval;
+  return { ...summary, itemCount: items ? items.length : approval.itemCount };
+}
+
+/**
+ * @route   GET /api/admin/archive-approvals
+ * @desc    Get the archive batch held by the mass-archive guard, if any, and the decided batches
+ * @access  Private
+ */
+router.get('/archive-approvals', async (req, res) => {
+  try {
+    const approvals = await archiveApprovalService.getApprovals();
+    
+    res.json({
+      success: true,
+      message: approvals.pending
+        ? `${approvals.pending.items.length} archives wait for approval: ${approvals.pending.reason}`
+        : 'No archives wait for approval',
+      data: approvals
+    });
+  } catch (error) {
+    logger.error('Error retrieving archive approvals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Approve or reject a held archive batch
+ * @param {string} decision - 'approve' or 'reject'
+ * @returns {Function} Route handler
+ */
+function decideArchiveApproval(decision) {
+  return async (req, res) => {
+    try {
+      const note = req.body?.note;
+      const approval = decision === 'approve'
+        ? await archiveApprovalService.approve(req.params.id, { note })
+        : await archiveApprovalService.reject(req.params.id, { note });
+      router.cachedSyncStatus = null;
+      
+      // Archive the approved jobs right away. The approval is recorded either way, so when the queue
+      // can't be drained now (a sync is running, Webflow fails) the queue worker picks the tasks up later
+      let queue = null;
+      let queueError = null;
+      if (decision === 'approve') {
+        try {
+          queue = await processSyncQueue({ owner: `admin-${Date.now()}` });
+        } catch (error) {
+          queueError = error;
+          if (error.code === 'SYNC_ALREADY_RUNNING') {
+            logger.info(`Archive tasks of ${approval.id} stay queued: ${error.message}`);
+          } else {
+            logger.error(`Archive tasks of ${approval.id} stay queued:`, error);
+          }
+        }
+      }
+      
+      res.json({
+        success: true,
+        message: decision === 'approve'
+          ? `Approved archiving ${approval.items.length} jobs` +
+            (approval.skippedItems ? `; ${approval.skippedItems.length} may be published again and stay live` : '') +
+            (queueError ? `; tasks stay queued: ${queueError.message}` : '')
+          : `Rejected archiving ${approval.items.length} jobs`,
+        data: { approval: summarizeApproval(approval), queue }
+      });
+    } catch (error) {
+      if (error.code === 'APPROVAL_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: error.message
+        });
+      }
+      logger.error(`Error deciding archive approval ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: error.message
+      });
+    }
+  };
+}
+
+/**
+ * @route   POST /api/admin/archive-approvals/:id/approve
+ * @desc    Approve a held archive batch: its jobs are archived (body: { note })
+ * @access  Private
+ */
+router.post('/archive-approvals/:id/approve', decideArchiveApproval('approve'));
+
+/**
+ * @route   POST /api/admin/archive-approvals/:id/reject
+ * @desc    Reject a held archive batch: its jobs stay live (body: { note })
+ * @access  Private
+ */
+router.post('/archive-approvals/:id/reject', decideArchiveApproval('reject'));
+
+/**
+ * @route   GET /api/admin/reconciliation
+ * @desc    Report items without a mysolution-id, duplicate items, unknown sector/employee references and missing jobs
+ * @access  Private
+ */
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const report = await reconciliationService.buildReport();
+    const problems = report.summary.withoutMysolutionId + report.summary.duplicates +
+      report.summary.unknownReferences + report.summary.missingJobs;
+    
+    res.json({
+      success: true,
+      message: problems === 0 ? 'The jobs collection matches Mysolution' : `${problems} problems found`,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error building reconciliation report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/reconciliation/fix
+ * @desc    Apply a fix from the reconciliation report (body: the fix, e.g. { "action": "archive-duplicates", "mysolutionId": "..." })
+ * @access  Private
+ */
+router.post('/reconciliation/fix', async (req, res) => {
+  try {
+    const result = await reconciliationService.applyFix(req.body || {});
+    
+    res.json({
+      success: true,
+      message: `Fix "${result.action}" applied`,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_FIX') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid fix',
+        message: error.message
+      });
+    }
+    if (error.code === 'DUPLICATE_MYSOLUTION_ID' || error.code === 'SYNC_ALREADY_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        error: error.code === 'SYNC_ALREADY_RUNNING' ? 'Sync already running' : 'Duplicate Mysolution ID',
+        message: error.message
+      });
+    }
+    logger.error('Error applying reconciliation fix:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/slugs/redirects
+ * @desc    List the 301 redirects from old job slugs to current ones (?format=csv for Webflow's redirect settings)
+ * @access  Private
+ */
+router.get('/slugs/redirects', async (req, res) => {
+  try {
+    const redirects = await slugHistoryService.getRedirects();
+    
+    if (req.query.format === 'csv') {
+      res.set('Content-Disposition', 'attachment; filename="job-redirects.csv"');
+      return res.type('text/csv').send(slugHistoryService.toCsv(redirects));
+    }
+    res.json({
+      success: true,
+      message: `${redirects.length} redirects`,
+      data: redirects
+    });
+  } catch (error) {
+    logger.error('Error listing slug redirects:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/slugs/:mysolutionId
+ * @desc    Get the current and previous slugs of a job
+ * @access  Private
+ */
+router.get('/slugs/:mysolutionId', async (req, res) => {
+  try {
+    const history = await slugHistoryService.getJobHistory(req.params.mysolutionId);
+    
+    res.json({
+      success: true,
+      message: history
+        ? `Job ${req.params.mysolutionId} had ${history.previousSlugs.length} previous slugs`
+        : `The slug of job ${req.params.mysolutionId} was never regenerated`,
+      data: history
+    });
+  } catch (error) {
+    logger.error(`Error getting the slug history of job ${req.params.mysolutionId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/slugs/:mysolutionId/regenerate
+ * @desc    Give a job's item the slug of the slug policy and redirect the old slug (body: { "dryRun": true } to preview)
+ * @access  Private
+ */
+router.post('/slugs/:mysolutionId/regenerate', async (req, res) => {
+  try {
+    const dryRun = Boolean(req.body && req.body.dryRun);
+    const result = await slugHistoryService.regenerateSlug(req.params.mysolutionId, { dryRun });
+    
+    let message = `The slug of job ${req.params.mysolutionId} is already "${result.slug}"`;
+    if (result.changed) {
+      message = dryRun
+        ? `The slug would change from "${result.previousSlug}" to "${result.slug}"`
+        : `Slug changed from "${result.previousSlug}" to "${result.slug}"`;
+    }
+    res.json({
+      success: true,
+      message,
+      data: { ...result, dryRun }
+    });
+  } catch (error) {
+    if (error.code === 'JOB_NOT_FOUND' || error.code === 'ITEM_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+    if (error.code === 'SLUG_TAKEN') {
+      return res.status(409).json({
+        success: false,
+        error: 'Slug taken',
+        message: error.message
+      });
+    }
+    logger.error(`Error regenerating the slug of job ${req.params.mysolutionId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/queue/retry-failed
+ * @desc    Requeue tasks that ran out of attempts
+ * @access  Private
+ */
+router.post('/queue/retry-failed', async (req, res) => {
+  try {
+    const count = await syncQueue.retryFailed();
+    
+    res.json({
+      success: true,
+      message: `Requeued ${count} failed tasks`,
+      data: { count }
+    });
+  } catch (error) {
+    logger.error('Error requeueing failed sync tasks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/queue/failed
+ * @desc    Remove tasks that ran out of attempts
+ * @access  Private
+ */
+router.delete('/queue/failed', async (req, res) => {
+  try {
+    const count = await syncQueue.clearFailed();
+    
+    res.json({
+      success: true,
+      message: `Removed ${count} failed tasks`,
+      data: { count }
+    });
+  } catch (error) {
+    logger.error('Error removing failed sync tasks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/mapping/jobs
+ * @desc    Show the active job field mapping and the available transforms
+ * @access  Private
+ */
+router.get('/mapping/jobs', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        file: getCurrentTenant().mappingFile,
+        transforms: getTransformNames(),
+        mapping: getJobFieldMapping()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving job field mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/mapping/jobs/reload
+ * @desc    Reload the job field mapping file (the current mapping stays active if the file is invalid)
+ * @access  Private
+ */
+router.post('/mapping/jobs/reload', (req, res) => {
+  try {
+    const mapping = getJobFieldMapping({ reload: true });
+    
+    res.json({
+      success: true,
+      message: `Reloaded job field mapping with ${mapping.fields.length} fields`,
+      data: mapping
+    });
+  } catch (error) {
+    logger.error('Error reloading job field mapping:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Invalid Mapping',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/mapping/jobs/bucket
+ * @desc    Show which option a range-bucket field maps a value to, and which rule chose it
+ * @access  Private
+ */
+router.post('/mapping/jobs/bucket', async (req, res) => {
+  try {
+    const { field: target, value } = req.body || {};
+    const field = getJobFieldMapping().fields.find(definition => definition.target === target);
+
+    if (!field || ![].concat(field.transform || []).includes('range-bucket')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Field',
+        message: `"${target}" is not a range-bucket field in the job field mapping`
+      });
+    }
+
+    if (value === undefined || value === null || value === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing Value',
+        message: 'Provide the value to bucket'
+      });
+    }
+
+    const allowedOptions = await collectionSchemaService.getAllowedOptions();
+    const options = allowedOptions[target] || field.options;
+
+    res.json({
+      success: true,
+      data: {
+        field: target,
+        value,
+        options,
+        ...bucketValue(value, { ...field, options })
+      }
+    });
+  } catch (error) {
+    logger.error('Error bucketing value:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/schema/options
+ * @desc    Show the Option field choices (names and ids) of the jobs collection (?refresh=true to bypass the cache)
+ * @access  Private
+ */
+router.get('/schema/options', async (req, res) => {
+  try {
+    const optionFields = await collectionSchemaService.getOptionFields({ refresh: req.query.refresh === 'true' });
+    
+    res.json({
+      success: true,
+      data: optionFields
+    });
+  } catch (error) {
+    logger.error('Error retrieving collection schema options:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/schema/unknown-options
+ * @desc    List mapped values that are not an option in Webflow, with how often they were seen
+ * @access  Private
+ */
+router.get('/schema/unknown-options', async (req, res) => {
+  try {
+    const unknownValues = await collectionSchemaService.getUnknownOptionValues();
+    
+    res.json({
+      success: true,
+      message: `${unknownValues.length} unknown option values`,
+      data: unknownValues
+    });
+  } catch (error) {
+    logger.error('Error retrieving unknown option values:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/schema/unknown-options
+ * @desc    Clear the recorded unknown option values (?field= to clear one field)
+ * @access  Private
+ */
+router.delete('/schema/unknown-options', async (req, res) => {
   try {
-    const { timestamp } = req.body;
-    let testTimestamp = timestamp;
+    const removed = await collectionSchemaService.clearUnknownOptionValues(req.query.field);
     
-    // If no timestamp provided, use a timestamp from 24 hours ago
-    if (!testTimestamp) {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      testTimestamp = yesterday.toISOString();
+    res.json({
+      success: true,
+      message: `Cleared ${removed} unknown option values`
+    });
+  } catch (error) {
+    logger.error('Error clearing unknown option values:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/sectors/mappings
+ * @desc    Show the sector mapping table (BS_Sector__c value -> Webflow sector item) and the available sectors
+ * @access  Private
+ */
+router.get('/sectors/mappings', async (req, res) => {
+  try {
+    const [mappings, sectors] = await Promise.all([
+      sectorMappingService.getMappings(),
+      sectorMappingService.getSectors()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        mappings,
+        sectors
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving sector mappings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/sectors/mappings/:value
+ * @desc    Map a sector value to a Webflow sector item (body: { itemId })
+ * @access  Private
+ */
+router.put('/sectors/mappings/:value', async (req, res) => {
+  try {
+    const { itemId } = req.body || {};
+
+    if (!itemId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing Item',
+        message: 'Provide the itemId of the Webflow sector'
+      });
     }
-    
-    logger.info(`Testing incremental sync with timestamp: ${testTimestamp}`);
-    
-    // Test the Mysolution API with the provided timestamp
-    const jobs = await mysolutionAPI.getChangedJobs(testTimestamp);
-    
-    // Get current jobs from Webflow for comparison
-    const webflowJobsResponse = await webflowAPI.getJobs();
-    const webflowJobs = webflowJobsResponse.items || [];
-    
+
+    const mapping = await sectorMappingService.setMapping(req.params.value, itemId);
+
+    res.json({
+      success: true,
+      message: `Mapped sector "${req.params.value}" to ${mapping.itemName}`,
+      data: mapping
+    });
+  } catch (error) {
+    logger.error('Error saving sector mapping:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode === 400 ? 'Invalid Sector' : 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/sectors/mappings/:value
+ * @desc    Remove the mapping of a sector value
+ * @access  Private
+ */
+router.delete('/sectors/mappings/:value', async (req, res) => {
+  try {
+    const removed = await sectorMappingService.removeMapping(req.params.value);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: `No mapping for sector "${req.params.value}"`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Removed mapping for sector "${req.params.value}"`
+    });
+  } catch (error) {
+    logger.error('Error removing sector mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/sectors/unmapped
+ * @desc    Show sector values seen during syncs that have no mapping, with the suggested name match
+ * @access  Private
+ */
+router.get('/sectors/unmapped', async (req, res) => {
+  try {
+    const values = await sectorMappingService.getUnmappedSectors();
+
+    res.json({
+      success: true,
+      message: `${values.length} unmapped sector values`,
+      data: values
+    });
+  } catch (error) {
+    logger.error('Error retrieving unmapped sectors:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/sectors/unmapped
+ * @desc    Clear the recorded unmapped sector values (?value= for a single value)
+ * @access  Private
+ */
+router.delete('/sectors/unmapped', async (req, res) => {
+  try {
+    const removed = await sectorMappingService.clearUnmappedSectors(req.query.value);
+
+    res.json({
+      success: true,
+      message: `Cleared ${removed} unmapped sector values`
+    });
+  } catch (error) {
+    logger.error('Error clearing unmapped sectors:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/references/created
+ * @desc    Show the sector and employee items created by the sync (drafts need to be reviewed and published in Webflow)
+ * @access  Private
+ */
+router.get('/references/created', async (req, res) => {
+  try {
+    const items = await referenceItemService.getCreatedItems();
+
+    res.json({
+      success: true,
+      message: `${items.length} reference items created (${items.filter(item => item.isDraft).length} as draft)`,
+      data: items
+    });
+  } catch (error) {
+    logger.error('Error retrieving created reference items:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/tenants
+ * @desc    List the tenants (Webflow sites) that are synced; other admin endpoints take ?tenant= or an x-tenant-id header
+ * @access  Private
+ */
+router.get('/tenants', (req, res) => {
+  try {
+    const tenants = getTenants().map(tenant => ({
+      id: tenant.id,
+      name: tenant.name,
+      siteId: tenant.webflow.siteId,
+      jobsCollectionId: tenant.webflow.jobsCollectionId,
+      autoPublish: tenant.webflow.autoPublish,
+      filter: tenant.filter,
+      mappingFile: tenant.mappingFile,
+      routingFile: tenant.routingFile
+    }));
+
+    res.json({
+      success: true,
+      message: `${tenants.length} tenants`,
+      data: tenants
+    });
+  } catch (error) {
+    logger.error('Error retrieving tenants:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/routing
+ * @desc    Show the job routing rules with their resolved sector and collection, and the jobs in a routed collection
+ * @access  Private
+ */
+router.get('/routing', async (req, res) => {
+  try {
+    const status = await jobRoutingService.getRoutingStatus();
+    const problems = status.rules.filter(rule => rule.problems.length > 0).length;
+
+    res.json({
+      success: true,
+      message: `${status.rules.length} job routing rules (${problems} with problems)`,
+      data: status
+    });
+  } catch (error) {
+    logger.error('Error retrieving job routing rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/routing/reload
+ * @desc    Reload the job routing rules file and resolve its sectors and collections again
+ * @access  Private
+ */
+router.post('/routing/reload', async (req, res) => {
+  try {
+    const rules = await jobRoutingService.initialize();
+    const problems = rules.filter(rule => rule.problems.length > 0).length;
+
+    res.json({
+      success: problems === 0,
+      message: `Reloaded ${rules.length} job routing rules (${problems} with problems)`,
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Error reloading job routing rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/publication/rules
+ * @desc    Show the publication rules jobs have to pass to be published, and the available rule types
+ * @access  Private
+ */
+router.get('/publication/rules', (req, res) => {
+  try {
     res.json({
       success: true,
-      message: `Successfully tested incremental sync with timestamp: ${testTimestamp}`,
       data: {
-        timestamp: testTimestamp,
-        jobsCount: jobs.length,
-        webflowJobsCount: webflowJobs.length,
-        // Include sample job data for analysis if available
-        sampleJob: jobs.length > 0 ? jobs[0] : null
+        file: getCurrentTenant().publicationRulesFile,
+        ruleTypes: getRuleTypeNames(),
+        filter: getCurrentTenant().filter,
+        rules: getPublicationRules()
       }
     });
   } catch (error) {
-    logger.error('Error testing incremental sync:', error);
+    logger.error('Error retrieving publication rules:', error);
     res.status(500).json({
       success: false,
       error: 'Server Error',
@@ -286,24 +1365,87 @@ router.post('/sync/test-incremental', async (req, res) => {
 });
 
 /**
- * @route   POST /api/admin/sync/run-incremental
- * @desc    Run incremental sync manually
+ * @route   POST /api/admin/publication/rules/reload
+ * @desc    Reload the publication rules file (the current rules stay active if the file is invalid)
  * @access  Private
  */
-router.post('/sync/run-incremental', async (req, res) => {
+router.post('/publication/rules/reload', (req, res) => {
   try {
-    logger.info('Manually running incremental job sync');
-    
-    // Run the incremental sync
-    const result = await incrementalJobsSync();
-    
+    const rules = getPublicationRules({ reload: true });
+
     res.json({
       success: true,
-      message: 'Incremental sync completed successfully',
-      data: result
+      message: `Reloaded ${rules.length} publication rules`,
+      data: rules
     });
   } catch (error) {
-    logger.error('Error running incremental sync:', error);
+    logger.error('Error reloading publication rules:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Invalid Rules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/publication/jobs/:id
+ * @desc    Check a Mysolution job against the publication rules and list the reasons it is not published
+ * @access  Private
+ */
+router.get('/publication/jobs/:id', async (req, res) => {
+  try {
+    const job = await mysolutionAPI.getJobById(req.params.id);
+    const verdict = evaluatePublication(job);
+
+    res.json({
+      success: true,
+      message: verdict.publish
+        ? `Job ${req.params.id} can be published`
+        : `Job ${req.params.id} is not published: ${verdict.reasons.map(reason => reason.code).join(', ')}`,
+      data: {
+        jobId: job.Id,
+        name: job.Name,
+        ...verdict
+      }
+    });
+  } catch (error) {
+    if (error.code === 'JOB_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+    logger.error(`Error checking publication rules for job ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/publication/windows
+ * @desc    List the queued checks that publish or archive jobs when their start or end date is reached
+ * @access  Private
+ */
+router.get('/publication/windows', async (req, res) => {
+  try {
+    const windows = await publicationWindowService.getScheduled();
+
+    res.json({
+      success: true,
+      message: `${windows.length} publication window checks queued`,
+      data: {
+        enabled: config.publicationWindows.enabled,
+        horizonHours: config.publicationWindows.horizonHours,
+        windows
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving publication windows:', error);
     res.status(500).json({
       success: false,
       error: 'Server Error',
@@ -321,7 +1463,7 @@ router.get('/jobs/count', async (req, res) => {
   try {
     // Use cache for dashboard if requested
     const useCache = req.query.cache === 'dashboard';
-    const cacheKey = 'job_counts';
+    const cacheKey = `job_counts:${getCurrentTenant().id}`;
     const cacheTTL = 5 * 60 * 1000; // 5 minutes
     
     // Check if we can use cached data
@@ -376,7 +1518,7 @@ router.get('/jobs/count', async (req, res) => {
  * @desc    Get current sync status
  * @access  Private (Admin)
  */
-router.get('/sync/status', (req, res) => {
+router.get('/sync/status', async (req, res) => {
   try {
     // Check if request has a cache marker to reduce processing
     const cacheMarker = req.query.cache;
@@ -390,14 +1532,14 @@ router.get('/sync/status', (req, res) => {
       if (cachedData && cacheAge < 60000) { // 1 minute cache
         return res.json({
           success: true,
-          data: cachedData,
+          data: { ...cachedData, mysolution: mysolutionCircuitBreaker.getStatus() },
           cached: true
         });
       }
     }
     
     // Get sync state from store
-    const syncState = syncStateStore.getSyncState();
+    const syncState = await syncStateStore.getSyncState();
     
     // Get separate sync times from localStorage-like persistent storage
     // We'll check if sync state has separate tracking, otherwise use general lastSync
@@ -414,13 +1556,15 @@ router.get('/sync/status', (req, res) => {
         message: syncState.lastError.message,
         time: syncState.lastError.time
       } : null,
-      jobCount: Object.keys(syncState.jobModificationDates || {}).length
+      jobCount: Object.keys(syncState.jobModificationDates || {}).length,
+      heldDeletions: (syncState.changeFeed && syncState.changeFeed.heldDeletions) || null,
+      pendingArchiveApproval: summarizeApproval(syncState.archiveApprovals && syncState.archiveApprovals.pending)
     };
     router.cachedSyncStatusTime = Date.now();
     
     res.json({
       success: true,
-      data: router.cachedSyncStatus
+      data: { ...router.cachedSyncStatus, mysolution: mysolutionCircuitBreaker.getStatus() }
     });
   } catch (error) {
     logger.error('Error getting sync status:', error);
@@ -579,12 +1723,7 @@ router.post('/test-cron-sync', async (req, res) => {
       
       logger.info('TEST full jobs sync completed successfully', { 
         syncId, 
-        result: {
-          processedJobs: result.processedJobs || 0,
-          newJobs: result.newJobs || 0,
-          updatedJobs: result.updatedJobs || 0,
-          duration: result.duration || 'unknown'
-        }
+        result: describeSyncResult(result)
       });
       
       res.json({ 
@@ -602,12 +1741,7 @@ router.post('/test-cron-sync', async (req, res) => {
       
       logger.info('TEST incremental jobs sync completed successfully', { 
         syncId, 
-        result: {
-          processedJobs: result.processedJobs || 0,
-          newJobs: result.newJobs || 0,
-          updatedJobs: result.updatedJobs || 0,
-          duration: result.duration || 'unknown'
-        }
+        result: describeSyncResult(result)
       });
       
       res.json({ 
@@ -619,6 +1753,15 @@ router.post('/test-cron-sync', async (req, res) => {
     }
     
   } catch (error) {
+    if (error.code === 'SYNC_ALREADY_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        error: 'Sync already running',
+        message: error.message,
+        runningSyncId: error.runningSyncId
+      });
+    }
+    
     const syncId = `test-sync-error-${Date.now()}`;
     logger.error('Error in TEST sync', { 
       syncId, 
@@ -2,6 +2,7 @@ import express from 'express';
 import { logger } from '../utils/logger.js';
 import { processNewCandidate, processJobApplication } from '../services/candidatesSync.js';
 import multer from 'multer';
+import { priorityMiddleware } from '../utils/rateLimiter.js';
 
 const router = express.Router();
 
@@ -18,7 +19,7 @@ const upload = multer({
  * @desc    Process a job application from Webflow
  * @access  Public
  */
-router.post('/candidates/apply', upload.any(), async (req, res) => {
+router.post('/candidates/apply', upload.any(), priorityMiddleware('high'), async (req, res) => {
   try {
     logger.info('Received job application from Webflow form handler');
     
@@ -111,7 +112,7 @@ router.post('/candidates/apply', upload.any(), async (req, res) => {
  * @desc    Process a job application with a specific job ID (file upload version)
  * @access  Public
  */
-router.post('/candidates/apply/:jobId', upload.any(), async (req, res) => {
+router.post('/candidates/apply/:jobId', upload.any(), priorityMiddleware('high'), async (req, res) => {
   try {
     const jobId = req.params.jobId;
     logger.info(`Received job application from Webflow for job ${jobId}`);
@@ -7,9 +7,13 @@ import {
 } from '../services/candidatesSync.js';
 import mysolutionAPI from '../api/mysolution.js';
 import multer from 'multer';
+import { priorityMiddleware } from '../utils/rateLimiter.js';
 
 const router = express.Router();
 
+// Candidate-facing requests go before bulk sync traffic
+router.use(priorityMiddleware('high'));
+
 // Setup multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -3,6 +3,7 @@ import { logger } from '../utils/logger.js';
 import { jobsSync } from '../services/jobsSync.js';
 import mysolutionAPI from '../api/mysolution.js';
 import webflowAPI from '../api/webflow.js';
+import { priorityMiddleware } from '../utils/rateLimiter.js';
 
 const router = express.Router();
 
@@ -11,7 +12,7 @@ const router = express.Router();
  * @desc    Get all jobs
  * @access  Public
  */
-router.get('/', async (req, res) => {
+router.get('/', priorityMiddleware('high'), async (req, res) => {
   try {
     const source = req.query.source || 'mysolution';
     
@@ -45,7 +46,7 @@ router.get('/', async (req, res) => {
  * @desc    Get a single job by ID
  * @access  Public
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', priorityMiddleware('high'), async (req, res) => {
   try {
     const source = req.query.source || 'mysolution';
     const id = req.params.id;
@@ -85,14 +86,15 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @route   POST /api/jobs/sync
- * @desc    Manually trigger job synchronization
+ * @desc    Manually trigger job synchronization (pass { "force": true } to update unchanged jobs too)
  * @access  Private
  */
 router.post('/sync', async (req, res) => {
   const routeId = `api-sync-${Date.now()}`;
   try {
-    logger.info('Manual sync request received', { routeId });
-    const result = await jobsSync();
+    const force = req.body?.force === true;
+    logger.info('Manual sync request received', { routeId, force });
+    const result = await jobsSync({ force });
     
     logger.info('Manual sync completed successfully', { routeId, result });
     res.json({
@@ -101,6 +103,15 @@ router.post('/sync', async (req, res) => {
       data: result
     });
   } catch (error) {
+    if (error.code === 'SYNC_ALREADY_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        error: 'Sync already running',
+        message: error.message,
+        runningSyncId: error.runningSyncId
+      });
+    }
+    
     logger.error('Error during manual job sync:', { 
       routeId, 
       error: error.message,
@@ -1,8 +1,10 @@
 import express from 'express';
 import { logger } from '../utils/logger.js';
 import { processNewCandidate } from '../services/candidatesSync.js';
-import { jobsSync } from '../services/jobsSync.js';
+import { syncSingleJob } from '../services/jobsSync.js';
+import { summarizeTenantResults } from '../utils/tenants.js';
 import multer from 'multer';
+import { priorityMiddleware } from '../utils/rateLimiter.js';
 
 const router = express.Router();
 
@@ -46,7 +48,7 @@ const upload = multer({
  * @desc    Handle Webflow form submissions (supports both multipart and urlencoded)
  * @access  Public
  */
-router.post('/webflow/form', upload.single('cv'), async (req, res) => {
+router.post('/webflow/form', upload.single('cv'), priorityMiddleware('high'), async (req, res) => {
   try {
     // Log the raw request for debugging
     logRawRequest(req);
@@ -96,7 +98,7 @@ router.post('/webflow/form', upload.single('cv'), async (req, res) => {
  * @desc    Handle Webflow form submissions (application/x-www-form-urlencoded without file)
  * @access  Public
  */
-router.post('/webflow/form-urlencoded', async (req, res) => {
+router.post('/webflow/form-urlencoded', priorityMiddleware('high'), async (req, res) => {
   try {
     logger.info('Received Webflow form submission webhook (urlencoded)');
     logger.info('Redirecting to main webhook handler');
@@ -237,12 +239,36 @@ router.post('/mysolution/job', async (req, res) => {
     
     // Handle job events (created, updated, deleted)
     if (eventType.includes('job')) {
-      // For any job-related event, trigger a jobs sync
-      // This is a simplified approach; in a production system, 
-      // you might want to sync only the affected job for efficiency
-      const result = await jobsSync();
+      const jobId = getWebhookJobId(req.body);
       
-      logger.info('Jobs sync completed after receiving Mysolution webhook');
+      if (!jobId) {
+        logger.error('Invalid Mysolution webhook: Missing job Id', { eventType });
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: 'Invalid Mysolution webhook: Missing job Id'
+        });
+      }
+      
+      // Sync only the affected job instead of running a full sync
+      const result = await syncSingleJob(jobId, { event: getWebhookJobEvent(eventType) });
+      
+      // While another sync holds the lock the job is queued for it instead of dropped
+      const tenantResults = result.tenants ? Object.values(result.tenants) : [result];
+      if (tenantResults.some(tenantResult => tenantResult.action === 'queued')) {
+        logger.info(`Sync already running, queued the job from the Mysolution webhook (${summarizeTenantResults(result, tenantResult => tenantResult.action)})`, { jobId, eventType });
+        return res.status(202).json({
+          success: true,
+          message: 'Sync already running, job queued',
+          data: result
+        });
+      }
+      
+      logger.info(`Single job sync completed after receiving Mysolution webhook (${summarizeTenantResults(result, tenantResult => tenantResult.action)})`, {
+        jobId,
+        eventType,
+        webflowItemId: result.webflowItem?.id
+      });
       return res.status(200).json({
         success: true,
         message: 'Webhook processed successfully',
@@ -267,6 +293,28 @@ router.post('/mysolution/job', async (req, res) => {
   }
 });
 
+/**
+ * Extract the Mysolution job Id from a webhook payload
+ * @param {Object} body - Webhook request body
+ * @returns {string|null} Mysolution job Id
+ */
+function getWebhookJobId(body) {
+  const data = body.data || body.job || {};
+  return data.Id || data.id || body.jobId || body.Id || body.id || null;
+}
+
+/**
+ * Map a Mysolution webhook event type to a sync event
+ * @param {string} eventType - Event type from the webhook, e.g. 'job.deleted'
+ * @returns {string} 'created', 'updated' or 'deleted'
+ */
+function getWebhookJobEvent(eventType) {
+  const normalized = eventType.toLowerCase();
+  if (normalized.includes('delete')) return 'deleted';
+  if (normalized.includes('create')) return 'created';
+  return 'updated';
+}
+
 /**
  * @route   GET /api/webhooks/status
  * @desc    Check the status of the webhook service
@@ -0,0 +1,231 @@
+import { logger } from '../utils/logger.js';
+import config from '../utils/config.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import mysolutionAPI from '../api/mysolution.js';
+import { shouldJobBePublished } from '../utils/jobUtils.js';
+import syncQueue from './syncQueue.js';
+
+/**
+ * Mass-archive guard
+ *
+ * A truncated or empty job list from Mysolution makes every Webflow job look deleted. Before a sync
+ * archives jobs it checks the batch against the guard: more than ARCHIVE_GUARD_MAX_RATIO of the live
+ * jobs or more than ARCHIVE_GUARD_MAX_COUNT jobs. Such a batch is not archived but held as a pending
+ * approval in the sync state (archiveApprovals), which the dashboard shows as an alert. An admin then
+ * approves the batch, which queues archive tasks for the jobs that are still missing or unpublishable
+ * in Mysolution (a batch may wait days, and jobs can come back), or rejects it. A tenant has at
+ * most one pending batch: a later sync that trips the guard replaces it, and one that archives within
+ * the limits supersedes it.
+ */
+class ArchiveApprovalService {
+  /**
+   * Check whether a batch of archives may be made without approval
+   * @param {number} archiveCount - Live jobs the batch would archive
+   * @param {number} liveCount - Live (not archived) jobs in Webflow
+   * @returns {string|null} Why the batch needs approval, or null if it may be archived
+   */
+  checkBatch(archiveCount, liveCount) {
+    const { enabled, maxRatio, maxCount } = config.archiveGuard;
+    if (!enabled || archiveCount === 0) {
+      return null;
+    }
+    if (archiveCount > maxCount) {
+      return `${archiveCount} jobs would be archived, more than the limit of ${maxCount}`;
+    }
+    if (liveCount > 0 && archiveCount / liveCount > maxRatio) {
+      return `${archiveCount} of ${liveCount} live jobs would be archived, more than ${Math.round(maxRatio * 100)}%`;
+    }
+    return null;
+  }
+
+  /**
+   * Hold a batch of archives until an admin approves it
+   * A second batch of the same sync (the unpublish scan of an incremental sync) is added to the
+   * pending batch instead of replacing it.
+   * @param {Object} batch - Batch to hold
+   * @param {string} batch.syncId - Sync that produced the batch
+   * @param {string} batch.syncType - 'full' or 'incremental'
+   * @param {string} batch.reason - Why the batch needs approval (see checkBatch)
+   * @param {number} batch.liveCount - Live jobs in Webflow when the batch was made
+   * @param {Array<Object>} batch.items - Archives as { itemId, mysolutionId, name, reason, reasonCodes }
+   * @returns {Promise<Object>} The pending approval
+   */
+  async holdBatch({ syncId, syncType, reason, liveCount, items }) {
+    const approval = {
+      id: `archive-${Date.now()}`,
+      status: 'pending',
+      syncId,
+      syncType,
+      reason,
+      liveCount,
+      items,
+      createdAt: new Date().toISOString()
+    };
+
+    let held;
+    await syncStateStore.updateSyncState(state => {
+      const approvals = this._getApprovals(state);
+      held = approval;
+      if (approvals.pending && approvals.pending.syncId === syncId) {
+        const heldItemIds = new Set(approvals.pending.items.map(item => item.itemId));
+        approvals.pending.items.push(...items.filter(item => !heldItemIds.has(item.itemId)));
+        approvals.pending.reason = `${approvals.pending.reason}; ${reason}`;
+        held = approvals.pending;
+        return;
+      }
+      if (approvals.pending) {
+        this._decide(approvals, 'superseded', { note: `Replaced by ${approval.id}` });
+      }
+      approvals.pending = approval;
+    });
+
+    logger.warn(`Archive batch held for approval: ${reason}`, { approvalId: held.id, syncId, items: items.length });
+    console.log(`⚠️ ARCHIVE HELD: ${reason}. ${held.items.length} jobs wait for approval (${held.id}).`);
+    return held;
+  }
+
+  /**
+   * Mark the pending batch as superseded, e.g. after a sync archived within the limits
+   * @param {string} syncId - Sync that made the batch outdated
+   * @returns {Promise<void>}
+   */
+  async supersedePending(syncId) {
+    await syncStateStore.updateSyncState(state => {
+      const approvals = this._getApprovals(state);
+      if (approvals.pending) {
+        logger.info(`Pending archive batch ${approvals.pending.id} superseded by sync ${syncId}`);
+        this._decide(approvals, 'superseded', { note: `Sync ${syncId} archived within the limits` });
+      }
+    });
+  }
+
+  /**
+   * Get the pending batch and the decided ones
+   * @returns {Promise<Object>} { pending, history }
+   */
+  async getApprovals() {
+    const state = await syncStateStore.getSyncState();
+    const approvals = state.archiveApprovals || {};
+    return {
+      pending: approvals.pending || null,
+      history: approvals.history || []
+    };
+  }
+
+  /**
+   * Approve the pending batch and queue its archive tasks
+   * The jobs are checked against a fresh Mysolution job list first; jobs that may be published again
+   * are skipped and listed in the approval's skippedItems.
+   * @param {string} id - Approval ID
+   * @param {Object} options - Options
+   * @param {string} options.note - Note stored with the decision
+   * @returns {Promise<Object>} The decided approval
+   * @throws {Error} Error with code APPROVAL_NOT_FOUND if the batch isn't pending
+   */
+  async approve(id, { note } = {}) {
+    // Checked before deciding, so a failed fetch leaves the batch pending
+    const { pending } = await this.getApprovals();
+    let skippedItems = [];
+    if (pending && pending.id === id) {
+      const jobsById = new Map((await mysolutionAPI.getJobs()).map(job => [job.Id, job]));
+      skippedItems = pending.items.filter(item => jobsById.has(item.mysolutionId) && shouldJobBePublished(jobsById.get(item.mysolutionId)));
+    }
+
+    const approval = await this._takePending(id, 'approved', { note, skippedItems });
+    const skippedIds = new Set(skippedItems.map(item => item.itemId));
+    const items = approval.items.filter(item => !skippedIds.has(item.itemId));
+
+    await syncQueue.enqueue(items.map(item => ({
+      type: 'archive-item',
+      key: `archive-item:${item.itemId}`,
+      syncId: approval.syncId,
+      payload: item
+    })));
+
+    logger.info(`Archive batch ${id} approved, queued ${items.length} archive tasks` +
+      (skippedItems.length > 0 ? `, skipped ${skippedItems.length} jobs that may be published again` : ''));
+    return approval;
+  }
+
+  /**
+   * Reject the pending batch; nothing is archived
+   * @param {string} id - Approval ID
+   * @param {Object} options - Options
+   * @param {string} options.note - Note stored with the decision
+   * @returns {Promise<Object>} The decided approval
+   * @throws {Error} Error with code APPROVAL_NOT_FOUND if the batch isn't pending
+   */
+  async reject(id, { note } = {}) {
+    const approval = await this._takePending(id, 'rejected', { note });
+    logger.info(`Archive batch ${id} rejected, ${approval.items.length} jobs stay live`);
+    return approval;
+  }
+
+  /**
+   * Decide the pending batch if it has the given ID
+   * @param {string} id - Approval ID
+   * @param {string} status - 'approved' or 'rejected'
+   * @param {Object} details - { note, skippedItems } stored with the decision
+   * @returns {Promise<Object>} The decided approval
+   * @private
+   */
+  async _takePending(id, status, details) {
+    let decided = null;
+    await syncStateStore.updateSyncState(state => {
+      const approvals = this._getApprovals(state);
+      if (approvals.pending && approvals.pending.id === id) {
+        decided = this._decide(approvals, status, details);
+      }
+    });
+
+    if (!decided) {
+      const error = new Error(`No pending archive batch with ID ${id}`);
+      error.code = 'APPROVAL_NOT_FOUND';
+      throw error;
+    }
+    return decided;
+  }
+
+  /**
+   * Move the pending batch to the history with a decision
+   * @param {Object} approvals - state.archiveApprovals
+   * @param {string} status - Decision
+   * @param {Object} details - { note, skippedItems }
+   * @returns {Object} The decided approval
+   * @private
+   */
+  _decide(approvals, status, { note, skippedItems } = {}) {
+    const { items, ...pending } = approvals.pending;
+    const decided = {
+      ...pending,
+      // Superseded batches were never acted on, so their items aren't kept
+      items: status === 'superseded' ? undefined : items,
+      itemCount: items.length,
+      status,
+      note: note || null,
+      ...(skippedItems && skippedItems.length > 0 ? { skippedItems } : {}),
+      decidedAt: new Date().toISOString()
+    };
+    approvals.pending = null;
+    approvals.history.unshift(decided);
+    approvals.history.splice(config.archiveGuard.historyLimit);
+    return decided;
+  }
+
+  /**
+   * Get the approvals of a state, creating them in older states
+   * @param {Object} state - Sync state being updated
+   * @returns {Object} { pending, history }
+   * @private
+   */
+  _getApprovals(state) {
+    if (!state.archiveApprovals) {
+      state.archiveApprovals = { pending: null, history: [] };
+    }
+    return state.archiveApprovals;
+  }
+}
+
+// Create and export a singleton instance
+const archiveApprovalService = new ArchiveApprovalService();
+export default archiveApprovalService;
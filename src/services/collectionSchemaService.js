@@ -0,0 +1,145 @@
+import { logger } from '../utils/logger.js';
+import webflowAPI from '../api/webflow.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import { getJobFieldMapping } from '../models/fieldMapping.js';
+
+// Job IDs kept per unknown option value
+const MAX_EXAMPLE_JOBS = 10;
+
+/**
+ * Allowed values of the jobs collection's Option fields
+ * The live Webflow schema is the source of truth (cached by webflowAPI.getCollectionStructure). When it
+ * can't be fetched, the options listed in the job field mapping are used instead. Values that are not
+ * an option are recorded in the sync state so they can be fixed in Webflow or in the mapping.
+ */
+class CollectionSchemaService {
+  /**
+   * Get the Option fields of the jobs collection
+   * @param {Object} options - Options
+   * @param {boolean} options.refresh - Fetch the schema from Webflow even if it is cached
+   * @returns {Promise<Object>} { source: 'webflow' | 'mapping', fields: { slug: [{ id, name }] } }
+   */
+  async getOptionFields({ refresh = false } = {}) {
+    try {
+      const fields = await webflowAPI.getOptionFields(webflowAPI.jobsCollectionId, { refresh });
+      return { source: 'webflow', fields };
+    } catch (error) {
+      logger.warn(`Could not load jobs collection schema, using the options from the field mapping: ${error.message}`);
+
+      const fields = {};
+      getJobFieldMapping().fields
+        .filter(field => Array.isArray(field.options))
+        .forEach(field => {
+          fields[field.target] = field.options.map(name => ({ id: null, name }));
+        });
+      return { source: 'mapping', fields };
+    }
+  }
+
+  /**
+   * Get the allowed option names per field
+   * @returns {Promise<Object>} Map of field slug to option names
+   */
+  async getAllowedOptions() {
+    const { fields } = await this.getOptionFields();
+    const allowed = {};
+    Object.entries(fields).forEach(([field, options]) => {
+      allowed[field] = options.map(option => option.name);
+    });
+    return allowed;
+  }
+
+  /**
+   * Get option id -> option name maps
+   * Webflow returns option ids in item fieldData while the transformer produces option names.
+   * @returns {Promise<Object>} Map of field slug to { optionId: optionName }
+   */
+  async getOptionNameMaps() {
+    const { fields } = await this.getOptionFields();
+    const maps = {};
+    Object.entries(fields).forEach(([field, options]) => {
+      maps[field] = {};
+      options
+        .filter(option => option.id)
+        .forEach(option => {
+          maps[field][option.id] = option.name;
+        });
+    });
+    return maps;
+  }
+
+  /**
+   * Record a value that is not an option of its field
+   * @param {string} field - Field slug
+   * @param {any} value - Rejected value
+   * @param {Object} context - Where the value came from
+   * @param {string} context.mysolutionId - Mysolution job ID
+   * @returns {Promise<void>}
+   */
+  async reportUnknownOption(field, value, { mysolutionId } = {}) {
+    const key = String(value);
+    const now = new Date().toISOString();
+
+    try {
+      await syncStateStore.updateSyncState(state => {
+        const unknown = state.unknownOptionValues || {};
+        const fieldValues = unknown[field] || {};
+        const entry = fieldValues[key] || { count: 0, firstSeenAt: now, jobs: [] };
+
+        entry.count++;
+        entry.lastSeenAt = now;
+        if (mysolutionId && !entry.jobs.includes(mysolutionId)) {
+          entry.jobs = [mysolutionId, ...entry.jobs].slice(0, MAX_EXAMPLE_JOBS);
+        }
+
+        fieldValues[key] = entry;
+        unknown[field] = fieldValues;
+        state.unknownOptionValues = unknown;
+      });
+    } catch (error) {
+      logger.error(`Failed to record unknown option value "${key}" for ${field}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the recorded unknown option values
+   * @returns {Promise<Array<Object>>} Entries as { field, value, count, firstSeenAt, lastSeenAt, jobs }, most frequent first
+   */
+  async getUnknownOptionValues() {
+    const state = await syncStateStore.getSyncState();
+    const entries = [];
+
+    Object.entries(state.unknownOptionValues || {}).forEach(([field, values]) => {
+      Object.entries(values).forEach(([value, entry]) => {
+        entries.push({ field, value, ...entry });
+      });
+    });
+
+    return entries.sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Forget the recorded unknown option values (e.g. after adding the options in Webflow)
+   * @param {string} field - Only clear this field (optional)
+   * @returns {Promise<number>} Number of values removed
+   */
+  async clearUnknownOptionValues(field) {
+    return syncStateStore.updateSyncState(state => {
+      const unknown = state.unknownOptionValues || {};
+      const fields = field ? [field] : Object.keys(unknown);
+      let removed = 0;
+
+      fields.forEach(name => {
+        removed += Object.keys(unknown[name] || {}).length;
+        delete unknown[name];
+      });
+
+      state.unknownOptionValues = unknown;
+      return removed;
+    });
+  }
+}
+
+// Create and export a singleton instance
+const collectionSchemaService = new CollectionSchemaService();
+export default collectionSchemaService;
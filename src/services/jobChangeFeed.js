@@ -0,0 +1,224 @@
+import { logger } from '../utils/logger.js';
+import config from '../utils/config.js';
+import mysolutionAPI from '../api/mysolution.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import { getJobModificationDate } from '../utils/jobUtils.js';
+import { getCurrentTenant } from '../utils/tenants.js';
+
+/**
+ * Change feed of Mysolution jobs
+ *
+ * The feed compares every fetched job's modification date (the latest of the job and its child
+ * records, see getJobModificationDate) with the date stored for it in jobModificationDates, and
+ * reports the jobs that were created, changed or disappeared since the last committed run. The
+ * latest date seen is kept as the high-water mark.
+ *
+ * Mysolution's Get endpoint doesn't document a modified-since filter, so by default the feed fetches
+ * the job list once per run and does the comparison itself. If a filter parameter is known to work,
+ * set MYSOLUTION_CHANGED_SINCE_PARAM: runs that don't need the full list then fetch only jobs changed
+ * since the high-water mark (jobs can't be detected as disappeared from such a list). The last full
+ * list is kept for a short while, so the unpublish scan of the same run doesn't fetch it again.
+ *
+ * Disappeared jobs can be held instead of reported (see holdDeletions): held jobs stay in the known
+ * set, so they are reported again by the next run, and the hold is kept in the state for the dashboard.
+ */
+class JobChangeFeed {
+  constructor() {
+    // Last full job list by tenant ID: { jobs, fetchedAt }
+    this.fullLists = new Map();
+    this.fullListMaxAge = 60000;
+  }
+
+  /**
+   * Get the jobs that changed since the last committed run
+   * Nothing is stored until commit is called with the result.
+   * @param {Object} options - Options
+   * @param {boolean} options.fullList - Fetch the full job list even if a changed-since filter is configured
+   * @param {string} options.baseline - Jobs without a stored date that were last modified before this
+   *   time count as unchanged (used until the feed has a high-water mark, e.g. after an upgrade)
+   * @returns {Promise<Object>} { jobs, created, changed, disappeared, unchanged, tracked, complete, highWaterMark, jobDates }
+   */
+  async getChanges({ fullList = false, baseline = null } = {}) {
+    const state = await syncStateStore.getSyncState();
+    const storedDates = state.jobModificationDates || {};
+    const previousMark = (state.changeFeed && state.changeFeed.highWaterMark) || null;
+    const changedSinceParam = config.mysolution.changedSinceParam;
+
+    let jobs;
+    let complete;
+    if (changedSinceParam && previousMark && !fullList) {
+      jobs = await mysolutionAPI.getJobsModifiedSince(previousMark, changedSinceParam);
+      complete = false;
+    } else {
+      jobs = await this.getAllJobs({ maxAge: 0 });
+      complete = true;
+    }
+
+    const cutoff = previousMark ? null : (baseline ? new Date(baseline).getTime() : null);
+    const changes = {
+      jobs,
+      created: [],
+      changed: [],
+      disappeared: [],
+      unchanged: 0,
+      tracked: Object.keys(storedDates).length,
+      heldDeletions: null,
+      complete,
+      fetched: jobs.length,
+      previousHighWaterMark: previousMark,
+      highWaterMark: previousMark,
+      jobDates: {}
+    };
+
+    for (const job of jobs) {
+      const modified = getJobModificationDate(job);
+      changes.jobDates[job.Id] = modified;
+      if (modified && (!changes.highWaterMark || new Date(modified) > new Date(changes.highWaterMark))) {
+        changes.highWaterMark = modified;
+      }
+
+      const stored = storedDates[job.Id];
+      if (!stored) {
+        const isBaseline = cutoff !== null && modified && new Date(modified).getTime() <= cutoff;
+        if (isBaseline) {
+          changes.unchanged++;
+        } else {
+          changes.created.push(job);
+        }
+      } else if (!modified || new Date(modified) > new Date(stored)) {
+        // A job without a readable date is synced to be safe
+        changes.changed.push(job);
+      } else {
+        changes.unchanged++;
+      }
+    }
+
+    if (complete) {
+      const fetchedIds = new Set(jobs.map(job => job.Id));
+      changes.disappeared = Object.keys(storedDates).filter(id => !fetchedIds.has(id));
+    }
+
+    logger.info(`Change feed: ${changes.created.length} created, ${changes.changed.length} changed, ${changes.disappeared.length} disappeared, ${changes.unchanged} unchanged (${complete ? 'full list' : `changed since ${previousMark}`})`);
+    return changes;
+  }
+
+  /**
+   * Check whether the disappeared jobs of a run look like real deletions
+   * An empty or partial job list makes many known jobs disappear at once, so more deletions than the
+   * limits are treated as a bad response rather than deleted jobs.
+   * @param {Object} changes - Result of getChanges
+   * @param {Object} limits - Limits
+   * @param {number} limits.maxCount - Most jobs that may disappear in one run
+   * @param {number} limits.maxRatio - Largest share of the known jobs that may disappear in one run
+   * @returns {string|null} Why the deletions are unsafe, or null if they look real
+   */
+  checkDeletionSafety(changes, { maxCount, maxRatio }) {
+    const count = changes.disappeared.length;
+    if (count === 0) {
+      return null;
+    }
+    if (changes.fetched === 0) {
+      return `Mysolution returned no jobs while ${changes.tracked} jobs are known`;
+    }
+    if (count > maxCount) {
+      return `${count} jobs disappeared at once, more than the limit of ${maxCount}`;
+    }
+    if (changes.tracked > 0 && count / changes.tracked > maxRatio) {
+      return `${count} of ${changes.tracked} known jobs disappeared at once, more than ${Math.round(maxRatio * 100)}%`;
+    }
+    return null;
+  }
+
+  /**
+   * Hold the disappeared jobs of a run instead of reporting them
+   * @param {Object} changes - Result of getChanges; its disappeared jobs are moved to heldDeletions
+   * @param {string} reason - Why the deletions are held
+   */
+  holdDeletions(changes, reason) {
+    if (changes.disappeared.length === 0) {
+      return;
+    }
+    changes.heldDeletions = {
+      jobIds: changes.disappeared,
+      reason,
+      detectedAt: new Date().toISOString()
+    };
+    changes.disappeared = [];
+  }
+
+  /**
+   * Store the dates of a run's jobs and move the high-water mark
+   * Call after the run's tasks were drained. Jobs whose task failed or is still queued are excluded:
+   * they keep their stored date, so the next run reports them again, and the high-water mark stays
+   * where it was so a changed-since fetch still returns them.
+   * @param {Object} changes - Result of getChanges
+   * @param {Object} options - Options
+   * @param {Array<string>} options.exclude - Job IDs whose changes were not written
+   * @returns {Promise<void>}
+   */
+  async commit(changes, { exclude = [] } = {}) {
+    const excluded = new Set(exclude);
+    await syncStateStore.updateSyncState(state => {
+      Object.entries(changes.jobDates).forEach(([jobId, modified]) => {
+        if (modified && !excluded.has(jobId)) {
+          state.jobModificationDates[jobId] = modified;
+        }
+      });
+      changes.disappeared
+        .filter(jobId => !excluded.has(jobId))
+        .forEach(jobId => {
+          delete state.jobModificationDates[jobId];
+        });
+      state.changeFeed = {
+        highWaterMark: excluded.size > 0 ? changes.previousHighWaterMark : changes.highWaterMark,
+        committedAt: new Date().toISOString(),
+        heldDeletions: changes.heldDeletions || null
+      };
+    });
+  }
+
+  /**
+   * Get all jobs from Mysolution, reusing a list fetched earlier in the same run
+   * @param {Object} options - Options
+   * @param {number} options.maxAge - Reuse a list fetched at most this many ms ago (0 to always fetch)
+   * @returns {Promise<Array<Object>>} Jobs
+   */
+  async getAllJobs({ maxAge = this.fullListMaxAge } = {}) {
+    const tenantId = getCurrentTenant().id;
+    const cached = this.fullLists.get(tenantId);
+    if (cached && maxAge > 0 && Date.now() - cached.fetchedAt <= maxAge) {
+      logger.debug(`Reusing the job list fetched ${Date.now() - cached.fetchedAt}ms ago`);
+      return cached.jobs;
+    }
+
+    const jobs = await mysolutionAPI.getJobs();
+    this.fullLists.set(tenantId, { jobs, fetchedAt: Date.now() });
+    return jobs;
+  }
+
+  /**
+   * Forget the cached job list of the current tenant, so it doesn't stay in memory after a run
+   */
+  releaseJobList() {
+    this.fullLists.delete(getCurrentTenant().id);
+  }
+
+  /**
+   * Get the stored state of the feed
+   * @returns {Promise<Object>} { highWaterMark, committedAt, heldDeletions, trackedJobs, changedSinceParam }
+   */
+  async getStatus() {
+    const state = await syncStateStore.getSyncState();
+    return {
+      highWaterMark: (state.changeFeed && state.changeFeed.highWaterMark) || null,
+      committedAt: (state.changeFeed && state.changeFeed.committedAt) || null,
+      heldDeletions: (state.changeFeed && state.changeFeed.heldDeletions) || null,
+      trackedJobs: Object.keys(state.jobModificationDates || {}).length,
+      changedSinceParam: config.mysolution.changedSinceParam || null
+    };
+  }
+}
+
+// Create and export a singleton instance
+const jobChangeFeed = new JobChangeFeed();
+export default jobChangeFeed;
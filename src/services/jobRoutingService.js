@@ -0,0 +1,264 @@
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import webflowAPI from '../api/webflow.js';
+import { getCurrentTenant } from '../utils/tenants.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import { matchesCondition } from '../models/fieldMapping.js';
+
+/**
+ * Rule-based job routing
+ *
+ * A rules file lists rules that are checked in order; the first rule whose `when` condition matches
+ * a Mysolution job decides where the job goes:
+ * - sector: sector item (slug or name) the job always gets, whatever its BS_Sector__c says
+ * - collection: collection (ID, slug or name) the job is written to instead of the jobs collection
+ * - fields: other fixed Webflow field values
+ * Sectors and collections are referred to by slug or name so the same rules work on every Webflow
+ * site (e.g. a staging clone). They are resolved when the service starts; a rule that can't be
+ * resolved makes matching jobs fail instead of publishing them without the routing.
+ * Every tenant has its own rules file.
+ */
+class JobRoutingService {
+  constructor() {
+    // Resolved rules by tenant ID
+    this.resolved = new Map();
+  }
+
+  /**
+   * Resolve the rules at startup and log rules that can't be applied
+   * @returns {Promise<Array<Object>>} Resolved rules
+   */
+  async initialize() {
+    const rules = await this.getRules({ refresh: true });
+    rules.forEach(rule => {
+      if (rule.problems.length > 0) {
+        logger.error(`Job routing rule "${rule.name}" can't be applied: ${rule.problems.join('; ')}`);
+      } else {
+        logger.info(`Job routing rule "${rule.name}" ready`, { sectorId: rule.sectorId, collectionId: rule.collectionId });
+      }
+    });
+    return rules;
+  }
+
+  /**
+   * Get the routing rules with their sectors and collections resolved
+   * @param {Object} options - Options
+   * @param {boolean} options.refresh - Read the rules file and resolve the rules again
+   * @returns {Promise<Array<Object>>} Rules with sectorId, collectionId and problems
+   */
+  async getRules({ refresh = false } = {}) {
+    const tenant = getCurrentTenant();
+    if (refresh || !this.resolved.has(tenant.id)) {
+      const rules = this._resolveRules(this._loadRules(tenant.routingFile)).catch(error => {
+        this.resolved.delete(tenant.id);
+        throw error;
+      });
+      this.resolved.set(tenant.id, rules);
+    }
+    return this.resolved.get(tenant.id);
+  }
+
+  /**
+   * Decide where a job goes
+   * @param {Object} mysolutionJob - Job from Mysolution
+   * @returns {Promise<Object>} { rule, collectionId, fields } - rule is null when no rule matches
+   * @throws {Error} If the matching rule can't be applied (its sector or collection was not found)
+   */
+  async routeJob(mysolutionJob) {
+    const rules = await this.getRules();
+    const rule = rules.find(candidate => matchesCondition(mysolutionJob, candidate.when));
+
+    if (!rule) {
+      return { rule: null, collectionId: webflowAPI.jobsCollectionId, fields: {} };
+    }
+
+    if (rule.problems.length > 0) {
+      throw new Error(`Job routing rule "${rule.name}" can't be applied: ${rule.problems.join('; ')}`);
+    }
+
+    const fields = { ...(rule.fields || {}) };
+    if (rule.sectorId) {
+      fields['job-companies'] = rule.sectorId;
+    }
+
+    logger.debug(`Job ${mysolutionJob.Id} matches routing rule "${rule.name}"`);
+    return {
+      rule: rule.name,
+      collectionId: rule.collectionId || webflowAPI.jobsCollectionId,
+      fields
+    };
+  }
+
+  /**
+   * Get the routing rules and the jobs currently in a routed collection, for the admin API
+   * @returns {Promise<Object>} { rulesFile, rules, routedJobs }
+   */
+  async getRoutingStatus() {
+    const rules = await this.getRules();
+    const state = await syncStateStore.getSyncState();
+    return {
+      rulesFile: getCurrentTenant().routingFile,
+      rules,
+      routedJobs: state.routedJobs || {}
+    };
+  }
+
+  /**
+   * Get the routed collection and item a job was last written to
+   * @param {string} mysolutionId - Mysolution job ID
+   * @returns {Promise<Object|null>} { collectionId, itemId }, or null if the job is in the jobs collection
+   */
+  async getJobLocation(mysolutionId) {
+    const state = await syncStateStore.getSyncState();
+    return (state.routedJobs && state.routedJobs[mysolutionId]) || null;
+  }
+
+  /**
+   * Remember which collection holds a job's item and archive the item it had elsewhere
+   * Only jobs in a routed collection are recorded. When a job moves to another collection (e.g. it
+   * became internal), its item in the old collection is archived so it doesn't stay online twice.
+   * @param {string} mysolutionId - Mysolution job ID
+   * @param {string} collectionId - Collection the job was written to
+   * @param {string} itemId - Webflow item ID
+   * @returns {Promise<Object|null>} The archived item as { collectionId, itemId }, or null
+   */
+  async recordJobLocation(mysolutionId, collectionId, itemId) {
+    const isRouted = collectionId !== webflowAPI.jobsCollectionId;
+    if (!isRouted && !(await this.getJobLocation(mysolutionId))) {
+      return null;
+    }
+
+    const previous = await syncStateStore.updateSyncState(state => {
+      const locations = state.routedJobs || {};
+      const current = locations[mysolutionId] || null;
+
+      if (isRouted) {
+        locations[mysolutionId] = { collectionId, itemId };
+      } else {
+        delete locations[mysolutionId];
+      }
+      state.routedJobs = locations;
+
+      return current;
+    });
+
+    let moved = null;
+    if (previous && previous.collectionId !== collectionId) {
+      moved = previous;
+    } else if (!previous && isRouted) {
+      // First time in a routed collection: the job may still have an item in the jobs collection
+      const oldItem = await webflowAPI.findJobByMysolutionId(mysolutionId);
+      if (oldItem && !oldItem.isArchived) {
+        moved = { collectionId: webflowAPI.jobsCollectionId, itemId: oldItem.id };
+      }
+    }
+
+    if (moved) {
+      logger.info(`Job ${mysolutionId} moved to collection ${collectionId}, archiving item ${moved.itemId} in collection ${moved.collectionId}`);
+      await webflowAPI.archiveJob(moved.itemId, { collectionId: moved.collectionId });
+    }
+    return moved;
+  }
+
+  /**
+   * Read and check a rules file
+   * @param {string} rulesFile - Rules file
+   * @returns {Array<Object>} Rules
+   * @throws {Error} If the file can't be read or a rule is malformed
+   * @private
+   */
+  _loadRules(rulesFile) {
+    let file;
+    try {
+      file = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not load job routing rules from ${rulesFile}: ${error.message}`);
+    }
+
+    const rules = Array.isArray(file.rules) ? file.rules : null;
+    if (!rules) {
+      throw new Error(`Invalid job routing rules in ${rulesFile}: expected a "rules" array`);
+    }
+
+    const problems = [];
+    const names = new Set();
+    rules.forEach((rule, index) => {
+      const label = rule && rule.name ? `"${rule.name}"` : `#${index}`;
+      if (!rule || !rule.name) {
+        problems.push(`rule ${label} has no name`);
+      } else if (names.has(rule.name)) {
+        problems.push(`rule ${label} is defined more than once`);
+      }
+      names.add(rule && rule.name);
+
+      if (!rule || !rule.when || !rule.when.source) {
+        problems.push(`rule ${label} has no "when" condition`);
+      }
+      if (rule && !rule.sector && !rule.collection && !rule.fields) {
+        problems.push(`rule ${label} sets no sector, collection or fields`);
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid job routing rules in ${rulesFile}: ${problems.join('; ')}`);
+    }
+
+    logger.info(`Loaded ${rules.length} job routing rules from ${rulesFile}`);
+    return rules;
+  }
+
+  /**
+   * Look up the sectors and collections the rules refer to
+   * @param {Array<Object>} rules - Rules from the rules file
+   * @returns {Promise<Array<Object>>} Rules with sectorId, collectionId and problems
+   * @private
+   */
+  async _resolveRules(rules) {
+    const sectors = rules.some(rule => rule.sector) ? await webflowAPI.getAllSectors() : [];
+    let collections = null;
+
+    const resolved = [];
+    for (const rule of rules) {
+      const result = { ...rule, sectorId: null, collectionId: null, problems: [] };
+
+      if (rule.sector) {
+        const wanted = String(rule.sector).toLowerCase();
+        const sector = sectors.find(item => {
+          const name = item.name || (item.fieldData && item.fieldData.name);
+          const slug = item.slug || (item.fieldData && item.fieldData.slug);
+          return (name && name.toLowerCase() === wanted) || (slug && slug.toLowerCase() === wanted);
+        });
+        if (sector) {
+          result.sectorId = sector._id || sector.id;
+        } else {
+          result.problems.push(`sector "${rule.sector}" not found in the sectors collection`);
+        }
+      }
+
+      if (rule.collection) {
+        if (!collections) {
+          const response = await webflowAPI.getCollections();
+          collections = response.collections || response;
+        }
+        const wanted = String(rule.collection).toLowerCase();
+        const collection = collections.find(item => item.id === rule.collection ||
+          (item.slug && item.slug.toLowerCase() === wanted) ||
+          (item.displayName && item.displayName.toLowerCase() === wanted) ||
+          (item.name && item.name.toLowerCase() === wanted));
+        if (collection) {
+          result.collectionId = collection.id;
+        } else {
+          result.problems.push(`collection "${rule.collection}" not found on the site`);
+        }
+      }
+
+      resolved.push(result);
+    }
+
+    return resolved;
+  }
+}
+
+// Create and export a singleton instance
+const jobRoutingService = new JobRoutingService();
+export default jobRoutingService;
@@ -1,51 +1,130 @@
 import { logger } from '../utils/logger.js';
 import mysolutionAPI from '../api/mysolution.js';
-import webflowAPI from '../api/webflow.js';
+import webflowAPI, { choosePrimaryItem } from '../api/webflow.js';
 import { transformMysolutionToWebflow } from '../models/jobsTransformer.js';
 import syncStateStore from '../utils/syncStateStore.js';
 import publishingService from './publishingService.js';
-import { shouldJobBePublished } from '../utils/jobUtils.js';
+import { shouldJobBePublished, getArchiveReason, getArchiveReasonCodes, getJobModificationDate } from '../utils/jobUtils.js';
+import { evaluatePublication } from '../models/publicationRules.js';
 import config from '../utils/config.js';
+import syncQueue from './syncQueue.js';
+import { drainQueue, shouldUseBulk } from './syncWorker.js';
+import { hashFieldData } from '../utils/contentHash.js';
+import { buildSyncPlan, finalizeSyncPlan } from './syncPlan.js';
+import syncRunHistory from './syncRunHistory.js';
+import syncLock from './syncLock.js';
+import jobRoutingService from './jobRoutingService.js';
+import publicationWindowService from './publicationWindowService.js';
+import { forEachTenant, getCurrentTenant, summarizeTenantResults } from '../utils/tenants.js';
+import { runWithPriority } from '../utils/rateLimiter.js';
+import { assertMysolutionAvailable } from '../utils/mysolutionHttpClient.js';
+import jobChangeFeed from './jobChangeFeed.js';
+import archiveApprovalService from './archiveApprovalService.js';
+import sectorMappingService from './sectorMappingService.js';
 
 /**
- * Synchronize all jobs from Mysolution to Webflow
- * @returns {Object} Sync result summary
+ * Synchronize all jobs from Mysolution to Webflow, for every tenant
+ * @param {Object} options - Sync options (see syncJobs)
+ * @param {string} options.tenant - Only synchronize this tenant
+ * @returns {Object} Sync result summary, or the sync plan when options.dryRun is set (by tenant when there are several)
+ */
+async function jobsSync(options = {}) {
+  // Bulk sync traffic waits for candidate-facing Webflow requests
+  return runWithPriority('low', () => forEachTenant(() => tenantJobsSync(options), options));
+}
+
+/**
+ * Synchronize incrementally for every tenant
+ * @param {Object} options - Sync options (see syncJobs)
+ * @param {boolean} options.disableUnpublishScan - Skip the scan for jobs that no longer meet publication criteria
+ * @param {string} options.tenant - Only synchronize this tenant
+ * @returns {Object} Sync result summary, or the sync plan when options.dryRun is set (by tenant when there are several)
+ */
+async function incrementalJobsSync(options = {}) {
+  return runWithPriority('low', () => forEachTenant(() => tenantIncrementalJobsSync(options), options));
+}
+
+/**
+ * Describe the result of jobsSync or incrementalJobsSync in one line, for every tenant
+ * @param {Object} result - Result of jobsSync or incrementalJobsSync
+ * @returns {string} Counts of the successful, failed and skipped jobs
+ */
+function describeSyncResult(result) {
+  return summarizeTenantResults(result, tenantResult =>
+    `${tenantResult.successful || 0} successful, ${tenantResult.failed || 0} failed, ${tenantResult.skipped || 0} skipped`);
+}
+
+/**
+ * Synchronize a single job for every tenant, e.g. in response to a Mysolution webhook event
+ * Each tenant publishes or archives the job depending on its publication filter.
+ * @param {string} mysolutionId - Mysolution job ID
+ * @param {Object} options - Sync options (see tenantSyncSingleJob)
+ * @param {string} options.tenant - Only synchronize this tenant
+ * @returns {Object} Sync result (by tenant when there are several)
+ */
+async function syncSingleJob(mysolutionId, options = {}) {
+  return forEachTenant(() => tenantSyncSingleJob(mysolutionId, options), options);
+}
+
+/**
+ * Synchronize all jobs from Mysolution to the Webflow site of the current tenant
+ * @param {Object} options - Sync options (see syncJobs)
+ * @returns {Object} Sync result summary, or the sync plan when options.dryRun is set
+ * @private
  */
-async function jobsSync() {
+async function tenantJobsSync(options = {}) {
   const syncId = `full-sync-${Date.now()}`;
   try {
-    logger.info('Starting full jobs synchronization process', { syncId });
-    return await syncJobs(false, syncId);
+    logger.info('Starting full jobs synchronization process', { syncId, tenant: getCurrentTenant().id, force: options.force === true });
+    // Dry runs don't write anything, so they don't need the sync lock
+    if (options.dryRun) {
+      return await syncJobs(false, syncId, options);
+    }
+    return await syncLock.withLock(syncId, () => syncJobs(false, syncId, options), { type: 'full' });
   } catch (error) {
     logger.error('Error during full jobs synchronization:', { syncId, error: error.message, stack: error.stack });
-    syncStateStore.recordSyncError(error);
+    if (!options.dryRun && error.code !== 'SYNC_ALREADY_RUNNING') {
+      await syncStateStore.recordSyncError(error);
+    }
     throw error;
+  } finally {
+    jobChangeFeed.releaseJobList();
   }
 }
 
 /**
- * Synchronize only changed jobs since last sync
- * @returns {Object} Sync result summary
+ * Synchronize only changed jobs since last sync, for the current tenant
+ * @param {Object} options - Sync options (see syncJobs)
+ * @param {boolean} options.disableUnpublishScan - Skip the scan for jobs that no longer meet publication criteria
+ * @returns {Object} Sync result summary, or the sync plan when options.dryRun is set
+ * @private
  */
-async function incrementalJobsSync(options = {}) {
+async function tenantIncrementalJobsSync(options = {}) {
   const syncId = `inc-sync-${Date.now()}`;
+  let releaseLock = null;
   try {
-    logger.info('Starting incremental jobs synchronization process', { syncId });
-    
-    // Perform standard incremental sync
-    const syncResults = await syncJobs(true, syncId, options);
+    logger.info('Starting incremental jobs synchronization process', { syncId, tenant: getCurrentTenant().id });
+    if (!options.dryRun) {
+      releaseLock = await syncLock.hold(syncId, { type: 'incremental' });
+    }
     
     // After regular sync, optionally check for jobs that need to be unpublished
     // Guarded by ENABLE_UNPUBLISH_SCAN (defaults to true) to reduce memory when disabled
     const disableUnpublishScan = options.disableUnpublishScan === true;
     const enableUnpublishScan = !disableUnpublishScan && (process.env.ENABLE_UNPUBLISH_SCAN || 'true') === 'true';
+    
+    // Perform standard incremental sync; the scan and deletion detection need the full job list, so fetch it once for all
+    const startedAt = Date.now();
+    const fullList = enableUnpublishScan || config.sync.incrementalDeletions;
+    const syncResults = await syncJobs(true, syncId, { ...options, fullList });
+    
     if (enableUnpublishScan) {
       console.log('\n=== 🔍 ADDITIONAL CHECK: Scanning for jobs that need to be unpublished ===');
       logger.info('Performing additional check for jobs that need to be unpublished');
 
-      // 1. Get all jobs from Mysolution (regardless of modification date)
+      // 1. Get all jobs from Mysolution (regardless of modification date), reusing the list of this run
       console.log('📥 Fetching all jobs from Mysolution for publication check...');
-      const allMysolutionJobs = await mysolutionAPI.getJobs();
+      const allMysolutionJobs = await jobChangeFeed.getAllJobs({ maxAge: Date.now() - startedAt });
       console.log(`📊 Retrieved ${allMysolutionJobs.length} total jobs from Mysolution`);
 
       // 2. Filter jobs that meet publication criteria
@@ -55,6 +134,9 @@ async function incrementalJobsSync(options = {}) {
           .map(job => job.Id)
       );
       console.log(`📊 ${publishableJobIds.size} jobs meet publication criteria`);
+      if (!options.dryRun) {
+        await publicationWindowService.scheduleJobs(allMysolutionJobs);
+      }
 
       // 3. Get all jobs from Webflow that are currently published (not archived)
       console.log('📥 Retrieving current jobs from Webflow...');
@@ -70,10 +152,61 @@ async function incrementalJobsSync(options = {}) {
       console.log(`📊 Found ${webflowJobs.length} published jobs in Webflow out of ${allWebflowJobs.length} total`);
 
       // 4. Find jobs in Webflow that should no longer be published
-      const jobsToUnpublish = webflowJobs.filter(job => {
+      // Jobs missing from the list are deletions, which the change feed archives within the deletion
+      // safety limits (or holds for the full sync); the scan only archives jobs Mysolution still has
+      const fetchedJobIds = new Set(allMysolutionJobs.map(job => job.Id));
+      let jobsToUnpublish = webflowJobs.filter(job => {
         const mysolutionId = job.fieldData && job.fieldData['mysolution-id'];
-        return mysolutionId && !publishableJobIds.has(mysolutionId);
+        return mysolutionId && fetchedJobIds.has(mysolutionId) && !publishableJobIds.has(mysolutionId);
       });
+      const routedItems = await getLiveRoutedItems(mysolutionId => fetchedJobIds.has(mysolutionId) && !publishableJobIds.has(mysolutionId));
+      routedItems.forEach(({ item, collectionId }) => jobsToUnpublish.push({ ...item, name: item.fieldData && item.fieldData.name, collectionId }));
+      const liveCount = webflowJobs.length + routedItems.length;
+
+      // Hold the batch for approval when it trips the mass-archive guard
+      const toArchiveItem = job => {
+        const mysolutionId = job.fieldData['mysolution-id'];
+        const mysolutionJob = allMysolutionJobs.find(mj => mj.Id === mysolutionId);
+        return {
+          itemId: job.id,
+          collectionId: job.collectionId,
+          mysolutionId,
+          name: job.name,
+          reason: getArchiveReason(mysolutionJob),
+          reasonCodes: getArchiveReasonCodes(mysolutionJob)
+        };
+      };
+      const holdReason = archiveApprovalService.checkBatch(jobsToUnpublish.length, liveCount);
+      if (holdReason) {
+        if (options.dryRun) {
+          // Added to the batch the sync itself held, like holdBatch does
+          const archiveHold = syncResults.archiveHold;
+          const heldItemIds = new Set(archiveHold ? archiveHold.items.map(item => item.itemId) : []);
+          const items = jobsToUnpublish.map(toArchiveItem).filter(item => !heldItemIds.has(item.itemId));
+          syncResults.archiveHold = archiveHold
+            ? { reason: `${archiveHold.reason}; ${holdReason}`, items: [...archiveHold.items, ...items] }
+            : { reason: holdReason, items };
+        } else {
+          await archiveApprovalService.holdBatch({
+            syncId,
+            syncType: 'incremental',
+            reason: holdReason,
+            liveCount,
+            items: jobsToUnpublish.map(toArchiveItem)
+          });
+          syncResults.archivesHeld = (syncResults.archivesHeld || 0) + jobsToUnpublish.length;
+        }
+        jobsToUnpublish = [];
+      }
+
+      if (options.dryRun) {
+        // Add the unpublish candidates to the plan instead of archiving them
+        const plannedItemIds = new Set(syncResults.archives.map(archive => archive.itemId));
+        jobsToUnpublish
+          .filter(job => !plannedItemIds.has(job.id))
+          .forEach(job => syncResults.archives.push(toArchiveItem(job)));
+        return finalizeSyncPlan(syncResults);
+      }
 
       if (jobsToUnpublish.length > 0) {
         console.log(`\n=== 🗃️ FOUND ${jobsToUnpublish.length} JOBS TO UNPUBLISH ===`);
@@ -81,39 +214,42 @@ async function incrementalJobsSync(options = {}) {
 
         // 5. Process jobs to unpublish
         const unpublishPromises = jobsToUnpublish.map(async (job) => {
-          try {
-            // Find the corresponding Mysolution job to determine the reason
-            const mysolutionId = job.fieldData['mysolution-id'];
-            const mysolutionJob = allMysolutionJobs.find(mj => mj.Id === mysolutionId);
-            let archiveReason = 'Unknown';
-
-            if (mysolutionJob) {
-              if (mysolutionJob.msf__Status__c !== 'Online') {
-                archiveReason = `Status changed to "${mysolutionJob.msf__Status__c}"`;
-              } else if (!mysolutionJob.msf__Show_On_Website__c) {
-                archiveReason = 'Show on Website disabled';
-              } else if (mysolutionJob.msf__On_Website_To__c && new Date(mysolutionJob.msf__On_Website_To__c) < new Date()) {
-                archiveReason = `End date (${mysolutionJob.msf__On_Website_To__c}) expired`;
-              }
-            }
+          // Find the corresponding Mysolution job to determine the reason
+          const mysolutionId = job.fieldData['mysolution-id'];
+          const mysolutionJob = allMysolutionJobs.find(mj => mj.Id === mysolutionId);
+          const archiveReason = getArchiveReason(mysolutionJob);
+          const archiveReasonCodes = getArchiveReasonCodes(mysolutionJob);
 
+          try {
             console.log(`🗃️ Archiving job "${job.name}" (ID: ${job.id}) from Webflow - Reason: ${archiveReason}`);
 
             // Simply mark the job as archived in Webflow
-            await webflowAPI.archiveJob(job.id);
+            await webflowAPI.archiveJob(job.id, { collectionId: job.collectionId });
 
             console.log(`✅ Successfully archived job: "${job.name}"`);
-            return { id: job.id, success: true };
+            return { id: job.id, mysolutionId, archiveReason, archiveReasonCodes, success: true };
           } catch (error) {
             console.error(`❌ Error archiving job "${job.name}" (ID: ${job.id}): ${error.message}`);
             logger.error(`Error archiving job ${job.id}:`, error);
-            return { id: job.id, success: false, error: error.message };
+            return { id: job.id, mysolutionId, archiveReason, archiveReasonCodes, success: false, error: error.message };
           }
         });
 
         // Wait for all unpublish operations to complete
         const unpublishResults = await Promise.allSettled(unpublishPromises);
 
+        // Add the unpublish outcomes to the run history of this sync
+        await syncRunHistory.recordJobs(syncId, unpublishResults
+          .filter(r => r.status === 'fulfilled')
+          .map(r => ({
+            mysolutionId: r.value.mysolutionId,
+            itemId: r.value.id,
+            action: r.value.success ? 'archived' : 'failed',
+            error: r.value.error,
+            archiveReason: r.value.archiveReason,
+            archiveReasonCodes: r.value.archiveReasonCodes
+          })));
+
         // Count successes and failures
         const unpublishSuccessful = unpublishResults.filter(r => r.status === 'fulfilled' && r.value.success).length;
         const unpublishFailed = unpublishResults.filter(r => r.status === 'rejected' || (r.status === 'fulfilled' && !r.value.success)).length;
@@ -142,7 +278,7 @@ async function incrementalJobsSync(options = {}) {
         if (unpublishFailed > 0) {
           console.log(`❌ FAILED UNPUBLISHES: ${unpublishFailed} (check logs for details)`);
         }
-      } else {
+      } else if (!holdReason) {
         console.log('\n=== ✓ NO JOBS NEED TO BE UNPUBLISHED ===');
         console.log('ℹ️ All jobs in Webflow meet current publication criteria');
       }
@@ -154,19 +290,81 @@ async function incrementalJobsSync(options = {}) {
     return syncResults;
   } catch (error) {
     logger.error('Error during incremental jobs synchronization:', { syncId, error: error.message, stack: error.stack });
-    syncStateStore.recordSyncError(error);
+    if (!options.dryRun && error.code !== 'SYNC_ALREADY_RUNNING') {
+      await syncStateStore.recordSyncError(error);
+    }
     throw error;
+  } finally {
+    jobChangeFeed.releaseJobList();
+    if (releaseLock) {
+      await releaseLock();
+    }
+  }
+}
+
+/**
+ * Hold the disappeared jobs of an incremental run when deletion detection is off or they exceed the safety limits
+ * Held jobs are left for the full sync, which compares Webflow with the complete job list.
+ * @param {Object} changes - Result of jobChangeFeed.getChanges
+ * @private
+ */
+function guardIncrementalDeletions(changes) {
+  if (changes.disappeared.length === 0) {
+    return;
+  }
+  if (!config.sync.incrementalDeletions) {
+    jobChangeFeed.holdDeletions(changes, 'Deletion detection in incremental syncs is disabled (SYNC_INCREMENTAL_DELETIONS)');
+    return;
+  }
+  const reason = jobChangeFeed.checkDeletionSafety(changes, {
+    maxCount: config.sync.maxIncrementalDeletions,
+    maxRatio: config.sync.maxIncrementalDeletionRatio
+  });
+  if (reason) {
+    logger.warn(`Not archiving ${changes.disappeared.length} disappeared jobs: ${reason}. They are left for the full sync.`);
+    console.log(`⚠️ DELETIONS HELD: ${reason}. No jobs are archived until the full sync checks them.`);
+    jobChangeFeed.holdDeletions(changes, reason);
   }
 }
 
+/**
+ * Get the live items of routed jobs (see jobRoutingService), which are not in the jobs collection
+ * Only the items recorded for the jobs the filter accepts are looked up, one collection at a time.
+ * @param {Function} filter - Called with a Mysolution job ID; returns true for the jobs to look up
+ * @returns {Promise<Array<Object>>} Live items as { item, collectionId, mysolutionId }
+ * @private
+ */
+async function getLiveRoutedItems(filter) {
+  const state = await syncStateStore.getSyncState();
+  const locations = Object.entries(state.routedJobs || {}).filter(([mysolutionId]) => filter(mysolutionId));
+  const collectionIds = [...new Set(locations.map(([, location]) => location.collectionId))];
+  const routedItems = [];
+
+  for (const collectionId of collectionIds) {
+    const jobIdsByItem = new Map(locations
+      .filter(([, location]) => location.collectionId === collectionId)
+      .map(([mysolutionId, location]) => [location.itemId, mysolutionId]));
+    const items = await webflowAPI.getAllItems(collectionId);
+    items
+      .filter(item => jobIdsByItem.has(item.id) && !item.isArchived)
+      .forEach(item => routedItems.push({ item, collectionId, mysolutionId: jobIdsByItem.get(item.id) }));
+  }
+  return routedItems;
+}
+
 /**
  * Core sync implementation
  * @param {boolean} incrementalOnly - If true, only sync changed jobs
  * @param {string} syncId - Unique ID for this sync operation
+ * @param {Object} options - Sync options
+ * @param {number} options.timeBudgetMs - Time to spend draining the work queue (defaults to config.sync.timeBudgetMs)
+ * @param {boolean} options.force - Update jobs in Webflow even if their content hash is unchanged
+ * @param {boolean} options.dryRun - Compute the plan (creates, updates, archives, publish decision) without writing anything
  * @returns {Object} Sync result summary
  */
 async function syncJobs(incrementalOnly = false, syncId = `sync-${Date.now()}`, options = {}) {
   console.log(`DEBUG: syncJobs called with syncId: ${syncId}`);
+  const syncStartedAt = Date.now();
   
   let heartbeat;
   try {
@@ -178,11 +376,16 @@ async function syncJobs(incrementalOnly = false, syncId = `sync-${Date.now()}`,
     }, heartbeatMs);
 
     console.log(`\n====== 🔄 STARTING JOB SYNC: ${syncId} ======`);
+    if (!options.dryRun) {
+      await syncRunHistory.startRun(syncId, incrementalOnly ? 'incremental' : 'full', { force: options.force === true });
+    }
+    // While Mysolution is down the run fails right away instead of waiting for timeouts
+    assertMysolutionAvailable();
     console.log(`📋 Sync type: ${incrementalOnly ? 'INCREMENTAL (only changed jobs)' : 'FULL (all jobs)'}`);
     console.log(`DEBUG: syncId before API calls: ${syncId}`);
     
     // Get the last successful sync time
-    let lastSyncTime = incrementalOnly ? syncStateStore.getLastSyncTime() : null;
+    let lastSyncTime = incrementalOnly ? await syncStateStore.getLastSyncTime() : null;
     let usedMiniFallback = false;
     if (incrementalOnly && !lastSyncTime) {
       const fallbackHours = Number.isFinite(options.miniFallbackWindowHours) ? options.miniFallbackWindowHours : 2;
@@ -212,70 +415,18 @@ async function syncJobs(incrementalOnly = false, syncId = `sync-${Date.now()}`,
     
     // Fetch jobs from Mysolution (all or only changed)
     let mysolutionJobs;
+    let changes;
     let skippedCount = 0;
     
     if (incrementalOnly && lastSyncTime) {
       logger.info(`Fetching jobs changed since last sync: ${lastSyncTime}`);
+      console.log('📥 INCREMENTAL SYNC: Comparing Mysolution jobs with their stored modification dates...');
       
-      // IMPROVED: Use the dedicated getChangedJobs API method instead of manual filtering
-      console.log('📥 INCREMENTAL SYNC: Using getChangedJobs API for more reliable change detection...');
-      
-      try {
-        // Try using the dedicated API method first
-        mysolutionJobs = await mysolutionAPI.getChangedJobs(lastSyncTime);
-        console.log(`📥 INCREMENTAL SYNC: getChangedJobs API returned ${mysolutionJobs.length} changed jobs`);
-        
-        // Validate the results - if we get 0 jobs, double-check with fallback method
-        if (mysolutionJobs.length === 0) {
-          console.log('⚠️ INCREMENTAL SYNC: getChangedJobs returned 0 jobs, double-checking with fallback method...');
-          
-          // Fallback: Get all jobs and filter manually as secondary verification
-          const allJobs = await mysolutionAPI.getJobs();
-          const lastSyncDate = new Date(lastSyncTime);
-          
-          const manuallyFilteredJobs = allJobs.filter(job => {
-            if (!job.LastModifiedDate) return false;
-            const jobModDate = new Date(job.LastModifiedDate);
-            return jobModDate > lastSyncDate;
-          });
-          
-          console.log(`📊 FALLBACK CHECK: Manual filtering found ${manuallyFilteredJobs.length} jobs modified since last sync`);
-          
-          // If manual filtering finds jobs but API didn't, use manual results
-          if (manuallyFilteredJobs.length > 0) {
-            console.log('⚠️ DISCREPANCY DETECTED: Using manually filtered results as API filtering may have failed');
-            mysolutionJobs = manuallyFilteredJobs;
-          } else {
-            console.log('✅ VERIFIED: No jobs have been modified since last sync');
-          }
-        }
-        
-      } catch (error) {
-        console.log(`❌ INCREMENTAL SYNC: getChangedJobs API failed (${error.message}), falling back to manual filtering`);
-        logger.warn(`getChangedJobs API failed, using fallback: ${error.message}`);
-        
-        // Fallback to manual filtering
-        const allJobs = await mysolutionAPI.getJobs();
-        const lastSyncDate = new Date(lastSyncTime);
-        
-        mysolutionJobs = allJobs.filter(job => {
-          if (!job.LastModifiedDate) {
-            console.log(`❓ Job ${job.Id} has no LastModifiedDate - including for safety`);
-            return true; // Include jobs without modification dates for safety
-          }
-          
-          const jobModDate = new Date(job.LastModifiedDate);
-          const isModified = jobModDate > lastSyncDate;
-          
-          if (isModified) {
-            console.log(`✅ Job ${job.Id} (${job.Name || 'Unnamed'}) modified: ${job.LastModifiedDate}`);
-          }
-          
-          return isModified;
-        });
-        
-        console.log(`📥 INCREMENTAL SYNC: Fallback filtering found ${mysolutionJobs.length} changed jobs`);
-      }
+      // Jobs without a stored date that didn't change since the last sync are not new, just not tracked yet
+      changes = await jobChangeFeed.getChanges({ fullList: options.fullList === true, baseline: lastSyncTime });
+      guardIncrementalDeletions(changes);
+      mysolutionJobs = [...changes.created, ...changes.changed];
+      console.log(`📥 INCREMENTAL SYNC: ${changes.created.length} new, ${changes.changed.length} changed and ${changes.disappeared.length} disappeared jobs`);
       
       // Log detailed information about what we found
       if (mysolutionJobs.length > 0) {
@@ -288,39 +439,47 @@ async function syncJobs(incrementalOnly = false, syncId = `sync-${Date.now()}`,
       
       logger.info(`After change detection: ${mysolutionJobs.length} jobs need updating`);
       
-      // If no jobs need updating after filtering, we can stop here
-      if (mysolutionJobs.length === 0) {
+      // If nothing changed, we can stop here
+      if (mysolutionJobs.length === 0 && changes.disappeared.length === 0 && !options.dryRun) {
         console.log('✅ SYNC COMPLETE: No jobs need to be updated! All jobs are already in sync.');
         logger.info('No jobs need updating after change detection. Updating sync timestamp and exiting.');
         
-        // Still update the last sync time, even though no changes were made
-        syncStateStore.updateLastSyncTime();
+        // Still move the high-water mark and update the last sync time, even though no changes were made
+        await jobChangeFeed.commit(changes);
+        await syncStateStore.updateLastSyncTime();
         
         // Return summary with zero counts
-        return {
+        const noChangesResult = {
           successful: 0,
           failed: 0,
           removeSuccessful: 0,
           removeFailed: 0,
           skipped: 0,
+          deletionsHeld: changes.heldDeletions ? changes.heldDeletions.jobIds.length : 0,
           noChanges: true
         };
+        await syncRunHistory.finishRun(syncId, { summary: noChangesResult });
+        return noChangesResult;
       }
     } else {
       logger.info('Fetching all jobs from Mysolution');
-      mysolutionJobs = await mysolutionAPI.getJobs();
+      changes = await jobChangeFeed.getChanges({ fullList: true });
+      if (incrementalOnly) {
+        guardIncrementalDeletions(changes);
+      }
+      mysolutionJobs = changes.jobs;
       logger.info(`Fetched ${mysolutionJobs.length} jobs from Mysolution`);
       console.log(`📥 FULL SYNC: Fetched ${mysolutionJobs.length} jobs from Mysolution database`);
     }
     
-    // Filter jobs based on publication criteria (status, publish to web, end date)
+    // Filter jobs based on the publication rules (see models/publicationRules.json)
     const allFetchedJobs = [...mysolutionJobs]; // Keep a copy of all fetched jobs
     const publishableJobs = mysolutionJobs.filter(job => shouldJobBePublished(job));
     
     if (publishableJobs.length < mysolutionJobs.length) {
       const unpublishableCount = mysolutionJobs.length - publishableJobs.length;
       console.log(`🔍 PUBLICATION FILTERING: ${unpublishableCount} jobs do not meet publication criteria`);
-      console.log(`  • ${publishableJobs.length} jobs meet criteria (Status = Online, Show on Website = true, End Date valid)`);
+      console.log(`  • ${publishableJobs.length} jobs pass the publication rules`);
       
       // Update mysolutionJobs to only include publishable jobs
       mysolutionJobs = publishableJobs;
@@ -328,23 +487,21 @@ async function syncJobs(incrementalOnly = false, syncId = `sync-${Date.now()}`,
       // Log reasons why jobs are not publishable
       console.log('\n=== 📋 DETAILS OF UNPUBLISHABLE JOBS ===');
       allFetchedJobs.forEach(job => {
-        if (!shouldJobBePublished(job)) {
+        const { publish, reasons } = evaluatePublication(job);
+        if (!publish) {
           console.log(`Job "${job.Name}" (${job.Id}) cannot be published because:`);
-          if (job.msf__Status__c !== 'Online') {
-            console.log(`  • Status is "${job.msf__Status__c}" instead of "Online"`);
-          }
-          if (!job.msf__Show_On_Website__c) {
-            console.log('  • "Show on Website" is not enabled');
-          }
-          if (job.msf__On_Website_To__c && new Date(job.msf__On_Website_To__c) < new Date()) {
-            console.log(`  • End date (${job.msf__On_Website_To__c}) is in the past`);
-          }
+          reasons.forEach(reason => console.log(`  • ${reason.message} [${reason.code}]`));
         }
       });
     }
     
     logger.info(`After publication criteria filtering: ${mysolutionJobs.length} jobs will be published`);
     
+    // Publish or archive jobs exactly when their start or end date is reached
+    if (!options.dryRun) {
+      await publicationWindowService.scheduleJobs(allFetchedJobs);
+    }
+    
     // Fetch existing jobs from Webflow
     logger.info('Retrieving current jobs from Webflow (for incremental mapping)');
     
@@ -359,145 +516,38 @@ async function syncJobs(incrementalOnly = false, syncId = `sync-${Date.now()}`,
       const mysolutionJobId = job.fieldData && job.fieldData['mysolution-id'];
       if (mysolutionJobId) {
         console.log(`🔗 Matched Webflow job "${job.name}" with Mysolution ID: ${mysolutionJobId}`);
-        webflowJobsMap.set(mysolutionJobId, job);
+        const duplicate = webflowJobsMap.get(mysolutionJobId);
+        if (duplicate) {
+          // Sync the live copy; the reconciliation report lists the duplicates so they can be archived
+          logger.warn(`Webflow items ${duplicate.id} and ${job.id} share Mysolution ID ${mysolutionJobId}; see GET /api/admin/reconciliation`);
+          webflowJobsMap.set(mysolutionJobId, choosePrimaryItem([duplicate, job]));
+        } else {
+          webflowJobsMap.set(mysolutionJobId, job);
+        }
       } else {
         console.log(`⚠️ Webflow job "${job.name}" has no Mysolution ID`);
       }
     });
     logger.info(`Matched ${webflowJobsMap.size}/${webflowJobs.length} Webflow jobs by mysolution-id`);
     
-    // Process each job from Mysolution with limited concurrency
-    logger.info(`Starting processing of ${mysolutionJobs.length} jobs`);
-    const maxConcurrency = Math.max(1, options.concurrency || config.sync.concurrency || 5);
-    const results = [];
-
-    const processJob = async (mysolutionJob) => {
-      try {
-        // Ensure consistent ID handling - Mysolution uses capital 'I' in Id
-        const jobId = mysolutionJob.Id;
-        
-        logger.debug(`Processing job: ${mysolutionJob.Name || 'No Name'} (${jobId})`);
-        
-        // Log the modification date for debugging
-        if (mysolutionJob.LastModifiedDate) {
-          console.log(`ℹ️ Job last modified: ${new Date(mysolutionJob.LastModifiedDate).toLocaleString()}`);
-        } else {
-          console.log(`⚠️ WARNING: Job ${jobId} is missing modification date information`);
+    // Queue an upsert task per job; during a full sync also queue archive tasks for stale Webflow items.
+    // Tasks are persisted, so work that does not fit in this invocation is resumed by the queue worker.
+    let tasks = mysolutionJobs.map(mysolutionJob => {
+      const existingJob = webflowJobsMap.get(mysolutionJob.Id);
+      return {
+        type: 'upsert-job',
+        key: `upsert-job:${mysolutionJob.Id}`,
+        syncId,
+        payload: {
+          mysolutionJob,
+          existingJobId: existingJob ? existingJob.id : undefined,
+          existingItemState: existingJob ? { isArchived: existingJob.isArchived, isDraft: existingJob.isDraft } : undefined,
+          force: options.force === true
         }
-        
-        // Check for internal job and log explicitly
-        const isInternalJob = mysolutionJob.msf__Show_On_Internal__c === true;
-        if (isInternalJob) {
-          console.log(`🔒 Job ${jobId} is marked as INTERNAL - will use "Interne Vacature" sector`);
-        }
-        
-        logger.debug('Converting job data to Webflow format');
-        
-        // Transform job to Webflow format - now returns a Promise
-        const webflowJobData = await transformMysolutionToWebflow(mysolutionJob);
-        
-        // For internal jobs, explicitly log and verify sector field
-        if (isInternalJob) {
-          const internalSectorId = '65f935a2e6b9d7f69afed2bb';
-          if (webflowJobData['job-companies'] === internalSectorId) {
-            console.log(`✅ Internal job ${jobId} has correct sector: ${internalSectorId}`);
-          } else {
-            console.log(`⚠️ Internal job ${jobId} has incorrect sector - fixing to ${internalSectorId}`);
-            webflowJobData['job-companies'] = internalSectorId;
-          }
-        }
-        
-        // Use standardized create/update method for consistent field processing
-        logger.debug(`Upserting job in Webflow: ${mysolutionJob.Name} (${jobId})`);
-        // Avoid extra API lookups by passing existing Webflow job ID and skipping sector re-validation
-        const existingJob = webflowJobsMap.get(jobId);
-        const result = await webflowAPI.createOrUpdateJobByMysolutionId(
-          jobId,
-          webflowJobData,
-          {
-            existingJobId: existingJob ? existingJob.id : undefined,
-            skipSectorValidation: true
-          }
-        );
-        logger.info(`Job ${jobId} ${result.action}`);
-        
-        return { id: jobId, success: true, result, modified: mysolutionJob.LastModifiedDate };
-      } catch (error) {
-        console.error(`Error processing job ${mysolutionJob.Id}:`, error);
-        logger.error(`Error processing job ${mysolutionJob.Id}:`, error);
-        return { id: mysolutionJob.Id, success: false, error: error.message };
-      }
-    };
-
-    for (let i = 0; i < mysolutionJobs.length; i += maxConcurrency) {
-      const batch = mysolutionJobs.slice(i, i + maxConcurrency).map(j => processJob(j));
-      const batchResults = await Promise.allSettled(batch);
-      results.push(...batchResults);
-    }
-    
-    // Update job modification dates ONLY for successfully processed jobs
-    // This ensures we only store dates for jobs we've actually updated
-    console.log('Storing modification dates for successfully processed jobs');
-    const jobDates = {};
-    results.forEach(result => {
-      if (result.status === 'fulfilled' && result.value.success && result.value.modified) {
-        const jobId = result.value.id;
-        const modDate = result.value.modified;
-        jobDates[jobId] = modDate;
-        console.log(`Storing job ${jobId} with LastModifiedDate: ${modDate}`);
-      }
-    });
-    
-    // Only update the store if we have processed jobs
-    if (Object.keys(jobDates).length > 0) {
-      syncStateStore.storeMultipleJobDates(jobDates);
-    }
-    
-    // Count successes, failures, and skipped jobs
-    const successful = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-    const failed = results.filter(r => r.status === 'rejected' || (r.status === 'fulfilled' && !r.value.success)).length;
-    
-    console.log(`DEBUG: syncId before final log: ${syncId}`);
-    logger.info(`Jobs sync completed. ${successful} jobs synchronized successfully, ${failed} jobs failed`, { 
-      syncId,
-      syncType: incrementalOnly ? 'incremental' : 'full',
-      successful,
-      failed,
-      skipped: 0
+      };
     });
     
-    // Update last sync time
-    if (incrementalOnly) {
-      syncStateStore.updateLastIncrementalSyncTime();
-    } else {
-      syncStateStore.updateLastFullSyncTime();
-    }
-    
-    // Create sync results for emitting
-    const syncResults = {
-      type: incrementalOnly ? 'incremental' : 'full',
-      timestamp: new Date().toISOString(),
-      syncId: syncId,
-      total: successful + failed + skippedCount,
-      successful: successful,
-      failed: failed,
-      skipped: skippedCount
-    };
-    
-    // Emit sync completed event for real-time updates
-    if (global.eventBus) {
-      global.eventBus.emit('sync-completed', { 
-        syncType: incrementalOnly ? 'incremental' : 'full',
-        lastSync: new Date().toISOString(),
-        syncId: syncId,
-        syncResults: syncResults
-      });
-    }
-    
     // Only check for removals during full sync
-    let archiveSuccessful = 0;
-    let archiveFailed = 0;
-    
     if (!incrementalOnly) {
       // Identify jobs to archive:
       // 1. Jobs in Webflow that no longer exist in Mysolution at all
@@ -528,93 +578,185 @@ async function syncJobs(incrementalOnly = false, syncId = `sync-${Date.now()}`,
         console.log(`ℹ️ Found ${jobsToRemoveCompletely.length} jobs that no longer exist in Mysolution`);
         console.log(`ℹ️ Found ${jobsToArchive.length} jobs that exist but don't meet publication criteria`);
         
-        // Process jobs to archive (they exist in Mysolution but don't meet criteria)
-        if (jobsToArchive.length > 0) {
-          console.log('\n=== 🗃️ ARCHIVING JOBS ===');
+        // Jobs that exist in Mysolution but don't meet criteria
+        jobsToArchive.forEach(job => {
+          // Find the corresponding Mysolution job to determine the reason
+          const mysolutionJob = allFetchedJobs.find(mj => mj.Id === job.fieldData['mysolution-id']);
+          const archiveReason = getArchiveReason(mysolutionJob);
+          const reasonCodes = getArchiveReasonCodes(mysolutionJob);
           
-          // Update jobs to archived status
-          const archivePromises = jobsToArchive.map(async (job) => {
-            try {
-              // Find the corresponding Mysolution job to determine the reason
-              const mysolutionJob = allFetchedJobs.find(mj => mj.Id === job.fieldData['mysolution-id']);
-              let archiveReason = 'Unknown';
-              
-              if (mysolutionJob) {
-                if (mysolutionJob.msf__Status__c !== 'Online') {
-                  archiveReason = `Status changed to "${mysolutionJob.msf__Status__c}"`;
-                } else if (!mysolutionJob.msf__Show_On_Website__c) {
-                  archiveReason = 'Show on Website disabled';
-                } else if (mysolutionJob.msf__On_Website_To__c && new Date(mysolutionJob.msf__On_Website_To__c) < new Date()) {
-                  archiveReason = `End date (${mysolutionJob.msf__On_Website_To__c}) expired`;
-                }
-              }
-              
-              console.log(`🗃️ Archiving job "${job.name}" (ID: ${job.id}) in Webflow - Reason: ${archiveReason}`);
-              
-              // Simply mark the job as archived in Webflow
-              await webflowAPI.archiveJob(job.id);
-              
-              console.log(`✅ Successfully archived job: "${job.name}"`);
-              return { id: job.id, success: true };
-            } catch (error) {
-              console.error(`❌ Error archiving job "${job.name}" (ID: ${job.id}): ${error.message}`);
-              logger.error(`Error archiving job ${job.id}:`, error);
-              return { id: job.id, success: false, error: error.message };
-            }
+          tasks.push({
+            type: 'archive-item',
+            key: `archive-item:${job.id}`,
+            syncId,
+            payload: { itemId: job.id, mysolutionId: job.fieldData['mysolution-id'], name: job.name, reason: archiveReason, reasonCodes }
           });
-          
-          // Wait for all archive operations to complete
-          const archiveResults = await Promise.allSettled(archivePromises);
-          
-          // Count successes and failures
-          archiveSuccessful = archiveResults.filter(r => r.status === 'fulfilled' && r.value.success).length;
-          archiveFailed = archiveResults.filter(r => r.status === 'rejected' || (r.status === 'fulfilled' && !r.value.success)).length;
-          
-          logger.info(`Job archiving completed. ${archiveSuccessful} jobs archived successfully, ${archiveFailed} jobs failed to archive`);
-        }
-        
-        // Process jobs that no longer exist in Mysolution - archive them instead of removing
-        let removedJobsArchiveSuccessful = 0;
-        let removedJobsArchiveFailed = 0;
+        });
         
-        if (jobsToRemoveCompletely.length > 0) {
-          console.log('\n=== 🗃️ ARCHIVING JOBS NO LONGER IN MYSOLUTION ===');
-          console.log(`ℹ️ Found ${jobsToRemoveCompletely.length} jobs that no longer exist in Mysolution`);
-          
-          // Archive jobs that no longer exist in Mysolution instead of deleting them
-          const archiveRemovedPromises = jobsToRemoveCompletely.map(async (job) => {
-            try {
-              console.log(`🗃️ Archiving job "${job.name}" (ID: ${job.id}) that no longer exists in Mysolution`);
-              
-              // Simply mark the job as archived in Webflow
-              await webflowAPI.archiveJob(job.id);
-              
-              console.log(`✅ Successfully archived job that no longer exists: "${job.name}"`);
-              return { id: job.id, success: true };
-            } catch (error) {
-              console.error(`❌ Error archiving job "${job.name}" (ID: ${job.id}): ${error.message}`);
-              logger.error(`Error archiving job ${job.id}:`, error);
-              return { id: job.id, success: false, error: error.message };
-            }
+        // Jobs that no longer exist in Mysolution are archived instead of removed
+        jobsToRemoveCompletely.forEach(job => {
+          tasks.push({
+            type: 'archive-item',
+            key: `archive-item:${job.id}`,
+            syncId,
+            payload: { itemId: job.id, mysolutionId: job.fieldData['mysolution-id'], name: job.name, reason: 'No longer exists in Mysolution', reasonCodes: ['not-in-mysolution'] }
           });
-          
-          // Wait for all archive operations to complete
-          const archiveRemovedResults = await Promise.allSettled(archiveRemovedPromises);
-          
-          // Count successes and failures
-          removedJobsArchiveSuccessful = archiveRemovedResults.filter(r => r.status === 'fulfilled' && r.value.success).length;
-          removedJobsArchiveFailed = archiveRemovedResults.filter(r => r.status === 'rejected' || (r.status === 'fulfilled' && !r.value.success)).length;
-          
-          // Add to the total archive counts
-          archiveSuccessful += removedJobsArchiveSuccessful;
-          archiveFailed += removedJobsArchiveFailed;
-          
-          logger.info(`Job archiving for removed jobs completed. ${removedJobsArchiveSuccessful} jobs archived successfully, ${removedJobsArchiveFailed} jobs failed to archive`);
-        }
+        });
       } else {
         console.log('\n=== ✓ NO JOBS TO ARCHIVE OR REMOVE ===');
         console.log('ℹ️ All jobs in Webflow are still valid - no jobs need to be archived or removed');
       }
+    } else if (changes.disappeared.length > 0) {
+      // Jobs the change feed no longer saw in Mysolution are archived like in a full sync
+      const disappearedJobs = changes.disappeared
+        .map(mysolutionId => webflowJobsMap.get(mysolutionId))
+        .filter(job => job && !job.isArchived);
+      logger.info(`${changes.disappeared.length} jobs disappeared from Mysolution, ${disappearedJobs.length} of them have a live Webflow item`);
+      if (disappearedJobs.length > 0) {
+        console.log(`\nℹ️ Found ${disappearedJobs.length} jobs that no longer exist in Mysolution`);
+      }
+      disappearedJobs.forEach(job => {
+        tasks.push({
+          type: 'archive-item',
+          key: `archive-item:${job.id}`,
+          syncId,
+          payload: { itemId: job.id, mysolutionId: job.fieldData['mysolution-id'], name: job.name, reason: 'No longer exists in Mysolution', reasonCodes: ['not-in-mysolution'] }
+        });
+      });
+    }
+    
+    // Routed jobs live in other collections, which the jobs collection above doesn't cover
+    const publishableJobIds = new Set(mysolutionJobs.map(job => job.Id));
+    const routedItems = await getLiveRoutedItems(mysolutionId => (incrementalOnly
+      ? changes.disappeared.includes(mysolutionId)
+      : !publishableJobIds.has(mysolutionId)));
+    routedItems.forEach(({ item, collectionId, mysolutionId }) => {
+      const mysolutionJob = allFetchedJobs.find(job => job.Id === mysolutionId);
+      tasks.push({
+        type: 'archive-item',
+        key: `archive-item:${item.id}`,
+        syncId,
+        payload: {
+          itemId: item.id,
+          collectionId,
+          mysolutionId,
+          name: item.fieldData && item.fieldData.name,
+          reason: mysolutionJob ? getArchiveReason(mysolutionJob) : 'No longer exists in Mysolution',
+          reasonCodes: mysolutionJob ? getArchiveReasonCodes(mysolutionJob) : ['not-in-mysolution']
+        }
+      });
+    });
+    if (routedItems.length > 0) {
+      logger.info(`Found ${routedItems.length} routed jobs to archive in other collections`);
+    }
+    
+    // Hold the archive step when it would archive more live jobs than the mass-archive guard allows
+    const archiveTasks = tasks.filter(task => task.type === 'archive-item');
+    const liveItemIds = new Set([
+      ...webflowJobs.filter(job => !job.isArchived).map(job => job.id),
+      ...routedItems.map(({ item }) => item.id)
+    ]);
+    const archiveHoldReason = archiveApprovalService.checkBatch(
+      archiveTasks.filter(task => liveItemIds.has(task.payload.itemId)).length,
+      liveItemIds.size
+    );
+    if (archiveHoldReason) {
+      tasks = tasks.filter(task => task.type !== 'archive-item');
+    }
+    
+    // In dry-run mode, report what the tasks would do instead of queueing them
+    if (options.dryRun) {
+      logger.info(`Building sync plan for ${tasks.length} tasks (dry run)`, { syncId });
+      const plan = await buildSyncPlan({
+        syncId,
+        type: incrementalOnly ? 'incremental' : 'full',
+        tasks,
+        webflowJobsMap,
+        options
+      });
+      plan.summary.skipped = skippedCount;
+      if (changes.heldDeletions) {
+        plan.heldDeletions = changes.heldDeletions;
+      }
+      if (archiveHoldReason) {
+        plan.archiveHold = { reason: archiveHoldReason, items: archiveTasks.map(task => task.payload) };
+      }
+      clearTimeout(heartbeat);
+      return plan;
+    }
+    
+    logger.info(`Queueing ${tasks.length} sync tasks`, { syncId });
+    await syncQueue.enqueue(tasks);
+    if (archiveHoldReason) {
+      await archiveApprovalService.holdBatch({
+        syncId,
+        syncType: incrementalOnly ? 'incremental' : 'full',
+        reason: archiveHoldReason,
+        liveCount: liveItemIds.size,
+        items: archiveTasks.map(task => task.payload)
+      });
+    } else if (!incrementalOnly) {
+      // A full sync within the limits means the job list is sound again, so a held batch is outdated
+      await archiveApprovalService.supersedePending(syncId);
+    }
+    
+    // Drain the queue within the time budget; anything left is picked up by the queue cron
+    const timeBudgetMs = Number.isFinite(options.timeBudgetMs) ? options.timeBudgetMs : config.sync.timeBudgetMs;
+    const deadline = timeBudgetMs > 0 ? syncStartedAt + timeBudgetMs : null;
+    const drainResult = await drainQueue({ deadline, concurrency: options.concurrency, owner: syncId, bulk: shouldUseBulk(tasks.length) });
+    
+    skippedCount += drainResult.skipped;
+    const successful = drainResult.upserted;
+    const failed = drainResult.upsertFailed;
+    const archiveSuccessful = drainResult.archived;
+    const archiveFailed = drainResult.archiveFailed;
+    const queued = drainResult.remaining;
+
+    // The next run only needs to look at what changed after this one, apart from the jobs of this
+    // run's tasks that failed or are still queued
+    const unwrittenJobIds = (await syncQueue.list())
+      .filter(task => task.syncId === syncId)
+      .map(task => (task.type === 'upsert-job' ? task.payload.mysolutionJob.Id : task.payload.mysolutionId))
+      .filter(Boolean);
+    await jobChangeFeed.commit(changes, { exclude: unwrittenJobIds });
+    
+    console.log(`DEBUG: syncId before final log: ${syncId}`);
+    logger.info(`Jobs sync completed. ${successful} jobs synchronized successfully, ${failed} jobs failed`, { 
+      syncId,
+      syncType: incrementalOnly ? 'incremental' : 'full',
+      successful,
+      failed,
+      skipped: skippedCount,
+      queued
+    });
+    
+    // Update last sync time
+    if (incrementalOnly) {
+      await syncStateStore.updateLastIncrementalSyncTime();
+    } else {
+      await syncStateStore.updateLastFullSyncTime();
+    }
+    
+    // Create sync results for emitting
+    const syncResults = {
+      type: incrementalOnly ? 'incremental' : 'full',
+      timestamp: new Date().toISOString(),
+      syncId: syncId,
+      total: successful + failed + skippedCount,
+      successful: successful,
+      failed: failed,
+      skipped: skippedCount,
+      queued: queued
+    };
+    
+    // Emit sync completed event for real-time updates
+    if (global.eventBus) {
+      global.eventBus.emit('sync-completed', { 
+        syncType: incrementalOnly ? 'incremental' : 'full',
+        lastSync: new Date().toISOString(),
+        syncId: syncId,
+        syncResults: syncResults
+      });
     }
     
     // Publish changes to Webflow if any jobs were successfully processed
@@ -642,8 +784,11 @@ async function syncJobs(incrementalOnly = false, syncId = `sync-${Date.now()}`,
       console.log(`❌ FAILED JOBS: ${failed} (check logs for details)`);
     }
     console.log(`⏩ SKIPPED JOBS: ${skippedCount} (no changes detected)`);
+    if (queued > 0) {
+      console.log(`⏸️ QUEUED TASKS: ${queued} (left in the work queue, will be resumed by the queue worker)`);
+    }
     
-    if (!incrementalOnly) {
+    if (!incrementalOnly || archiveSuccessful > 0 || archiveFailed > 0) {
       console.log(`🗃️ ARCHIVED JOBS: ${archiveSuccessful} (no longer publishable or deleted from Mysolution)`);
       if (archiveFailed > 0) {
         console.log(`❌ FAILED ARCHIVES: ${archiveFailed} (check logs for details)`);
@@ -662,20 +807,248 @@ async function syncJobs(incrementalOnly = false, syncId = `sync-${Date.now()}`,
     try { clearTimeout(heartbeat); } catch {}
 
     // Return summary
-    return {
+    const summary = {
       successful,
       failed,
       archiveSuccessful,
       archiveFailed,
-      skipped: skippedCount
+      skipped: skippedCount,
+      queued
     };
+    if (changes.heldDeletions) {
+      summary.deletionsHeld = changes.heldDeletions.jobIds.length;
+    }
+    if (archiveHoldReason) {
+      summary.archivesHeld = archiveTasks.length;
+    }
+    await syncRunHistory.finishRun(syncId, { summary });
+    return summary;
   } catch (error) {
     console.error('Error during jobs sync:', error);
     logger.error('Error during jobs sync:', error);
+    if (!options.dryRun) {
+      await syncRunHistory.finishRun(syncId, { error }).catch(historyError => {
+        logger.error('Failed to record sync run failure:', historyError);
+      });
+    }
     // Best-effort: clear heartbeat timer
     try { clearTimeout(heartbeat); } catch {}
     throw error;
   }
 }
 
-export { jobsSync, incrementalJobsSync }; 
\ No newline at end of file
+/**
+ * Look up a single job in Mysolution and its item in Webflow
+ * @param {string} mysolutionId - Mysolution job ID
+ * @param {string} event - Event type: 'created', 'updated' or 'deleted'
+ * @param {string} syncId - Sync ID used in log entries
+ * @returns {Promise<Object>} { mysolutionJob, verdict, publish, collectionId, existingJob }
+ * @private
+ */
+async function lookUpSingleJob(mysolutionId, event, syncId) {
+  // Fetch the job unless it was deleted in Mysolution
+  let mysolutionJob = null;
+  if (event !== 'deleted') {
+    try {
+      mysolutionJob = await mysolutionAPI.getJobById(mysolutionId);
+    } catch (error) {
+      if (error.code !== 'JOB_NOT_FOUND') {
+        throw error;
+      }
+      logger.warn(`Job ${mysolutionId} no longer exists in Mysolution, treating event as a deletion`, { syncId });
+    }
+  }
+
+  // Look the item up in the collection the job is routed to, or where it was last written
+  const verdict = mysolutionJob ? evaluatePublication(mysolutionJob) : null;
+  const publish = Boolean(verdict && verdict.publish);
+  const route = publish ? await jobRoutingService.routeJob(mysolutionJob) : null;
+  const location = route ? null : await jobRoutingService.getJobLocation(mysolutionId);
+  const collectionId = route ? route.collectionId : location ? location.collectionId : webflowAPI.jobsCollectionId;
+
+  const existingJob = await webflowAPI.findJobByMysolutionId(mysolutionId, { collectionId });
+  return { mysolutionJob, verdict, publish, collectionId, existingJob };
+}
+
+/**
+ * Queue the upsert or archive of a single job for the sync that holds the lock
+ * The running sync drains the queue before it finishes, otherwise the queue cron picks the task up.
+ * @param {string} mysolutionId - Mysolution job ID
+ * @param {string} event - Event type: 'created', 'updated' or 'deleted'
+ * @param {Error} lockError - SYNC_ALREADY_RUNNING error of the lock
+ * @returns {Promise<Object>} Sync result with action 'queued', or 'skipped' when there is nothing to do
+ * @private
+ */
+async function queueSingleJob(mysolutionId, event, lockError) {
+  const { mysolutionJob, verdict, publish, collectionId, existingJob } = await lookUpSingleJob(mysolutionId, event, null);
+  const inJobsCollection = collectionId === webflowAPI.jobsCollectionId;
+
+  let task = null;
+  if (publish) {
+    task = {
+      type: 'upsert-job',
+      key: `upsert-job:${mysolutionId}`,
+      payload: {
+        mysolutionJob,
+        existingJobId: existingJob && inJobsCollection ? existingJob.id : undefined,
+        existingItemState: existingJob && inJobsCollection ? { isArchived: existingJob.isArchived, isDraft: existingJob.isDraft } : undefined
+      }
+    };
+  } else if (existingJob && !existingJob.isArchived) {
+    task = {
+      type: 'archive-item',
+      key: `archive-item:${existingJob.id}`,
+      payload: {
+        itemId: existingJob.id,
+        collectionId: inJobsCollection ? undefined : collectionId,
+        mysolutionId,
+        name: existingJob.fieldData && existingJob.fieldData.name,
+        reason: verdict ? verdict.reasons.map(reason => reason.message).join('; ') : 'Job deleted in Mysolution',
+        reasonCodes: verdict ? verdict.reasons.map(reason => reason.code) : ['not-in-mysolution']
+      }
+    };
+  }
+
+  if (task) {
+    await syncQueue.enqueue([task]);
+  }
+  if (mysolutionJob) {
+    await publicationWindowService.scheduleJobs([mysolutionJob]);
+  }
+
+  const action = task ? 'queued' : 'skipped';
+  logger.info(`Single job sync for ${mysolutionId} ${task ? `queued as ${task.type}` : 'skipped'}: ${lockError.message}`, { mysolutionId, event, runningSyncId: lockError.runningSyncId });
+
+  return {
+    syncId: null,
+    mysolutionId,
+    event,
+    action,
+    task: task ? task.type : null,
+    runningSyncId: lockError.runningSyncId,
+    webflowItem: existingJob ? { id: existingJob.id, isArchived: existingJob.isArchived, isDraft: existingJob.isDraft } : null
+  };
+}
+
+/**
+ * Synchronize a single job to the site of the current tenant
+ * Fetches only the given job and upserts or archives just that Webflow item.
+ * While another sync holds the lock, the upsert or archive is queued for it instead (action 'queued').
+ * @param {string} mysolutionId - Mysolution job ID
+ * @param {Object} options - Sync options
+ * @param {string} options.event - Event type: 'created', 'updated' or 'deleted'
+ * @returns {Object} Sync result with the resulting Webflow item
+ * @private
+ */
+async function tenantSyncSingleJob(mysolutionId, options = {}) {
+  const syncId = `single-sync-${Date.now()}`;
+  const event = options.event || 'updated';
+
+  if (!mysolutionId) {
+    throw new Error('Mysolution job ID is required for a single job sync');
+  }
+
+  let releaseLock = null;
+  try {
+    logger.info(`Starting single job sync for ${mysolutionId} (${event})`, { syncId, tenant: getCurrentTenant().id, mysolutionId, event });
+    try {
+      releaseLock = await syncLock.hold(syncId, { type: 'single', mysolutionId });
+    } catch (error) {
+      if (error.code !== 'SYNC_ALREADY_RUNNING') {
+        throw error;
+      }
+      return await queueSingleJob(mysolutionId, event, error);
+    }
+    await syncRunHistory.startRun(syncId, 'single', { event });
+
+    const { mysolutionJob, verdict, publish, collectionId, existingJob } = await lookUpSingleJob(mysolutionId, event, syncId);
+    let action;
+    let webflowItem = existingJob;
+    let archiveReason = null;
+    let archiveReasonCodes = null;
+
+    if (publish) {
+      const webflowJobData = await transformMysolutionToWebflow(mysolutionJob);
+      const contentHash = hashFieldData(webflowJobData);
+      const result = await webflowAPI.createOrUpdateJobByMysolutionId(
+        mysolutionId,
+        webflowJobData,
+        { existingJobId: existingJob ? existingJob.id : undefined, collectionId }
+      );
+      action = existingJob ? 'updated' : 'created';
+      webflowItem = result;
+      await jobRoutingService.recordJobLocation(mysolutionId, collectionId, result.id);
+
+      const modified = getJobModificationDate(mysolutionJob);
+      if (modified) {
+        await syncStateStore.updateJobModificationDate(mysolutionId, modified);
+      }
+      await syncStateStore.storeJobContentHashes({ [mysolutionId]: contentHash });
+      await sectorMappingService.saveUnmappedSectors();
+    } else {
+      archiveReason = verdict ? verdict.reasons.map(reason => reason.message).join('; ') : 'Job deleted in Mysolution';
+      archiveReasonCodes = verdict ? verdict.reasons.map(reason => reason.code) : ['not-in-mysolution'];
+
+      if (!existingJob) {
+        action = 'skipped';
+        logger.info(`No Webflow item found for job ${mysolutionId}, nothing to archive`, { syncId });
+      } else if (existingJob.isArchived) {
+        action = 'skipped';
+        logger.info(`Webflow item ${existingJob.id} for job ${mysolutionId} is already archived`, { syncId });
+      } else {
+        webflowItem = await webflowAPI.archiveJob(existingJob.id, { collectionId });
+        action = 'archived';
+      }
+    }
+
+    if (mysolutionJob) {
+      await publicationWindowService.scheduleJobs([mysolutionJob]);
+    }
+
+    logger.info(`Single job sync for ${mysolutionId} completed: ${action}`, { syncId, mysolutionId, action, archiveReason, archiveReasonCodes });
+    await syncRunHistory.recordJobs(syncId, [{ mysolutionId, itemId: webflowItem?.id, action, archiveReason, archiveReasonCodes }]);
+    await syncRunHistory.finishRun(syncId, { summary: { action } });
+
+    if (action !== 'skipped') {
+      try {
+        await publishingService.publishIfEnabled(`Single job sync (${mysolutionId} ${action})`);
+      } catch (error) {
+        logger.error('Error publishing site changes after single job sync:', error);
+        // Don't throw the error - the sync was successful, publishing is secondary
+      }
+    }
+
+    return {
+      syncId,
+      mysolutionId,
+      event,
+      action,
+      archiveReason,
+      archiveReasonCodes,
+      webflowItem: webflowItem ? {
+        id: webflowItem.id,
+        name: webflowItem.fieldData?.name,
+        slug: webflowItem.fieldData?.slug,
+        isArchived: webflowItem.isArchived,
+        isDraft: webflowItem.isDraft,
+        lastUpdated: webflowItem.lastUpdated
+      } : null
+    };
+  } catch (error) {
+    logger.error(`Error during single job sync for ${mysolutionId}:`, { syncId, error: error.message, stack: error.stack });
+    await syncStateStore.recordSyncError(error);
+    try {
+      await syncRunHistory.recordJobs(syncId, [{ mysolutionId, action: 'failed', error: error.message }]);
+      await syncRunHistory.finishRun(syncId, { error });
+    } catch (historyError) {
+      logger.error('Failed to record single job sync failure:', historyError);
+    }
+    throw error;
+  } finally {
+    if (releaseLock) {
+      await releaseLock();
+    }
+  }
+}
+
+export { jobsSync, incrementalJobsSync, syncSingleJob, describeSyncResult };
\ No newline at end of file
@@ -1,69 +1,19 @@
-import axios from 'axios';
 import { logger } from '../utils/logger.js';
 import config from '../utils/config.js';
-import mysolutionAuthClient from '../utils/mysolutionAuthClient.js';
+import { createMysolutionClient } from '../utils/mysolutionHttpClient.js';
 
 class MysolutionJobService {
   constructor() {
     this.baseURL = config.mysolution.apiUrl;
     this.timeout = config.mysolution.timeout;
-    this.retryAttempts = config.mysolution.retryAttempts;
-    this.retryDelay = config.mysolution.retryDelay;
     
-    // Create axios instance with base configuration
-    this.client = axios.create({
-      baseURL: this.baseURL,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: this.timeout
-    });
-    
-    // Add request interceptor to add auth token
-    this.client.interceptors.request.use(
-      async config => {
-        // Get a valid token from the auth client
-        const token = await mysolutionAuthClient.getAccessToken();
-        // Add the token to the request
-        config.headers['Authorization'] = `Bearer ${token}`;
-        return config;
-      },
-      error => {
-        logger.error('Request preparation error:', error);
-        return Promise.reject(error);
-      }
-    );
-    
-    // Add response interceptor for error handling
-    this.client.interceptors.response.use(
-      response => {
-        return response;
-      },
-      error => {
-        // Log the error details
-        logger.error('Mysolution API error:', {
-          url: error.config?.url,
-          method: error.config?.method,
-          status: error.response?.status,
-          data: error.response?.data,
-          message: error.message
-        });
-        
-        // Handle authentication errors
-        if (error.response?.status === 401 || 
-            error.response?.status === 403 ||
-            error.response?.data?.error === 'invalid_token') {
-          logger.warn('Authentication error detected, invalidating token');
-          mysolutionAuthClient.invalidateToken();
-        }
-        
-        return Promise.reject(error);
-      }
-    );
+    // Auth token, retries and the circuit breaker are handled by the shared Mysolution HTTP layer
+    this.client = createMysolutionClient({ timeout: this.timeout });
   }
 
   /**
-   * Make a request to Mysolution API with automatic retry for network errors
+   * Make a request to Mysolution API
+   * Network errors and 5xx responses are retried by the shared Mysolution HTTP layer.
    * @param {string} method HTTP method (get, post, etc.)
    * @param {string} url API endpoint URL
    * @param {Object} options Request options (params, data, etc.)
@@ -71,47 +21,18 @@ class MysolutionJobService {
    * @private
    */
   async _makeRequest(method, url, options = {}) {
-    let attempts = 0;
-    let lastError = null;
-    
-    while (attempts < this.retryAttempts) {
-      try {
-        logger.debug(`Making ${method.toUpperCase()} request to ${url}`, { options });
-        
-        const response = await this.client[method](url, options);
-        return response.data;
-      } catch (error) {
-        lastError = error;
-        attempts++;
-        
-        // If not a network error or we've hit max retries, throw the error
-        const isNetworkError = !error.response || error.code === 'ECONNABORTED';
-        if (!isNetworkError || attempts >= this.retryAttempts) {
-          break;
-        }
-        
-        // Log retry attempt
-        const waitTime = this.retryDelay * attempts;
-        logger.warn(`Request failed due to network error. Retrying in ${waitTime}ms (attempt ${attempts}/${this.retryAttempts})`, {
-          error: error.message,
-          url,
-          method,
-          attempt: attempts,
-          maxAttempts: this.retryAttempts
-        });
-        
-        // Wait before retrying
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      }
+    try {
+      logger.debug(`Making ${method.toUpperCase()} request to ${url}`, { options });
+      const response = await this.client[method](url, options);
+      return response.data;
+    } catch (error) {
+      logger.error('Request failed', {
+        error: error.message,
+        url,
+        method
+      });
+      throw error;
     }
-    
-    // If we've exhausted all retries, throw the last error
-    logger.error(`Request failed after ${this.retryAttempts} attempts`, {
-      error: lastError.message,
-      url,
-      method
-    });
-    throw lastError;
   }
   
   /**
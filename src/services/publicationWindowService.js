@@ -0,0 +1,93 @@
+import { logger } from '../utils/logger.js';
+import config from '../utils/config.js';
+import syncQueue from './syncQueue.js';
+import { getPublicationBoundaries } from '../models/publicationRules.js';
+
+const TASK_TYPE = 'publication-window';
+
+/**
+ * Publication windows
+ *
+ * A job with a start date (go-live) or end date (expiry) changes its publication verdict at that
+ * moment, not when it is modified. For every synced job the next such boundary is queued as a
+ * scheduled "publication-window" task that becomes available at the boundary; the queue worker then
+ * checks the job again and publishes or archives it, and the site is published once per queue run.
+ * Only boundaries within the horizon are queued so the queue doesn't fill up with far-away dates;
+ * the daily full sync queues them once they come within reach.
+ */
+class PublicationWindowService {
+  /**
+   * Queue a window check for every job whose next boundary is within the horizon
+   * A job has at most one pending check; queueing it again moves it to the new boundary, and the check
+   * of a job that no longer has a boundary within the horizon is removed.
+   * @param {Array<Object>} jobs - Jobs from Mysolution
+   * @param {Object} options - Options
+   * @param {Date} options.now - Moment to compute the boundaries from
+   * @returns {Promise<Array<Object>>} Queued checks as { mysolutionId, name, boundary, kind, at }
+   */
+  async scheduleJobs(jobs, { now = new Date() } = {}) {
+    if (!config.publicationWindows.enabled || !jobs || jobs.length === 0) {
+      return [];
+    }
+
+    const horizon = now.getTime() + config.publicationWindows.horizonHours * 60 * 60 * 1000;
+    const tasks = [];
+    const unscheduledKeys = [];
+
+    for (const job of jobs) {
+      const [next] = getPublicationBoundaries(job, { now });
+      if (!next || next.at.getTime() > horizon) {
+        unscheduledKeys.push(`${TASK_TYPE}:${job.Id}`);
+        continue;
+      }
+
+      tasks.push({
+        type: TASK_TYPE,
+        key: `${TASK_TYPE}:${job.Id}`,
+        availableAt: next.at.toISOString(),
+        scheduled: true,
+        payload: {
+          mysolutionId: job.Id,
+          name: job.Name,
+          boundary: next.code,
+          kind: next.kind,
+          at: next.at.toISOString()
+        }
+      });
+    }
+
+    // Only touch the queue when one of these jobs has a check waiting, as most jobs never have one
+    const pendingKeys = new Set((await syncQueue.list({ status: 'pending' }))
+      .filter(task => task.type === TASK_TYPE)
+      .map(task => task.key));
+    const staleKeys = unscheduledKeys.filter(key => pendingKeys.has(key));
+    if (staleKeys.length > 0) {
+      await syncQueue.removePending(staleKeys);
+      logger.info(`Removed ${staleKeys.length} publication window checks of jobs without a boundary within the horizon`);
+    }
+
+    if (tasks.length > 0) {
+      await syncQueue.enqueue(tasks);
+      logger.info(`Scheduled ${tasks.length} publication window checks within the next ${config.publicationWindows.horizonHours} hours`);
+    }
+
+    return tasks.map(task => task.payload);
+  }
+
+  /**
+   * Get the queued window checks, earliest first
+   * @returns {Promise<Array<Object>>} Checks as { mysolutionId, name, boundary, kind, at, status }
+   */
+  async getScheduled() {
+    const tasks = await syncQueue.list();
+    return tasks
+      .filter(task => task.type === TASK_TYPE)
+      .map(task => ({ ...task.payload, status: task.status, availableAt: task.availableAt }))
+      .sort((a, b) => new Date(a.availableAt) - new Date(b.availableAt));
+  }
+}
+
+// Create and export a singleton instance
+const publicationWindowService = new PublicationWindowService();
+export default publicationWindowService;
+export { TASK_TYPE as PUBLICATION_WINDOW_TASK };
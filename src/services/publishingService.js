@@ -1,17 +1,75 @@
 import webflowAPI from '../api/webflow.js';
 import { logger } from '../utils/logger.js';
-import config from '../utils/config.js';
+import { getCurrentTenant } from '../utils/tenants.js';
+import syncStateStore from '../utils/syncStateStore.js';
 
 /**
  * Service for handling Webflow content publishing operations
+ * Every tenant publishes its own site, with its own auto-publish setting and throttling.
+ * With publish mode "items" an automatic publish only publishes the collection items written since
+ * the last publish (and takes archived ones off the live site), so unfinished pages stay unpublished.
+ * The Webflow client remembers written items in memory; saveChangedItems moves them to the sync state
+ * (pendingPublishItems), so items written by an invocation that ends before it publishes are
+ * published by a later one.
  */
 class PublishingService {
   constructor() {
-    // Track publication operations to prevent too frequent publishing
-    this.lastPublishTime = 0;
     this.minPublishInterval = 10000; // 10 seconds minimum between publish operations
-    this.pendingPublish = false;
-    this.autoPublish = config.webflow.autoPublish;
+    // Publishing state by tenant ID
+    this.tenantStates = new Map();
+  }
+
+  /**
+   * Get the publishing state of the current tenant
+   * @returns {Object} { lastPublishTime, pendingPublish, pendingScope, pendingPromise, autoPublish }
+   * @private
+   */
+  _getTenantState() {
+    const tenant = getCurrentTenant();
+    if (!this.tenantStates.has(tenant.id)) {
+      // Track publication operations to prevent too frequent publishing
+      this.tenantStates.set(tenant.id, {
+        lastPublishTime: 0,
+        pendingPublish: false,
+        // Scope and result of the scheduled publish, so later requests can join it
+        pendingScope: null,
+        pendingPromise: null,
+        autoPublish: tenant.webflow.autoPublish
+      });
+    }
+    return this.tenantStates.get(tenant.id);
+  }
+
+  get lastPublishTime() {
+    return this._getTenantState().lastPublishTime;
+  }
+
+  set lastPublishTime(value) {
+    this._getTenantState().lastPublishTime = value;
+  }
+
+  get pendingPublish() {
+    return this._getTenantState().pendingPublish;
+  }
+
+  set pendingPublish(value) {
+    this._getTenantState().pendingPublish = value;
+  }
+
+  get autoPublish() {
+    return this._getTenantState().autoPublish;
+  }
+
+  set autoPublish(value) {
+    this._getTenantState().autoPublish = value;
+  }
+
+  /**
+   * What automatic publishes publish for the current tenant
+   * @returns {string} 'site' or 'items'
+   */
+  get publishMode() {
+    return getCurrentTenant().webflow.publishMode === 'items' ? 'items' : 'site';
   }
 
   /**
@@ -31,6 +89,34 @@ class PublishingService {
     logger.info(`Automatic publishing ${this.autoPublish ? 'enabled' : 'disabled'}`);
   }
 
+  /**
+   * Move the items written since the last publish from memory to the sync state
+   * @returns {Promise<number>} Number of items moved
+   */
+  async saveChangedItems() {
+    const changes = webflowAPI.takeChangedItems();
+    const count = changes.reduce((total, change) => total + change.publish.length + change.unpublish.length, 0);
+    if (count === 0) {
+      return 0;
+    }
+
+    await syncStateStore.updateSyncState(state => {
+      state.pendingPublishItems = mergeItemChanges(state.pendingPublishItems, changes);
+    });
+    return count;
+  }
+
+  /**
+   * Count the items waiting to be published, in memory and in the sync state
+   * @returns {Promise<number>} Number of items
+   */
+  async countPendingItems() {
+    const state = await syncStateStore.getSyncState();
+    const stored = Object.values(state.pendingPublishItems || {})
+      .reduce((total, items) => total + Object.keys(items).length, 0);
+    return stored + webflowAPI.countChangedItems();
+  }
+
   /**
    * Publish changes to the Webflow site if autoPublish is enabled
    * Respects the minimum time interval between publish operations
@@ -48,26 +134,29 @@ class PublishingService {
     }
 
     console.log(`✅ Auto-publish is enabled, proceeding with publish (reason: ${reason})`);
-    return this.publishChanges(reason);
+    return this.publishChanges(reason, false, this.publishMode);
   }
 
   /**
    * Force publish changes to the Webflow site regardless of autoPublish setting
    * @param {string} reason - Reason for publishing (for logging)
+   * @param {Object} options - Publish options
+   * @param {string} options.scope - 'site' to publish the whole site (default), 'items' for the changed items only
    * @returns {Promise<object>} Publish result
    */
-  async forcePublish(reason) {
-    return this.publishChanges(reason, true);
+  async forcePublish(reason, { scope = 'site' } = {}) {
+    return this.publishChanges(reason, true, scope);
   }
 
   /**
    * Internal method to publish changes with throttling
    * @param {string} reason - Reason for publishing
    * @param {boolean} force - Whether to bypass autoPublish setting
+   * @param {string} scope - 'site' or 'items'
    * @returns {Promise<object|null>} Publish result or null if not published
    * @private
    */
-  async publishChanges(reason, force = false) {
+  async publishChanges(reason, force = false, scope = 'site') {
     console.log(`\n==== 📡 PUBLISH CHANGES (${reason}) ====`);
     console.log(`🔍 Force publish: ${force ? '✅ YES' : '❌ NO'}, Auto-publish enabled: ${this.autoPublish ? '✅ YES' : '❌ NO'}`);
     
@@ -99,14 +188,19 @@ class PublishingService {
         minInterval: this.minPublishInterval
       });
 
-      // If we're already planning to publish soon, just return
+      // If we're already planning to publish soon, join that publish; a site publish widens an items publish
+      const tenantState = this._getTenantState();
       if (this.pendingPublish) {
+        if (scope === 'site' && tenantState.pendingScope !== 'site') {
+          tenantState.pendingScope = 'site';
+        }
         console.log('ℹ️ A publish is already scheduled for later, this request will be combined with it.');
-        return null;
+        return tenantState.pendingPromise;
       }
 
       // Schedule a publish after the minimum interval
       this.pendingPublish = true;
+      tenantState.pendingScope = scope;
       const waitTime = this.minPublishInterval - timeSinceLastPublish;
       
       console.log(`🕒 Scheduling publish in ${waitTime}ms (reason: ${reason})`);
@@ -115,34 +209,50 @@ class PublishingService {
       
       logger.debug(`Scheduling publish in ${waitTime}ms`, { reason });
       
-      return new Promise((resolve, reject) => {
+      tenantState.pendingPromise = new Promise((resolve, reject) => {
         setTimeout(async () => {
+          const pendingScope = tenantState.pendingScope;
+          tenantState.pendingPublish = false;
+          tenantState.pendingScope = null;
+          tenantState.pendingPromise = null;
           try {
             console.log(`\n⏰ EXECUTING DELAYED PUBLISH NOW (${reason})`);
-            this.pendingPublish = false;
-            const result = await this._doPublish(reason);
+            const result = await this._doPublish(reason, pendingScope);
             resolve(result);
           } catch (error) {
             console.error(`❌ ERROR in delayed publish: ${error.message}`);
-            this.pendingPublish = false;
             reject(error);
           }
         }, waitTime);
       });
+      const pendingPromise = tenantState.pendingPromise;
+
+      // The timer doesn't survive the end of a serverless invocation, so keep the written items in the sync state
+      try {
+        await this.saveChangedItems();
+      } catch (error) {
+        logger.error('Could not store the changed items of a scheduled publish:', error);
+      }
+      return pendingPromise;
     }
 
     console.log(`✅ Publishing immediately (reason: ${reason})`);
     // We can publish immediately
-    return this._doPublish(reason);
+    return this._doPublish(reason, scope);
   }
 
   /**
    * Execute the actual publish operation
    * @param {string} reason - Reason for publishing
+   * @param {string} scope - 'site' or 'items'
    * @returns {Promise<object>} Publish result
    * @private
    */
-  async _doPublish(reason) {
+  async _doPublish(reason, scope = 'site') {
+    if (scope === 'items') {
+      return this._publishChangedItems(reason);
+    }
+
     try {
       console.log(`\n==== 🚀 EXECUTING PUBLISH OPERATION (${reason}) ====`);
       logger.info(`Publishing Webflow site changes: ${reason}`);
@@ -152,6 +262,11 @@ class PublishingService {
       
       console.log('📡 Sending publish request to Webflow API...');
       const result = await webflowAPI.publishSite();
+      // The site publish made every written item live
+      webflowAPI.takeChangedItems();
+      await syncStateStore.updateSyncState(state => {
+        state.pendingPublishItems = {};
+      });
       
       // Ensure publishedOn exists in the result
       const publishedOn = result?.publishedOn || new Date().toISOString();
@@ -189,6 +304,101 @@ class PublishingService {
       throw new Error(`Failed to publish Webflow site: ${error.message}`);
     }
   }
+
+  /**
+   * Publish the items written since the last publish, and unpublish the archived ones
+   * Items that could not be published are kept for the next publish.
+   * @param {string} reason - Reason for publishing
+   * @returns {Promise<object>} Publish result with the numbers of published and unpublished items
+   * @private
+   */
+  async _publishChangedItems(reason) {
+    const memoryChanges = webflowAPI.takeChangedItems();
+    const changes = await syncStateStore.updateSyncState(state => {
+      const pending = mergeItemChanges(state.pendingPublishItems, memoryChanges);
+      state.pendingPublishItems = {};
+      return toItemChanges(pending);
+    });
+    const published = changes.reduce((total, change) => total + change.publish.length, 0);
+    const unpublished = changes.reduce((total, change) => total + change.unpublish.length, 0);
+
+    this.lastPublishTime = Date.now();
+    const publishedOn = new Date().toISOString();
+
+    if (published === 0 && unpublished === 0) {
+      logger.info(`No changed items to publish: ${reason}`);
+      return { publishedOn, published, unpublished };
+    }
+
+    console.log(`\n==== 🚀 PUBLISHING ${published} CHANGED ITEMS, UNPUBLISHING ${unpublished} (${reason}) ====`);
+    logger.info(`Publishing ${published} changed items and unpublishing ${unpublished} archived items: ${reason}`);
+
+    const failed = [];
+    for (const change of changes) {
+      const remaining = { collectionId: change.collectionId, publish: [], unpublish: [] };
+      try {
+        await webflowAPI.publishItems(change.collectionId, change.publish);
+      } catch (error) {
+        logger.error(`Failed to publish ${change.publish.length} items of collection ${change.collectionId}: ${error.message}`);
+        remaining.publish = change.publish;
+      }
+      try {
+        await webflowAPI.unpublishItems(change.collectionId, change.unpublish);
+      } catch (error) {
+        logger.error(`Failed to unpublish ${change.unpublish.length} items of collection ${change.collectionId}: ${error.message}`);
+        remaining.unpublish = change.unpublish;
+      }
+      if (remaining.publish.length > 0 || remaining.unpublish.length > 0) {
+        failed.push(remaining);
+      }
+    }
+
+    if (failed.length > 0) {
+      // Items written while publishing win over the restored ones
+      await syncStateStore.updateSyncState(state => {
+        state.pendingPublishItems = mergeItemChanges(mergeItemChanges({}, failed), toItemChanges(state.pendingPublishItems || {}));
+      });
+      throw new Error(`Failed to publish ${failed.reduce((total, change) => total + change.publish.length + change.unpublish.length, 0)} changed items, they are retried at the next publish`);
+    }
+
+    console.log(`✅ PUBLISHED ${published} ITEMS, UNPUBLISHED ${unpublished}`);
+    logger.info('Successfully published changed Webflow items', { reason, published, unpublished });
+
+    if (global.eventBus) {
+      global.eventBus.emit('sync-completed');
+    }
+
+    return { publishedOn, published, unpublished };
+  }
+}
+
+/**
+ * Add item changes to the pending items stored in the sync state; later changes win
+ * @param {Object} pending - Stored items: collection ID -> { item ID -> 'publish' | 'unpublish' }
+ * @param {Array<Object>} changes - Changes as { collectionId, publish: [itemId], unpublish: [itemId] }
+ * @returns {Object} Merged pending items
+ */
+function mergeItemChanges(pending = {}, changes = []) {
+  const merged = { ...pending };
+  changes.forEach(({ collectionId, publish, unpublish }) => {
+    merged[collectionId] = { ...merged[collectionId] };
+    publish.forEach(itemId => { merged[collectionId][itemId] = 'publish'; });
+    unpublish.forEach(itemId => { merged[collectionId][itemId] = 'unpublish'; });
+  });
+  return merged;
+}
+
+/**
+ * Turn stored pending items into a list of changes per collection
+ * @param {Object} pending - Stored items (see mergeItemChanges)
+ * @returns {Array<Object>} Changes as { collectionId, publish: [itemId], unpublish: [itemId] }
+ */
+function toItemChanges(pending) {
+  return Object.entries(pending).map(([collectionId, items]) => ({
+    collectionId,
+    publish: Object.keys(items).filter(itemId => items[itemId] === 'publish'),
+    unpublish: Object.keys(items).filter(itemId => items[itemId] === 'unpublish')
+  }));
 }
 
 // Export singleton instance
@@ -0,0 +1,292 @@
+import { logger } from '../utils/logger.js';
+import webflowAPI, { choosePrimaryItem } from '../api/webflow.js';
+import mysolutionAPI from '../api/mysolution.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import publishingService from './publishingService.js';
+import jobRoutingService from './jobRoutingService.js';
+import { syncSingleJob } from './jobsSync.js';
+import { getJobFieldMapping } from '../models/fieldMapping.js';
+import { shouldJobBePublished } from '../utils/jobUtils.js';
+
+// Reference collections and the client call that lists their items
+const REFERENCE_COLLECTIONS = {
+  sectors: () => webflowAPI.getAllSectors(),
+  employees: () => webflowAPI.getAllEmployees()
+};
+
+const FIX_ACTIONS = ['archive', 'archive-duplicates', 'relink', 'resync'];
+
+/**
+ * Reconciliation of the Webflow jobs collection with Mysolution
+ *
+ * The report lists what a sync can't repair by itself:
+ * - items without a mysolution-id, which no sync will ever update or archive
+ * - mysolution-ids with more than one live item; syncs update only one of them
+ * - items whose sector or employee reference points to an item that doesn't exist
+ * - publishable Mysolution jobs without a live item
+ * Every finding carries the fix that resolves it, which can be posted as-is to applyFix:
+ * archive an item, archive the duplicates of a job, re-link an item to a job, or sync a job again.
+ */
+class ReconciliationService {
+  /**
+   * Build the reconciliation report of the current tenant
+   * @returns {Promise<Object>} { generatedAt, summary, withoutMysolutionId, duplicates, unknownReferences, missingJobs, skippedChecks }
+   */
+  async buildReport() {
+    const [items, mysolutionJobs, state] = await Promise.all([
+      webflowAPI.getAllJobs(),
+      mysolutionAPI.getJobs(),
+      syncStateStore.getSyncState()
+    ]);
+    const publishableJobs = mysolutionJobs.filter(job => shouldJobBePublished(job));
+    const liveItems = items.filter(item => !item.isArchived);
+    const skippedChecks = [];
+
+    // Group the live items by mysolution-id
+    const itemsById = new Map();
+    const withoutMysolutionId = [];
+    liveItems.forEach(item => {
+      const mysolutionId = item.fieldData && item.fieldData['mysolution-id'];
+      if (!mysolutionId) {
+        withoutMysolutionId.push(item);
+        return;
+      }
+      itemsById.set(mysolutionId, [...(itemsById.get(mysolutionId) || []), item]);
+    });
+
+    const routedJobs = state.routedJobs || {};
+    const missingJobs = publishableJobs
+      .filter(job => !itemsById.has(job.Id) && !routedJobs[job.Id])
+      .map(job => {
+        const archivedItem = items.find(item => item.isArchived && item.fieldData && item.fieldData['mysolution-id'] === job.Id);
+        return {
+          mysolutionId: job.Id,
+          name: job.Name,
+          archivedItemId: archivedItem ? archivedItem.id : null,
+          fix: { action: 'resync', mysolutionId: job.Id }
+        };
+      });
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      collectionId: webflowAPI.jobsCollectionId,
+      withoutMysolutionId: withoutMysolutionId.map(item => {
+        // A missing job with the same name is most likely the job this item was created for
+        const match = missingJobs.find(job => job.name && job.name === (item.fieldData && item.fieldData.name));
+        return {
+          itemId: item.id,
+          name: item.fieldData && item.fieldData.name,
+          slug: item.fieldData && item.fieldData.slug,
+          isDraft: item.isDraft,
+          suggestedMysolutionId: match ? match.mysolutionId : null,
+          fixes: [
+            ...(match ? [{ action: 'relink', itemId: item.id, mysolutionId: match.mysolutionId }] : []),
+            { action: 'archive', itemId: item.id }
+          ]
+        };
+      }),
+      duplicates: [...itemsById.entries()]
+        .filter(([, group]) => group.length > 1)
+        .map(([mysolutionId, group]) => {
+          const keep = choosePrimaryItem(group);
+          return {
+            mysolutionId,
+            keepItemId: keep.id,
+            items: group.map(item => ({
+              itemId: item.id,
+              name: item.fieldData && item.fieldData.name,
+              slug: item.fieldData && item.fieldData.slug,
+              isDraft: item.isDraft,
+              lastUpdated: item.lastUpdated
+            })),
+            fix: { action: 'archive-duplicates', mysolutionId, keepItemId: keep.id }
+          };
+        }),
+      unknownReferences: await this._findUnknownReferences(liveItems, skippedChecks),
+      missingJobs,
+      skippedChecks
+    };
+
+    report.summary = {
+      items: items.length,
+      liveItems: liveItems.length,
+      publishableJobs: publishableJobs.length,
+      withoutMysolutionId: report.withoutMysolutionId.length,
+      duplicates: report.duplicates.length,
+      unknownReferences: report.unknownReferences.length,
+      missingJobs: report.missingJobs.length
+    };
+
+    logger.info('Reconciliation report built', report.summary);
+    return report;
+  }
+
+  /**
+   * Apply a fix from the report
+   * @param {Object} fix - Fix as listed in the report
+   * @param {string} fix.action - 'archive', 'archive-duplicates', 'relink' or 'resync'
+   * @returns {Promise<Object>} What was changed
+   * @throws {Error} Error with code INVALID_FIX for unknown actions or missing parameters,
+   *   DUPLICATE_MYSOLUTION_ID when re-linking to a job that already has a live item
+   */
+  async applyFix(fix = {}) {
+    if (!FIX_ACTIONS.includes(fix.action)) {
+      throw this._fixError('INVALID_FIX', `Unknown fix action "${fix.action}"; expected one of ${FIX_ACTIONS.join(', ')}`);
+    }
+
+    let result;
+    if (fix.action === 'archive') {
+      this._requireParams(fix, ['itemId']);
+      await webflowAPI.archiveJob(fix.itemId);
+      result = { archived: [fix.itemId] };
+    } else if (fix.action === 'archive-duplicates') {
+      this._requireParams(fix, ['mysolutionId']);
+      result = await this._archiveDuplicates(fix.mysolutionId, fix.keepItemId);
+    } else if (fix.action === 'relink') {
+      this._requireParams(fix, ['itemId', 'mysolutionId']);
+      result = await this._relink(fix.itemId, fix.mysolutionId);
+    } else {
+      this._requireParams(fix, ['mysolutionId']);
+      result = { synced: await syncSingleJob(fix.mysolutionId) };
+    }
+
+    logger.info(`Reconciliation fix "${fix.action}" applied`, { fix, result });
+    if (fix.action !== 'resync' && (result.archived?.length > 0 || result.relinked)) {
+      try {
+        await publishingService.publishIfEnabled(`Reconciliation fix: ${fix.action}`);
+      } catch (error) {
+        logger.error('Error publishing site changes after reconciliation fix:', error);
+      }
+    }
+    return { action: fix.action, ...result };
+  }
+
+  /**
+   * Find live items whose reference fields point to items that don't exist
+   * The reference fields are the mapped fields with the reference-lookup transform.
+   * @param {Array<Object>} items - Live job items
+   * @param {Array<string>} skippedChecks - Collects the checks that couldn't be made
+   * @returns {Promise<Array<Object>>} Findings as { itemId, name, mysolutionId, field, collection, referenceId, fix }
+   * @private
+   */
+  async _findUnknownReferences(items, skippedChecks) {
+    const referenceFields = getJobFieldMapping().fields
+      .filter(field => [].concat(field.transform || []).includes('reference-lookup') && REFERENCE_COLLECTIONS[field.collection]);
+    const findings = [];
+
+    for (const field of referenceFields) {
+      const referenceItems = await REFERENCE_COLLECTIONS[field.collection]();
+      if (referenceItems.length === 0) {
+        // The client returns an empty list when the collection can't be read; every reference would look unknown
+        skippedChecks.push(`${field.target}: no ${field.collection} items could be loaded`);
+        continue;
+      }
+
+      const knownIds = new Set(referenceItems.map(item => item.id || item._id));
+      items.forEach(item => {
+        const referenceId = item.fieldData && item.fieldData[field.target];
+        if (referenceId && !knownIds.has(referenceId)) {
+          const mysolutionId = item.fieldData['mysolution-id'] || null;
+          findings.push({
+            itemId: item.id,
+            name: item.fieldData.name,
+            mysolutionId,
+            field: field.target,
+            collection: field.collection,
+            referenceId,
+            // Syncing the job again looks the reference up anew
+            fix: mysolutionId ? { action: 'resync', mysolutionId } : null
+          });
+        }
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Archive every live item of a job but one
+   * @param {string} mysolutionId - Mysolution job ID
+   * @param {string} keepItemId - Item to keep (defaults to the primary item, see choosePrimaryItem)
+   * @returns {Promise<Object>} { kept, archived }
+   * @private
+   */
+  async _archiveDuplicates(mysolutionId, keepItemId) {
+    const items = (await webflowAPI.getAllJobs())
+      .filter(item => !item.isArchived && item.fieldData && item.fieldData['mysolution-id'] === mysolutionId);
+    const keep = keepItemId ? items.find(item => item.id === keepItemId) : choosePrimaryItem(items);
+    if (!keep) {
+      throw this._fixError('INVALID_FIX', `Item ${keepItemId} is not a live item of Mysolution job ${mysolutionId}`);
+    }
+
+    const archived = [];
+    for (const item of items.filter(item => item.id !== keep.id)) {
+      await webflowAPI.archiveJob(item.id);
+      archived.push(item.id);
+    }
+    return { kept: keep.id, archived };
+  }
+
+  /**
+   * Link an item to a Mysolution job and sync the job into it
+   * @param {string} itemId - Webflow item ID
+   * @param {string} mysolutionId - Mysolution job ID
+   * @returns {Promise<Object>} { relinked, synced }
+   * @private
+   */
+  async _relink(itemId, mysolutionId) {
+    const items = await webflowAPI.getAllJobs();
+    const item = items.find(candidate => candidate.id === itemId);
+    if (!item) {
+      throw this._fixError('INVALID_FIX', `Item ${itemId} is not in the jobs collection`);
+    }
+    const linked = items.find(candidate => candidate.id !== itemId && !candidate.isArchived &&
+      candidate.fieldData && candidate.fieldData['mysolution-id'] === mysolutionId);
+    if (linked) {
+      throw this._fixError('DUPLICATE_MYSOLUTION_ID', `Mysolution job ${mysolutionId} already has live item ${linked.id}`);
+    }
+
+    await webflowAPI.updateItemFields(webflowAPI.jobsCollectionId, itemId, { 'mysolution-id': mysolutionId });
+    await jobRoutingService.recordJobLocation(mysolutionId, webflowAPI.jobsCollectionId, itemId);
+
+    // Write the job's current content into the item; a failure here leaves the link for the next sync
+    let synced = null;
+    try {
+      synced = await syncSingleJob(mysolutionId);
+    } catch (error) {
+      logger.warn(`Re-linked item ${itemId} to ${mysolutionId}, but syncing the job failed: ${error.message}`);
+      synced = { error: error.message };
+    }
+    return { relinked: { itemId, mysolutionId }, synced };
+  }
+
+  /**
+   * Check that a fix has the parameters its action needs
+   * @param {Object} fix - Fix
+   * @param {Array<string>} names - Required parameter names
+   * @private
+   */
+  _requireParams(fix, names) {
+    const missing = names.filter(name => !fix[name]);
+    if (missing.length > 0) {
+      throw this._fixError('INVALID_FIX', `Fix "${fix.action}" needs ${missing.join(' and ')}`);
+    }
+  }
+
+  /**
+   * Create a fix error with a code
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @returns {Error} Error
+   * @private
+   */
+  _fixError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+// Create and export a singleton instance
+const reconciliationService = new ReconciliationService();
+export default reconciliationService;
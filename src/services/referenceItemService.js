@@ -0,0 +1,125 @@
+import { logger } from '../utils/logger.js';
+import webflowAPI from '../api/webflow.js';
+import config from '../utils/config.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import { getCurrentTenant } from '../utils/tenants.js';
+
+// Created items kept in the sync state for review
+const MAX_CREATED_ITEMS = 100;
+
+/**
+ * Creates missing items in the reference collections jobs link to (sectors, employees)
+ * Creating is opt-in per collection (AUTO_CREATE_SECTORS, AUTO_CREATE_EMPLOYEES). With
+ * REFERENCE_ITEMS_REQUIRE_REVIEW the items are created as drafts, so they only go live once
+ * someone has checked and published them in Webflow.
+ */
+class ReferenceItemService {
+  constructor() {
+    this.settings = config.referenceItems;
+    // Creations in progress by tenant, collection and name, so parallel jobs don't create the same item twice
+    this.pending = new Map();
+  }
+
+  /**
+   * Create a missing sector if sector creation is enabled
+   * @param {string} name - Sector name (the BS_Sector__c value)
+   * @param {Object} options - Options
+   * @param {string} options.mysolutionId - Job that refers to the sector
+   * @param {boolean} options.dryRun - Only log what would be created
+   * @returns {Promise<Object|null>} The created sector as { id, name, isDraft }, or null if nothing was created
+   */
+  async createSector(name, { mysolutionId, dryRun = false } = {}) {
+    if (!this.settings.createSectors) {
+      return null;
+    }
+    return this._create('sectors', name, { mysolutionId, dryRun }, isDraft => webflowAPI.createSector(name, { isDraft }));
+  }
+
+  /**
+   * Create a missing employee if employee creation is enabled
+   * @param {Object} employee - Employee details from the Mysolution job owner
+   * @param {string} employee.name - Full name
+   * @param {string} employee.email - Email address (optional)
+   * @param {Object} options - Options
+   * @param {string} options.mysolutionId - Job that refers to the employee
+   * @param {boolean} options.dryRun - Only log what would be created
+   * @returns {Promise<Object|null>} The created employee as { id, name, isDraft }, or null if nothing was created
+   */
+  async createEmployee({ name, email }, { mysolutionId, dryRun = false } = {}) {
+    if (!this.settings.createEmployees) {
+      return null;
+    }
+    return this._create('employees', name, { mysolutionId, dryRun }, isDraft => webflowAPI.createEmployee({ name, email }, { isDraft }));
+  }
+
+  /**
+   * Get the reference items created by the sync, newest first
+   * @returns {Promise<Array<Object>>} Items as { collection, id, name, isDraft, createdAt, mysolutionId }
+   */
+  async getCreatedItems() {
+    const state = await syncStateStore.getSyncState();
+    return state.createdReferenceItems || [];
+  }
+
+  /**
+   * Create an item once, however many jobs ask for it at the same time
+   * @param {string} collection - 'sectors' or 'employees'
+   * @param {string} name - Item name
+   * @param {Object} options - { mysolutionId, dryRun }
+   * @param {Function} createFn - Receives isDraft and creates the item
+   * @returns {Promise<Object|null>} The created item, or null
+   * @private
+   */
+  async _create(collection, name, { mysolutionId, dryRun }, createFn) {
+    const isDraft = this.settings.requireReview;
+
+    if (dryRun) {
+      logger.info(`Dry run: would create ${collection} item "${name}"${isDraft ? ' as draft' : ''}`);
+      return null;
+    }
+
+    const key = `${getCurrentTenant().id}:${collection}:${name.toLowerCase()}`;
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const creation = (async () => {
+      try {
+        const item = await createFn(isDraft);
+        await this._recordCreatedItem({ collection, ...item, mysolutionId });
+        return item;
+      } catch (error) {
+        logger.error(`Failed to create ${collection} item "${name}": ${error.message}`);
+        return null;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, creation);
+    return creation;
+  }
+
+  /**
+   * Remember a created item so it can be reviewed through the admin API
+   * @param {Object} item - Created item with its collection and the job that triggered it
+   * @private
+   */
+  async _recordCreatedItem(item) {
+    try {
+      await syncStateStore.updateSyncState(state => {
+        const created = state.createdReferenceItems || [];
+        state.createdReferenceItems = [
+          { ...item, createdAt: new Date().toISOString() },
+          ...created
+        ].slice(0, MAX_CREATED_ITEMS);
+      });
+    } catch (error) {
+      logger.error(`Failed to record created ${item.collection} item "${item.name}": ${error.message}`);
+    }
+  }
+}
+
+// Create and export a singleton instance
+const referenceItemService = new ReferenceItemService();
+export default referenceItemService;
@@ -0,0 +1,271 @@
+import { logger } from '../utils/logger.js';
+import webflowAPI from '../api/webflow.js';
+import config from '../utils/config.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import referenceItemService from './referenceItemService.js';
+import { getCurrentTenant } from '../utils/tenants.js';
+
+/**
+ * Mapping of Mysolution sectors (BS_Sector__c) to Webflow sector items
+ * The mapping table is kept in the sync state and maintained through the admin API. Values without
+ * a mapping fall back to name matching (webflowAPI.findSectorByName); anything that is not an exact
+ * name match is recorded as unmapped, together with the fuzzy guess, so it can be resolved once.
+ * Unmapped values are collected in memory during a sync run and written by saveUnmappedSectors.
+ * Values that match no sector at all can be created as new sector items (see referenceItemService).
+ */
+class SectorMappingService {
+  constructor() {
+    this.fuzzyMatching = config.sectors.fuzzyMatching;
+    // Unmapped values not written yet, per tenant: Map of value to { jobs: Set, suggestion, firstSeenAt, lastSeenAt }
+    this.unsavedUnmapped = new Map();
+  }
+
+  /**
+   * Resolve a Mysolution sector value to a Webflow sector item
+   * @param {string} value - BS_Sector__c value
+   * @param {Object} context - Where the value came from
+   * @param {string} context.mysolutionId - Mysolution job ID
+   * @param {boolean} context.dryRun - Don't create missing sectors
+   * @returns {Promise<Object|null>} { id, name, strategy } or null if the sector can't be resolved
+   */
+  async resolveSector(value, { mysolutionId, dryRun = false } = {}) {
+    if (!value) {
+      return null;
+    }
+
+    const mapping = await this.getMapping(value);
+    if (mapping) {
+      const sector = await this.findSectorById(mapping.itemId);
+      if (sector) {
+        logger.debug(`Sector "${value}" mapped to ${sector.name} (${sector.id})`);
+        return { ...sector, strategy: 'mapping' };
+      }
+      logger.warn(`Sector mapping for "${value}" points to item ${mapping.itemId}, which no longer exists`);
+    }
+
+    const match = await webflowAPI.findSectorByName(value);
+    if (match && match.strategy === 'exact') {
+      return match;
+    }
+
+    if (!match) {
+      const created = await referenceItemService.createSector(value, { mysolutionId, dryRun });
+      if (created) {
+        await this.setMapping(value, created.id);
+        return { id: created.id, name: created.name, strategy: 'created' };
+      }
+    }
+
+    this.reportUnmappedSector(value, { mysolutionId, suggestion: match });
+
+    if (match && this.fuzzyMatching) {
+      logger.warn(`Sector "${value}" has no mapping, using ${match.strategy} match "${match.name}" (${match.id})`);
+      return match;
+    }
+
+    logger.warn(`Sector "${value}" has no mapping${match ? ` (suggested: "${match.name}")` : ''}, leaving the sector empty`);
+    return null;
+  }
+
+  /**
+   * Get all Webflow sector items
+   * @returns {Promise<Array<Object>>} Sectors as { id, name }
+   */
+  async getSectors() {
+    const sectors = await webflowAPI.getAllSectors();
+    return sectors
+      .map(sector => ({
+        id: sector._id || sector.id,
+        name: sector.name || (sector.fieldData && sector.fieldData.name)
+      }))
+      .filter(sector => sector.id && sector.name);
+  }
+
+  /**
+   * Find a Webflow sector item by ID
+   * @param {string} itemId - Sector item ID
+   * @returns {Promise<Object|null>} { id, name } or null if there is no such item
+   */
+  async findSectorById(itemId) {
+    const sectors = await this.getSectors();
+    return sectors.find(sector => sector.id === itemId) || null;
+  }
+
+  /**
+   * Get the mapping table
+   * @returns {Promise<Object>} Map of sector value to { itemId, itemName, updatedAt }
+   */
+  async getMappings() {
+    const state = await syncStateStore.getSyncState();
+    return state.sectorMappings || {};
+  }
+
+  /**
+   * Get the mapping of one sector value
+   * @param {string} value - BS_Sector__c value
+   * @returns {Promise<Object|null>} Mapping, or null if the value is not mapped
+   */
+  async getMapping(value) {
+    const mappings = await this.getMappings();
+    return mappings[value] || null;
+  }
+
+  /**
+   * Map a sector value to a Webflow sector item
+   * The value is removed from the unmapped sectors.
+   * @param {string} value - BS_Sector__c value
+   * @param {string} itemId - Webflow sector item ID
+   * @returns {Promise<Object>} The stored mapping
+   * @throws {Error} Error with statusCode 400 if the item is not a sector
+   */
+  async setMapping(value, itemId) {
+    const sector = await this.findSectorById(itemId);
+    if (!sector) {
+      const error = new Error(`No sector item with ID ${itemId}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const mapping = {
+      itemId: sector.id,
+      itemName: sector.name,
+      updatedAt: new Date().toISOString()
+    };
+
+    await syncStateStore.updateSyncState(state => {
+      state.sectorMappings = { ...(state.sectorMappings || {}), [value]: mapping };
+      if (state.unmappedSectors) {
+        delete state.unmappedSectors[value];
+      }
+    });
+    const unsaved = this.unsavedUnmapped.get(getCurrentTenant().id);
+    if (unsaved) {
+      unsaved.delete(value);
+    }
+
+    logger.info(`Mapped sector "${value}" to ${sector.name} (${sector.id})`);
+    return mapping;
+  }
+
+  /**
+   * Remove the mapping of a sector value
+   * @param {string} value - BS_Sector__c value
+   * @returns {Promise<boolean>} Whether a mapping was removed
+   */
+  async removeMapping(value) {
+    return syncStateStore.updateSyncState(state => {
+      if (!state.sectorMappings || !state.sectorMappings[value]) {
+        return false;
+      }
+      delete state.sectorMappings[value];
+      return true;
+    });
+  }
+
+  /**
+   * Remember a sector value that has no mapping, until saveUnmappedSectors writes it
+   * @param {string} value - BS_Sector__c value
+   * @param {Object} context - Details to record
+   * @param {string} context.mysolutionId - Mysolution job ID
+   * @param {Object} context.suggestion - Name match found for the value, if any
+   */
+  reportUnmappedSector(value, { mysolutionId, suggestion } = {}) {
+    const now = new Date().toISOString();
+    const tenantId = getCurrentTenant().id;
+    if (!this.unsavedUnmapped.has(tenantId)) {
+      this.unsavedUnmapped.set(tenantId, new Map());
+    }
+
+    const unsaved = this.unsavedUnmapped.get(tenantId);
+    const entry = unsaved.get(value) || { jobs: new Set(), firstSeenAt: now };
+    entry.lastSeenAt = now;
+    entry.suggestion = suggestion ? { id: suggestion.id, name: suggestion.name, strategy: suggestion.strategy } : null;
+    if (mysolutionId) {
+      entry.jobs.add(mysolutionId);
+    }
+    unsaved.set(value, entry);
+  }
+
+  /**
+   * Write the unmapped sector values collected since the last save with a single state update
+   * The count of a value is the number of distinct jobs it was seen on.
+   * @returns {Promise<number>} Number of values written
+   */
+  async saveUnmappedSectors() {
+    const tenantId = getCurrentTenant().id;
+    const unsaved = this.unsavedUnmapped.get(tenantId);
+    if (!unsaved || unsaved.size === 0) {
+      return 0;
+    }
+    this.unsavedUnmapped.delete(tenantId);
+
+    try {
+      await syncStateStore.updateSyncState(state => {
+        const unmapped = state.unmappedSectors || {};
+
+        unsaved.forEach((seen, value) => {
+          const entry = unmapped[value] || { firstSeenAt: seen.firstSeenAt, jobs: [] };
+          // Most recently seen jobs first
+          const newJobs = [...seen.jobs].reverse();
+          entry.jobs = [...newJobs, ...entry.jobs.filter(jobId => !seen.jobs.has(jobId))];
+          entry.count = entry.jobs.length;
+          entry.lastSeenAt = seen.lastSeenAt;
+          entry.suggestion = seen.suggestion;
+          unmapped[value] = entry;
+        });
+
+        state.unmappedSectors = unmapped;
+      });
+      logger.info(`Recorded ${unsaved.size} unmapped sector values`);
+    } catch (error) {
+      logger.error(`Failed to record ${unsaved.size} unmapped sector values: ${error.message}`);
+    }
+    return unsaved.size;
+  }
+
+  /**
+   * Get the sector values seen without a mapping
+   * @returns {Promise<Array<Object>>} Entries as { value, count, firstSeenAt, lastSeenAt, jobs, suggestion }, most recently seen first;
+   * count is the number of distinct jobs in jobs
+   */
+  async getUnmappedSectors() {
+    const state = await syncStateStore.getSyncState();
+    return Object.entries(state.unmappedSectors || {})
+      .map(([value, entry]) => ({ value, ...entry }))
+      .sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''));
+  }
+
+  /**
+   * Forget recorded unmapped sector values
+   * @param {string} value - Only clear this value (optional)
+   * @returns {Promise<number>} Number of values removed
+   */
+  async clearUnmappedSectors(value) {
+    const unsaved = this.unsavedUnmapped.get(getCurrentTenant().id);
+    if (unsaved && value) {
+      unsaved.delete(value);
+    } else if (unsaved) {
+      unsaved.clear();
+    }
+
+    return syncStateStore.updateSyncState(state => {
+      const unmapped = state.unmappedSectors || {};
+      const values = value ? [value] : Object.keys(unmapped);
+      let removed = 0;
+
+      values.forEach(name => {
+        if (unmapped[name]) {
+          removed++;
+          delete unmapped[name];
+        }
+      });
+
+      state.unmappedSectors = unmapped;
+      return removed;
+    });
+  }
+}
+
+// Create and export a singleton instance
+const sectorMappingService = new SectorMappingService();
+export default sectorMappingService;
@@ -0,0 +1,186 @@
+import { logger } from '../utils/logger.js';
+import config from '../utils/config.js';
+import webflowAPI, { choosePrimaryItem } from '../api/webflow.js';
+import mysolutionAPI from '../api/mysolution.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import publishingService from './publishingService.js';
+import jobRoutingService from './jobRoutingService.js';
+import { transformMysolutionToWebflow } from '../models/jobsTransformer.js';
+
+/**
+ * Slug history and redirects of job items
+ *
+ * Syncs never change the slug of an existing item, so a renamed job keeps its old URL. Regenerating
+ * the slug gives the item the slug the slug policy builds from the job's current data (see
+ * src/utils/slugPolicy.js) and records the old one in the sync state (slugHistory, kept on a reset).
+ * Every old slug of a job redirects straight to its current slug; the list can be exported for
+ * Webflow's 301 redirect settings.
+ */
+class SlugHistoryService {
+  constructor() {
+    // Collection path prefixes by collection ID
+    this.pathPrefixes = new Map();
+  }
+
+  /**
+   * Give a job's item the slug of the slug policy and record the old slug
+   * @param {string} mysolutionId - Mysolution job ID
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Only report the new slug
+   * @returns {Promise<Object>} { mysolutionId, itemId, collectionId, previousSlug, slug, changed, redirect }
+   * @throws {Error} Error with code JOB_NOT_FOUND or ITEM_NOT_FOUND if the job or its live item doesn't
+   *   exist, SLUG_TAKEN if another item has the slug or redirects from it
+   */
+  async regenerateSlug(mysolutionId, { dryRun = false } = {}) {
+    const job = await mysolutionAPI.getJobById(mysolutionId);
+    const location = await jobRoutingService.getJobLocation(mysolutionId);
+    const collectionId = (location && location.collectionId) || webflowAPI.jobsCollectionId;
+
+    const items = await webflowAPI.getAllItems(collectionId);
+    const item = choosePrimaryItem(items.filter(candidate => candidate.fieldData && candidate.fieldData['mysolution-id'] === mysolutionId));
+    if (!item || item.isArchived) {
+      throw this._slugError('ITEM_NOT_FOUND', `Mysolution job ${mysolutionId} has no live item in collection ${collectionId}`);
+    }
+
+    // The slug a new item of the job would get
+    const { slug } = await transformMysolutionToWebflow(job, { dryRun: true });
+    const previousSlug = item.fieldData.slug;
+    const result = { mysolutionId, itemId: item.id, collectionId, previousSlug, slug, changed: slug !== previousSlug, redirect: null };
+    if (!result.changed) {
+      return result;
+    }
+
+    const taken = items.find(candidate => candidate.id !== item.id && candidate.fieldData && candidate.fieldData.slug === slug);
+    if (taken) {
+      throw this._slugError('SLUG_TAKEN', `Slug "${slug}" is already used by item ${taken.id}`);
+    }
+    const history = await this._getHistory();
+    const redirected = Object.entries(history).find(([jobId, entry]) => jobId !== mysolutionId &&
+      entry.collectionId === collectionId && entry.previousSlugs.some(previous => previous.slug === slug));
+    if (redirected) {
+      throw this._slugError('SLUG_TAKEN', `Slug "${slug}" was used by Mysolution job ${redirected[0]} and redirects to its page`);
+    }
+
+    const prefix = await this.getPathPrefix(collectionId);
+    result.redirect = { from: `${prefix}/${previousSlug}`, to: `${prefix}/${slug}`, status: 301 };
+    if (dryRun) {
+      return result;
+    }
+
+    await webflowAPI.updateItemFields(collectionId, item.id, { slug });
+    await syncStateStore.updateSyncState(state => {
+      const slugHistory = state.slugHistory || {};
+      const entry = slugHistory[mysolutionId] || { previousSlugs: [] };
+      const replacedAt = new Date().toISOString();
+
+      // A slug the job had before becomes its current slug again, so it no longer redirects
+      entry.previousSlugs = [
+        ...entry.previousSlugs.filter(previous => previous.slug !== slug && previous.slug !== previousSlug),
+        { slug: previousSlug, replacedAt }
+      ];
+      Object.assign(entry, { collectionId, itemId: item.id, slug, updatedAt: replacedAt });
+
+      slugHistory[mysolutionId] = entry;
+      state.slugHistory = slugHistory;
+    });
+
+    logger.info(`Slug of job ${mysolutionId} changed from "${previousSlug}" to "${slug}"`, { itemId: item.id, collectionId });
+    console.log(`🔗 Slug of job ${mysolutionId} changed: ${result.redirect.from} -> ${result.redirect.to}`);
+
+    try {
+      await publishingService.publishIfEnabled(`Slug of job ${mysolutionId} regenerated`);
+    } catch (error) {
+      logger.error('Error publishing site changes after regenerating a slug:', error);
+    }
+    return result;
+  }
+
+  /**
+   * Get the recorded slugs of a job
+   * @param {string} mysolutionId - Mysolution job ID
+   * @returns {Promise<Object|null>} { collectionId, itemId, slug, updatedAt, previousSlugs }, or null if the slug never changed
+   */
+  async getJobHistory(mysolutionId) {
+    const history = await this._getHistory();
+    return history[mysolutionId] || null;
+  }
+
+  /**
+   * Get the 301 redirects of all renamed jobs, from every old slug to the job's current slug
+   * @returns {Promise<Array<Object>>} Redirects as { from, to, status, mysolutionId, replacedAt }, newest first
+   */
+  async getRedirects() {
+    const history = await this._getHistory();
+    const redirects = [];
+
+    for (const [mysolutionId, entry] of Object.entries(history)) {
+      const prefix = await this.getPathPrefix(entry.collectionId);
+      entry.previousSlugs.forEach(previous => {
+        redirects.push({
+          from: `${prefix}/${previous.slug}`,
+          to: `${prefix}/${entry.slug}`,
+          status: 301,
+          mysolutionId,
+          replacedAt: previous.replacedAt
+        });
+      });
+    }
+
+    return redirects.sort((a, b) => new Date(b.replacedAt) - new Date(a.replacedAt));
+  }
+
+  /**
+   * Format redirects as CSV with the columns of Webflow's 301 redirect settings
+   * @param {Array<Object>} redirects - Redirects (see getRedirects)
+   * @returns {string} CSV text
+   */
+  toCsv(redirects) {
+    const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+    return ['Old Path,Redirect to Page', ...redirects.map(redirect => `${quote(redirect.from)},${quote(redirect.to)}`)]
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Get the path the item pages of a collection are served under
+   * SLUG_PATH_PREFIX applies to the jobs collection; other collections use their Webflow slug.
+   * @param {string} collectionId - Collection ID
+   * @returns {Promise<string>} Path prefix without a trailing slash, e.g. /vacatures
+   */
+  async getPathPrefix(collectionId) {
+    if (collectionId === webflowAPI.jobsCollectionId && config.slugs.pathPrefix) {
+      return `/${config.slugs.pathPrefix.replace(/^\/+|\/+$/g, '')}`;
+    }
+    if (!this.pathPrefixes.has(collectionId)) {
+      const collection = await webflowAPI.getCollection(collectionId);
+      this.pathPrefixes.set(collectionId, `/${collection.slug}`);
+    }
+    return this.pathPrefixes.get(collectionId);
+  }
+
+  /**
+   * Get the slug history of the current tenant
+   * @returns {Promise<Object>} Entries by Mysolution job ID
+   * @private
+   */
+  async _getHistory() {
+    const state = await syncStateStore.getSyncState();
+    return state.slugHistory || {};
+  }
+
+  /**
+   * Create a slug error with a code
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @returns {Error} Error
+   * @private
+   */
+  _slugError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+// Create and export a singleton instance
+const slugHistoryService = new SlugHistoryService();
+export default slugHistoryService;
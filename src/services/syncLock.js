@@ -0,0 +1,161 @@
+import { logger } from '../utils/logger.js';
+import config from '../utils/config.js';
+import syncStateStore from '../utils/syncStateStore.js';
+
+/**
+ * Lock that keeps sync runs from overlapping
+ * The lock lives in the sync state, so it is shared by every process using the same storage
+ * backend. It expires after config.sync.lockTtlMs unless the holder refreshes it, so a crashed
+ * run cannot block syncing forever.
+ */
+class SyncLock {
+  constructor() {
+    this.ttlMs = config.sync.lockTtlMs;
+  }
+
+  /**
+   * Try to acquire the lock
+   * @param {string} owner - ID of the run acquiring the lock (usually the syncId)
+   * @param {Object} details - Extra details stored with the lock (e.g. sync type)
+   * @returns {Promise<Object>} The acquired lock
+   * @throws {Error} Error with code SYNC_ALREADY_RUNNING if another run holds the lock
+   */
+  async acquire(owner, details = {}) {
+    const now = Date.now();
+
+    const { acquired, lock } = await syncStateStore.updateSyncState(state => {
+      const current = state.syncLock;
+      if (current && current.owner !== owner && new Date(current.expiresAt).getTime() > now) {
+        return { acquired: false, lock: current };
+      }
+
+      state.syncLock = {
+        owner,
+        ...details,
+        acquiredAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.ttlMs).toISOString()
+      };
+      return { acquired: true, lock: state.syncLock };
+    });
+
+    if (!acquired) {
+      const error = new Error(`Sync already running (syncId ${lock.owner}, started ${lock.acquiredAt})`);
+      error.code = 'SYNC_ALREADY_RUNNING';
+      error.statusCode = 409;
+      error.runningSyncId = lock.owner;
+      error.lock = lock;
+      throw error;
+    }
+
+    logger.debug(`Sync lock acquired by ${owner}`, { expiresAt: lock.expiresAt });
+    return lock;
+  }
+
+  /**
+   * Extend the lock's expiry
+   * @param {string} owner - ID of the run holding the lock
+   * @returns {Promise<boolean>} False if the lock is no longer held by the owner
+   */
+  async refresh(owner) {
+    return syncStateStore.updateSyncState(state => {
+      if (!state.syncLock || state.syncLock.owner !== owner) {
+        return false;
+      }
+      state.syncLock.expiresAt = new Date(Date.now() + this.ttlMs).toISOString();
+      return true;
+    });
+  }
+
+  /**
+   * Release the lock if it is held by the owner
+   * @param {string} owner - ID of the run holding the lock
+   * @returns {Promise<boolean>} Whether the lock was released
+   */
+  async release(owner) {
+    const released = await syncStateStore.updateSyncState(state => {
+      if (!state.syncLock || state.syncLock.owner !== owner) {
+        return false;
+      }
+      delete state.syncLock;
+      return true;
+    });
+
+    if (released) {
+      logger.debug(`Sync lock released by ${owner}`);
+    } else {
+      logger.warn(`Sync lock was not held by ${owner} when releasing it (expired or taken over)`);
+    }
+    return released;
+  }
+
+  /**
+   * Remove the lock regardless of its owner
+   * @returns {Promise<Object|null>} The removed lock, if any
+   */
+  async forceRelease() {
+    return syncStateStore.updateSyncState(state => {
+      const lock = state.syncLock || null;
+      delete state.syncLock;
+      return lock;
+    });
+  }
+
+  /**
+   * Get the current lock
+   * @returns {Promise<Object|null>} The lock, or null if no run holds it
+   */
+  async getLock() {
+    const state = await syncStateStore.getSyncState();
+    const lock = state.syncLock;
+    if (!lock || new Date(lock.expiresAt).getTime() <= Date.now()) {
+      return null;
+    }
+    return lock;
+  }
+
+  /**
+   * Acquire the lock and keep refreshing it until the returned release function is called
+   * @param {string} owner - ID of the run (usually the syncId)
+   * @param {Object} details - Extra details stored with the lock
+   * @returns {Promise<Function>} Async function that stops refreshing and releases the lock
+   */
+  async hold(owner, details = {}) {
+    await this.acquire(owner, details);
+
+    const heartbeat = setInterval(() => {
+      this.refresh(owner).catch(error => {
+        logger.warn(`Failed to refresh sync lock for ${owner}: ${error.message}`);
+      });
+    }, Math.max(1000, Math.floor(this.ttlMs / 3)));
+    heartbeat.unref();
+
+    return async () => {
+      clearInterval(heartbeat);
+      try {
+        await this.release(owner);
+      } catch (error) {
+        logger.error(`Failed to release sync lock for ${owner}: ${error.message}`);
+      }
+    };
+  }
+
+  /**
+   * Run a function while holding the lock
+   * @param {string} owner - ID of the run (usually the syncId)
+   * @param {Function} fn - Async function to run
+   * @param {Object} details - Extra details stored with the lock
+   * @returns {Promise<any>} The function's result
+   */
+  async withLock(owner, fn, details = {}) {
+    const release = await this.hold(owner, details);
+    try {
+      return await fn();
+    } finally {
+      await release();
+    }
+  }
+}
+
+// Create and export a singleton instance
+const syncLock = new SyncLock();
+export default syncLock;
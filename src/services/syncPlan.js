@@ -0,0 +1,210 @@
+import { logger } from '../utils/logger.js';
+import config from '../utils/config.js';
+import webflowAPI from '../api/webflow.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import publishingService from './publishingService.js';
+import collectionSchemaService from './collectionSchemaService.js';
+import jobRoutingService from './jobRoutingService.js';
+import sectorMappingService from './sectorMappingService.js';
+import { transformMysolutionToWebflow } from '../models/jobsTransformer.js';
+import { stableStringify, hashFieldData } from '../utils/contentHash.js';
+
+// Fields that are never overwritten on update (slugs are preserved to keep links stable)
+const IGNORED_DIFF_FIELDS = ['slug'];
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Compare transformed field data with the live Webflow item
+ * @param {Object} fieldData - Field data an upsert would send
+ * @param {Object} liveFieldData - Field data of the live Webflow item
+ * @param {Object} optionNames - Option name maps from collectionSchemaService.getOptionNameMaps
+ * @returns {Array<Object>} Changed fields as { field, from, to }
+ */
+function diffFieldData(fieldData, liveFieldData = {}, optionNames = {}) {
+  const changes = [];
+
+  Object.keys(fieldData).forEach(field => {
+    if (IGNORED_DIFF_FIELDS.includes(field)) {
+      return;
+    }
+
+    const to = fieldData[field];
+    let from = liveFieldData[field];
+
+    if (optionNames[field] && optionNames[field][from]) {
+      from = optionNames[field][from];
+    }
+
+    // Empty values are dropped from the payload, except for option fields which are cleared explicitly
+    if (isEmptyValue(to) && (!optionNames[field] || isEmptyValue(from))) {
+      return;
+    }
+
+    if (stableStringify(to) !== stableStringify(from)) {
+      changes.push({ field, from: from ?? null, to: to ?? null });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Build the plan for a set of sync tasks without writing anything
+ * @param {Object} params - Plan parameters
+ * @param {string} params.syncId - Sync ID
+ * @param {string} params.type - Sync type ('full' or 'incremental')
+ * @param {Array<Object>} params.tasks - Tasks the sync would queue
+ * @param {Map} params.webflowJobsMap - Live Webflow items keyed by Mysolution ID
+ * @param {Object} params.options - Sync options (concurrency, force)
+ * @returns {Promise<Object>} Sync plan
+ */
+async function buildSyncPlan({ syncId, type, tasks, webflowJobsMap, options = {} }) {
+  const optionNames = await collectionSchemaService.getOptionNameMaps();
+  const concurrency = Math.max(1, options.concurrency || config.sync.concurrency || 5);
+
+  const plan = {
+    syncId,
+    type,
+    dryRun: true,
+    generatedAt: new Date().toISOString(),
+    creates: [],
+    updates: [],
+    unchanged: [],
+    archives: [],
+    errors: [],
+    // Values that are not an option of their Webflow field; a real sync would record them
+    unknownOptions: []
+  };
+
+  const planUpsert = async (task) => {
+    const { mysolutionJob } = task.payload;
+    const mysolutionId = mysolutionJob.Id;
+
+    try {
+      const fieldData = await transformMysolutionToWebflow(mysolutionJob, {
+        dryRun: true,
+        onUnknownOption: (field, value) => plan.unknownOptions.push({ mysolutionId, field, value })
+      });
+      const existingJob = webflowJobsMap.get(mysolutionId);
+
+      // Routed collections are not fetched for the plan: the worker always writes routed jobs
+      const route = await jobRoutingService.routeJob(mysolutionJob);
+      if (route.collectionId !== webflowAPI.jobsCollectionId) {
+        const location = await jobRoutingService.getJobLocation(mysolutionId);
+        const routedItemId = location && location.collectionId === route.collectionId ? location.itemId : null;
+        const entry = { mysolutionId, name: fieldData.name, collectionId: route.collectionId, rule: route.rule };
+
+        if (routedItemId) {
+          plan.updates.push({ ...entry, itemId: routedItemId, changes: null });
+        } else {
+          plan.creates.push({ ...entry, fieldData });
+        }
+        if (existingJob && !existingJob.isArchived) {
+          plan.archives.push({
+            itemId: existingJob.id,
+            mysolutionId,
+            name: existingJob.fieldData && existingJob.fieldData.name,
+            reason: `Job routed to collection ${route.collectionId} by rule "${route.rule}"`
+          });
+        }
+        return;
+      }
+
+      if (!existingJob) {
+        plan.creates.push({ mysolutionId, name: fieldData.name, fieldData });
+        return;
+      }
+
+      const changes = diffFieldData(fieldData, existingJob.fieldData, optionNames);
+      const itemIsLive = !existingJob.isArchived && !existingJob.isDraft;
+      const hashUnchanged = (await syncStateStore.getJobContentHash(mysolutionId)) === hashFieldData(fieldData);
+
+      // Mirror the worker: jobs with an unchanged content hash are skipped even if the live item drifted
+      if (itemIsLive && (changes.length === 0 || (hashUnchanged && options.force !== true))) {
+        plan.unchanged.push({
+          mysolutionId,
+          itemId: existingJob.id,
+          name: fieldData.name,
+          drift: changes.length > 0 ? changes : undefined
+        });
+        return;
+      }
+
+      plan.updates.push({
+        mysolutionId,
+        itemId: existingJob.id,
+        name: fieldData.name,
+        restores: existingJob.isArchived ? 'archived' : existingJob.isDraft ? 'draft' : null,
+        changes
+      });
+    } catch (error) {
+      logger.warn(`Could not plan job ${mysolutionId}: ${error.message}`);
+      plan.errors.push({ mysolutionId, error: error.message });
+    }
+  };
+
+  const upsertTasks = tasks.filter(task => task.type === 'upsert-job');
+  for (let i = 0; i < upsertTasks.length; i += concurrency) {
+    await Promise.all(upsertTasks.slice(i, i + concurrency).map(planUpsert));
+  }
+
+  tasks
+    .filter(task => task.type === 'archive-item')
+    .forEach(task => {
+      const { itemId, collectionId, mysolutionId, name, reason, reasonCodes } = task.payload;
+      plan.archives.push({ itemId, collectionId, mysolutionId, name, reason, reasonCodes });
+    });
+
+  await sectorMappingService.saveUnmappedSectors();
+  return finalizeSyncPlan(plan);
+}
+
+/**
+ * Recalculate the plan summary and publish decision
+ * @param {Object} plan - Sync plan
+ * @returns {Object} The same plan with summary and publish set
+ */
+function finalizeSyncPlan(plan) {
+  plan.summary = {
+    creates: plan.creates.length,
+    updates: plan.updates.length,
+    unchanged: plan.unchanged.length,
+    archives: plan.archives.length,
+    errors: plan.errors.length
+  };
+
+  const changeCount = plan.creates.length + plan.updates.length + plan.archives.length;
+  const autoPublishEnabled = publishingService.isAutoPublishEnabled();
+
+  plan.publish = {
+    autoPublishEnabled,
+    mode: publishingService.publishMode,
+    wouldPublish: autoPublishEnabled && changeCount > 0,
+    reason: changeCount === 0
+      ? 'No changes to publish'
+      : autoPublishEnabled
+        ? `Auto-publish is enabled and ${changeCount} items would change`
+        : `Auto-publish is disabled; ${changeCount} changes would stay unpublished until a manual publish`
+  };
+
+  return plan;
+}
+
+/**
+ * Describe a plan in one line, e.g. for an API message
+ * @param {Object} plan - Sync plan
+ * @returns {string} Counts of the creates, updates and archives
+ */
+function describeSyncPlan(plan) {
+  return `${plan.summary.creates} creates, ${plan.summary.updates} updates, ${plan.summary.archives} archives`;
+}
+
+export {
+  buildSyncPlan,
+  finalizeSyncPlan,
+  describeSyncPlan,
+  diffFieldData
+};
@@ -0,0 +1,323 @@
+import { logger } from '../utils/logger.js';
+import config from '../utils/config.js';
+import syncStateStore from '../utils/syncStateStore.js';
+
+/**
+ * Persistent work queue for sync tasks
+ * Tasks are stored next to the sync state, under their own storage key, so they survive across
+ * (serverless) invocations.
+ * A worker leases tasks, and a lease that is not completed in time becomes available again.
+ */
+class SyncQueue {
+  constructor() {
+    this.leaseMs = config.queue.leaseMs;
+    this.maxAttempts = config.queue.maxAttempts;
+    this.retryDelay = config.queue.retryDelay;
+  }
+
+  /**
+   * Add tasks to the queue
+   * A pending task with the same key is replaced, so the latest payload wins
+   * Scheduled tasks (e.g. publication window checks) wait for their availableAt and are not counted as backlog.
+   * @param {Array<Object>} tasks - Tasks with type, key, payload and optional availableAt/syncId/scheduled
+   * @returns {Promise<number>} Number of tasks added or replaced
+   */
+  async enqueue(tasks) {
+    if (!tasks || tasks.length === 0) {
+      return 0;
+    }
+
+    const now = new Date().toISOString();
+
+    return syncStateStore.updateSection('workQueue', state => {
+      const queue = state.workQueue || [];
+
+      tasks.forEach(task => {
+        const key = task.key || `${task.type}:${Date.now()}`;
+        const pendingTask = queue.find(item => item.key === key && item.status === 'pending');
+
+        if (pendingTask) {
+          pendingTask.payload = task.payload;
+          pendingTask.syncId = task.syncId || pendingTask.syncId;
+          pendingTask.availableAt = task.availableAt || now;
+          pendingTask.scheduled = Boolean(task.scheduled);
+          pendingTask.attempts = 0;
+          pendingTask.lastError = null;
+          pendingTask.updatedAt = now;
+          return;
+        }
+
+        queue.push({
+          id: `task-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+          type: task.type,
+          key,
+          payload: task.payload,
+          syncId: task.syncId || null,
+          status: 'pending',
+          attempts: 0,
+          maxAttempts: task.maxAttempts || this.maxAttempts,
+          availableAt: task.availableAt || now,
+          scheduled: Boolean(task.scheduled),
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          lastError: null,
+          createdAt: now,
+          updatedAt: now
+        });
+      });
+
+      state.workQueue = queue;
+      logger.info(`Enqueued ${tasks.length} sync tasks (${queue.length} tasks in queue)`);
+      return tasks.length;
+    });
+  }
+
+  /**
+   * Lease available tasks for processing
+   * @param {Object} options - Lease options
+   * @param {string} options.owner - Worker id that owns the lease
+   * @param {number} options.limit - Maximum number of tasks to lease
+   * @param {number} options.leaseMs - Lease duration in milliseconds
+   * @returns {Promise<Array<Object>>} Leased tasks
+   */
+  async lease({ owner, limit = 1, leaseMs = this.leaseMs }) {
+    const now = Date.now();
+
+    return syncStateStore.updateSection('workQueue', state => {
+      const queue = state.workQueue || [];
+      const leased = [];
+
+      for (const task of queue) {
+        if (leased.length >= limit) break;
+
+        const isAvailable = task.status === 'pending' && new Date(task.availableAt).getTime() <= now;
+        const leaseExpired = task.status === 'leased' && new Date(task.leaseExpiresAt).getTime() <= now;
+
+        if (leaseExpired && task.attempts >= task.maxAttempts) {
+          // The task used up its attempts without completing, e.g. it kept hitting the invocation timeout
+          logger.error(`Lease of task ${task.id} (${task.key}) by ${task.leaseOwner} expired after ${task.attempts} attempts, marking it failed`);
+          task.status = 'failed';
+          task.lastError = 'Lease expired';
+          task.leaseOwner = null;
+          task.leaseExpiresAt = null;
+          task.updatedAt = new Date(now).toISOString();
+          continue;
+        }
+
+        if (isAvailable || leaseExpired) {
+          if (leaseExpired) {
+            logger.warn(`Lease of task ${task.id} by ${task.leaseOwner} expired, re-leasing`);
+          }
+          task.status = 'leased';
+          task.leaseOwner = owner;
+          task.leaseExpiresAt = new Date(now + leaseMs).toISOString();
+          task.attempts += 1;
+          task.updatedAt = new Date(now).toISOString();
+          leased.push({ ...task });
+        }
+      }
+
+      state.workQueue = queue;
+      return leased;
+    });
+  }
+
+  /**
+   * Mark a leased task as done and remove it from the queue
+   * @param {string} taskId - Task id
+   * @param {string} owner - Worker id that owns the lease
+   * @returns {Promise<boolean>} True if the task was completed
+   */
+  async complete(taskId, owner) {
+    return syncStateStore.updateSection('workQueue', state => {
+      const queue = state.workQueue || [];
+      const index = queue.findIndex(task => task.id === taskId && task.leaseOwner === owner);
+
+      if (index === -1) {
+        logger.warn(`Cannot complete task ${taskId}: not leased by ${owner}`);
+        return false;
+      }
+
+      queue.splice(index, 1);
+      state.workQueue = queue;
+      return true;
+    });
+  }
+
+  /**
+   * Mark a leased task as failed
+   * The task is retried with exponential backoff until it runs out of attempts
+   * @param {string} taskId - Task id
+   * @param {string} owner - Worker id that owns the lease
+   * @param {Error} error - Error that caused the failure
+   * @returns {Promise<string|null>} New task status ('pending' or 'failed'), or null if not leased by owner
+   */
+  async fail(taskId, owner, error) {
+    const now = Date.now();
+
+    return syncStateStore.updateSection('workQueue', state => {
+      const queue = state.workQueue || [];
+      const task = queue.find(item => item.id === taskId && item.leaseOwner === owner);
+
+      if (!task) {
+        logger.warn(`Cannot fail task ${taskId}: not leased by ${owner}`);
+        return null;
+      }
+
+      this.markFailed(task, error, now);
+      state.workQueue = queue;
+      return task.status;
+    });
+  }
+
+  /**
+   * Complete and fail the tasks of a leased batch with a single queue write
+   * @param {string} owner - Worker id that owns the leases
+   * @param {Object} outcomes - Batch outcomes
+   * @param {Array<string>} outcomes.completed - Ids of tasks that are done
+   * @param {Array<Object>} outcomes.failed - Failed tasks as { taskId, error }
+   * @returns {Promise<Object>} Numbers of tasks completed and failed; tasks no longer leased by owner are not counted
+   */
+  async settle(owner, { completed = [], failed = [] }) {
+    if (completed.length === 0 && failed.length === 0) {
+      return { completed: 0, failed: 0 };
+    }
+
+    const now = Date.now();
+    const completedIds = new Set(completed);
+
+    return syncStateStore.updateSection('workQueue', state => {
+      const queue = state.workQueue || [];
+      const isOwned = task => task.leaseOwner === owner;
+
+      const remaining = queue.filter(task => !(completedIds.has(task.id) && isOwned(task)));
+      const completedCount = queue.length - remaining.length;
+
+      let failedCount = 0;
+      failed.forEach(({ taskId, error }) => {
+        const task = remaining.find(item => item.id === taskId && isOwned(item));
+        if (task) {
+          this.markFailed(task, error, now);
+          failedCount++;
+        }
+      });
+
+      const notOwned = completed.length + failed.length - completedCount - failedCount;
+      if (notOwned > 0) {
+        logger.warn(`Cannot settle ${notOwned} tasks: not leased by ${owner}`);
+      }
+
+      state.workQueue = remaining;
+      return { completed: completedCount, failed: failedCount };
+    });
+  }
+
+  /**
+   * Release a failed task for a retry with exponential backoff, or fail it permanently when it ran out of attempts
+   * @param {Object} task - Leased task in the queue
+   * @param {Error} error - Error that caused the failure
+   * @param {number} now - Current timestamp (ms)
+   * @private
+   */
+  markFailed(task, error, now) {
+    task.lastError = error.message;
+    task.leaseOwner = null;
+    task.leaseExpiresAt = null;
+    task.updatedAt = new Date(now).toISOString();
+
+    if (task.attempts >= task.maxAttempts) {
+      task.status = 'failed';
+      logger.error(`Task ${task.id} (${task.key}) failed permanently after ${task.attempts} attempts: ${error.message}`);
+    } else {
+      const delay = this.retryDelay * Math.pow(2, task.attempts - 1);
+      task.status = 'pending';
+      task.availableAt = new Date(now + delay).toISOString();
+      logger.warn(`Task ${task.id} (${task.key}) failed, retrying in ${delay}ms (attempt ${task.attempts}/${task.maxAttempts}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Reset permanently failed tasks so they are picked up again
+   * @returns {Promise<number>} Number of tasks reset
+   */
+  async retryFailed() {
+    const now = new Date().toISOString();
+
+    return syncStateStore.updateSection('workQueue', state => {
+      const failedTasks = (state.workQueue || []).filter(task => task.status === 'failed');
+
+      failedTasks.forEach(task => {
+        task.status = 'pending';
+        task.attempts = 0;
+        task.availableAt = now;
+        task.updatedAt = now;
+      });
+
+      return failedTasks.length;
+    });
+  }
+
+  /**
+   * Remove permanently failed tasks from the queue
+   * @returns {Promise<number>} Number of tasks removed
+   */
+  async clearFailed() {
+    return syncStateStore.updateSection('workQueue', state => {
+      const queue = state.workQueue || [];
+      state.workQueue = queue.filter(task => task.status !== 'failed');
+      return queue.length - state.workQueue.length;
+    });
+  }
+
+  /**
+   * Remove pending tasks by key, e.g. scheduled checks that are no longer needed
+   * @param {Array<string>} keys - Task keys
+   * @returns {Promise<number>} Number of tasks removed
+   */
+  async removePending(keys) {
+    if (!keys || keys.length === 0) {
+      return 0;
+    }
+
+    const removeKeys = new Set(keys);
+    return syncStateStore.updateSection('workQueue', state => {
+      const queue = state.workQueue || [];
+      state.workQueue = queue.filter(task => !(task.status === 'pending' && removeKeys.has(task.key)));
+      return queue.length - state.workQueue.length;
+    });
+  }
+
+  /**
+   * List tasks in the queue
+   * @param {Object} options - Filter options
+   * @param {string} options.status - Only return tasks with this status
+   * @returns {Promise<Array<Object>>} Tasks
+   */
+  async list({ status } = {}) {
+    const state = await syncStateStore.loadSection('workQueue');
+    const queue = state.workQueue || [];
+    return status ? queue.filter(task => task.status === status) : queue;
+  }
+
+  /**
+   * Get task counts per status
+   * @returns {Promise<Object>} Counts for pending, leased and failed tasks, and scheduled tasks that are not due yet
+   */
+  async getStats() {
+    const queue = await this.list();
+    const now = Date.now();
+
+    return {
+      total: queue.length,
+      pending: queue.filter(task => task.status === 'pending').length,
+      ready: queue.filter(task => task.status === 'pending' && new Date(task.availableAt).getTime() <= now).length,
+      leased: queue.filter(task => task.status === 'leased').length,
+      failed: queue.filter(task => task.status === 'failed').length,
+      scheduled: queue.filter(task => task.status === 'pending' && task.scheduled && new Date(task.availableAt).getTime() > now).length
+    };
+  }
+}
+
+// Export singleton instance
+const syncQueue = new SyncQueue();
+export default syncQueue;
@@ -0,0 +1,154 @@
+import { logger } from '../utils/logger.js';
+import config from '../utils/config.js';
+import syncStateStore from '../utils/syncStateStore.js';
+
+/**
+ * History of sync runs with a per-job record of what happened
+ * Runs are stored next to the sync state under their own storage key (newest first) and capped at config.sync.runHistoryLimit.
+ */
+class SyncRunHistory {
+  constructor() {
+    this.runLimit = config.sync.runHistoryLimit;
+    this.jobLimit = config.sync.runHistoryJobLimit;
+  }
+
+  /**
+   * Record the start of a sync run
+   * @param {string} syncId - Sync ID
+   * @param {string} type - Sync type ('full', 'incremental' or 'single')
+   * @param {Object} details - Extra details stored with the run (e.g. options)
+   * @returns {Promise<Object>} The new run
+   */
+  async startRun(syncId, type, details = {}) {
+    const run = {
+      syncId,
+      type,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      details,
+      summary: null,
+      error: null,
+      errorCode: null,
+      jobCount: 0,
+      droppedJobRecords: 0,
+      jobs: []
+    };
+
+    await syncStateStore.updateSection('syncRuns', state => {
+      const runs = (state.syncRuns || []).filter(existing => existing.syncId !== syncId);
+      runs.unshift(run);
+      state.syncRuns = runs.slice(0, this.runLimit);
+    });
+
+    return run;
+  }
+
+  /**
+   * Add per-job outcomes to a run
+   * @param {string} syncId - Sync ID the outcomes belong to
+   * @param {Array<Object>} records - Records with mysolutionId, itemId, action, error, archiveReason and archiveReasonCodes
+   * @returns {Promise<boolean>} False if the run is not (or no longer) in the history
+   */
+  async recordJobs(syncId, records) {
+    if (!syncId || !records || records.length === 0) {
+      return false;
+    }
+
+    const recordedAt = new Date().toISOString();
+
+    return syncStateStore.updateSection('syncRuns', state => {
+      const run = (state.syncRuns || []).find(existing => existing.syncId === syncId);
+      if (!run) {
+        logger.debug(`Sync run ${syncId} not found in history, dropping ${records.length} job records`);
+        return false;
+      }
+
+      records.forEach(record => {
+        run.jobCount++;
+        if (run.jobs.length >= this.jobLimit) {
+          run.droppedJobRecords++;
+          return;
+        }
+        run.jobs.push({
+          mysolutionId: record.mysolutionId || null,
+          itemId: record.itemId || null,
+          action: record.action,
+          error: record.error || null,
+          archiveReason: record.archiveReason || null,
+          archiveReasonCodes: record.archiveReasonCodes || null,
+          attempt: record.attempt || 1,
+          recordedAt
+        });
+      });
+
+      return true;
+    });
+  }
+
+  /**
+   * Mark a run as finished
+   * @param {string} syncId - Sync ID
+   * @param {Object} result - Run result
+   * @param {Object} result.summary - Result counts returned by the sync
+   * @param {Error} result.error - Error that ended the run, if any
+   * @returns {Promise<Object|null>} The finished run, or null if not found
+   */
+  async finishRun(syncId, { summary = null, error = null } = {}) {
+    return syncStateStore.updateSection('syncRuns', state => {
+      const run = (state.syncRuns || []).find(existing => existing.syncId === syncId);
+      if (!run) {
+        return null;
+      }
+
+      const finishedAt = new Date();
+      run.status = error ? 'failed' : 'completed';
+      run.finishedAt = finishedAt.toISOString();
+      run.durationMs = finishedAt.getTime() - new Date(run.startedAt).getTime();
+      run.summary = summary;
+      run.error = error ? error.message : null;
+      run.errorCode = error ? error.code || null : null;
+
+      return { ...run, jobs: undefined };
+    });
+  }
+
+  /**
+   * List runs without their job records
+   * @param {Object} options - List options
+   * @param {number} options.limit - Maximum number of runs to return
+   * @returns {Promise<Array<Object>>} Runs, newest first
+   */
+  async listRuns({ limit } = {}) {
+    const state = await syncStateStore.loadSection('syncRuns');
+    const runs = state.syncRuns || [];
+
+    return runs.slice(0, limit || runs.length).map(({ jobs, ...run }) => ({
+      ...run,
+      failedJobs: jobs.filter(job => job.action === 'failed').length
+    }));
+  }
+
+  /**
+   * Get a run including its job records
+   * @param {string} syncId - Sync ID
+   * @param {Object} options - Filter options
+   * @param {string} options.action - Only return job records with this action (e.g. 'failed')
+   * @returns {Promise<Object|null>} The run, or null if not found
+   */
+  async getRun(syncId, { action } = {}) {
+    const state = await syncStateStore.loadSection('syncRuns');
+    const run = (state.syncRuns || []).find(existing => existing.syncId === syncId);
+
+    if (!run) {
+      return null;
+    }
+
+    return action ? { ...run, jobs: run.jobs.filter(job => job.action === action) } : run;
+  }
+}
+
+// Export singleton instance
+const syncRunHistory = new SyncRunHistory();
+export default syncRunHistory;
@@ -0,0 +1,483 @@
+import { logger } from '../utils/logger.js';
+import webflowAPI from '../api/webflow.js';
+import mysolutionAPI from '../api/mysolution.js';
+import { transformMysolutionToWebflow } from '../models/jobsTransformer.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import syncLock from './syncLock.js';
+import publishingService from './publishingService.js';
+import jobRoutingService from './jobRoutingService.js';
+import sectorMappingService from './sectorMappingService.js';
+import syncQueue from './syncQueue.js';
+import syncRunHistory from './syncRunHistory.js';
+import publicationWindowService from './publicationWindowService.js';
+import { evaluatePublication } from '../models/publicationRules.js';
+import config from '../utils/config.js';
+import { hashFieldData } from '../utils/contentHash.js';
+import { forEachTenant } from '../utils/tenants.js';
+import { runWithPriority } from '../utils/rateLimiter.js';
+import { getJobModificationDate } from '../utils/jobUtils.js';
+
+/**
+ * Work out what an upsert of a Mysolution job has to write
+ * The update is skipped when the transformed data hashes to the value stored at the last
+ * successful upsert and the live item is neither archived nor a draft (unless forced).
+ * Jobs matching a job routing rule with a collection are written to that collection instead;
+ * existingJobId then refers to the item in the jobs collection, which is archived.
+ * @param {Object} payload - Task payload with mysolutionJob, optional existingJobId/existingItemState and force flag
+ * @param {Object} context - Drain context
+ * @param {Object} context.contentHashes - Stored content hashes, loaded once per drain; read from the state when missing
+ * @returns {Promise<Object>} { skipped } with the handler result, or { jobId, webflowJobData, route, isRouted, itemId, contentHash }
+ * @private
+ */
+async function prepareUpsert(payload, context = {}) {
+  const { mysolutionJob, existingJobId, existingItemState, force } = payload;
+  const jobId = mysolutionJob.Id;
+
+  logger.debug(`Processing job: ${mysolutionJob.Name || 'No Name'} (${jobId})`);
+
+  // Log the modification date for debugging
+  if (mysolutionJob.LastModifiedDate) {
+    console.log(`ℹ️ Job last modified: ${new Date(mysolutionJob.LastModifiedDate).toLocaleString()}`);
+  } else {
+    console.log(`⚠️ WARNING: Job ${jobId} is missing modification date information`);
+  }
+
+  // Fields fixed by a job routing rule are applied by the transformer
+  const webflowJobData = await transformMysolutionToWebflow(mysolutionJob);
+  const route = await jobRoutingService.routeJob(mysolutionJob);
+  const isRouted = route.collectionId !== webflowAPI.jobsCollectionId;
+
+  const contentHash = hashFieldData(webflowJobData);
+  const itemIsLive = !isRouted && existingJobId && existingItemState && !existingItemState.isArchived && !existingItemState.isDraft;
+
+  if (!force && itemIsLive && (await getStoredContentHash(jobId, context)) === contentHash) {
+    console.log(`⏩ Job ${jobId} unchanged since last sync - skipping Webflow update`);
+    return { skipped: { action: 'skipped', mysolutionId: jobId, itemId: existingJobId, modified: getJobModificationDate(mysolutionJob), contentHash } };
+  }
+
+  // The full sync only scans the jobs collection; for routed jobs use the item recorded at the last upsert
+  let itemId = existingJobId;
+  if (isRouted) {
+    const location = await jobRoutingService.getJobLocation(jobId);
+    itemId = location && location.collectionId === route.collectionId ? location.itemId : undefined;
+  }
+
+  return { jobId, webflowJobData, route, isRouted, itemId, contentHash };
+}
+
+/**
+ * Get the content hash stored at the last successful upsert of a job
+ * @param {string} jobId - Mysolution job ID
+ * @param {Object} context - Drain context with the content hashes loaded at its start, if any
+ * @returns {Promise<string|null>} Content hash, or null if none is stored
+ * @private
+ */
+async function getStoredContentHash(jobId, context) {
+  if (context.contentHashes) {
+    return context.contentHashes[jobId] || null;
+  }
+  return syncStateStore.getJobContentHash(jobId);
+}
+
+/**
+ * Upsert a Mysolution job in Webflow (see prepareUpsert)
+ * @param {Object} payload - Task payload with mysolutionJob, optional existingJobId/existingItemState and force flag
+ * @param {Object} context - Drain context (see prepareUpsert)
+ * @returns {Object} Handler result
+ */
+async function handleUpsertJob(payload, context = {}) {
+  const upsert = await prepareUpsert(payload, context);
+  if (upsert.skipped) {
+    return upsert.skipped;
+  }
+  return writeUpsert(payload.mysolutionJob, upsert);
+}
+
+/**
+ * Write a prepared upsert to Webflow with a single request
+ * @param {Object} mysolutionJob - Job from Mysolution
+ * @param {Object} upsert - Result of prepareUpsert
+ * @returns {Promise<Object>} Handler result
+ * @private
+ */
+async function writeUpsert(mysolutionJob, upsert) {
+  const { jobId, webflowJobData, route, isRouted, itemId, contentHash } = upsert;
+
+  // Avoid extra API lookups by passing existing Webflow job ID and skipping sector re-validation
+  const result = await webflowAPI.createOrUpdateJobByMysolutionId(
+    jobId,
+    webflowJobData,
+    {
+      existingJobId: itemId,
+      collectionId: route.collectionId,
+      skipSectorValidation: true
+    }
+  );
+  logger.info(`Job ${jobId} ${result.action}${isRouted ? ` in collection ${route.collectionId} (routing rule "${route.rule}")` : ''}`);
+
+  await jobRoutingService.recordJobLocation(jobId, route.collectionId, result.id);
+
+  return { action: result.action, mysolutionId: jobId, itemId: result.id, modified: getJobModificationDate(mysolutionJob), contentHash };
+}
+
+/**
+ * Archive a Webflow job item
+ * @param {Object} payload - Task payload with itemId, name, reason, reasonCodes and the collectionId of routed jobs
+ * @returns {Object} Handler result
+ */
+async function handleArchiveItem(payload) {
+  const { itemId, collectionId, name, reason } = payload;
+
+  console.log(`🗃️ Archiving job "${name}" (ID: ${itemId}) in Webflow - Reason: ${reason || 'Unknown'}`);
+  await webflowAPI.archiveJob(itemId, { collectionId });
+  console.log(`✅ Successfully archived job: "${name}"`);
+
+  return { action: 'archived', itemId };
+}
+
+/**
+ * Check a job again when its start or end date is reached, and publish or archive it
+ * The job is fetched fresh from Mysolution, so a moved date is honoured; its next boundary is queued.
+ * @param {Object} payload - Task payload with mysolutionId, name, boundary, kind and at
+ * @param {Object} context - Drain context (see prepareUpsert)
+ * @returns {Object} Handler result
+ */
+async function handlePublicationWindow(payload, context = {}) {
+  const { mysolutionId, boundary, kind } = payload;
+
+  let mysolutionJob;
+  try {
+    mysolutionJob = await mysolutionAPI.getJobById(mysolutionId);
+  } catch (error) {
+    if (error.code !== 'JOB_NOT_FOUND') {
+      throw error;
+    }
+    logger.info(`Job ${mysolutionId} no longer exists in Mysolution, skipping its publication window check`);
+    return { action: 'skipped', mysolutionId };
+  }
+
+  const verdict = evaluatePublication(mysolutionJob);
+  logger.info(`Publication window of job ${mysolutionId} (${kind} "${boundary}"): ${verdict.publish ? 'publish' : 'archive'}`);
+
+  let result;
+  if (verdict.publish) {
+    const route = await jobRoutingService.routeJob(mysolutionJob);
+    const existingJob = route.collectionId === webflowAPI.jobsCollectionId
+      ? await webflowAPI.findJobByMysolutionId(mysolutionId)
+      : null;
+    result = await handleUpsertJob({
+      mysolutionJob,
+      existingJobId: existingJob ? existingJob.id : undefined,
+      existingItemState: existingJob ? { isArchived: existingJob.isArchived, isDraft: existingJob.isDraft } : undefined
+    }, context);
+  } else {
+    const location = await jobRoutingService.getJobLocation(mysolutionId);
+    const collectionId = location ? location.collectionId : webflowAPI.jobsCollectionId;
+    const existingJob = await webflowAPI.findJobByMysolutionId(mysolutionId, { collectionId });
+
+    if (existingJob && !existingJob.isArchived) {
+      const reason = verdict.reasons.map(item => item.message).join('; ');
+      console.log(`🗃️ Archiving job "${mysolutionJob.Name}" (ID: ${existingJob.id}) in Webflow - Reason: ${reason}`);
+      await webflowAPI.archiveJob(existingJob.id, { collectionId });
+      result = { action: 'archived', mysolutionId, itemId: existingJob.id };
+    } else {
+      result = { action: 'skipped', mysolutionId, itemId: existingJob ? existingJob.id : undefined };
+    }
+  }
+
+  await publicationWindowService.scheduleJobs([mysolutionJob]);
+  return result;
+}
+
+const taskHandlers = {
+  'upsert-job': handleUpsertJob,
+  'archive-item': handleArchiveItem,
+  'publication-window': handlePublicationWindow
+};
+
+/**
+ * Decide whether a number of queued tasks is worth writing with bulk Webflow requests
+ * @param {number} taskCount - Number of tasks to process
+ * @returns {boolean} True above the configured threshold
+ */
+function shouldUseBulk(taskCount) {
+  return config.sync.bulkThreshold > 0 && taskCount > config.sync.bulkThreshold;
+}
+
+/**
+ * Process leased tasks with bulk Webflow requests
+ * Upserts and archives in the jobs collection are prepared in parallel and written together with
+ * bulkWriteJobs; routed jobs and other task types are processed one by one as usual. A job that
+ * fails only fails its own task.
+ * @param {Array<Object>} tasks - Leased tasks
+ * @param {number} concurrency - Number of jobs prepared in parallel
+ * @param {Object} context - Drain context (see prepareUpsert)
+ * @returns {Promise<Array<Object>>} Outcome per task, as returned by Promise.allSettled
+ * @private
+ */
+async function processTasksInBulk(tasks, concurrency, context = {}) {
+  const outcomes = new Array(tasks.length);
+  const writes = [];
+
+  const fulfilled = value => ({ status: 'fulfilled', value });
+  const rejected = reason => ({ status: 'rejected', reason });
+
+  for (let start = 0; start < tasks.length; start += concurrency) {
+    await Promise.all(tasks.slice(start, start + concurrency).map(async (task, offset) => {
+      const index = start + offset;
+      const { payload } = task;
+
+      try {
+        if (task.type === 'archive-item' && !payload.collectionId) {
+          console.log(`🗃️ Archiving job "${payload.name}" (ID: ${payload.itemId}) in Webflow - Reason: ${payload.reason || 'Unknown'}`);
+          writes.push({ index, operation: { mysolutionId: payload.mysolutionId, action: 'archive', itemId: payload.itemId } });
+          return;
+        }
+
+        if (task.type !== 'upsert-job') {
+          const handler = taskHandlers[task.type];
+          if (!handler) {
+            throw new Error(`Unknown task type: ${task.type}`);
+          }
+          outcomes[index] = fulfilled(await handler(payload, context));
+          return;
+        }
+
+        const upsert = await prepareUpsert(payload, context);
+        if (upsert.skipped) {
+          outcomes[index] = fulfilled(upsert.skipped);
+        } else if (upsert.isRouted) {
+          outcomes[index] = fulfilled(await writeUpsert(payload.mysolutionJob, upsert));
+        } else {
+          writes.push({
+            index,
+            upsert,
+            operation: {
+              mysolutionId: upsert.jobId,
+              action: upsert.itemId ? 'update' : 'create',
+              itemId: upsert.itemId,
+              fieldData: upsert.webflowJobData
+            }
+          });
+        }
+      } catch (error) {
+        outcomes[index] = rejected(error);
+      }
+    }));
+  }
+
+  if (writes.length === 0) {
+    return outcomes;
+  }
+
+  // Keep the queue order within each bulk request
+  writes.sort((a, b) => a.index - b.index);
+  const results = await webflowAPI.bulkWriteJobs(writes.map(write => write.operation));
+
+  for (let i = 0; i < writes.length; i++) {
+    const { index, upsert } = writes[i];
+    const result = results[i];
+
+    if (result.error) {
+      outcomes[index] = rejected(new Error(`Job ${result.mysolutionId}: ${result.error}`));
+    } else if (upsert) {
+      await jobRoutingService.recordJobLocation(upsert.jobId, upsert.route.collectionId, result.itemId);
+      outcomes[index] = fulfilled({
+        action: result.action,
+        mysolutionId: upsert.jobId,
+        itemId: result.itemId,
+        modified: getJobModificationDate(tasks[index].payload.mysolutionJob),
+        contentHash: upsert.contentHash
+      });
+    } else {
+      outcomes[index] = fulfilled({ action: 'archived', itemId: result.itemId });
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Drain the sync work queue until it is empty or the deadline is reached
+ * Tasks that are not processed in time stay in the queue for the next invocation.
+ * @param {Object} options - Drain options
+ * @param {number|null} options.deadline - Timestamp (ms) after which no new tasks are leased
+ * @param {number} options.concurrency - Number of tasks processed in parallel
+ * @param {string} options.owner - Worker id used for leases
+ * @param {boolean} options.bulk - Lease up to a bulk request of tasks at a time and write them with bulk requests
+ * @returns {Promise<Object>} Drain summary
+ */
+async function drainQueue(options = {}) {
+  const owner = options.owner || `worker-${process.pid}-${Date.now()}`;
+  const concurrency = Math.max(1, options.concurrency || config.sync.concurrency || 5);
+  const deadline = options.deadline || null;
+
+  const summary = {
+    owner,
+    processed: 0,
+    upserted: 0,
+    upsertFailed: 0,
+    skipped: 0,
+    archived: 0,
+    archiveFailed: 0,
+    timedOut: false,
+    remaining: 0,
+    scheduled: 0
+  };
+
+  // Content hashes are read once and kept up to date with the hashes stored per batch
+  const context = { contentHashes: { ...(await syncStateStore.getJobContentHashes()) } };
+
+  for (;;) {
+    if (deadline && Date.now() >= deadline) {
+      summary.timedOut = true;
+      logger.warn('Sync time budget reached, leaving remaining tasks in the queue', { owner });
+      break;
+    }
+
+    const tasks = await syncQueue.lease({ owner, limit: options.bulk ? webflowAPI.bulkSize : concurrency });
+    if (tasks.length === 0) {
+      break;
+    }
+
+    const batchResults = options.bulk
+      ? await processTasksInBulk(tasks, concurrency, context)
+      : await Promise.allSettled(tasks.map(async task => {
+        const handler = taskHandlers[task.type];
+        if (!handler) {
+          throw new Error(`Unknown task type: ${task.type}`);
+        }
+        return handler(task.payload, context);
+      }));
+
+    // Settle the batch and store modification dates, content hashes and run history per batch so they survive a timeout
+    const completed = [];
+    const failed = [];
+    const jobDates = {};
+    const jobHashes = {};
+    const runRecords = {};
+
+    for (let i = 0; i < tasks.length; i++) {
+      const task = tasks[i];
+      const result = batchResults[i];
+      const isUpsert = task.type === 'upsert-job';
+      summary.processed++;
+
+      const runRecord = {
+        mysolutionId: isUpsert ? task.payload.mysolutionJob.Id : task.payload.mysolutionId,
+        itemId: isUpsert ? task.payload.existingJobId : task.payload.itemId,
+        archiveReason: isUpsert ? null : task.payload.reason,
+        archiveReasonCodes: isUpsert ? null : task.payload.reasonCodes,
+        attempt: task.attempts
+      };
+
+      if (result.status === 'fulfilled') {
+        completed.push(task.id);
+        // Publication window checks end in an upsert, an archive or nothing
+        if (result.value.action === 'archived') {
+          summary.archived++;
+        } else if (result.value.action === 'skipped') {
+          summary.skipped++;
+        } else {
+          summary.upserted++;
+        }
+        if (result.value.modified) {
+          jobDates[result.value.mysolutionId] = result.value.modified;
+        }
+        if (result.value.contentHash) {
+          jobHashes[result.value.mysolutionId] = result.value.contentHash;
+        }
+        runRecord.itemId = result.value.itemId || runRecord.itemId;
+        runRecord.action = result.value.action;
+      } else {
+        console.error(`❌ Error processing task ${task.key}: ${result.reason.message}`);
+        logger.error(`Error processing sync task ${task.key}:`, result.reason);
+        failed.push({ taskId: task.id, error: result.reason });
+        if (task.type === 'archive-item') {
+          summary.archiveFailed++;
+        } else {
+          summary.upsertFailed++;
+        }
+        runRecord.action = 'failed';
+        runRecord.error = result.reason.message;
+      }
+
+      if (task.syncId) {
+        runRecords[task.syncId] = runRecords[task.syncId] || [];
+        runRecords[task.syncId].push(runRecord);
+      }
+    }
+
+    await syncQueue.settle(owner, { completed, failed });
+    if (Object.keys(jobDates).length > 0) {
+      await syncStateStore.storeMultipleJobDates(jobDates);
+    }
+    if (Object.keys(jobHashes).length > 0) {
+      await syncStateStore.storeJobContentHashes(jobHashes);
+      Object.assign(context.contentHashes, jobHashes);
+    }
+    for (const [syncId, records] of Object.entries(runRecords)) {
+      await syncRunHistory.recordJobs(syncId, records);
+    }
+    await publishingService.saveChangedItems();
+  }
+
+  await sectorMappingService.saveUnmappedSectors();
+
+  // Publication window checks that are not due yet are not left-over work
+  const stats = await syncQueue.getStats();
+  summary.remaining = stats.pending - stats.scheduled + stats.leased;
+  summary.scheduled = stats.scheduled;
+
+  logger.info(`Sync queue drained: ${summary.upserted} upserted, ${summary.archived} archived, ${summary.skipped} unchanged, ${summary.upsertFailed + summary.archiveFailed} failed, ${summary.remaining} remaining`, summary);
+  return summary;
+}
+
+/**
+ * Drain the queue of every tenant and publish the sites where anything changed
+ * Used by the queue cron endpoint to resume work left behind by earlier invocations.
+ * The time budget is shared by all tenants.
+ * @param {Object} options - Options passed to drainQueue
+ * @param {string} options.tenant - Only process the queue of this tenant
+ * @returns {Promise<Object>} Drain summary (by tenant when there are several)
+ */
+async function processSyncQueue(options = {}) {
+  const budgetMs = Number.isFinite(options.timeBudgetMs) ? options.timeBudgetMs : config.sync.timeBudgetMs;
+  const deadline = budgetMs > 0 ? Date.now() + budgetMs : null;
+  const owner = options.owner || `queue-worker-${Date.now()}`;
+
+  return runWithPriority('low', () => forEachTenant(() => processTenantQueue({ ...options, owner, deadline }), options));
+}
+
+/**
+ * Drain the queue of the current tenant and publish its site if anything changed
+ * @param {Object} options - Options passed to drainQueue (with owner and deadline)
+ * @param {boolean} options.onlyWhenDue - Don't take the sync lock when no task is due
+ * @returns {Promise<Object>} Drain summary
+ * @private
+ */
+async function processTenantQueue(options) {
+  const stats = await syncQueue.getStats();
+  let summary;
+  if (options.onlyWhenDue && stats.ready === 0 && stats.leased === 0) {
+    summary = { owner: options.owner, processed: 0, upserted: 0, archived: 0, remaining: 0, scheduled: stats.scheduled };
+  } else {
+    const bulk = options.bulk !== undefined ? options.bulk : shouldUseBulk(stats.ready);
+    summary = await syncLock.withLock(options.owner, () => drainQueue({ ...options, bulk }), { type: 'queue' });
+  }
+
+  // Items written by an earlier invocation that ended before publishing are published now
+  const pendingItems = publishingService.isAutoPublishEnabled() ? await publishingService.countPendingItems() : 0;
+  if (summary.upserted > 0 || summary.archived > 0 || pendingItems > 0) {
+    try {
+      await publishingService.publishIfEnabled(`Sync queue processed (${summary.upserted} jobs processed, ${summary.archived} archived, ${pendingItems} items waiting to be published)`);
+    } catch (error) {
+      logger.error('Error publishing site changes after processing sync queue:', error);
+      // Don't throw the error - the tasks were processed, publishing is secondary
+    }
+  }
+
+  return summary;
+}
+
+export { drainQueue, processSyncQueue, shouldUseBulk };
@@ -2,6 +2,7 @@ import webflowAPI from '../api/webflow.js';
 import { transformMysolutionToWebflow } from '../models/jobsTransformer.js';
 import { logger } from '../utils/logger.js';
 import publishingService from './publishingService.js';
+import jobRoutingService from './jobRoutingService.js';
 
 /**
  * Create a job in Webflow based on Mysolution job data
@@ -18,8 +19,9 @@ export async function createJob(mysolutionJob, options = {}) {
       throw new Error('Invalid job data - missing ID');
     }
 
-    // Check if job already exists in Webflow based on Mysolution ID
-    const exists = await webflowAPI.jobExistsByMysolutionId(mysolutionJob.id);
+    // Check if job already exists in Webflow based on Mysolution ID, in the collection a job routing rule sends it to
+    const route = await jobRoutingService.routeJob(mysolutionJob);
+    const exists = await webflowAPI.findJobByMysolutionId(mysolutionJob.id, { collectionId: route.collectionId });
     if (exists) {
       logger.warn(`Job with Mysolution ID ${mysolutionJob.id} already exists in Webflow`);
       throw new Error(`Duplicate job - Mysolution ID ${mysolutionJob.id} already exists`);
@@ -30,7 +32,7 @@ export async function createJob(mysolutionJob, options = {}) {
 
     // Create job in Webflow
     logger.info(`Creating job in Webflow: ${webflowJobData.name} (Mysolution ID: ${mysolutionJob.id})`);
-    const createdJob = await webflowAPI.createJob(webflowJobData);
+    const createdJob = await webflowAPI.createJob(webflowJobData, { collectionId: route.collectionId });
 
     logger.info(`Job created successfully: ${createdJob.id}`);
 
@@ -135,21 +137,14 @@ export async function createOrUpdateJob(mysolutionJob, options = {}) {
     // Transform job data to Webflow format
     const webflowJobData = await transformMysolutionToWebflow(mysolutionJob);
     
-    // Check for internal job status
-    const isInternalJob = mysolutionJob.msf__Show_On_Internal__c === true;
-    if (isInternalJob) {
-      logger.info(`Job ${mysolutionJob.id} is marked as internal in createOrUpdateJob`);
-      // Ensure the internal sector is set (defensive programming)
-      if (webflowJobData['job-companies'] !== '65f935a2e6b9d7f69afed2bb') {
-        logger.warn(`Internal job ${mysolutionJob.id} has incorrect sector, fixing to "Interne Vacature"`);
-        webflowJobData['job-companies'] = '65f935a2e6b9d7f69afed2bb';
-      }
-    }
+    // Write the job to the collection a job routing rule sends it to
+    const route = await jobRoutingService.routeJob(mysolutionJob);
     
     // Use the existing API method to create or update job
     const result = await webflowAPI.createOrUpdateJobByMysolutionId(
       mysolutionJob.id, 
-      webflowJobData
+      webflowJobData,
+      { collectionId: route.collectionId }
     );
     
     logger.info(`Job ${result.action === 'created' ? 'created' : 'updated'} in Webflow: ${result.job.id}`);
@@ -2,6 +2,7 @@ import webflowAPI from '../api/webflow.js';
 import { transformMysolutionToWebflow } from '../models/jobsTransformer.js';
 import { logger } from '../utils/logger.js';
 import publishingService from './publishingService.js';
+import jobRoutingService from './jobRoutingService.js';
 
 /**
  * Default field merge strategy
@@ -55,9 +56,11 @@ export async function findJobByMysolutionId(mysolutionId) {
  * Update an existing job in Webflow
  * @param {string} webflowJobId - Webflow job ID to update
  * @param {Object} jobData - New job data to apply
+ * @param {Object} options - Update options
+ * @param {string} options.collectionId - Collection of the item (defaults to the jobs collection)
  * @returns {Promise<Object>} Updated job data
  */
-export async function updateWebflowJob(webflowJobId, jobData) {
+export async function updateWebflowJob(webflowJobId, jobData, options = {}) {
   try {
     if (!webflowJobId) {
       throw new Error('Webflow job ID is required');
@@ -68,7 +71,7 @@ export async function updateWebflowJob(webflowJobId, jobData) {
     }
     
     logger.info(`Updating job in Webflow: ${webflowJobId}`);
-    const updatedJob = await webflowAPI.updateJob(webflowJobId, jobData);
+    const updatedJob = await webflowAPI.updateJob(webflowJobId, jobData, { collectionId: options.collectionId });
     
     logger.info(`Job updated successfully: ${webflowJobId}`);
     return updatedJob;
@@ -102,13 +105,6 @@ export function resolveJobConflicts(originalJob, updatedJob, mergeStrategy = DEF
   
   // Process fields based on merge strategy
   Object.keys(originalJob).forEach(field => {
-    // Special case for internal job sector - always update from MySolution regardless of other settings
-    if (field === 'job-companies' && updatedJob[field] === '65f935a2e6b9d7f69afed2bb') {
-      logger.info(`Internal job sector detected (${updatedJob[field]}), forcing update regardless of conflict setting`);
-      result[field] = updatedJob[field];
-      return; // Skip normal processing for this field
-    }
-    
     // Always update these fields from Mysolution
     if (mergeStrategy.alwaysUpdate.includes(field)) {
       if (field === 'job-companies' && originalJob[field] !== updatedJob[field]) {
@@ -157,8 +153,9 @@ export async function updateJob(mysolutionJob, options = {}) {
       throw new Error('Invalid job data - missing ID');
     }
     
-    // Check if job exists in Webflow
-    const existingJob = await findJobByMysolutionId(mysolutionJob.id);
+    // Check if job exists in Webflow, in the collection a job routing rule sends it to
+    const route = await jobRoutingService.routeJob(mysolutionJob);
+    const existingJob = await webflowAPI.findJobByMysolutionId(mysolutionJob.id, { collectionId: route.collectionId });
     
     if (!existingJob) {
       logger.warn(`Job with Mysolution ID ${mysolutionJob.id} not found in Webflow`);
@@ -168,12 +165,6 @@ export async function updateJob(mysolutionJob, options = {}) {
     // Transform the Mysolution job to Webflow format
     const webflowJobData = await transformMysolutionToWebflow(mysolutionJob);
     
-    // Check if this is an internal job
-    const isInternalJob = mysolutionJob.msf__Show_On_Internal__c === true;
-    if (isInternalJob) {
-      logger.info(`Job ${mysolutionJob.id} is marked as internal, ensuring sector is set to "Interne Vacature"`);
-    }
-    
     // Resolve conflicts between existing job and new data
     let finalJobData;
     if (options.forceUpdate) {
@@ -189,15 +180,15 @@ export async function updateJob(mysolutionJob, options = {}) {
         options.mergeStrategy || DEFAULT_MERGE_STRATEGY
       );
       
-      // For internal jobs, we always want to use the internal sector regardless of conflicts
-      if (isInternalJob && webflowJobData['job-companies']) {
-        logger.info(`Forcing sector update for internal job ${mysolutionJob.id} to "Interne Vacature"`);
-        finalJobData['job-companies'] = webflowJobData['job-companies'];
+      // Fields fixed by a job routing rule always win, regardless of conflicts
+      if (route.rule) {
+        logger.info(`Applying fields of routing rule "${route.rule}" to job ${mysolutionJob.id}`);
+        Object.assign(finalJobData, route.fields);
       }
     }
     
     // Update the job in Webflow
-    const updatedJob = await updateWebflowJob(existingJob.id, finalJobData);
+    const updatedJob = await updateWebflowJob(existingJob.id, finalJobData, { collectionId: route.collectionId });
     
     // Publish changes if requested
     if (options.publishChanges !== false) {
@@ -0,0 +1,158 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import archiveApprovalService from '../services/archiveApprovalService.js';
+import syncQueue from '../services/syncQueue.js';
+import mysolutionAPI from '../api/mysolution.js';
+
+describe('Archive approval service', () => {
+  const item = id => ({ itemId: `item-${id}`, mysolutionId: id, name: `Vacature ${id}`, reason: 'No longer exists in Mysolution', reasonCodes: ['not-in-mysolution'] });
+  const batch = (syncId, ids) => ({ syncId, syncType: 'full', reason: 'Too many archives', liveCount: 10, items: ids.map(item) });
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: new Date('2026-01-05T09:00:00.000Z'), toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('checkBatch', () => {
+    it('allows a batch within the limits', () => {
+      expect(archiveApprovalService.checkBatch(0, 0)).to.equal(null);
+      expect(archiveApprovalService.checkBatch(2, 10)).to.equal(null);
+      expect(archiveApprovalService.checkBatch(25, 200)).to.equal(null);
+    });
+
+    it('holds a batch above the count limit', () => {
+      expect(archiveApprovalService.checkBatch(26, 1000)).to.equal('26 jobs would be archived, more than the limit of 25');
+    });
+
+    it('holds a batch above the share of the live jobs', () => {
+      expect(archiveApprovalService.checkBatch(3, 10)).to.equal('3 of 10 live jobs would be archived, more than 20%');
+    });
+  });
+
+  describe('holdBatch', () => {
+    it('keeps the batch as the pending approval', async () => {
+      const approval = await archiveApprovalService.holdBatch(batch('sync-1', ['job-1', 'job-2']));
+
+      const { pending, history } = await archiveApprovalService.getApprovals();
+      expect(pending).to.deep.equal(approval);
+      expect(pending).to.include({ id: 'archive-1767603600000', status: 'pending', syncId: 'sync-1' });
+      expect(history).to.be.empty;
+    });
+
+    it('supersedes the pending batch of an earlier sync', async () => {
+      const first = await archiveApprovalService.holdBatch(batch('sync-1', ['job-1']));
+      clock.tick(1000);
+      const second = await archiveApprovalService.holdBatch(batch('sync-2', ['job-2']));
+
+      const { pending, history } = await archiveApprovalService.getApprovals();
+      expect(pending.id).to.equal(second.id);
+      expect(history[0]).to.include({ id: first.id, status: 'superseded', itemCount: 1, note: `Replaced by ${second.id}` });
+      expect(history[0].items).to.equal(undefined);
+    });
+
+    it('adds a second batch of the same sync to the pending batch', async () => {
+      const first = await archiveApprovalService.holdBatch(batch('sync-1', ['job-1', 'job-2']));
+      clock.tick(1000);
+      const second = await archiveApprovalService.holdBatch({ ...batch('sync-1', ['job-2', 'job-3']), reason: 'Too many unpublishable jobs' });
+
+      const { pending, history } = await archiveApprovalService.getApprovals();
+      expect(second.id).to.equal(first.id);
+      expect(pending).to.include({ id: first.id, reason: 'Too many archives; Too many unpublishable jobs' });
+      expect(pending.items.map(held => held.itemId)).to.deep.equal(['item-job-1', 'item-job-2', 'item-job-3']);
+      expect(history).to.be.empty;
+    });
+  });
+
+  describe('supersedePending', () => {
+    it('moves the pending batch to the history', async () => {
+      await archiveApprovalService.holdBatch(batch('sync-1', ['job-1']));
+
+      await archiveApprovalService.supersedePending('sync-2');
+
+      const { pending, history } = await archiveApprovalService.getApprovals();
+      expect(pending).to.equal(null);
+      expect(history[0]).to.include({ status: 'superseded', note: 'Sync sync-2 archived within the limits' });
+    });
+  });
+
+  describe('approve', () => {
+    let getJobs;
+
+    beforeEach(() => {
+      getJobs = sinon.stub(mysolutionAPI, 'getJobs').resolves([]);
+    });
+
+    it('queues an archive task per item', async () => {
+      const { id } = await archiveApprovalService.holdBatch(batch('sync-1', ['job-1', 'job-2']));
+
+      const approval = await archiveApprovalService.approve(id, { note: 'Checked in Mysolution' });
+
+      expect(approval).to.include({ status: 'approved', note: 'Checked in Mysolution' });
+      const tasks = await syncQueue.list();
+      expect(tasks.map(task => [task.type, task.key, task.syncId])).to.deep.equal([
+        ['archive-item', 'archive-item:item-job-1', 'sync-1'],
+        ['archive-item', 'archive-item:item-job-2', 'sync-1']
+      ]);
+      expect((await archiveApprovalService.getApprovals()).pending).to.equal(null);
+    });
+
+    it('skips the jobs that may be published again', async () => {
+      getJobs.resolves([
+        { Id: 'job-1', Name: 'Vacature job-1', msf__Status__c: 'Online', msf__Show_On_Website__c: true },
+        { Id: 'job-2', Name: 'Vacature job-2', msf__Status__c: 'Closed', msf__Show_On_Website__c: false }
+      ]);
+      const { id } = await archiveApprovalService.holdBatch(batch('sync-1', ['job-1', 'job-2', 'job-3']));
+
+      const approval = await archiveApprovalService.approve(id);
+
+      expect(approval.skippedItems.map(skipped => skipped.itemId)).to.deep.equal(['item-job-1']);
+      expect((await syncQueue.list()).map(task => task.key)).to.deep.equal(['archive-item:item-job-2', 'archive-item:item-job-3']);
+    });
+
+    it('leaves the batch pending when the Mysolution jobs cannot be fetched', async () => {
+      getJobs.rejects(new Error('Mysolution timeout'));
+      const { id } = await archiveApprovalService.holdBatch(batch('sync-1', ['job-1']));
+
+      let error;
+      try {
+        await archiveApprovalService.approve(id);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).to.equal('Mysolution timeout');
+      expect((await archiveApprovalService.getApprovals()).pending.id).to.equal(id);
+      expect(await syncQueue.list()).to.be.empty;
+    });
+
+    it('fails for a batch that is no longer pending', async () => {
+      let error;
+      try {
+        await archiveApprovalService.approve('archive-unknown');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).to.include({ code: 'APPROVAL_NOT_FOUND', message: 'No pending archive batch with ID archive-unknown' });
+    });
+  });
+
+  describe('reject', () => {
+    it('records the decision without queueing anything', async () => {
+      const { id } = await archiveApprovalService.holdBatch(batch('sync-1', ['job-1']));
+
+      const approval = await archiveApprovalService.reject(id, { note: 'Mysolution outage' });
+
+      expect(approval).to.include({ status: 'rejected', note: 'Mysolution outage', itemCount: 1 });
+      expect(await syncQueue.list()).to.be.empty;
+      const { pending, history } = await archiveApprovalService.getApprovals();
+      expect(pending).to.equal(null);
+      expect(history[0].items).to.have.lengthOf(1);
+    });
+  });
+});
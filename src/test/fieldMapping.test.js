@@ -0,0 +1,155 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { applyFieldMapping, getJobFieldMapping } from '../models/fieldMapping.js';
+import { parseBucketLabel } from '../utils/rangeBucketing.js';
+// Registers the job transforms the default mapping refers to
+import '../models/jobsTransformer.js';
+import { getWebflowAPI } from '../api/webflow.js';
+
+// Client of the default tenant, which the exported webflowAPI forwards to
+const webflowAPI = getWebflowAPI();
+
+describe('Field mapping', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('applyFieldMapping', () => {
+    it('uses the default when the source is empty or missing', async () => {
+      const mapping = { fields: [
+        { target: 'job-excerpt-v1', source: 'msf__Title__c', default: '' },
+        { target: 'mysolution-id', source: 'Id' },
+        { target: 'job-city', source: 'msf__Work_Address_City__c', default: 'Nederland' }
+      ] };
+
+      const fieldData = await applyFieldMapping({ Id: 'job-1', msf__Title__c: null }, mapping);
+
+      expect(fieldData).to.deep.equal({ 'job-excerpt-v1': '', 'mysolution-id': 'job-1', 'job-city': 'Nederland' });
+    });
+
+    it('takes the first non-empty source and follows dot paths', async () => {
+      const mapping = { fields: [
+        { target: 'job-contact-name', source: ['Contact.Name', 'Owner.Name'] }
+      ] };
+
+      const fieldData = await applyFieldMapping({ Contact: { Name: '' }, Owner: { Name: 'Anna de Vries' } }, mapping);
+
+      expect(fieldData).to.deep.equal({ 'job-contact-name': 'Anna de Vries' });
+    });
+
+    it('leaves out a value that is not an allowed option and reports it', async () => {
+      const mapping = { fields: [
+        { target: 'job-education', source: 'BS_Opleidingsniveau__c', options: ['MBO', 'HBO', 'WO'], default: 'Geen' }
+      ] };
+      const onUnknownOption = sinon.spy();
+
+      expect(await applyFieldMapping({ BS_Opleidingsniveau__c: 'HBO' }, mapping, { onUnknownOption })).to.deep.equal({ 'job-education': 'HBO' });
+      expect(await applyFieldMapping({ BS_Opleidingsniveau__c: 'Postdoc' }, mapping, { onUnknownOption })).to.deep.equal({});
+      expect(onUnknownOption.calledOnceWith('job-education', 'Postdoc')).to.equal(true);
+    });
+
+    it('reports a range value that fits no bucket and uses the default', async () => {
+      const mapping = { fields: [
+        { target: 'vacature-salaris', source: 'Jaarsalaris__c', transform: 'range-bucket', period: 'year', options: ['In overleg', '40.000-45.000', '45.000-50.000'], default: 'In overleg' }
+      ] };
+      const onUnknownOption = sinon.spy();
+
+      expect(await applyFieldMapping({ Jaarsalaris__c: '42.000' }, mapping, { onUnknownOption })).to.deep.equal({ 'vacature-salaris': '40.000-45.000' });
+      expect(await applyFieldMapping({ Jaarsalaris__c: 'Goed salaris' }, mapping, { onUnknownOption })).to.deep.equal({ 'vacature-salaris': 'In overleg' });
+      expect(await applyFieldMapping({ Jaarsalaris__c: '€ 25 per uur' }, mapping, { onUnknownOption })).to.deep.equal({ 'vacature-salaris': 'In overleg' });
+      expect(onUnknownOption.args).to.deep.equal([['vacature-salaris', 'Goed salaris'], ['vacature-salaris', '€ 25 per uur']]);
+    });
+
+    it('checks options against the live options instead of the mapping', async () => {
+      const mapping = { fields: [
+        { target: 'job-education', source: 'BS_Opleidingsniveau__c', options: ['MBO', 'HBO', 'WO'] }
+      ] };
+      const allowedOptions = { 'job-education': ['MBO', 'HBO', 'WO', 'Postdoc'] };
+
+      expect(await applyFieldMapping({ BS_Opleidingsniveau__c: 'Postdoc' }, mapping, { allowedOptions }))
+        .to.deep.equal({ 'job-education': 'Postdoc' });
+    });
+
+    it('applies overrides and conditions', async () => {
+      const mapping = { fields: [
+        {
+          target: 'job-companies',
+          source: 'BS_Sector__c',
+          overrides: [{ when: { source: 'msf__Show_On_Internal__c', equals: true }, value: 'internal-sector' }]
+        },
+        { target: 'job-hours', source: 'msf__Hours__c', when: { source: 'msf__Hours__c', exists: true }, otherwise: 'Onbekend' }
+      ] };
+
+      expect(await applyFieldMapping({ BS_Sector__c: 'ICT', msf__Show_On_Internal__c: true }, mapping))
+        .to.deep.equal({ 'job-companies': 'internal-sector', 'job-hours': 'Onbekend' });
+      expect(await applyFieldMapping({ BS_Sector__c: 'ICT', msf__Hours__c: '40' }, mapping))
+        .to.deep.equal({ 'job-companies': 'ICT', 'job-hours': '40' });
+    });
+
+    it('maps keywords and looks up reference items', async () => {
+      sinon.stub(webflowAPI, 'findSectorByName').withArgs('ICT').resolves({ id: 'sector-1', name: 'ICT', strategy: 'exact' });
+      const mapping = { fields: [
+        { target: 'job-contract', source: 'msf__Contract_Type__c', transform: 'keyword-map', keywords: { vast: 'Vast', tijdelijk: 'Tijdelijk' } },
+        { target: 'job-companies', source: 'BS_Sector__c', transform: 'reference-lookup', collection: 'sectors' }
+      ] };
+
+      const fieldData = await applyFieldMapping({ msf__Contract_Type__c: 'Vaste aanstelling', BS_Sector__c: 'ICT' }, mapping);
+
+      expect(fieldData).to.deep.equal({ 'job-contract': 'Vast', 'job-companies': 'sector-1' });
+    });
+
+    it('leaves a field out when a reference item is missing and there is no default', async () => {
+      sinon.stub(webflowAPI, 'findSectorByName').resolves(null);
+      const mapping = { fields: [{ target: 'job-companies', source: 'BS_Sector__c', transform: 'reference-lookup', collection: 'sectors' }] };
+
+      expect(await applyFieldMapping({ BS_Sector__c: 'Onbekend' }, mapping)).to.deep.equal({});
+    });
+  });
+
+  describe('getJobFieldMapping', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'field-mapping-'));
+    });
+
+    afterEach(async () => {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    it('loads the default mapping', () => {
+      const mapping = getJobFieldMapping();
+
+      expect(mapping.fields.map(field => field.target)).to.include.members(['name', 'slug', 'mysolution-id']);
+    });
+
+    it('has no gaps between the range buckets of the default mapping', () => {
+      const bucketFields = getJobFieldMapping().fields.filter(field => field.transform === 'range-bucket');
+
+      bucketFields.forEach(field => {
+        const buckets = field.options.map(parseBucketLabel).filter(Boolean);
+        buckets.slice(1).forEach((bucket, index) => {
+          expect(bucket.lower, `"${field.target}" has a gap before ${bucket.option}`).to.equal(buckets[index].upper);
+        });
+      });
+      expect(bucketFields.map(field => field.target)).to.include('vacature-salaris');
+    });
+
+    it('rejects a mapping with duplicate targets, missing sources and unknown transforms', () => {
+      const filePath = path.join(directory, 'mapping.json');
+      fs.writeFileSync(filePath, JSON.stringify({ fields: [
+        { target: 'name', source: 'Name' },
+        { target: 'name', source: 'Name', transform: 'shout' },
+        { target: 'slug' }
+      ] }));
+
+      expect(() => getJobFieldMapping({ filePath })).to.throw(
+        `Invalid job field mapping in ${filePath}: field "name" is mapped more than once; field "name" uses unknown transform "shout"; field "slug" has no source`
+      );
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import jobChangeFeed from '../services/jobChangeFeed.js';
+import mysolutionAPI from '../api/mysolution.js';
+import syncStateStore from '../utils/syncStateStore.js';
+
+describe('Job change feed', () => {
+  const job = (id, modified, extra = {}) => ({ Id: id, Name: `Vacature ${id}`, LastModifiedDate: modified, ...extra });
+
+  /**
+   * Store the modification dates and high-water mark of a previous run
+   */
+  async function storeState(jobModificationDates, highWaterMark = null) {
+    await syncStateStore.updateSyncState(state => {
+      state.jobModificationDates = jobModificationDates;
+      state.changeFeed = highWaterMark ? { highWaterMark, committedAt: highWaterMark, heldDeletions: null } : undefined;
+    });
+  }
+
+  beforeEach(async () => {
+    jobChangeFeed.fullLists.clear();
+    await storeState({});
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getChanges', () => {
+    it('reports created, changed, unchanged and disappeared jobs', async () => {
+      await storeState({
+        'job-1': '2026-01-01T10:00:00.000Z',
+        'job-2': '2026-01-01T10:00:00.000Z',
+        'job-3': '2026-01-01T10:00:00.000Z'
+      }, '2026-01-01T10:00:00.000Z');
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([
+        job('job-1', '2026-01-01T10:00:00.000Z'),
+        job('job-2', '2026-01-02T08:00:00.000Z'),
+        job('job-4', '2026-01-02T09:00:00.000Z')
+      ]);
+
+      const changes = await jobChangeFeed.getChanges();
+
+      expect(changes.created.map(created => created.Id)).to.deep.equal(['job-4']);
+      expect(changes.changed.map(changed => changed.Id)).to.deep.equal(['job-2']);
+      expect(changes.disappeared).to.deep.equal(['job-3']);
+      expect(changes).to.include({ unchanged: 1, tracked: 3, fetched: 3, complete: true, highWaterMark: '2026-01-02T09:00:00.000Z' });
+    });
+
+    it('reports every known job as disappeared when the list is empty', async () => {
+      await storeState({ 'job-1': '2026-01-01T10:00:00.000Z', 'job-2': '2026-01-01T10:00:00.000Z' }, '2026-01-01T10:00:00.000Z');
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([]);
+
+      const changes = await jobChangeFeed.getChanges();
+
+      expect(changes.disappeared).to.deep.equal(['job-1', 'job-2']);
+      expect(changes).to.include({ fetched: 0, highWaterMark: '2026-01-01T10:00:00.000Z' });
+    });
+
+    it('counts a change to a child record as a change to the job', async () => {
+      await storeState({ 'job-1': '2026-01-01T10:00:00.000Z' }, '2026-01-01T10:00:00.000Z');
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([
+        job('job-1', '2026-01-01T10:00:00.000Z', {
+          msf__Account__r: { Name: 'Zorggroep', LastModifiedDate: '2026-01-03T12:00:00.000Z' }
+        })
+      ]);
+
+      const changes = await jobChangeFeed.getChanges();
+
+      expect(changes.changed.map(changed => changed.Id)).to.deep.equal(['job-1']);
+      expect(changes.jobDates['job-1']).to.equal('2026-01-03T12:00:00.000Z');
+      expect(changes.highWaterMark).to.equal('2026-01-03T12:00:00.000Z');
+    });
+
+    it('reads the dates of child record lists', async () => {
+      await storeState({ 'job-1': '2026-01-01T10:00:00.000Z' }, '2026-01-01T10:00:00.000Z');
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([
+        job('job-1', '2026-01-01T10:00:00.000Z', {
+          msf__Job_Locations__r: { records: [{ LastModifiedDate: '2026-01-02T00:00:00.000Z' }, { SystemModstamp: '2026-01-04T00:00:00.000Z' }] }
+        })
+      ]);
+
+      const changes = await jobChangeFeed.getChanges();
+
+      expect(changes.jobDates['job-1']).to.equal('2026-01-04T00:00:00.000Z');
+    });
+
+    it('treats unknown jobs modified before the baseline as unchanged', async () => {
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([
+        job('job-1', '2026-01-01T10:00:00.000Z'),
+        job('job-2', '2026-01-05T10:00:00.000Z')
+      ]);
+
+      const changes = await jobChangeFeed.getChanges({ baseline: '2026-01-02T00:00:00.000Z' });
+
+      expect(changes.created.map(created => created.Id)).to.deep.equal(['job-2']);
+      expect(changes.unchanged).to.equal(1);
+    });
+
+    it('syncs a known job without a readable date', async () => {
+      await storeState({ 'job-1': '2026-01-01T10:00:00.000Z' }, '2026-01-01T10:00:00.000Z');
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([{ Id: 'job-1', Name: 'Vacature job-1' }]);
+
+      const changes = await jobChangeFeed.getChanges();
+
+      expect(changes.changed.map(changed => changed.Id)).to.deep.equal(['job-1']);
+    });
+  });
+
+  describe('checkDeletionSafety', () => {
+    const limits = { maxCount: 10, maxRatio: 0.2 };
+    const changesWith = (disappeared, tracked, fetched = tracked - disappeared) => ({
+      disappeared: Array.from({ length: disappeared }, (value, index) => `job-${index}`),
+      tracked,
+      fetched
+    });
+
+    it('allows a run without deletions', () => {
+      expect(jobChangeFeed.checkDeletionSafety(changesWith(0, 0, 0), limits)).to.equal(null);
+    });
+
+    it('holds the deletions of an empty job list', () => {
+      expect(jobChangeFeed.checkDeletionSafety(changesWith(3, 3, 0), limits))
+        .to.equal('Mysolution returned no jobs while 3 jobs are known');
+    });
+
+    it('allows deletions within the limits', () => {
+      expect(jobChangeFeed.checkDeletionSafety(changesWith(10, 100), limits)).to.equal(null);
+      expect(jobChangeFeed.checkDeletionSafety(changesWith(2, 10), limits)).to.equal(null);
+    });
+
+    it('holds more deletions than the count limit', () => {
+      expect(jobChangeFeed.checkDeletionSafety(changesWith(11, 1000), limits))
+        .to.equal('11 jobs disappeared at once, more than the limit of 10');
+    });
+
+    it('holds a larger share of the known jobs than the ratio limit', () => {
+      expect(jobChangeFeed.checkDeletionSafety(changesWith(3, 10), limits))
+        .to.equal('3 of 10 known jobs disappeared at once, more than 20%');
+    });
+  });
+
+  describe('commit', () => {
+    it('stores the dates, forgets disappeared jobs and keeps held deletions', async () => {
+      await storeState({ 'job-1': '2026-01-01T10:00:00.000Z', 'job-2': '2026-01-01T10:00:00.000Z' }, '2026-01-01T10:00:00.000Z');
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([job('job-1', '2026-01-02T10:00:00.000Z')]);
+
+      const changes = await jobChangeFeed.getChanges();
+      jobChangeFeed.holdDeletions(changes, 'Held for the test');
+      await jobChangeFeed.commit(changes);
+
+      const state = await syncStateStore.getSyncState();
+      expect(state.jobModificationDates).to.deep.equal({
+        'job-1': '2026-01-02T10:00:00.000Z',
+        'job-2': '2026-01-01T10:00:00.000Z'
+      });
+      expect(state.changeFeed.highWaterMark).to.equal('2026-01-02T10:00:00.000Z');
+      expect(state.changeFeed.heldDeletions).to.include({ reason: 'Held for the test' });
+      expect(state.changeFeed.heldDeletions.jobIds).to.deep.equal(['job-2']);
+    });
+
+    it('leaves out the jobs whose changes were not written and keeps the high-water mark', async () => {
+      await storeState({ 'job-1': '2026-01-01T10:00:00.000Z', 'job-2': '2026-01-01T10:00:00.000Z', 'job-3': '2026-01-01T10:00:00.000Z' }, '2026-01-01T10:00:00.000Z');
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([job('job-1', '2026-01-02T10:00:00.000Z'), job('job-2', '2026-01-03T10:00:00.000Z')]);
+
+      const changes = await jobChangeFeed.getChanges();
+      await jobChangeFeed.commit(changes, { exclude: ['job-2', 'job-3'] });
+
+      const state = await syncStateStore.getSyncState();
+      expect(state.jobModificationDates).to.deep.equal({
+        'job-1': '2026-01-02T10:00:00.000Z',
+        'job-2': '2026-01-01T10:00:00.000Z',
+        'job-3': '2026-01-01T10:00:00.000Z'
+      });
+      expect(state.changeFeed.highWaterMark).to.equal('2026-01-01T10:00:00.000Z');
+    });
+  });
+});
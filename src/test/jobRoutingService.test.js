@@ -0,0 +1,109 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import jobRoutingService from '../services/jobRoutingService.js';
+import { getWebflowAPI } from '../api/webflow.js';
+import config from '../utils/config.js';
+
+// Client of the default tenant, which the exported webflowAPI forwards to
+const webflowAPI = getWebflowAPI();
+
+describe('Job routing service', () => {
+  const jobsCollectionId = config.webflow.jobsCollectionId;
+  const internalRule = {
+    name: 'Interne vacatures',
+    when: { source: 'msf__Show_On_Internal__c', equals: true },
+    sectorId: 'sector-internal',
+    collectionId: 'internal-collection',
+    problems: []
+  };
+  let findJob;
+  let archiveJob;
+
+  beforeEach(() => {
+    findJob = sinon.stub(webflowAPI, 'findJobByMysolutionId').resolves(null);
+    archiveJob = sinon.stub(webflowAPI, 'archiveJob').resolves({ action: 'archived' });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('routeJob', () => {
+    it('sends a job no rule matches to the jobs collection', async () => {
+      sinon.stub(jobRoutingService, 'getRules').resolves([internalRule]);
+
+      expect(await jobRoutingService.routeJob({ Id: 'job-1', msf__Show_On_Internal__c: false }))
+        .to.deep.equal({ rule: null, collectionId: jobsCollectionId, fields: {} });
+    });
+
+    it('applies the collection and sector of the first matching rule', async () => {
+      sinon.stub(jobRoutingService, 'getRules').resolves([internalRule, { ...internalRule, name: 'Later', collectionId: 'other' }]);
+
+      expect(await jobRoutingService.routeJob({ Id: 'job-1', msf__Show_On_Internal__c: true })).to.deep.equal({
+        rule: 'Interne vacatures',
+        collectionId: 'internal-collection',
+        fields: { 'job-companies': 'sector-internal' }
+      });
+    });
+
+    it('fails a job whose rule could not be resolved', async () => {
+      sinon.stub(jobRoutingService, 'getRules').resolves([{ ...internalRule, problems: ['sector "Intern" not found in the sectors collection'] }]);
+
+      let error;
+      try {
+        await jobRoutingService.routeJob({ Id: 'job-1', msf__Show_On_Internal__c: true });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).to.equal('Job routing rule "Interne vacatures" can\'t be applied: sector "Intern" not found in the sectors collection');
+    });
+  });
+
+  describe('recordJobLocation', () => {
+    it('records nothing for a job that stays in the jobs collection', async () => {
+      expect(await jobRoutingService.recordJobLocation('job-1', jobsCollectionId, 'item-1')).to.equal(null);
+
+      expect(await jobRoutingService.getJobLocation('job-1')).to.equal(null);
+      expect(findJob.called).to.equal(false);
+      expect(archiveJob.called).to.equal(false);
+    });
+
+    it('archives the jobs collection item of a job that is routed for the first time', async () => {
+      findJob.resolves({ id: 'item-1', isArchived: false });
+
+      const moved = await jobRoutingService.recordJobLocation('job-1', 'internal-collection', 'item-2');
+
+      expect(moved).to.deep.equal({ collectionId: jobsCollectionId, itemId: 'item-1' });
+      expect(archiveJob.calledOnceWith('item-1', { collectionId: jobsCollectionId })).to.equal(true);
+      expect(await jobRoutingService.getJobLocation('job-1')).to.deep.equal({ collectionId: 'internal-collection', itemId: 'item-2' });
+    });
+
+    it('leaves an already archived jobs collection item alone', async () => {
+      findJob.resolves({ id: 'item-1', isArchived: true });
+
+      expect(await jobRoutingService.recordJobLocation('job-1', 'internal-collection', 'item-2')).to.equal(null);
+      expect(archiveJob.called).to.equal(false);
+    });
+
+    it('does not archive anything while the job stays in its routed collection', async () => {
+      await jobRoutingService.recordJobLocation('job-1', 'internal-collection', 'item-2');
+      findJob.resetHistory();
+
+      expect(await jobRoutingService.recordJobLocation('job-1', 'internal-collection', 'item-2')).to.equal(null);
+      expect(findJob.called).to.equal(false);
+      expect(archiveJob.called).to.equal(false);
+    });
+
+    it('archives the routed item of a job that moves back to the jobs collection', async () => {
+      await jobRoutingService.recordJobLocation('job-1', 'internal-collection', 'item-2');
+
+      const moved = await jobRoutingService.recordJobLocation('job-1', jobsCollectionId, 'item-1');
+
+      expect(moved).to.deep.equal({ collectionId: 'internal-collection', itemId: 'item-2' });
+      expect(archiveJob.calledOnceWith('item-2', { collectionId: 'internal-collection' })).to.equal(true);
+      expect(await jobRoutingService.getJobLocation('job-1')).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { jobsSync, incrementalJobsSync, syncSingleJob, describeSyncResult } from '../services/jobsSync.js';
+import mysolutionAPI from '../api/mysolution.js';
+import { getWebflowAPI } from '../api/webflow.js';
+import publishingService from '../services/publishingService.js';
+import jobChangeFeed from '../services/jobChangeFeed.js';
+import collectionSchemaService from '../services/collectionSchemaService.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import config from '../utils/config.js';
+import syncLock from '../services/syncLock.js';
+import syncQueue from '../services/syncQueue.js';
+import jobRoutingService from '../services/jobRoutingService.js';
+import publicationWindowService from '../services/publicationWindowService.js';
+
+// Client of the default tenant, which the exported webflowAPI forwards to
+const webflowAPI = getWebflowAPI();
+
+describe('Jobs sync', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('syncSingleJob', () => {
+    const webflowItem = (id, extra = {}) => ({ id, isArchived: false, isDraft: false, fieldData: { name: 'Vacature', slug: 'vacature' }, ...extra });
+
+    beforeEach(() => {
+      sinon.stub(publishingService, 'publishIfEnabled').resolves(null);
+    });
+
+    it('archives the Webflow item of a deleted job without fetching it', async () => {
+      const getJobById = sinon.stub(mysolutionAPI, 'getJobById');
+      sinon.stub(webflowAPI, 'findJobByMysolutionId').resolves(webflowItem('item-1'));
+      const archiveJob = sinon.stub(webflowAPI, 'archiveJob').resolves(webflowItem('item-1', { isArchived: true }));
+
+      const result = await syncSingleJob('job-1', { event: 'deleted' });
+
+      expect(getJobById.called).to.equal(false);
+      expect(archiveJob.calledOnceWith('item-1')).to.equal(true);
+      expect(result).to.include({ mysolutionId: 'job-1', action: 'archived', archiveReason: 'Job deleted in Mysolution' });
+      expect(publishingService.publishIfEnabled.calledOnce).to.equal(true);
+    });
+
+    it('treats a job Mysolution no longer has as a deletion', async () => {
+      const notFoundError = new Error('Job with ID job-1 not found');
+      notFoundError.code = 'JOB_NOT_FOUND';
+      sinon.stub(mysolutionAPI, 'getJobById').rejects(notFoundError);
+      sinon.stub(webflowAPI, 'findJobByMysolutionId').resolves(webflowItem('item-1'));
+      sinon.stub(webflowAPI, 'archiveJob').resolves(webflowItem('item-1', { isArchived: true }));
+
+      const result = await syncSingleJob('job-1', { event: 'updated' });
+
+      expect(result).to.include({ action: 'archived', archiveReason: 'Job deleted in Mysolution' });
+    });
+
+    it('skips an unpublished job whose item is already archived and does not publish', async () => {
+      sinon.stub(mysolutionAPI, 'getJobById').resolves({ Id: 'job-1', Name: 'Vacature', msf__Status__c: 'Closed' });
+      sinon.stub(webflowAPI, 'findJobByMysolutionId').resolves(webflowItem('item-1', { isArchived: true }));
+      const archiveJob = sinon.stub(webflowAPI, 'archiveJob');
+
+      const result = await syncSingleJob('job-1');
+
+      expect(archiveJob.called).to.equal(false);
+      expect(result).to.include({ event: 'updated', action: 'skipped', archiveReason: 'Status changed to "Closed"; Show on Website disabled' });
+      expect(publishingService.publishIfEnabled.called).to.equal(false);
+    });
+
+    it('rethrows other Mysolution errors', async () => {
+      sinon.stub(mysolutionAPI, 'getJobById').rejects(new Error('Mysolution timeout'));
+      const findJob = sinon.stub(webflowAPI, 'findJobByMysolutionId');
+
+      let error;
+      try {
+        await syncSingleJob('job-1');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).to.have.property('message', 'Mysolution timeout');
+      expect(findJob.called).to.equal(false);
+    });
+
+    describe('while another sync holds the lock', () => {
+      beforeEach(async () => {
+        await syncLock.acquire('full-sync-1', { type: 'full' });
+        sinon.stub(publicationWindowService, 'scheduleJobs').resolves(0);
+      });
+
+      it('queues the upsert of a publishable job', async () => {
+        const mysolutionJob = { Id: 'job-1', Name: 'Vacature', msf__Status__c: 'Online', msf__Show_On_Website__c: true };
+        sinon.stub(mysolutionAPI, 'getJobById').resolves(mysolutionJob);
+        sinon.stub(jobRoutingService, 'getRules').resolves([]);
+        sinon.stub(webflowAPI, 'findJobByMysolutionId').resolves(webflowItem('item-1'));
+        const createOrUpdate = sinon.stub(webflowAPI, 'createOrUpdateJobByMysolutionId');
+
+        const result = await syncSingleJob('job-1');
+
+        expect(result).to.include({ action: 'queued', task: 'upsert-job', runningSyncId: 'full-sync-1' });
+        expect(createOrUpdate.called).to.equal(false);
+        const [task] = await syncQueue.list();
+        expect(task).to.include({ type: 'upsert-job', key: 'upsert-job:job-1', status: 'pending' });
+        expect(task.payload).to.deep.include({ mysolutionJob, existingJobId: 'item-1', existingItemState: { isArchived: false, isDraft: false } });
+      });
+
+      it('queues the archive of a deleted job', async () => {
+        sinon.stub(webflowAPI, 'findJobByMysolutionId').resolves(webflowItem('item-1'));
+        const archiveJob = sinon.stub(webflowAPI, 'archiveJob');
+
+        const result = await syncSingleJob('job-1', { event: 'deleted' });
+
+        expect(result).to.include({ action: 'queued', task: 'archive-item' });
+        expect(archiveJob.called).to.equal(false);
+        const [task] = await syncQueue.list();
+        expect(task).to.include({ type: 'archive-item', key: 'archive-item:item-1' });
+        expect(task.payload).to.include({ itemId: 'item-1', mysolutionId: 'job-1', reason: 'Job deleted in Mysolution' });
+      });
+
+      it('queues nothing when the item is already archived', async () => {
+        sinon.stub(webflowAPI, 'findJobByMysolutionId').resolves(webflowItem('item-1', { isArchived: true }));
+
+        const result = await syncSingleJob('job-1', { event: 'deleted' });
+
+        expect(result).to.include({ action: 'skipped', task: null });
+        expect(await syncQueue.list()).to.be.empty;
+      });
+    });
+  });
+
+  describe('incrementalJobsSync deletions', () => {
+    const modified = '2026-01-01T10:00:00.000Z';
+    const jobIds = ['job-1', 'job-2', 'job-3', 'job-4', 'job-5'];
+    const mysolutionJob = id => ({ Id: id, Name: `Vacature ${id}`, LastModifiedDate: modified, msf__Status__c: 'Online', msf__Show_On_Website__c: true });
+    const webflowJob = id => ({ id: `item-${id}`, name: `Vacature ${id}`, isArchived: false, isDraft: false, fieldData: { 'mysolution-id': id } });
+
+    beforeEach(async () => {
+      jobChangeFeed.fullLists.clear();
+      await syncStateStore.updateSyncState(state => {
+        state.lastSync = '2026-01-02T00:00:00.000Z';
+        state.jobModificationDates = Object.fromEntries(jobIds.map(id => [id, modified]));
+        state.changeFeed = { highWaterMark: modified, committedAt: modified, heldDeletions: null };
+      });
+      sinon.stub(webflowAPI, 'getAllJobs').resolves(jobIds.map(webflowJob));
+    });
+
+    it('archives the Webflow item of a job that disappeared from Mysolution', async () => {
+      sinon.stub(mysolutionAPI, 'getJobs').resolves(jobIds.slice(0, 4).map(mysolutionJob));
+
+      const plan = await incrementalJobsSync({ dryRun: true, disableUnpublishScan: true });
+
+      expect(plan.archives).to.have.lengthOf(1);
+      expect(plan.archives[0]).to.deep.include({ itemId: 'item-job-5', mysolutionId: 'job-5', name: 'Vacature job-5', reason: 'No longer exists in Mysolution', reasonCodes: ['not-in-mysolution'] });
+      expect(plan).to.not.have.property('heldDeletions');
+    });
+
+    it('holds the deletions when more jobs disappear than the safety limits allow', async () => {
+      sinon.stub(mysolutionAPI, 'getJobs').resolves(jobIds.slice(0, 3).map(mysolutionJob));
+
+      const plan = await incrementalJobsSync({ dryRun: true, disableUnpublishScan: true });
+
+      expect(plan.archives).to.be.empty;
+      expect(plan.heldDeletions.jobIds).to.deep.equal(['job-4', 'job-5']);
+      expect(plan.heldDeletions.reason).to.equal('2 of 5 known jobs disappeared at once, more than 20%');
+    });
+
+    it('leaves held deletions out of the unpublish scan', async () => {
+      sinon.stub(config.sync, 'incrementalDeletions').value(false);
+      sinon.stub(mysolutionAPI, 'getJobs').resolves(jobIds.slice(0, 4).map(mysolutionJob));
+
+      const plan = await incrementalJobsSync({ dryRun: true });
+
+      expect(plan.heldDeletions.jobIds).to.deep.equal(['job-5']);
+      expect(plan.archives).to.be.empty;
+    });
+
+    it('adds the archives the unpublish scan holds to the batch the sync held', async () => {
+      sinon.stub(config.archiveGuard, 'maxCount').value(0);
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([
+        ...jobIds.slice(0, 3).map(mysolutionJob),
+        { ...mysolutionJob('job-4'), msf__Status__c: 'Closed' }
+      ]);
+
+      const plan = await incrementalJobsSync({ dryRun: true });
+
+      expect(plan.archiveHold.items.map(item => item.itemId)).to.deep.equal(['item-job-5', 'item-job-4']);
+      expect(plan.archiveHold.reason).to.equal('1 jobs would be archived, more than the limit of 0; 1 jobs would be archived, more than the limit of 0');
+      expect(plan.archives).to.be.empty;
+    });
+  });
+
+  describe('incrementalJobsSync change feed', () => {
+    const modified = '2026-01-01T10:00:00.000Z';
+    const mysolutionJob = id => ({ Id: id, Name: `Vacature ${id}`, LastModifiedDate: '2026-01-03T10:00:00.000Z', msf__Status__c: 'Online', msf__Show_On_Website__c: true });
+
+    beforeEach(async () => {
+      jobChangeFeed.fullLists.clear();
+      await syncStateStore.updateSyncState(state => {
+        state.lastSync = '2026-01-02T00:00:00.000Z';
+        state.jobModificationDates = { 'job-1': modified, 'job-2': modified };
+        state.changeFeed = { highWaterMark: modified, committedAt: modified, heldDeletions: null };
+      });
+      sinon.stub(webflowAPI, 'getOptionFields').resolves({});
+      sinon.stub(webflowAPI, 'getAllJobs').resolves(['job-1', 'job-2'].map(id => (
+        { id: `item-${id}`, isArchived: false, isDraft: false, fieldData: { name: `Vacature ${id}`, 'mysolution-id': id } }
+      )));
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([mysolutionJob('job-1'), mysolutionJob('job-2')]);
+      sinon.stub(publishingService, 'publishIfEnabled').resolves(null);
+    });
+
+    it('commits the changes after the queue is drained, without the jobs that failed', async () => {
+      const createOrUpdate = sinon.stub(webflowAPI, 'createOrUpdateJobByMysolutionId');
+      createOrUpdate.withArgs('job-1').resolves({ id: 'item-job-1', action: 'updated' });
+      createOrUpdate.withArgs('job-2').rejects(new Error('Validation failed'));
+
+      const result = await incrementalJobsSync({ disableUnpublishScan: true });
+
+      expect(result).to.include({ successful: 1, failed: 1 });
+      const state = await syncStateStore.getSyncState();
+      expect(state.jobModificationDates).to.deep.equal({ 'job-1': '2026-01-03T10:00:00.000Z', 'job-2': modified });
+      expect(state.changeFeed.highWaterMark).to.equal(modified);
+    });
+  });
+
+  describe('dry runs', () => {
+    it('list unknown option values in the plan instead of recording them', async () => {
+      jobChangeFeed.fullLists.clear();
+      sinon.stub(collectionSchemaService, 'getOptionFields').resolves({ fields: { 'vacature-type': [{ id: 'option-vast', name: 'Vast' }] } });
+      sinon.stub(webflowAPI, 'getAllJobs').resolves([]);
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([
+        { Id: 'job-1', Name: 'Vacature', BS_Soort_dienstverband__c: 'Interim', msf__Status__c: 'Online', msf__Show_On_Website__c: true }
+      ]);
+      const reportUnknownOption = sinon.spy(collectionSchemaService, 'reportUnknownOption');
+
+      const plan = await jobsSync({ dryRun: true });
+
+      expect(plan.unknownOptions).to.deep.equal([{ mysolutionId: 'job-1', field: 'vacature-type', value: 'Interim' }]);
+      expect(reportUnknownOption.called).to.equal(false);
+      expect(await collectionSchemaService.getUnknownOptionValues()).to.be.empty;
+    });
+  });
+
+  describe('describeSyncResult', () => {
+    it('describes the result of one tenant and of several', () => {
+      expect(describeSyncResult({ successful: 2, failed: 1, skipped: 5 })).to.equal('2 successful, 1 failed, 5 skipped');
+      expect(describeSyncResult({ tenants: { 'site-a': { successful: 2 }, 'site-b': { error: 'Sync already running' } } }))
+        .to.equal('site-a: 2 successful, 0 failed, 0 skipped; site-b: failed (Sync already running)');
+    });
+  });
+
+  describe('routed jobs', () => {
+    const closedJob = { Id: 'job-9', Name: 'Interne vacature', LastModifiedDate: '2026-01-01T10:00:00.000Z', msf__Status__c: 'Closed', msf__Show_On_Website__c: true };
+
+    beforeEach(async () => {
+      jobChangeFeed.fullLists.clear();
+      sinon.stub(config.archiveGuard, 'enabled').value(false);
+      sinon.stub(webflowAPI, 'getAllJobs').resolves([]);
+      sinon.stub(webflowAPI, 'getAllItems').withArgs('internal-collection').resolves([
+        { id: 'item-9', isArchived: false, fieldData: { name: 'Interne vacature', 'mysolution-id': 'job-9' } }
+      ]);
+      await syncStateStore.updateSyncState(state => {
+        state.routedJobs = { 'job-9': { collectionId: 'internal-collection', itemId: 'item-9' } };
+      });
+    });
+
+    it('archives the item of an unpublishable routed job in its own collection during a full sync', async () => {
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([closedJob]);
+
+      const plan = await jobsSync({ dryRun: true });
+
+      expect(plan.archives).to.have.lengthOf(1);
+      expect(plan.archives[0]).to.include({ itemId: 'item-9', collectionId: 'internal-collection', mysolutionId: 'job-9' });
+    });
+
+    it('archives the item of a routed job that disappeared during an incremental sync', async () => {
+      await syncStateStore.updateSyncState(state => {
+        state.lastSync = '2026-01-02T00:00:00.000Z';
+        state.jobModificationDates = { 'job-1': closedJob.LastModifiedDate, 'job-9': closedJob.LastModifiedDate };
+        state.changeFeed = { highWaterMark: closedJob.LastModifiedDate, committedAt: closedJob.LastModifiedDate, heldDeletions: null };
+      });
+      sinon.stub(config.sync, 'maxIncrementalDeletionRatio').value(1);
+      sinon.stub(mysolutionAPI, 'getJobs').resolves([{ ...closedJob, Id: 'job-1', msf__Status__c: 'Online' }]);
+
+      const plan = await incrementalJobsSync({ dryRun: true, disableUnpublishScan: true });
+
+      expect(plan.archives.map(archive => [archive.itemId, archive.collectionId, archive.reason]))
+        .to.deep.equal([['item-9', 'internal-collection', 'No longer exists in Mysolution']]);
+    });
+  });
+});
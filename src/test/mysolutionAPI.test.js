@@ -0,0 +1,56 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mysolutionAPI from '../api/mysolution.js';
+
+describe('Mysolution API', () => {
+  const jobsEndpoint = '/services/apexrest/msf/api/job/Get';
+  const job = id => ({ Id: id, Name: `Vacature ${id}` });
+  let get;
+
+  beforeEach(() => {
+    get = sinon.stub(mysolutionAPI.client, 'get');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getJobById', () => {
+    it('requests only the job with an ID filter', async () => {
+      get.withArgs(jobsEndpoint, { params: { Id: 'job-2' } }).resolves({ data: [job('job-2')] });
+
+      expect(await mysolutionAPI.getJobById('job-2')).to.deep.equal(job('job-2'));
+      expect(get.calledOnce).to.equal(true);
+    });
+
+    it('finds the job when Mysolution ignores the filter and returns every job', async () => {
+      get.resolves({ data: [job('job-1'), job('job-2')] });
+
+      expect(await mysolutionAPI.getJobById('job-2')).to.deep.equal(job('job-2'));
+      expect(get.calledOnce).to.equal(true);
+    });
+
+    it('falls back to the full job list when the filtered request fails', async () => {
+      get.withArgs(jobsEndpoint, { params: { Id: 'job-2' } }).rejects(new Error('Request failed with status code 400'));
+      get.withArgs(jobsEndpoint).resolves({ data: [job('job-1'), job('job-2')] });
+
+      expect(await mysolutionAPI.getJobById('job-2')).to.deep.equal(job('job-2'));
+      expect(get.calledTwice).to.equal(true);
+    });
+
+    it('reports a job that is not in the response as not found', async () => {
+      get.resolves({ data: [] });
+
+      let error;
+      try {
+        await mysolutionAPI.getJobById('job-2');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).to.include({ code: 'JOB_NOT_FOUND', message: 'Job with ID job-2 not found' });
+      expect(get.calledOnce).to.equal(true);
+    });
+  });
+});
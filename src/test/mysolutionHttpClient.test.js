@@ -0,0 +1,174 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { AxiosError } from 'axios';
+import config from '../utils/config.js';
+import mysolutionAuthClient from '../utils/mysolutionAuthClient.js';
+import {
+  MYSOLUTION_UNAVAILABLE,
+  CircuitBreaker,
+  mysolutionCircuitBreaker,
+  createMysolutionClient
+} from '../utils/mysolutionHttpClient.js';
+
+describe('Mysolution HTTP client', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('CircuitBreaker', () => {
+    let clock;
+    let breaker;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: new Date('2026-01-05T09:00:00.000Z'), toFake: ['Date'] });
+      breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 60000 });
+    });
+
+    it('opens after the threshold of failures in a row', () => {
+      breaker.recordFailure(new Error('timeout'));
+      expect(breaker.allowRequest()).to.equal(true);
+
+      breaker.recordFailure(new Error('timeout'));
+
+      expect(breaker.getStatus()).to.include({ state: 'open', failures: 2, retryAt: '2026-01-05T09:01:00.000Z' });
+      expect(breaker.isOpen()).to.equal(true);
+      expect(breaker.allowRequest()).to.equal(false);
+    });
+
+    it('lets one trial request through once the reset timeout passed', () => {
+      breaker.recordFailure(new Error('timeout'));
+      breaker.recordFailure(new Error('timeout'));
+      clock.tick(60000);
+
+      expect(breaker.isOpen()).to.equal(false);
+      expect(breaker.allowRequest()).to.equal(true);
+      expect(breaker.getStatus().state).to.equal('half-open');
+      expect(breaker.allowRequest()).to.equal(false);
+    });
+
+    it('closes when the trial request succeeds', () => {
+      breaker.recordFailure(new Error('timeout'));
+      breaker.recordFailure(new Error('timeout'));
+      clock.tick(60000);
+      breaker.allowRequest();
+
+      breaker.recordSuccess();
+
+      expect(breaker.getStatus()).to.include({ state: 'closed', failures: 0, openedAt: null });
+      expect(breaker.allowRequest()).to.equal(true);
+    });
+
+    it('opens again when the trial request fails', () => {
+      breaker.recordFailure(new Error('timeout'));
+      breaker.recordFailure(new Error('timeout'));
+      clock.tick(60000);
+      breaker.allowRequest();
+
+      breaker.recordFailure(new Error('timeout'));
+
+      expect(breaker.getStatus()).to.include({ state: 'open', openedAt: '2026-01-05T09:01:00.000Z' });
+      expect(breaker.allowRequest()).to.equal(false);
+    });
+  });
+
+  describe('createMysolutionClient', () => {
+    let adapter;
+    let invalidateToken;
+    let client;
+
+    /**
+     * Answer a request with the given status, the way axios rejects non-2xx responses
+     */
+    const respond = status => requestConfig => {
+      const response = { status, statusText: String(status), data: {}, headers: {}, config: requestConfig };
+      if (status < 400) {
+        return Promise.resolve(response);
+      }
+      return Promise.reject(new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, requestConfig, null, response));
+    };
+
+    beforeEach(() => {
+      sinon.stub(config.mysolution, 'retryDelay').value(0);
+      sinon.stub(mysolutionAuthClient, 'getAccessToken').resolves('token');
+      invalidateToken = sinon.stub(mysolutionAuthClient, 'invalidateToken');
+      mysolutionCircuitBreaker.recordSuccess();
+      adapter = sinon.stub();
+      client = createMysolutionClient();
+      client.defaults.adapter = adapter;
+    });
+
+    afterEach(() => {
+      mysolutionCircuitBreaker.recordSuccess();
+    });
+
+    it('replays a request once with a new token on a 401', async () => {
+      adapter.onFirstCall().callsFake(respond(401));
+      adapter.onSecondCall().callsFake(respond(200));
+
+      const response = await client.get('/jobs');
+
+      expect(response.status).to.equal(200);
+      expect(adapter.callCount).to.equal(2);
+      expect(invalidateToken.calledOnce).to.equal(true);
+    });
+
+    it('fails when the replayed request gets a 401 as well', async () => {
+      adapter.callsFake(respond(401));
+
+      let error;
+      try {
+        await client.get('/jobs');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.response.status).to.equal(401);
+      expect(adapter.callCount).to.equal(2);
+    });
+
+    it('retries a GET on a 5xx response', async () => {
+      adapter.onFirstCall().callsFake(respond(503));
+      adapter.onSecondCall().callsFake(respond(200));
+
+      expect((await client.get('/jobs')).status).to.equal(200);
+      expect(adapter.callCount).to.equal(2);
+    });
+
+    it('does not retry a POST on a 5xx response', async () => {
+      adapter.callsFake(respond(500));
+
+      let error;
+      try {
+        await client.post('/applications', { name: 'Anna' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.response.status).to.equal(500);
+      expect(adapter.callCount).to.equal(1);
+    });
+
+    it('fails fast without a request while the circuit is open', async () => {
+      adapter.callsFake(respond(503));
+      sinon.stub(config.mysolution, 'retryAttempts').value(1);
+      const failingClient = createMysolutionClient();
+      failingClient.defaults.adapter = adapter;
+
+      for (let attempt = 0; attempt < mysolutionCircuitBreaker.failureThreshold; attempt++) {
+        await failingClient.get('/jobs').catch(() => {});
+      }
+      adapter.resetHistory();
+
+      let error;
+      try {
+        await failingClient.get('/jobs');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.code).to.equal(MYSOLUTION_UNAVAILABLE);
+      expect(adapter.called).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import './setup.js';
+import { expect } from 'chai';
+import { evaluatePublication, getPublicationBoundaries, getPublicationRules } from '../models/publicationRules.js';
+
+/**
+ * The publication check as it was hardcoded in shouldJobBePublished and getArchiveReason before the
+ * rules file; the default rules must give the same verdicts and reasons
+ */
+function legacyVerdict(job, now) {
+  if (job.msf__Status__c !== 'Online') {
+    return { publish: false, reason: `Status changed to "${job.msf__Status__c}"` };
+  }
+  if (!job.msf__Show_On_Website__c) {
+    return { publish: false, reason: 'Show on Website disabled' };
+  }
+  if (job.msf__On_Website_To__c && new Date(job.msf__On_Website_To__c) < now) {
+    return { publish: false, reason: `End date (${job.msf__On_Website_To__c}) expired` };
+  }
+  return { publish: true, reason: null };
+}
+
+describe('Publication rules', () => {
+  const now = new Date('2026-03-01T12:00:00.000Z');
+
+  const onlineJob = {
+    Id: 'job-online',
+    Name: 'Verpleegkundige',
+    msf__Status__c: 'Online',
+    msf__Show_On_Website__c: true,
+    msf__On_Website_From__c: '2026-02-01T00:00:00.000Z',
+    msf__On_Website_To__c: '2026-04-01T00:00:00.000Z',
+    BS_Soort_dienstverband__c: 'Vast',
+    msf__Job_Description__c: '<p>Werken in de zorg</p>'
+  };
+
+  const representativeJobs = {
+    'an online job': onlineJob,
+    'an online job without dates': { ...onlineJob, msf__On_Website_From__c: null, msf__On_Website_To__c: null },
+    'a job that ends at this moment': { ...onlineJob, msf__On_Website_To__c: now.toISOString() },
+    'a job whose end date passed': { ...onlineJob, msf__On_Website_To__c: '2026-02-28T23:59:59.000Z' },
+    'a closed job': { ...onlineJob, msf__Status__c: 'Closed' },
+    'a job not shown on the website': { ...onlineJob, msf__Show_On_Website__c: false },
+    'a closed job not shown on the website': { ...onlineJob, msf__Status__c: 'Closed', msf__Show_On_Website__c: false },
+    'a job that starts later': { ...onlineJob, msf__On_Website_From__c: '2026-03-15T00:00:00.000Z' },
+    'a job without a description': { ...onlineJob, msf__Job_Description__c: '' }
+  };
+
+  // The default rules with one rule changed
+  const withRule = (code, changes) => getPublicationRules().map(rule => (rule.code === code ? { ...rule, ...changes } : rule));
+
+  describe('evaluatePublication with the default rules', () => {
+    Object.entries(representativeJobs).forEach(([description, job]) => {
+      it(`gives the same verdict as before the rules file for ${description}`, () => {
+        const legacy = legacyVerdict(job, now);
+        const { publish, reasons } = evaluatePublication(job, { now });
+
+        expect(publish).to.equal(legacy.publish);
+        if (legacy.reason) {
+          expect(reasons[0].message).to.equal(legacy.reason);
+        } else {
+          expect(reasons).to.be.empty;
+        }
+      });
+    });
+
+    it('reports every failed rule with its code, source and value', () => {
+      const job = representativeJobs['a closed job not shown on the website'];
+
+      expect(evaluatePublication(job, { now }).reasons).to.deep.equal([
+        { code: 'status-not-online', message: 'Status changed to "Closed"', source: 'msf__Status__c', value: 'Closed' },
+        { code: 'not-shown-on-website', message: 'Show on Website disabled', source: 'msf__Show_On_Website__c', value: false }
+      ]);
+    });
+
+    it('does not publish a job without a status, and leaves the value out of the message', () => {
+      const { publish, reasons } = evaluatePublication({ ...onlineJob, msf__Status__c: undefined }, { now });
+
+      expect(publish).to.equal(false);
+      expect(reasons[0]).to.deep.equal({ code: 'status-not-online', message: 'Status changed to ""', source: 'msf__Status__c', value: null });
+    });
+
+    it('does not publish a missing job', () => {
+      expect(evaluatePublication(null, { now })).to.deep.include({ publish: false });
+      expect(evaluatePublication(null, { now }).reasons[0].code).to.equal('job-missing');
+    });
+  });
+
+  describe('evaluatePublication with changed rules', () => {
+    it('holds a job back until its start date once the start date rule is enabled', () => {
+      const rules = withRule('start-date-not-reached', { enabled: true });
+
+      expect(evaluatePublication(representativeJobs['a job that starts later'], { rules, now }).reasons.map(reason => reason.code))
+        .to.deep.equal(['start-date-not-reached']);
+      expect(evaluatePublication(onlineJob, { rules, now }).publish).to.equal(true);
+    });
+
+    it('excludes the job types listed in the rule', () => {
+      const rules = withRule('excluded-job-type', { values: ['Vast'] });
+
+      expect(evaluatePublication(onlineJob, { rules, now }).reasons[0].message).to.equal('Job type "Vast" is not published');
+    });
+
+    it('skips disabled rules', () => {
+      const rules = withRule('status-not-online', { enabled: false });
+
+      expect(evaluatePublication(representativeJobs['a closed job'], { rules, now }).publish).to.equal(true);
+    });
+  });
+
+  describe('getPublicationBoundaries', () => {
+    it('returns the end date of an online job, from the second after it', () => {
+      expect(getPublicationBoundaries(onlineJob, { now })).to.deep.equal([
+        { code: 'end-date-passed', kind: 'end', at: new Date('2026-04-01T00:00:01.000Z') }
+      ]);
+    });
+
+    it('leaves out dates that passed and jobs without dates', () => {
+      expect(getPublicationBoundaries(representativeJobs['a job whose end date passed'], { now })).to.be.empty;
+      expect(getPublicationBoundaries(representativeJobs['an online job without dates'], { now })).to.be.empty;
+    });
+
+    it('includes the start date, earliest first, once the start date rule is enabled', () => {
+      const rules = withRule('start-date-not-reached', { enabled: true });
+
+      expect(getPublicationBoundaries(representativeJobs['a job that starts later'], { rules, now })).to.deep.equal([
+        { code: 'start-date-not-reached', kind: 'start', at: new Date('2026-03-15T00:00:00.000Z') },
+        { code: 'end-date-passed', kind: 'end', at: new Date('2026-04-01T00:00:01.000Z') }
+      ]);
+    });
+  });
+});
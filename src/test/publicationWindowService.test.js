@@ -0,0 +1,63 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import publicationWindowService from '../services/publicationWindowService.js';
+import syncQueue from '../services/syncQueue.js';
+
+describe('Publication window service', () => {
+  const now = new Date('2026-03-01T12:00:00.000Z');
+  const job = (id, endDate) => ({
+    Id: id,
+    Name: `Vacature ${id}`,
+    msf__Status__c: 'Online',
+    msf__Show_On_Website__c: true,
+    msf__On_Website_To__c: endDate
+  });
+
+  beforeEach(() => {
+    sinon.useFakeTimers({ now, toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('scheduleJobs', () => {
+    it('queues a check at the next boundary of jobs within the horizon only', async () => {
+      const scheduled = await publicationWindowService.scheduleJobs([
+        job('job-1', '2026-03-02T08:00:00.000Z'),
+        job('job-2', '2026-03-10T08:00:00.000Z'),
+        job('job-3', null)
+      ], { now });
+
+      expect(scheduled).to.deep.equal([{
+        mysolutionId: 'job-1',
+        name: 'Vacature job-1',
+        boundary: 'end-date-passed',
+        kind: 'end',
+        at: '2026-03-02T08:00:01.000Z'
+      }]);
+      const [task] = await syncQueue.list();
+      expect(task).to.include({ type: 'publication-window', key: 'publication-window:job-1', availableAt: '2026-03-02T08:00:01.000Z', scheduled: true });
+      expect(await syncQueue.getStats()).to.include({ pending: 1, ready: 0, scheduled: 1 });
+    });
+
+    it('moves the pending check of a job to its new boundary', async () => {
+      await publicationWindowService.scheduleJobs([job('job-1', '2026-03-02T08:00:00.000Z')], { now });
+
+      await publicationWindowService.scheduleJobs([job('job-1', '2026-03-01T18:00:00.000Z')], { now });
+
+      const checks = await publicationWindowService.getScheduled();
+      expect(checks).to.have.lengthOf(1);
+      expect(checks[0]).to.include({ mysolutionId: 'job-1', at: '2026-03-01T18:00:01.000Z', status: 'pending' });
+    });
+
+    it('removes the pending check of a job without a boundary within the horizon', async () => {
+      await publicationWindowService.scheduleJobs([job('job-1', '2026-03-02T08:00:00.000Z'), job('job-2', '2026-03-02T09:00:00.000Z')], { now });
+
+      await publicationWindowService.scheduleJobs([job('job-1', '2026-03-10T08:00:00.000Z'), job('job-2', null)], { now });
+
+      expect(await publicationWindowService.getScheduled()).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import publishingService from '../services/publishingService.js';
+import { getWebflowAPI } from '../api/webflow.js';
+import syncStateStore from '../utils/syncStateStore.js';
+
+// Client of the default tenant, which the exported webflowAPI forwards to
+const webflowAPI = getWebflowAPI();
+
+describe('Publishing service', () => {
+  const collectionId = webflowAPI.jobsCollectionId;
+  let makeRequest;
+
+  beforeEach(() => {
+    publishingService.lastPublishTime = 0;
+    publishingService.pendingPublish = false;
+    webflowAPI.takeChangedItems();
+    makeRequest = sinon.stub(webflowAPI, '_makeRequest').resolves({ id: 'item-1' });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('changed items', () => {
+    it('remembers written items, and archived items to unpublish', async () => {
+      await webflowAPI.updateJob('item-1', { name: 'Vacature' });
+      await webflowAPI.archiveJob('item-2');
+      await webflowAPI.updateJob('item-2', { name: 'Vacature' });
+      await webflowAPI.archiveJob('item-3');
+
+      expect(webflowAPI.countChangedItems()).to.equal(3);
+      expect(webflowAPI.takeChangedItems()).to.deep.equal([
+        { collectionId, publish: ['item-1', 'item-2'], unpublish: ['item-3'] }
+      ]);
+      expect(webflowAPI.countChangedItems()).to.equal(0);
+    });
+  });
+
+  describe('publishItems and unpublishItems', () => {
+    it('send the items in requests of at most bulkSize items', async () => {
+      sinon.stub(webflowAPI, 'bulkSize').value(2);
+
+      await webflowAPI.publishItems(collectionId, ['item-1', 'item-2', 'item-3']);
+      await webflowAPI.unpublishItems(collectionId, ['item-4']);
+
+      expect(makeRequest.args).to.deep.equal([
+        ['post', `collections/${collectionId}/items/publish`, { itemIds: ['item-1', 'item-2'] }],
+        ['post', `collections/${collectionId}/items/publish`, { itemIds: ['item-3'] }],
+        ['delete', `collections/${collectionId}/items/live`, { data: { items: [{ id: 'item-4' }] } }]
+      ]);
+    });
+  });
+
+  describe('forcePublish with scope items', () => {
+    it('publishes the changed items without publishing the site', async () => {
+      const publishItems = sinon.stub(webflowAPI, 'publishItems').resolves();
+      const unpublishItems = sinon.stub(webflowAPI, 'unpublishItems').resolves();
+      const publishSite = sinon.stub(webflowAPI, 'publishSite');
+      await webflowAPI.updateJob('item-1', { name: 'Vacature' });
+      await webflowAPI.archiveJob('item-2');
+
+      const result = await publishingService.forcePublish('test', { scope: 'items' });
+
+      expect(result).to.include({ published: 1, unpublished: 1 });
+      expect(publishItems.calledOnceWith(collectionId, ['item-1'])).to.equal(true);
+      expect(unpublishItems.calledOnceWith(collectionId, ['item-2'])).to.equal(true);
+      expect(publishSite.called).to.equal(false);
+      expect(webflowAPI.countChangedItems()).to.equal(0);
+    });
+
+    it('keeps the items that could not be published for the next publish', async () => {
+      sinon.stub(webflowAPI, 'publishItems').rejects(new Error('Webflow unavailable'));
+      sinon.stub(webflowAPI, 'unpublishItems').resolves();
+      await webflowAPI.updateJob('item-1', { name: 'Vacature' });
+      await webflowAPI.archiveJob('item-2');
+
+      let error;
+      try {
+        await publishingService.forcePublish('test', { scope: 'items' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).to.equal('Failed to publish 1 changed items, they are retried at the next publish');
+      expect((await syncStateStore.getSyncState()).pendingPublishItems).to.deep.equal({ [collectionId]: { 'item-1': 'publish' } });
+      expect(await publishingService.countPendingItems()).to.equal(1);
+    });
+
+    it('also publishes the items an earlier invocation stored', async () => {
+      const publishItems = sinon.stub(webflowAPI, 'publishItems').resolves();
+      sinon.stub(webflowAPI, 'unpublishItems').resolves();
+      await webflowAPI.updateJob('item-1', { name: 'Vacature' });
+      await publishingService.saveChangedItems();
+      await webflowAPI.updateJob('item-2', { name: 'Vacature' });
+
+      const result = await publishingService.forcePublish('test', { scope: 'items' });
+
+      expect(result).to.include({ published: 2 });
+      expect(publishItems.calledOnceWith(collectionId, ['item-1', 'item-2'])).to.equal(true);
+      expect((await syncStateStore.getSyncState()).pendingPublishItems).to.deep.equal({});
+    });
+
+    it('forgets the changed items once the whole site is published', async () => {
+      sinon.stub(webflowAPI, 'publishSite').resolves({ publishedOn: '2026-01-05T09:00:00.000Z' });
+      await webflowAPI.updateJob('item-1', { name: 'Vacature' });
+      await publishingService.saveChangedItems();
+
+      await publishingService.forcePublish('test');
+
+      expect(await publishingService.countPendingItems()).to.equal(0);
+    });
+  });
+
+  describe('saveChangedItems', () => {
+    it('moves the changed items to the sync state, where later changes win', async () => {
+      await webflowAPI.updateJob('item-1', { name: 'Vacature' });
+      await webflowAPI.updateJob('item-2', { name: 'Vacature' });
+      expect(await publishingService.saveChangedItems()).to.equal(2);
+      await webflowAPI.archiveJob('item-2');
+
+      expect(await publishingService.saveChangedItems()).to.equal(1);
+
+      expect(webflowAPI.countChangedItems()).to.equal(0);
+      expect((await syncStateStore.getSyncState()).pendingPublishItems).to.deep.equal({
+        [collectionId]: { 'item-1': 'publish', 'item-2': 'unpublish' }
+      });
+    });
+  });
+
+  describe('throttled publishes', () => {
+    it('lets a site publish join a scheduled items publish', async () => {
+      const clock = sinon.useFakeTimers({ now: new Date('2026-01-05T09:00:00.000Z'), toFake: ['Date', 'setTimeout'] });
+      const publishSite = sinon.stub(webflowAPI, 'publishSite').resolves({ publishedOn: '2026-01-05T09:00:10.000Z' });
+      const publishItems = sinon.stub(webflowAPI, 'publishItems').resolves();
+      publishingService.lastPublishTime = Date.now();
+      await webflowAPI.updateJob('item-1', { name: 'Vacature' });
+
+      const itemsPublish = publishingService.forcePublish('items', { scope: 'items' });
+      const sitePublish = publishingService.forcePublish('site');
+      await clock.tickAsync(publishingService.minPublishInterval);
+
+      const [itemsResult, siteResult] = await Promise.all([itemsPublish, sitePublish]);
+      expect(siteResult).to.equal(itemsResult);
+      expect(publishSite.calledOnce).to.equal(true);
+      expect(publishItems.called).to.equal(false);
+      expect(await publishingService.countPendingItems()).to.equal(0);
+    });
+  });
+});
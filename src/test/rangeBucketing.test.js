@@ -0,0 +1,146 @@
+import { expect } from 'chai';
+import { bucketValue, validateBucketSet, RULES } from '../utils/rangeBucketing.js';
+
+// Part of the yearly salary buckets of the default field mapping (vacature-salaris), gap included
+const salaryBuckets = {
+  period: 'year',
+  monthlyBelow: 15000,
+  negotiableKeywords: ['overleg', 'n.o.t.k.', 'notk', 'marktconform'],
+  negotiableOption: 'In overleg',
+  overlap: 'lower',
+  options: [
+    'In overleg',
+    '35.000-40.000',
+    '40.000-45.000',
+    '45.000-50.000',
+    '50.000-55.000',
+    '55.000-60.000',
+    '100.000-105.000',
+    '105.000-110.000',
+    '110.000-115.000',
+    '115.000-120.000',
+    '125.000+'
+  ]
+};
+
+describe('Range bucketing', () => {
+  describe('bucketValue', () => {
+    it('converts a monthly amount to a yearly bucket', () => {
+      const result = bucketValue('€ 4.500 per maand', salaryBuckets);
+
+      expect(result.option).to.equal('50.000-55.000');
+      expect(result.rule).to.equal(RULES.SINGLE_IN_BUCKET);
+      expect(result.parsed).to.include({ lower: 4500, upper: 4500, period: 'month' });
+      expect(result.parsed.bucketed).to.deep.equal({ lower: 54000, upper: 54000 });
+    });
+
+    it('applies the "k" of the upper bound to both ends of a range', () => {
+      const result = bucketValue('40 - 45k', salaryBuckets);
+
+      expect(result.option).to.equal('40.000-45.000');
+      expect(result.rule).to.equal(RULES.RANGE_IN_BUCKET);
+      expect(result.parsed.bucketed).to.deep.equal({ lower: 40000, upper: 45000 });
+    });
+
+    it('reads "45.000,-" as 45000 and puts an edge value in the lower bucket', () => {
+      const result = bucketValue('45.000,-', salaryBuckets);
+
+      expect(result.option).to.equal('40.000-45.000');
+      expect(result.parsed.bucketed).to.deep.equal({ lower: 45000, upper: 45000 });
+    });
+
+    it('puts an edge value in the upper bucket with boundary "upper"', () => {
+      expect(bucketValue('45.000,-', { ...salaryBuckets, boundary: 'upper' }).option).to.equal('45.000-50.000');
+    });
+
+    it('maps values in the 120k-125k gap to the bucket with the nearest edge', () => {
+      expect(bucketValue('122.000', salaryBuckets)).to.include({ option: '115.000-120.000', rule: RULES.NEAREST_BUCKET });
+      expect(bucketValue('124.000', salaryBuckets)).to.include({ option: '125.000+', rule: RULES.NEAREST_BUCKET });
+      // A tie goes to the lower bucket
+      expect(bucketValue('122.500', salaryBuckets).option).to.equal('115.000-120.000');
+    });
+
+    it('places amounts above the highest edge in the open-ended bucket', () => {
+      expect(bucketValue('150.000', salaryBuckets)).to.include({ option: '125.000+', rule: RULES.OPEN_ENDED });
+    });
+
+    it('takes amounts without a period below monthlyBelow as monthly', () => {
+      const result = bucketValue('4.000', salaryBuckets);
+
+      expect(result.option).to.equal('45.000-50.000');
+      expect(result.parsed.assumedPeriod).to.equal('month');
+      expect(result.parsed.bucketed.lower).to.equal(48000);
+    });
+
+    it('takes small amounts as yearly without monthlyBelow', () => {
+      const result = bucketValue('4.000', { ...salaryBuckets, monthlyBelow: null });
+
+      expect(result.option).to.equal('35.000-40.000');
+      expect(result.rule).to.equal(RULES.NEAREST_BUCKET);
+      expect(result.parsed.assumedPeriod).to.equal(undefined);
+    });
+
+    it('maps negotiable text to the negotiable option', () => {
+      expect(bucketValue('Salaris in overleg', salaryBuckets)).to.deep.equal({ option: 'In overleg', rule: RULES.NEGOTIABLE, parsed: null });
+    });
+
+    it('rejects text without a number and hourly amounts for yearly buckets', () => {
+      expect(bucketValue('n.v.t.', salaryBuckets)).to.include({ option: null, rule: RULES.UNPARSEABLE });
+      expect(bucketValue('€ 25 per uur', salaryBuckets)).to.include({ option: null, rule: RULES.PERIOD_MISMATCH });
+    });
+
+    describe('overlap policies', () => {
+      // Starts in 40.000-45.000, covers 45.000-50.000 and ends in 50.000-55.000
+      const range = '43.000 - 51.000';
+
+      const placements = {
+        lower: '40.000-45.000',
+        upper: '50.000-55.000',
+        midpoint: '45.000-50.000',
+        'most-overlap': '45.000-50.000'
+      };
+
+      Object.entries(placements).forEach(([overlap, option]) => {
+        it(`places a range spanning buckets with "${overlap}"`, () => {
+          const result = bucketValue(range, { ...salaryBuckets, overlap });
+
+          expect(result.option).to.equal(option);
+          expect(result.rule).to.equal(RULES.RANGE_OVERLAP);
+        });
+      });
+
+      it('places a range by where it starts or ends when it touches an edge', () => {
+        expect(bucketValue('45.000 - 47.000', { ...salaryBuckets, overlap: 'lower' }).option).to.equal('45.000-50.000');
+        expect(bucketValue('43.000 - 45.000', { ...salaryBuckets, overlap: 'upper' }).option).to.equal('40.000-45.000');
+      });
+
+      it('prefers the bucket covering most of the range with "most-overlap"', () => {
+        expect(bucketValue('44.000 - 49.000', { ...salaryBuckets, overlap: 'most-overlap' }).option).to.equal('45.000-50.000');
+        expect(bucketValue('44.000 - 49.000', { ...salaryBuckets, overlap: 'lower' }).option).to.equal('40.000-45.000');
+      });
+
+      it('leaves a range spanning buckets unmapped with "reject"', () => {
+        expect(bucketValue(range, { ...salaryBuckets, overlap: 'reject' })).to.include({ option: null, rule: RULES.RANGE_REJECTED });
+      });
+
+      it('still places a range inside one bucket with "reject"', () => {
+        expect(bucketValue('41.000 - 44.000', { ...salaryBuckets, overlap: 'reject' }).option).to.equal('40.000-45.000');
+      });
+    });
+  });
+
+  describe('validateBucketSet', () => {
+    it('accepts valid settings', () => {
+      expect(validateBucketSet(salaryBuckets)).to.deep.equal([]);
+    });
+
+    it('reports unknown overlap, boundary and period settings', () => {
+      const problems = validateBucketSet({ overlap: 'closest', boundary: 'middle', period: 'week' });
+
+      expect(problems).to.have.lengthOf(3);
+      expect(problems[0]).to.contain('overlap');
+      expect(problems[1]).to.contain('boundary');
+      expect(problems[2]).to.contain('period');
+    });
+  });
+});
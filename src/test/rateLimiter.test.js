@@ -0,0 +1,123 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TokenBucket, parseResetTime, parseRetryAfter } from '../utils/rateLimiter.js';
+
+describe('Rate limiter', () => {
+  const now = new Date('2026-01-05T09:00:00.000Z').getTime();
+
+  beforeEach(() => {
+    sinon.useFakeTimers({ now, toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('TokenBucket', () => {
+    it('allows a burst up to the capacity', () => {
+      const bucket = new TokenBucket({ capacity: 3, perMinute: 60 });
+
+      for (let i = 0; i < 3; i++) {
+        expect(bucket.getWaitTime(now)).to.equal(0);
+        bucket.take(now);
+      }
+      expect(bucket.getWaitTime(now)).to.equal(1000);
+    });
+
+    it('refills at the configured rate, up to the capacity', () => {
+      const bucket = new TokenBucket({ capacity: 2, perMinute: 60 });
+      bucket.take(now);
+      bucket.take(now);
+
+      expect(bucket.getWaitTime(now + 400)).to.equal(600);
+      expect(bucket.getWaitTime(now + 1000)).to.equal(0);
+
+      bucket.getWaitTime(now + 60000);
+      expect(bucket.tokens).to.equal(2);
+    });
+
+    it('waits until a pause ends, and never shortens a pause', () => {
+      const bucket = new TokenBucket({ capacity: 10, perMinute: 60 });
+      bucket.pauseUntil(now + 5000);
+      bucket.pauseUntil(now + 2000);
+
+      expect(bucket.getWaitTime(now)).to.equal(5000);
+      expect(bucket.getWaitTime(now + 5000)).to.equal(0);
+    });
+
+    it('lowers the tokens to x-ratelimit-remaining', () => {
+      const bucket = new TokenBucket({ capacity: 10, perMinute: 60 });
+      bucket.updateFromHeaders({ 'x-ratelimit-remaining': '1' }, now);
+
+      expect(bucket.tokens).to.equal(1);
+      bucket.take(now);
+      expect(bucket.getWaitTime(now)).to.equal(1000);
+    });
+
+    it('never raises the tokens from x-ratelimit-remaining', () => {
+      const bucket = new TokenBucket({ capacity: 10, perMinute: 60 });
+      bucket.take(now);
+      bucket.updateFromHeaders({ 'x-ratelimit-remaining': '50' }, now);
+
+      expect(bucket.tokens).to.equal(9);
+    });
+
+    it('adopts a lower x-ratelimit-limit as capacity and rate', () => {
+      const bucket = new TokenBucket({ capacity: 120, perMinute: 120 });
+      bucket.updateFromHeaders({ 'x-ratelimit-limit': '60' }, now);
+
+      expect(bucket.capacity).to.equal(60);
+      expect(bucket.refillPerMs).to.equal(60 / 60000);
+
+      bucket.updateFromHeaders({ 'x-ratelimit-limit': '1000' }, now);
+      expect(bucket.capacity).to.equal(60);
+    });
+
+    it('pauses until x-ratelimit-reset when no requests remain', () => {
+      const bucket = new TokenBucket({ capacity: 10, perMinute: 60 });
+      bucket.updateFromHeaders({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '30' }, now);
+
+      expect(bucket.getWaitTime(now)).to.equal(30000);
+    });
+  });
+
+  describe('parseResetTime', () => {
+    it('reads epoch seconds and epoch milliseconds', () => {
+      expect(parseResetTime(String((now + 30000) / 1000), now)).to.equal(now + 30000);
+      expect(parseResetTime(String(now + 30000), now)).to.equal(now + 30000);
+    });
+
+    it('reads a number of seconds from now', () => {
+      expect(parseResetTime('60', now)).to.equal(now + 60000);
+      expect(parseResetTime(1.5, now)).to.equal(now + 1500);
+    });
+
+    it('returns null for a missing, negative or invalid header', () => {
+      expect(parseResetTime(undefined, now)).to.equal(null);
+      expect(parseResetTime('-5', now)).to.equal(null);
+      expect(parseResetTime('soon', now)).to.equal(null);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('reads a number of seconds', () => {
+      expect(parseRetryAfter('120', now)).to.equal(120000);
+      expect(parseRetryAfter('0', now)).to.equal(0);
+    });
+
+    it('reads an HTTP date', () => {
+      expect(parseRetryAfter(new Date(now + 45000).toUTCString(), now)).to.equal(45000);
+    });
+
+    it('never returns a negative wait', () => {
+      expect(parseRetryAfter('-10', now)).to.equal(0);
+      expect(parseRetryAfter(new Date(now - 45000).toUTCString(), now)).to.equal(0);
+    });
+
+    it('returns null for a missing or invalid header', () => {
+      expect(parseRetryAfter(undefined, now)).to.equal(null);
+      expect(parseRetryAfter('', now)).to.equal(null);
+      expect(parseRetryAfter('later', now)).to.equal(null);
+    });
+  });
+});
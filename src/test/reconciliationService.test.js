@@ -0,0 +1,135 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import reconciliationService from '../services/reconciliationService.js';
+import publishingService from '../services/publishingService.js';
+import mysolutionAPI from '../api/mysolution.js';
+import { getWebflowAPI } from '../api/webflow.js';
+
+// Client of the default tenant, which the exported webflowAPI forwards to
+const webflowAPI = getWebflowAPI();
+
+describe('Reconciliation service', () => {
+  const item = (id, mysolutionId, extra = {}) => ({
+    id,
+    isArchived: false,
+    isDraft: false,
+    lastUpdated: '2026-01-01T10:00:00.000Z',
+    fieldData: { name: `Vacature ${mysolutionId}`, slug: id, ...(mysolutionId ? { 'mysolution-id': mysolutionId } : {}) },
+    ...extra
+  });
+  const publishableJob = (id, name = `Vacature ${id}`) => ({ Id: id, Name: name, msf__Status__c: 'Online', msf__Show_On_Website__c: true });
+  let getAllJobs;
+  let archiveJob;
+
+  beforeEach(() => {
+    getAllJobs = sinon.stub(webflowAPI, 'getAllJobs').resolves([]);
+    archiveJob = sinon.stub(webflowAPI, 'archiveJob').resolves({ action: 'archived' });
+    sinon.stub(webflowAPI, 'getAllSectors').resolves([]);
+    sinon.stub(webflowAPI, 'getAllEmployees').resolves([]);
+    sinon.stub(mysolutionAPI, 'getJobs').resolves([]);
+    sinon.stub(publishingService, 'publishIfEnabled').resolves(null);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('buildReport', () => {
+    it('groups the live items that share a mysolution-id and keeps the most recently updated one', async () => {
+      getAllJobs.resolves([
+        item('item-1', 'job-1'),
+        item('item-2', 'job-1', { lastUpdated: '2026-01-03T10:00:00.000Z' }),
+        item('item-3', 'job-1', { isArchived: true, lastUpdated: '2026-01-04T10:00:00.000Z' }),
+        item('item-4', 'job-2')
+      ]);
+
+      const report = await reconciliationService.buildReport();
+
+      expect(report.duplicates).to.have.lengthOf(1);
+      expect(report.duplicates[0]).to.include({ mysolutionId: 'job-1', keepItemId: 'item-2' });
+      expect(report.duplicates[0].items.map(duplicate => duplicate.itemId)).to.deep.equal(['item-1', 'item-2']);
+      expect(report.duplicates[0].fix).to.deep.equal({ action: 'archive-duplicates', mysolutionId: 'job-1', keepItemId: 'item-2' });
+    });
+
+    it('suggests re-linking an item without mysolution-id to a missing job with the same name', async () => {
+      getAllJobs.resolves([item('item-1', null, { fieldData: { name: 'Verpleegkundige', slug: 'verpleegkundige' } })]);
+      mysolutionAPI.getJobs.resolves([publishableJob('job-1', 'Verpleegkundige')]);
+
+      const report = await reconciliationService.buildReport();
+
+      expect(report.missingJobs).to.deep.equal([{ mysolutionId: 'job-1', name: 'Verpleegkundige', archivedItemId: null, fix: { action: 'resync', mysolutionId: 'job-1' } }]);
+      expect(report.withoutMysolutionId[0]).to.include({ itemId: 'item-1', suggestedMysolutionId: 'job-1' });
+      expect(report.withoutMysolutionId[0].fixes[0]).to.deep.equal({ action: 'relink', itemId: 'item-1', mysolutionId: 'job-1' });
+    });
+  });
+
+  describe('applyFix', () => {
+    it('archives only the duplicates that are not kept', async () => {
+      getAllJobs.resolves([
+        item('item-1', 'job-1'),
+        item('item-2', 'job-1'),
+        item('item-3', 'job-1'),
+        item('item-4', 'job-1', { isArchived: true }),
+        item('item-5', 'job-2')
+      ]);
+
+      const result = await reconciliationService.applyFix({ action: 'archive-duplicates', mysolutionId: 'job-1', keepItemId: 'item-2' });
+
+      expect(result).to.deep.equal({ action: 'archive-duplicates', kept: 'item-2', archived: ['item-1', 'item-3'] });
+      expect(archiveJob.args.map(([itemId]) => itemId)).to.deep.equal(['item-1', 'item-3']);
+      expect(publishingService.publishIfEnabled.calledOnce).to.equal(true);
+    });
+
+    it('refuses to keep an item that is not a live item of the job', async () => {
+      getAllJobs.resolves([item('item-1', 'job-1'), item('item-2', 'job-1')]);
+
+      let error;
+      try {
+        await reconciliationService.applyFix({ action: 'archive-duplicates', mysolutionId: 'job-1', keepItemId: 'item-9' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.code).to.equal('INVALID_FIX');
+      expect(archiveJob.called).to.equal(false);
+    });
+
+    it('re-links an item and keeps the link when syncing the job fails', async () => {
+      getAllJobs.resolves([item('item-1', null)]);
+      const updateItemFields = sinon.stub(webflowAPI, 'updateItemFields').resolves({});
+      sinon.stub(mysolutionAPI, 'getJobById').rejects(new Error('Mysolution timeout'));
+
+      const result = await reconciliationService.applyFix({ action: 'relink', itemId: 'item-1', mysolutionId: 'job-1' });
+
+      expect(updateItemFields.calledOnceWith(webflowAPI.jobsCollectionId, 'item-1', { 'mysolution-id': 'job-1' })).to.equal(true);
+      expect(result).to.deep.equal({ action: 'relink', relinked: { itemId: 'item-1', mysolutionId: 'job-1' }, synced: { error: 'Mysolution timeout' } });
+    });
+
+    it('refuses to re-link to a job that already has a live item', async () => {
+      getAllJobs.resolves([item('item-1', null), item('item-2', 'job-1')]);
+      const updateItemFields = sinon.stub(webflowAPI, 'updateItemFields');
+
+      let error;
+      try {
+        await reconciliationService.applyFix({ action: 'relink', itemId: 'item-1', mysolutionId: 'job-1' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).to.include({ code: 'DUPLICATE_MYSOLUTION_ID', message: 'Mysolution job job-1 already has live item item-2' });
+      expect(updateItemFields.called).to.equal(false);
+    });
+
+    it('rejects an unknown action', async () => {
+      let error;
+      try {
+        await reconciliationService.applyFix({ action: 'delete' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.code).to.equal('INVALID_FIX');
+    });
+  });
+});
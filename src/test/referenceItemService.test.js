@@ -0,0 +1,110 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import referenceItemService from '../services/referenceItemService.js';
+import sectorMappingService from '../services/sectorMappingService.js';
+import { getWebflowAPI } from '../api/webflow.js';
+
+// Client of the default tenant, which the exported webflowAPI forwards to
+const webflowAPI = getWebflowAPI();
+
+describe('Reference item service', () => {
+  let createSector;
+
+  const useSettings = settings => {
+    sinon.stub(referenceItemService, 'settings').value({ createSectors: true, createEmployees: true, requireReview: false, ...settings });
+  };
+
+  beforeEach(() => {
+    createSector = sinon.stub(webflowAPI, 'createSector').callsFake(async (name, { isDraft }) => ({ id: `sector-${name}`, name, isDraft }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('createSector', () => {
+    it('creates nothing when sector creation is off', async () => {
+      useSettings({ createSectors: false });
+
+      expect(await referenceItemService.createSector('Bouw', { mysolutionId: 'job-1' })).to.equal(null);
+      expect(createSector.called).to.equal(false);
+    });
+
+    it('creates the sector as a draft when review is required and records it', async () => {
+      useSettings({ requireReview: true });
+
+      const sector = await referenceItemService.createSector('Bouw', { mysolutionId: 'job-1' });
+
+      expect(sector).to.deep.equal({ id: 'sector-Bouw', name: 'Bouw', isDraft: true });
+      expect(createSector.calledOnceWith('Bouw', { isDraft: true })).to.equal(true);
+      const [created] = await referenceItemService.getCreatedItems();
+      expect(created).to.include({ collection: 'sectors', id: 'sector-Bouw', isDraft: true, mysolutionId: 'job-1' });
+    });
+
+    it('creates a sector once when several jobs ask for it at the same time', async () => {
+      useSettings();
+
+      const sectors = await Promise.all([
+        referenceItemService.createSector('Bouw', { mysolutionId: 'job-1' }),
+        referenceItemService.createSector('bouw', { mysolutionId: 'job-2' })
+      ]);
+
+      expect(createSector.calledOnce).to.equal(true);
+      expect(sectors[1]).to.equal(sectors[0]);
+    });
+
+    it('only logs in a dry run', async () => {
+      useSettings();
+
+      expect(await referenceItemService.createSector('Bouw', { dryRun: true })).to.equal(null);
+      expect(createSector.called).to.equal(false);
+      expect(await referenceItemService.getCreatedItems()).to.be.empty;
+    });
+
+    it('returns null when Webflow rejects the item', async () => {
+      useSettings();
+      createSector.rejects(new Error('Validation failed'));
+
+      expect(await referenceItemService.createSector('Bouw')).to.equal(null);
+      expect(await referenceItemService.getCreatedItems()).to.be.empty;
+    });
+  });
+
+  describe('createEmployee', () => {
+    it('creates the employee from the job owner', async () => {
+      useSettings();
+      const createEmployee = sinon.stub(webflowAPI, 'createEmployee').resolves({ id: 'employee-1', name: 'Anna de Vries', isDraft: false });
+
+      const employee = await referenceItemService.createEmployee({ name: 'Anna de Vries', email: 'anna@example.com' }, { mysolutionId: 'job-1' });
+
+      expect(employee).to.include({ id: 'employee-1' });
+      expect(createEmployee.calledOnceWith({ name: 'Anna de Vries', email: 'anna@example.com' }, { isDraft: false })).to.equal(true);
+    });
+  });
+
+  describe('sector resolution', () => {
+    beforeEach(() => {
+      sinon.stub(webflowAPI, 'findSectorByName').resolves(null);
+      sinon.stub(webflowAPI, 'getAllSectors').resolves([{ _id: 'sector-Bouw', name: 'Bouw' }]);
+    });
+
+    it('maps a sector value that matches no sector to the created item', async () => {
+      useSettings();
+
+      const sector = await sectorMappingService.resolveSector('Bouw', { mysolutionId: 'job-1' });
+
+      expect(sector).to.deep.equal({ id: 'sector-Bouw', name: 'Bouw', strategy: 'created' });
+      expect(await sectorMappingService.getMapping('Bouw')).to.include({ itemId: 'sector-Bouw' });
+      expect(await sectorMappingService.getUnmappedSectors()).to.be.empty;
+    });
+
+    it('reports the value as unmapped when creation is off', async () => {
+      useSettings({ createSectors: false });
+
+      expect(await sectorMappingService.resolveSector('Bouw', { mysolutionId: 'job-1' })).to.equal(null);
+      await sectorMappingService.saveUnmappedSectors();
+      expect(await sectorMappingService.getUnmappedSectors()).to.have.lengthOf(1);
+    });
+  });
+});
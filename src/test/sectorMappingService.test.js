@@ -0,0 +1,149 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import sectorMappingService from '../services/sectorMappingService.js';
+import { getWebflowAPI } from '../api/webflow.js';
+import syncStateStore from '../utils/syncStateStore.js';
+
+// Client of the default tenant, which the exported webflowAPI forwards to
+const webflowAPI = getWebflowAPI();
+
+describe('Sector mapping service', () => {
+  const sectors = [
+    { _id: 'sector-1', name: 'Food & FMCG' },
+    { _id: 'sector-2', name: 'ICT' }
+  ];
+  let findSectorByName;
+
+  beforeEach(() => {
+    // Values reported by an earlier test that were never saved
+    sectorMappingService.unsavedUnmapped.clear();
+    sinon.stub(webflowAPI, 'getAllSectors').resolves(sectors);
+    findSectorByName = sinon.stub(webflowAPI, 'findSectorByName').resolves(null);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('resolveSector', () => {
+    it('uses the mapping table before matching names', async () => {
+      await sectorMappingService.setMapping('Food & FCMG', 'sector-1');
+
+      const sector = await sectorMappingService.resolveSector('Food & FCMG', { mysolutionId: 'job-1' });
+
+      expect(sector).to.deep.equal({ id: 'sector-1', name: 'Food & FMCG', strategy: 'mapping' });
+      expect(findSectorByName.called).to.equal(false);
+    });
+
+    it('accepts an exact name match without reporting the value', async () => {
+      findSectorByName.resolves({ id: 'sector-2', name: 'ICT', strategy: 'exact' });
+
+      expect(await sectorMappingService.resolveSector('ICT')).to.include({ id: 'sector-2' });
+      expect(await sectorMappingService.getUnmappedSectors()).to.be.empty;
+    });
+
+    it('reports a fuzzy match as unmapped with the match as suggestion', async () => {
+      findSectorByName.resolves({ id: 'sector-1', name: 'Food & FMCG', strategy: 'substring' });
+
+      await sectorMappingService.resolveSector('Food', { mysolutionId: 'job-1' });
+      await sectorMappingService.resolveSector('Food', { mysolutionId: 'job-2' });
+      await sectorMappingService.saveUnmappedSectors();
+
+      const [unmapped] = await sectorMappingService.getUnmappedSectors();
+      expect(unmapped).to.include({ value: 'Food', count: 2 });
+      expect(unmapped.jobs).to.deep.equal(['job-2', 'job-1']);
+      expect(unmapped.suggestion).to.deep.equal({ id: 'sector-1', name: 'Food & FMCG', strategy: 'substring' });
+    });
+
+    it('only uses a fuzzy match when fuzzy matching is on', async () => {
+      findSectorByName.resolves({ id: 'sector-1', name: 'Food & FMCG', strategy: 'substring' });
+      sinon.stub(sectorMappingService, 'fuzzyMatching').value(false);
+
+      expect(await sectorMappingService.resolveSector('Food')).to.equal(null);
+    });
+
+    it('falls back to name matching when the mapped item no longer exists', async () => {
+      await syncStateStore.updateSyncState(state => {
+        state.sectorMappings = { ICT: { itemId: 'sector-removed', itemName: 'ICT' } };
+      });
+      findSectorByName.resolves({ id: 'sector-2', name: 'ICT', strategy: 'exact' });
+
+      expect(await sectorMappingService.resolveSector('ICT')).to.include({ id: 'sector-2', strategy: 'exact' });
+    });
+  });
+
+  describe('saveUnmappedSectors', () => {
+    beforeEach(() => {
+      findSectorByName.resolves({ id: 'sector-1', name: 'Food & FMCG', strategy: 'substring' });
+    });
+
+    it('writes the values of a run with one state update and counts distinct jobs', async () => {
+      const updateSyncState = sinon.spy(syncStateStore, 'updateSyncState');
+
+      for (const jobId of ['job-1', 'job-2', 'job-1', 'job-2', 'job-3']) {
+        await sectorMappingService.resolveSector('Food', { mysolutionId: jobId });
+      }
+      await sectorMappingService.resolveSector('Voeding', { mysolutionId: 'job-4' });
+      expect(updateSyncState.called).to.equal(false);
+
+      expect(await sectorMappingService.saveUnmappedSectors()).to.equal(2);
+      expect(updateSyncState.calledOnce).to.equal(true);
+      const unmapped = await sectorMappingService.getUnmappedSectors();
+      expect(unmapped.map(entry => [entry.value, entry.count])).to.have.deep.members([['Food', 3], ['Voeding', 1]]);
+    });
+
+    it('does not count a job again in a later run', async () => {
+      await sectorMappingService.resolveSector('Food', { mysolutionId: 'job-1' });
+      await sectorMappingService.saveUnmappedSectors();
+
+      await sectorMappingService.resolveSector('Food', { mysolutionId: 'job-1' });
+      await sectorMappingService.resolveSector('Food', { mysolutionId: 'job-2' });
+      await sectorMappingService.saveUnmappedSectors();
+
+      const [unmapped] = await sectorMappingService.getUnmappedSectors();
+      expect(unmapped).to.include({ value: 'Food', count: 2 });
+      expect(unmapped.jobs).to.deep.equal(['job-2', 'job-1']);
+    });
+
+    it('writes nothing when no value was reported', async () => {
+      const updateSyncState = sinon.spy(syncStateStore, 'updateSyncState');
+
+      expect(await sectorMappingService.saveUnmappedSectors()).to.equal(0);
+      expect(updateSyncState.called).to.equal(false);
+    });
+  });
+
+  describe('setMapping', () => {
+    it('removes the value from the unmapped sectors', async () => {
+      sectorMappingService.reportUnmappedSector('Food & FCMG', { mysolutionId: 'job-1' });
+      await sectorMappingService.saveUnmappedSectors();
+      sectorMappingService.reportUnmappedSector('Food & FCMG', { mysolutionId: 'job-2' });
+
+      await sectorMappingService.setMapping('Food & FCMG', 'sector-1');
+      await sectorMappingService.saveUnmappedSectors();
+
+      expect(await sectorMappingService.getUnmappedSectors()).to.be.empty;
+      expect(await sectorMappingService.getMapping('Food & FCMG')).to.include({ itemId: 'sector-1', itemName: 'Food & FMCG' });
+    });
+
+    it('rejects an item that is not a sector', async () => {
+      let error;
+      try {
+        await sectorMappingService.setMapping('Food & FCMG', 'item-unknown');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).to.include({ message: 'No sector item with ID item-unknown', statusCode: 400 });
+    });
+  });
+
+  it('keeps the mapping table when the sync state is reset', async () => {
+    await sectorMappingService.setMapping('Food & FCMG', 'sector-1');
+
+    await syncStateStore.resetSyncState();
+
+    expect(await sectorMappingService.getMapping('Food & FCMG')).to.include({ itemId: 'sector-1' });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Test environment
+ * Import this module before anything that reads the config: it fills in the required environment
+ * variables and keeps the sync state in memory, so tests don't need a .env file or touch data/.
+ */
+const testEnv = {
+  MYSOLUTION_API_URL: 'https://mysolution.test',
+  MYSOLUTION_CLIENT_ID: 'test-client-id',
+  MYSOLUTION_CLIENT_SECRET: 'test-client-secret',
+  WEBFLOW_API_TOKEN: 'test-webflow-token',
+  WEBFLOW_SITE_ID: 'test-site',
+  WEBFLOW_JOBS_COLLECTION_ID: 'test-jobs-collection',
+  WEBFLOW_CANDIDATES_COLLECTION_ID: 'test-candidates-collection',
+  WEBFLOW_SECTORS_COLLECTION_ID: 'test-sectors-collection',
+  SYNC_STATE_BACKEND: 'memory',
+  // Serverless mode keeps the logger from writing log files
+  VERCEL: '1',
+  LOG_CONSOLE: 'false',
+  LOG_LEVEL: 'error'
+};
+
+Object.entries(testEnv).forEach(([name, value]) => {
+  process.env[name] = value;
+});
+
+// Every test starts from an empty sync state, work queue and run history, whichever test file ran before it
+beforeEach(async () => {
+  const { default: syncStateStore } = await import('../utils/syncStateStore.js');
+  await syncStateStore.saveSyncState({});
+  await syncStateStore.saveSection('workQueue', {});
+  await syncStateStore.saveSection('syncRuns', {});
+});
@@ -0,0 +1,158 @@
+import './setup.js';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import slugHistoryService from '../services/slugHistoryService.js';
+import { getWebflowAPI } from '../api/webflow.js';
+import mysolutionAPI from '../api/mysolution.js';
+import jobRoutingService from '../services/jobRoutingService.js';
+import publishingService from '../services/publishingService.js';
+import syncStateStore from '../utils/syncStateStore.js';
+
+chai.use(sinonChai);
+
+describe('Slug history service', () => {
+  const webflowAPI = getWebflowAPI();
+  let jobs;
+  let items;
+
+  beforeEach(async () => {
+    jobs = {
+      'job-1': { Id: 'job-1', Name: 'Verpleegkundige' },
+      'job-2': { Id: 'job-2', Name: 'Begeleider' }
+    };
+    items = [
+      { id: 'item-1', isArchived: false, fieldData: { 'mysolution-id': 'job-1', slug: 'verpleegkundige-oud' } },
+      { id: 'item-2', isArchived: false, fieldData: { 'mysolution-id': 'job-2', slug: 'begeleider' } }
+    ];
+
+    sinon.stub(mysolutionAPI, 'getJobById').callsFake(async id => ({ ...jobs[id] }));
+    sinon.stub(jobRoutingService, 'getJobLocation').resolves(null);
+    sinon.stub(webflowAPI, 'getAllItems').callsFake(async () => items.map(item => ({ ...item, fieldData: { ...item.fieldData } })));
+    sinon.stub(webflowAPI, 'updateItemFields').callsFake(async (collectionId, itemId, fieldData) => {
+      Object.assign(items.find(item => item.id === itemId).fieldData, fieldData);
+    });
+    sinon.stub(webflowAPI, 'getCollection').resolves({ slug: 'vacatures' });
+    sinon.stub(webflowAPI, 'getAllSectors').resolves([]);
+    sinon.stub(webflowAPI, 'getOptionFields').resolves([]);
+    sinon.stub(publishingService, 'publishIfEnabled').resolves();
+    // The transformer logs every job it builds
+    sinon.stub(console, 'log');
+
+    slugHistoryService.pathPrefixes.clear();
+    await syncStateStore.updateSyncState(state => {
+      state.slugHistory = {};
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('regenerateSlug', () => {
+    it('gives the item the slug of its current title and records a redirect', async () => {
+      const result = await slugHistoryService.regenerateSlug('job-1');
+
+      expect(result).to.include({ itemId: 'item-1', previousSlug: 'verpleegkundige-oud', slug: 'verpleegkundige', changed: true });
+      expect(result.redirect).to.deep.equal({ from: '/vacatures/verpleegkundige-oud', to: '/vacatures/verpleegkundige', status: 301 });
+      expect(webflowAPI.updateItemFields).to.have.been.calledOnceWith(webflowAPI.jobsCollectionId, 'item-1', { slug: 'verpleegkundige' });
+
+      const history = await slugHistoryService.getJobHistory('job-1');
+      expect(history).to.include({ slug: 'verpleegkundige', itemId: 'item-1' });
+      expect(history.previousSlugs.map(previous => previous.slug)).to.deep.equal(['verpleegkundige-oud']);
+    });
+
+    it('leaves an item that already has the slug alone', async () => {
+      items[0].fieldData.slug = 'verpleegkundige';
+
+      const result = await slugHistoryService.regenerateSlug('job-1');
+
+      expect(result).to.include({ changed: false, redirect: null });
+      expect(webflowAPI.updateItemFields).not.to.have.been.called;
+      expect(await slugHistoryService.getJobHistory('job-1')).to.equal(null);
+    });
+
+    it('only reports the new slug on a dry run', async () => {
+      const result = await slugHistoryService.regenerateSlug('job-1', { dryRun: true });
+
+      expect(result).to.include({ slug: 'verpleegkundige', changed: true });
+      expect(webflowAPI.updateItemFields).not.to.have.been.called;
+      expect(await slugHistoryService.getJobHistory('job-1')).to.equal(null);
+    });
+
+    it('refuses a slug another item has', async () => {
+      items[1].fieldData.slug = 'verpleegkundige';
+
+      const error = await slugHistoryService.regenerateSlug('job-1').catch(caught => caught);
+
+      expect(error.code).to.equal('SLUG_TAKEN');
+      expect(error.message).to.contain('item-2');
+      expect(webflowAPI.updateItemFields).not.to.have.been.called;
+    });
+
+    it('refuses a slug that redirects to another job', async () => {
+      // job-2 was called Verpleegkundige before it was renamed
+      await syncStateStore.updateSyncState(state => {
+        state.slugHistory = {
+          'job-2': {
+            collectionId: webflowAPI.jobsCollectionId,
+            itemId: 'item-2',
+            slug: 'begeleider',
+            previousSlugs: [{ slug: 'verpleegkundige', replacedAt: '2026-01-01T00:00:00.000Z' }]
+          }
+        };
+      });
+
+      const error = await slugHistoryService.regenerateSlug('job-1').catch(caught => caught);
+
+      expect(error.code).to.equal('SLUG_TAKEN');
+      expect(error.message).to.contain('job-2');
+    });
+
+    it('fails for a job without a live item', async () => {
+      items[0].isArchived = true;
+
+      const error = await slugHistoryService.regenerateSlug('job-1').catch(caught => caught);
+
+      expect(error.code).to.equal('ITEM_NOT_FOUND');
+    });
+  });
+
+  describe('getRedirects', () => {
+    it('redirects every old slug straight to the current slug', async () => {
+      await slugHistoryService.regenerateSlug('job-1');
+      jobs['job-1'].Name = 'Senior verpleegkundige';
+      await slugHistoryService.regenerateSlug('job-1');
+
+      const redirects = await slugHistoryService.getRedirects();
+
+      expect(redirects.map(({ from, to }) => ({ from, to }))).to.have.deep.members([
+        { from: '/vacatures/verpleegkundige-oud', to: '/vacatures/senior-verpleegkundige' },
+        { from: '/vacatures/verpleegkundige', to: '/vacatures/senior-verpleegkundige' }
+      ]);
+    });
+
+    it('stops redirecting a slug the job gets back', async () => {
+      await slugHistoryService.regenerateSlug('job-1');
+      jobs['job-1'].Name = 'Senior verpleegkundige';
+      await slugHistoryService.regenerateSlug('job-1');
+      jobs['job-1'].Name = 'Verpleegkundige';
+      await slugHistoryService.regenerateSlug('job-1');
+
+      const redirects = await slugHistoryService.getRedirects();
+
+      expect(redirects.map(({ from, to }) => ({ from, to }))).to.have.deep.members([
+        { from: '/vacatures/verpleegkundige-oud', to: '/vacatures/verpleegkundige' },
+        { from: '/vacatures/senior-verpleegkundige', to: '/vacatures/verpleegkundige' }
+      ]);
+    });
+
+    it('exports the redirects as CSV', async () => {
+      await slugHistoryService.regenerateSlug('job-1');
+
+      const csv = slugHistoryService.toCsv(await slugHistoryService.getRedirects());
+
+      expect(csv).to.equal('Old Path,Redirect to Page\n"/vacatures/verpleegkundige-oud","/vacatures/verpleegkundige"\n');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import './setup.js';
+import { expect } from 'chai';
+import { transliterate, slugify, getSlugTemplate, buildJobSlug } from '../utils/slugPolicy.js';
+
+describe('Slug policy', () => {
+  describe('transliterate', () => {
+    it('turns the ĳ ligature into ij and & into "en"', () => {
+      expect(transliterate('Ĳsselmonde & Bĳlmer')).to.equal('IJsselmonde  en  Bijlmer');
+    });
+
+    it('drops accents and spells out letters without one', () => {
+      expect(transliterate('Crèche Ëik café Straße')).to.equal('Creche Eik cafe Strasse');
+    });
+  });
+
+  describe('slugify', () => {
+    it('builds a lowercase slug of letters, digits and hyphens', () => {
+      expect(slugify('Medewerker Bĳzondere Zorg & Welzĳn – Crèche "De Ëik"')).to.equal('medewerker-bijzondere-zorg-en-welzijn-creche-de-eik');
+    });
+
+    it('drops apostrophes instead of splitting the word', () => {
+      expect(slugify('Auto\'s wassen')).to.equal('autos-wassen');
+    });
+
+    it('cuts the slug at the maximum length without a trailing hyphen', () => {
+      expect(slugify('Verpleegkundige intensive care', 16)).to.equal('verpleegkundige');
+    });
+  });
+
+  describe('getSlugTemplate', () => {
+    it('returns the template of a named pattern', () => {
+      expect(getSlugTemplate('title-number')).to.equal('{title}-{number}');
+    });
+
+    it('accepts a template with the title', () => {
+      expect(getSlugTemplate('vacature-{title}-{city}')).to.equal('vacature-{title}-{city}');
+    });
+
+    it('rejects a pattern without the title', () => {
+      expect(() => getSlugTemplate('{number}')).to.throw('Unknown slug pattern "{number}"');
+      expect(() => getSlugTemplate('number-only')).to.throw('Unknown slug pattern "number-only"');
+    });
+
+    it('rejects unknown placeholders', () => {
+      expect(() => getSlugTemplate('{title}-{zip}')).to.throw('uses unknown placeholders: zip');
+    });
+  });
+
+  describe('buildJobSlug', () => {
+    const job = { msf__Job_Number__c: 'VAC-1234', msf__Work_Address_City__c: '\'s-Hertogenbosch' };
+
+    it('fills in the job number and city', () => {
+      expect(buildJobSlug('Verpleegkundige', job, { pattern: '{title}-{city}-{number}', maxLength: 100 }))
+        .to.equal('verpleegkundige-s-hertogenbosch-vac-1234');
+    });
+
+    it('shortens the title so the number and city are kept', () => {
+      const slug = buildJobSlug('Senior verpleegkundige intensive care', job, { pattern: '{title}-{number}-{city}', maxLength: 40 });
+
+      expect(slug).to.equal('senior-verpleeg-vac-1234-s-hertogenbosch');
+      expect(slug).to.have.lengthOf.at.most(40);
+    });
+
+    it('leaves out empty parts', () => {
+      expect(buildJobSlug('Zorgcoördinator', {}, { pattern: 'title-city', maxLength: 100 })).to.equal('zorgcoordinator');
+    });
+
+    it('falls back to "job" when the title has no usable characters', () => {
+      expect(buildJobSlug('!!!', job, { pattern: 'title-number', maxLength: 100 })).to.equal('job-vac-1234');
+    });
+  });
+});
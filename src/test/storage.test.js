@@ -0,0 +1,206 @@
+import './setup.js';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import MemoryStorage from '../utils/storage/memoryStorage.js';
+import FileStorage from '../utils/storage/fileStorage.js';
+import RedisStorage from '../utils/storage/redisStorage.js';
+
+/**
+ * A Redis server in memory that understands the commands RedisStorage sends
+ * Every reply is asynchronous, so concurrent updates interleave like they do against a real server.
+ */
+function fakeRedis(storage) {
+  const values = new Map();
+
+  storage._command = async ([command, ...args]) => {
+    await new Promise(resolve => setImmediate(resolve));
+
+    if (command === 'MGET') {
+      return args.map(key => (values.has(key) ? values.get(key) : null));
+    }
+
+    const [script, , key, versionKey, ...scriptArgs] = args;
+    if (command !== 'EVAL') {
+      throw new Error(`Unexpected Redis command ${command}`);
+    }
+
+    const nextVersion = () => String(Number(values.get(versionKey) || 0) + 1);
+    if (script.includes('ARGV[2]')) {
+      const [expectedVersion, data] = scriptArgs;
+      if ((values.get(versionKey) || '') !== expectedVersion) {
+        return 0;
+      }
+      values.set(key, data);
+      values.set(versionKey, nextVersion());
+      return 1;
+    }
+
+    values.set(key, scriptArgs[0]);
+    values.set(versionKey, nextVersion());
+    return Number(values.get(versionKey));
+  };
+
+  return values;
+}
+
+const backends = {
+  memory: () => new MemoryStorage(),
+  file: directory => new FileStorage({ filePath: path.join(directory, 'sync-state.json') }),
+  redis: () => {
+    const storage = new RedisStorage({ restUrl: 'https://redis.test', restToken: 'test-token', key: 'test:state' });
+    fakeRedis(storage);
+    return storage;
+  }
+};
+
+describe('Sync state storage', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sync-state-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  Object.entries(backends).forEach(([name, createStorage]) => {
+    describe(`${name} backend`, () => {
+      let storage;
+
+      beforeEach(() => {
+        storage = createStorage(directory);
+      });
+
+      it('reads null before anything is written', async () => {
+        expect(await storage.read()).to.equal(null);
+      });
+
+      it('reads back a copy of what was written', async () => {
+        const state = { syncCount: 1, jobModificationDates: { 'job-1': '2026-01-05T09:00:00.000Z' } };
+
+        expect(await storage.write(state)).to.equal(true);
+        state.syncCount = 2;
+
+        expect(await storage.read()).to.deep.equal({ syncCount: 1, jobModificationDates: { 'job-1': '2026-01-05T09:00:00.000Z' } });
+      });
+
+      it('passes the current state to an update and resolves to its result', async () => {
+        await storage.write({ syncCount: 1 });
+
+        const result = await storage.update(current => ({ state: { syncCount: current.syncCount + 1 }, result: 'updated' }));
+
+        expect(result).to.equal('updated');
+        expect(await storage.read()).to.deep.equal({ syncCount: 2 });
+      });
+
+      it('does not lose concurrent updates', async () => {
+        await storage.write({ syncCount: 0 });
+
+        await Promise.all(Array.from({ length: 8 }, () => storage.update(current => ({
+          state: { syncCount: current.syncCount + 1 },
+          result: null
+        }))));
+
+        expect(await storage.read()).to.deep.equal({ syncCount: 8 });
+      });
+    });
+  });
+
+  describe('file backend lock', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = backends.file(directory);
+    });
+
+    it('removes the lock when the transform throws', async () => {
+      let error;
+      try {
+        await storage.update(() => {
+          throw new Error('Transform failed');
+        });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).to.have.property('message', 'Transform failed');
+      expect(fs.existsSync(storage.lockPath)).to.equal(false);
+      expect(await storage.update(() => ({ state: { syncCount: 1 }, result: true }))).to.equal(true);
+    });
+
+    it('leaves a lock that another process took over in place', async () => {
+      await storage.update(() => {
+        fs.writeFileSync(storage.lockPath, 'other-process-token');
+        return { state: { syncCount: 1 }, result: null };
+      });
+
+      expect(fs.readFileSync(storage.lockPath, 'utf8')).to.equal('other-process-token');
+    });
+
+    it('takes over a stale lock', async () => {
+      await fs.promises.writeFile(storage.lockPath, '12345');
+      const staleTime = new Date(Date.now() - storage.staleLockMs - 1000);
+      await fs.promises.utimes(storage.lockPath, staleTime, staleTime);
+
+      await storage.update(() => ({ state: { syncCount: 1 }, result: null }));
+
+      expect(await storage.read()).to.deep.equal({ syncCount: 1 });
+    });
+
+    it('times out while another process holds the lock', async () => {
+      storage = new FileStorage({ filePath: path.join(directory, 'sync-state.json'), lockTimeoutMs: 100 });
+      await fs.promises.writeFile(storage.lockPath, '12345');
+
+      let error;
+      try {
+        await storage.update(() => ({ state: {}, result: null }));
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).to.match(/^Timed out waiting for sync state lock/);
+      expect(fs.existsSync(storage.lockPath)).to.equal(true);
+    });
+  });
+
+  describe('redis backend versions', () => {
+    it('retries an update when the version changed after it was read', async () => {
+      const storage = backends.redis();
+      await storage.write({ syncCount: 0 });
+      let transforms = 0;
+
+      const result = await storage.update(current => {
+        transforms++;
+        if (transforms === 1) {
+          // Another process writes between this read and the compare-and-set
+          storage.write({ syncCount: 10 });
+        }
+        return { state: { syncCount: current.syncCount + 1 }, result: transforms };
+      });
+
+      expect(result).to.equal(2);
+      expect(await storage.read()).to.deep.equal({ syncCount: 11 });
+    });
+
+    it('gives up after the maximum number of conflicting attempts', async () => {
+      const storage = backends.redis();
+      storage.maxRetries = 2;
+      await storage.write({ syncCount: 0 });
+
+      let error;
+      try {
+        await storage.update(current => {
+          storage.write({ syncCount: 10 });
+          return { state: current, result: null };
+        });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).to.have.property('message', 'Could not update sync state after 2 attempts due to concurrent writes');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import syncLock from '../services/syncLock.js';
+import syncStateStore from '../utils/syncStateStore.js';
+
+describe('Sync lock', () => {
+  const start = new Date('2026-01-05T09:00:00.000Z').getTime();
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: start, toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  /**
+   * Run a promise to completion and return the error it rejected with
+   */
+  async function rejectionOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    return null;
+  }
+
+  describe('withLock', () => {
+    it('keeps a second run out while the first holds the lock', async () => {
+      let finishFirst;
+      const firstRun = syncLock.withLock('sync-1', () => new Promise(resolve => {
+        finishFirst = resolve;
+      }), { type: 'full' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const secondRun = sinon.stub().resolves();
+      const error = await rejectionOf(syncLock.withLock('sync-2', secondRun));
+
+      expect(secondRun.called).to.equal(false);
+      expect(error).to.include({ code: 'SYNC_ALREADY_RUNNING', statusCode: 409, runningSyncId: 'sync-1' });
+      expect(error.lock).to.include({ owner: 'sync-1', type: 'full' });
+
+      finishFirst('done');
+      expect(await firstRun).to.equal('done');
+      expect(await syncLock.withLock('sync-2', secondRun)).to.equal(undefined);
+      expect(secondRun.calledOnce).to.equal(true);
+    });
+
+    it('releases the lock when the function throws', async () => {
+      const error = await rejectionOf(syncLock.withLock('sync-1', async () => {
+        throw new Error('Webflow unavailable');
+      }));
+
+      expect(error).to.have.property('message', 'Webflow unavailable');
+      expect(await syncLock.getLock()).to.equal(null);
+      expect(await syncLock.withLock('sync-2', async () => 'ran')).to.equal('ran');
+    });
+
+    it('lets a run take over a lock that expired', async () => {
+      await syncLock.acquire('sync-crashed');
+      clock.tick(syncLock.ttlMs);
+
+      expect(await syncLock.getLock()).to.equal(null);
+      expect(await syncLock.withLock('sync-2', async () => 'ran')).to.equal('ran');
+    });
+  });
+
+  describe('hold', () => {
+    it('refreshes the lock until it is released', async () => {
+      const release = await syncLock.hold('sync-1');
+      clock.tick(syncLock.ttlMs - 1);
+
+      expect(await syncLock.refresh('sync-1')).to.equal(true);
+      clock.tick(syncLock.ttlMs - 1);
+      expect(await syncLock.getLock()).to.include({ owner: 'sync-1' });
+
+      await release();
+      expect(await syncLock.getLock()).to.equal(null);
+    });
+
+    it('does not release a lock another run took over', async () => {
+      const release = await syncLock.hold('sync-1');
+      clock.tick(syncLock.ttlMs);
+      await syncLock.acquire('sync-2');
+
+      await release();
+
+      expect(await syncLock.refresh('sync-1')).to.equal(false);
+      expect(await syncLock.getLock()).to.include({ owner: 'sync-2' });
+    });
+  });
+
+  it('keeps the lock of a running sync when the sync state is reset', async () => {
+    await syncLock.acquire('sync-1');
+
+    await syncStateStore.resetSyncState();
+
+    expect(await syncLock.getLock()).to.include({ owner: 'sync-1' });
+  });
+});
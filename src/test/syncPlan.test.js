@@ -0,0 +1,204 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { buildSyncPlan, finalizeSyncPlan, diffFieldData } from '../services/syncPlan.js';
+import { transformMysolutionToWebflow } from '../models/jobsTransformer.js';
+import collectionSchemaService from '../services/collectionSchemaService.js';
+import jobRoutingService from '../services/jobRoutingService.js';
+import publishingService from '../services/publishingService.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import { hashFieldData } from '../utils/contentHash.js';
+
+describe('Sync plan', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('diffFieldData', () => {
+    it('ignores the slug', () => {
+      const changes = diffFieldData({ name: 'Vacature', slug: 'vacature-2' }, { name: 'Vacature', slug: 'vacature' });
+
+      expect(changes).to.be.empty;
+    });
+
+    it('compares option fields by option name instead of option ID', () => {
+      const optionNames = { 'vacature-type': { 'option-vast': 'Vast', 'option-interim': 'Interim' } };
+
+      expect(diffFieldData({ 'vacature-type': 'Vast' }, { 'vacature-type': 'option-vast' }, optionNames)).to.be.empty;
+      expect(diffFieldData({ 'vacature-type': 'Interim' }, { 'vacature-type': 'option-vast' }, optionNames))
+        .to.deep.equal([{ field: 'vacature-type', from: 'Vast', to: 'Interim' }]);
+    });
+
+    it('skips empty values unless an option field is cleared', () => {
+      const optionNames = { 'vacature-type': { 'option-vast': 'Vast' } };
+
+      expect(diffFieldData({ name: 'Vacature', intro: '' }, { name: 'Vacature', intro: 'Tekst' })).to.be.empty;
+      expect(diffFieldData({ 'vacature-type': null }, { 'vacature-type': 'option-vast' }, optionNames))
+        .to.deep.equal([{ field: 'vacature-type', from: 'Vast', to: null }]);
+    });
+  });
+
+  describe('buildSyncPlan', () => {
+    const mysolutionJob = (id, extra = {}) => ({ Id: id, Name: `Vacature ${id}`, msf__Status__c: 'Online', msf__Show_On_Website__c: true, ...extra });
+    const upsertTask = job => ({ type: 'upsert-job', key: `upsert-job:${job.Id}`, payload: { mysolutionJob: job } });
+    const liveItem = async (job, extra = {}) => ({
+      id: `item-${job.Id}`,
+      isArchived: false,
+      isDraft: false,
+      fieldData: await transformMysolutionToWebflow(job, { dryRun: true }),
+      ...extra
+    });
+
+    beforeEach(() => {
+      sinon.stub(collectionSchemaService, 'getOptionFields').resolves({ fields: {} });
+      sinon.stub(jobRoutingService, 'getRules').resolves([]);
+      sinon.stub(publishingService, 'isAutoPublishEnabled').returns(true);
+    });
+
+    it('classifies jobs as creates, updates, unchanged and archives', async () => {
+      const [created, updated, unchanged] = ['job-1', 'job-2', 'job-3'].map(id => mysolutionJob(id));
+      const webflowJobsMap = new Map([
+        ['job-2', await liveItem(updated, { fieldData: { ...(await liveItem(updated)).fieldData, name: 'Oude naam' } })],
+        ['job-3', await liveItem(unchanged)]
+      ]);
+      const archiveTask = {
+        type: 'archive-item',
+        key: 'archive-item:item-job-4',
+        payload: { itemId: 'item-job-4', mysolutionId: 'job-4', name: 'Vacature job-4', reason: 'No longer exists in Mysolution', reasonCodes: ['not-in-mysolution'] }
+      };
+
+      const plan = await buildSyncPlan({
+        syncId: 'sync-1',
+        type: 'full',
+        tasks: [upsertTask(created), upsertTask(updated), upsertTask(unchanged), archiveTask],
+        webflowJobsMap
+      });
+
+      expect(plan.creates.map(entry => entry.mysolutionId)).to.deep.equal(['job-1']);
+      expect(plan.updates).to.have.lengthOf(1);
+      expect(plan.updates[0]).to.deep.include({ mysolutionId: 'job-2', itemId: 'item-job-2', restores: null, changes: [{ field: 'name', from: 'Oude naam', to: 'Vacature job-2' }] });
+      expect(plan.unchanged).to.deep.equal([{ mysolutionId: 'job-3', itemId: 'item-job-3', name: 'Vacature job-3', drift: undefined }]);
+      expect(plan.archives).to.deep.equal([{ ...archiveTask.payload, collectionId: undefined }]);
+      expect(plan.summary).to.deep.equal({ creates: 1, updates: 1, unchanged: 1, archives: 1, errors: 0 });
+    });
+
+    it('lists a drifted item as unchanged when its content hash is unchanged, unless forced', async () => {
+      const job = mysolutionJob('job-1');
+      const item = await liveItem(job);
+      await syncStateStore.storeJobContentHashes({ 'job-1': hashFieldData(item.fieldData) });
+      const webflowJobsMap = new Map([['job-1', { ...item, fieldData: { ...item.fieldData, name: 'Handmatig aangepast' } }]]);
+
+      const plan = await buildSyncPlan({ syncId: 'sync-1', type: 'full', tasks: [upsertTask(job)], webflowJobsMap });
+      const forced = await buildSyncPlan({ syncId: 'sync-2', type: 'full', tasks: [upsertTask(job)], webflowJobsMap, options: { force: true } });
+
+      expect(plan.unchanged[0].drift).to.deep.equal([{ field: 'name', from: 'Handmatig aangepast', to: 'Vacature job-1' }]);
+      expect(forced.updates.map(entry => entry.mysolutionId)).to.deep.equal(['job-1']);
+    });
+
+    it('restores an archived or draft item with the same content', async () => {
+      const [archived, draft] = ['job-1', 'job-2'].map(id => mysolutionJob(id));
+      const webflowJobsMap = new Map([
+        ['job-1', await liveItem(archived, { isArchived: true })],
+        ['job-2', await liveItem(draft, { isDraft: true })]
+      ]);
+
+      const plan = await buildSyncPlan({ syncId: 'sync-1', type: 'full', tasks: [upsertTask(archived), upsertTask(draft)], webflowJobsMap });
+
+      expect(plan.updates.map(entry => [entry.mysolutionId, entry.restores, entry.changes])).to.deep.equal([
+        ['job-1', 'archived', []],
+        ['job-2', 'draft', []]
+      ]);
+    });
+
+    it('lists a job that fails to transform as an error', async () => {
+      const job = mysolutionJob('job-1');
+      jobRoutingService.getRules.rejects(new Error('Invalid routing file'));
+
+      const plan = await buildSyncPlan({ syncId: 'sync-1', type: 'full', tasks: [upsertTask(job)], webflowJobsMap: new Map() });
+
+      expect(plan.errors).to.deep.equal([{ mysolutionId: 'job-1', error: 'Invalid routing file' }]);
+      expect(plan.summary.errors).to.equal(1);
+    });
+
+    describe('routed jobs', () => {
+      const route = { collectionId: 'internal-collection', rule: 'Interne vacatures', fields: {} };
+
+      beforeEach(() => {
+        sinon.stub(jobRoutingService, 'routeJob').resolves(route);
+      });
+
+      it('plans a create in the routed collection and archives the item in the jobs collection', async () => {
+        const job = mysolutionJob('job-1');
+        const webflowJobsMap = new Map([['job-1', await liveItem(job)]]);
+
+        const plan = await buildSyncPlan({ syncId: 'sync-1', type: 'full', tasks: [upsertTask(job)], webflowJobsMap });
+
+        expect(plan.creates).to.have.lengthOf(1);
+        expect(plan.creates[0]).to.include({ mysolutionId: 'job-1', collectionId: 'internal-collection', rule: 'Interne vacatures' });
+        expect(plan.archives).to.deep.equal([{
+          itemId: 'item-job-1',
+          mysolutionId: 'job-1',
+          name: 'Vacature job-1',
+          reason: 'Job routed to collection internal-collection by rule "Interne vacatures"'
+        }]);
+      });
+
+      it('plans an update of the item recorded in the routed collection', async () => {
+        await syncStateStore.updateSyncState(state => {
+          state.routedJobs = { 'job-1': { collectionId: 'internal-collection', itemId: 'item-9' } };
+        });
+
+        const plan = await buildSyncPlan({ syncId: 'sync-1', type: 'full', tasks: [upsertTask(mysolutionJob('job-1'))], webflowJobsMap: new Map() });
+
+        expect(plan.updates).to.deep.equal([{
+          mysolutionId: 'job-1',
+          name: 'Vacature job-1',
+          collectionId: 'internal-collection',
+          rule: 'Interne vacatures',
+          itemId: 'item-9',
+          changes: null
+        }]);
+        expect(plan.archives).to.be.empty;
+      });
+    });
+  });
+
+  describe('finalizeSyncPlan', () => {
+    const plan = (counts = {}) => ({
+      creates: new Array(counts.creates || 0).fill({}),
+      updates: new Array(counts.updates || 0).fill({}),
+      unchanged: new Array(counts.unchanged || 0).fill({}),
+      archives: new Array(counts.archives || 0).fill({}),
+      errors: []
+    });
+
+    it('would publish when auto-publish is enabled and items change', () => {
+      sinon.stub(publishingService, 'isAutoPublishEnabled').returns(true);
+
+      const finalized = finalizeSyncPlan(plan({ creates: 1, archives: 2, unchanged: 3 }));
+
+      expect(finalized.summary).to.deep.equal({ creates: 1, updates: 0, unchanged: 3, archives: 2, errors: 0 });
+      expect(finalized.publish).to.include({ autoPublishEnabled: true, wouldPublish: true, reason: 'Auto-publish is enabled and 3 items would change' });
+    });
+
+    it('would not publish when nothing changes', () => {
+      sinon.stub(publishingService, 'isAutoPublishEnabled').returns(true);
+
+      const finalized = finalizeSyncPlan(plan({ unchanged: 3 }));
+
+      expect(finalized.publish).to.include({ wouldPublish: false, reason: 'No changes to publish' });
+    });
+
+    it('would not publish when auto-publish is disabled', () => {
+      sinon.stub(publishingService, 'isAutoPublishEnabled').returns(false);
+
+      const finalized = finalizeSyncPlan(plan({ updates: 2 }));
+
+      expect(finalized.publish).to.include({
+        autoPublishEnabled: false,
+        wouldPublish: false,
+        reason: 'Auto-publish is disabled; 2 changes would stay unpublished until a manual publish'
+      });
+    });
+  });
+});
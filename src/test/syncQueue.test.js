@@ -0,0 +1,223 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import syncQueue from '../services/syncQueue.js';
+import syncStateStore from '../utils/syncStateStore.js';
+
+describe('Sync queue', () => {
+  const start = new Date('2026-01-05T09:00:00.000Z').getTime();
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: start, toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const upsertTask = (key, payload = {}) => ({ type: 'upsert-job', key, payload });
+
+  describe('enqueue', () => {
+    it('adds tasks as pending and available right away', async () => {
+      expect(await syncQueue.enqueue([upsertTask('upsert-job:1'), upsertTask('upsert-job:2')])).to.equal(2);
+
+      const tasks = await syncQueue.list();
+      expect(tasks.map(task => task.key)).to.deep.equal(['upsert-job:1', 'upsert-job:2']);
+      expect(tasks[0]).to.include({ status: 'pending', attempts: 0, availableAt: new Date(start).toISOString() });
+    });
+
+    it('replaces the payload of a pending task with the same key', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1', { version: 1 })]);
+      await syncQueue.enqueue([upsertTask('upsert-job:1', { version: 2 })]);
+
+      const tasks = await syncQueue.list();
+      expect(tasks).to.have.lengthOf(1);
+      expect(tasks[0].payload).to.deep.equal({ version: 2 });
+    });
+
+    it('adds a new task when the task with the same key is leased', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1', { version: 1 })]);
+      await syncQueue.lease({ owner: 'worker-a' });
+      await syncQueue.enqueue([upsertTask('upsert-job:1', { version: 2 })]);
+
+      const tasks = await syncQueue.list();
+      expect(tasks.map(task => task.status)).to.deep.equal(['leased', 'pending']);
+    });
+
+    it('resets the attempts of a task that is waiting for a retry', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1')]);
+      const [task] = await syncQueue.lease({ owner: 'worker-a' });
+      await syncQueue.fail(task.id, 'worker-a', new Error('Webflow timeout'));
+      await syncQueue.enqueue([upsertTask('upsert-job:1')]);
+
+      const [requeued] = await syncQueue.list();
+      expect(requeued).to.include({ status: 'pending', attempts: 0, lastError: null, availableAt: new Date(start).toISOString() });
+    });
+  });
+
+  describe('lease', () => {
+    it('leases up to the limit and counts an attempt', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1'), upsertTask('upsert-job:2'), upsertTask('upsert-job:3')]);
+
+      const leased = await syncQueue.lease({ owner: 'worker-a', limit: 2, leaseMs: 60000 });
+
+      expect(leased.map(task => task.key)).to.deep.equal(['upsert-job:1', 'upsert-job:2']);
+      expect(leased[0]).to.include({ status: 'leased', leaseOwner: 'worker-a', attempts: 1, leaseExpiresAt: new Date(start + 60000).toISOString() });
+      expect(await syncQueue.lease({ owner: 'worker-b', limit: 5 })).to.have.lengthOf(1);
+    });
+
+    it('skips tasks that are not available yet', async () => {
+      await syncQueue.enqueue([{ ...upsertTask('publication-window:1'), availableAt: new Date(start + 60000).toISOString(), scheduled: true }]);
+
+      expect(await syncQueue.lease({ owner: 'worker-a' })).to.be.empty;
+      clock.tick(60000);
+      expect(await syncQueue.lease({ owner: 'worker-a' })).to.have.lengthOf(1);
+    });
+
+    it('re-leases a task whose lease expired', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1')]);
+      await syncQueue.lease({ owner: 'worker-a', leaseMs: 60000 });
+
+      expect(await syncQueue.lease({ owner: 'worker-b' })).to.be.empty;
+      clock.tick(60000);
+      const [task] = await syncQueue.lease({ owner: 'worker-b' });
+
+      expect(task).to.include({ leaseOwner: 'worker-b', attempts: 2 });
+    });
+
+    it('fails a task whose lease expired on its last attempt', async () => {
+      await syncQueue.enqueue([{ ...upsertTask('upsert-job:1'), maxAttempts: 2 }]);
+      await syncQueue.lease({ owner: 'worker-a', leaseMs: 60000 });
+      clock.tick(60000);
+      await syncQueue.lease({ owner: 'worker-b', leaseMs: 60000 });
+      clock.tick(60000);
+
+      expect(await syncQueue.lease({ owner: 'worker-c' })).to.be.empty;
+      const [task] = await syncQueue.list();
+      expect(task).to.include({ status: 'failed', lastError: 'Lease expired', leaseOwner: null, attempts: 2 });
+    });
+  });
+
+  describe('complete', () => {
+    it('removes a task leased by the owner', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1')]);
+      const [task] = await syncQueue.lease({ owner: 'worker-a' });
+
+      expect(await syncQueue.complete(task.id, 'worker-b')).to.equal(false);
+      expect(await syncQueue.complete(task.id, 'worker-a')).to.equal(true);
+      expect(await syncQueue.list()).to.be.empty;
+    });
+  });
+
+  describe('fail', () => {
+    it('retries with a delay that doubles per attempt', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1')]);
+
+      let [task] = await syncQueue.lease({ owner: 'worker-a' });
+      expect(await syncQueue.fail(task.id, 'worker-a', new Error('Webflow timeout'))).to.equal('pending');
+      let [queued] = await syncQueue.list();
+      expect(queued).to.include({ lastError: 'Webflow timeout', leaseOwner: null });
+      expect(new Date(queued.availableAt).getTime()).to.equal(start + syncQueue.retryDelay);
+
+      clock.tick(syncQueue.retryDelay);
+      [task] = await syncQueue.lease({ owner: 'worker-a' });
+      await syncQueue.fail(task.id, 'worker-a', new Error('Webflow timeout'));
+      [queued] = await syncQueue.list();
+      expect(new Date(queued.availableAt).getTime()).to.equal(start + 3 * syncQueue.retryDelay);
+    });
+
+    it('fails a task permanently when it runs out of attempts', async () => {
+      await syncQueue.enqueue([{ ...upsertTask('upsert-job:1'), maxAttempts: 1 }]);
+      const [task] = await syncQueue.lease({ owner: 'worker-a' });
+
+      expect(await syncQueue.fail(task.id, 'worker-a', new Error('Invalid field data'))).to.equal('failed');
+      expect(await syncQueue.getStats()).to.include({ total: 1, pending: 0, failed: 1 });
+    });
+
+    it('ignores a task that is not leased by the owner', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1')]);
+      const [task] = await syncQueue.lease({ owner: 'worker-a' });
+
+      expect(await syncQueue.fail(task.id, 'worker-b', new Error('Webflow timeout'))).to.equal(null);
+      expect((await syncQueue.list())[0]).to.include({ status: 'leased', leaseOwner: 'worker-a' });
+    });
+  });
+
+  describe('settle', () => {
+    it('completes and fails the tasks of a batch with one queue write', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1'), upsertTask('upsert-job:2'), upsertTask('upsert-job:3')]);
+      const [first, second, third] = await syncQueue.lease({ owner: 'worker-a', limit: 3 });
+      const updateSection = sinon.spy(syncStateStore, 'updateSection');
+
+      const settled = await syncQueue.settle('worker-a', {
+        completed: [first.id, third.id],
+        failed: [{ taskId: second.id, error: new Error('Webflow timeout') }]
+      });
+
+      expect(settled).to.deep.equal({ completed: 2, failed: 1 });
+      expect(updateSection.calledOnce).to.equal(true);
+      const tasks = await syncQueue.list();
+      expect(tasks).to.have.lengthOf(1);
+      expect(tasks[0]).to.include({ key: 'upsert-job:2', status: 'pending', lastError: 'Webflow timeout', leaseOwner: null });
+      expect(new Date(tasks[0].availableAt).getTime()).to.equal(start + syncQueue.retryDelay);
+    });
+
+    it('leaves tasks that are not leased by the owner', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1'), upsertTask('upsert-job:2')]);
+      const [first, second] = await syncQueue.lease({ owner: 'worker-a', limit: 2 });
+
+      const settled = await syncQueue.settle('worker-b', {
+        completed: [first.id],
+        failed: [{ taskId: second.id, error: new Error('Webflow timeout') }]
+      });
+
+      expect(settled).to.deep.equal({ completed: 0, failed: 0 });
+      expect((await syncQueue.list()).map(task => task.status)).to.deep.equal(['leased', 'leased']);
+    });
+  });
+
+  describe('storage', () => {
+    it('keeps the queue out of the sync state', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1')]);
+
+      expect((await syncStateStore.loadSyncState()).workQueue).to.equal(undefined);
+      expect((await syncStateStore.loadSection('workQueue')).workQueue).to.have.lengthOf(1);
+    });
+  });
+
+  describe('retryFailed', () => {
+    it('makes failed tasks available again with fresh attempts', async () => {
+      await syncQueue.enqueue([{ ...upsertTask('upsert-job:1'), maxAttempts: 1 }, upsertTask('upsert-job:2')]);
+      const [task] = await syncQueue.lease({ owner: 'worker-a' });
+      await syncQueue.fail(task.id, 'worker-a', new Error('Invalid field data'));
+      clock.tick(1000);
+
+      expect(await syncQueue.retryFailed()).to.equal(1);
+
+      const [retried] = await syncQueue.list();
+      expect(retried).to.include({ status: 'pending', attempts: 0, availableAt: new Date(start + 1000).toISOString() });
+      expect(await syncQueue.lease({ owner: 'worker-a', limit: 5 })).to.have.lengthOf(2);
+    });
+
+    it('returns 0 when no task failed', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1')]);
+
+      expect(await syncQueue.retryFailed()).to.equal(0);
+    });
+  });
+
+  describe('removePending', () => {
+    it('removes pending tasks with the given keys and leaves leased ones', async () => {
+      await syncQueue.enqueue([upsertTask('upsert-job:1'), upsertTask('upsert-job:2'), upsertTask('upsert-job:3')]);
+      await syncQueue.lease({ owner: 'worker-a' });
+
+      expect(await syncQueue.removePending(['upsert-job:1', 'upsert-job:2'])).to.equal(1);
+
+      expect((await syncQueue.list()).map(task => [task.key, task.status])).to.deep.equal([
+        ['upsert-job:1', 'leased'],
+        ['upsert-job:3', 'pending']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import syncRunHistory from '../services/syncRunHistory.js';
+
+describe('Sync run history', () => {
+  const start = new Date('2026-01-05T09:00:00.000Z').getTime();
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: start, toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('records a run with its job outcomes and duration', async () => {
+    await syncRunHistory.startRun('sync-1', 'full', { force: true });
+    await syncRunHistory.recordJobs('sync-1', [
+      { mysolutionId: 'job-1', itemId: 'item-1', action: 'updated' },
+      { mysolutionId: 'job-2', action: 'failed', error: 'Webflow timeout', attempt: 2 }
+    ]);
+    clock.tick(1500);
+    const finished = await syncRunHistory.finishRun('sync-1', { summary: { successful: 1, failed: 1 } });
+
+    expect(finished).to.include({ status: 'completed', durationMs: 1500, jobCount: 2, error: null });
+    const [run] = await syncRunHistory.listRuns();
+    expect(run).to.include({ syncId: 'sync-1', failedJobs: 1 });
+    expect(run).to.not.have.property('jobs');
+
+    const failedOnly = await syncRunHistory.getRun('sync-1', { action: 'failed' });
+    expect(failedOnly.jobs).to.have.lengthOf(1);
+    expect(failedOnly.jobs[0]).to.include({ mysolutionId: 'job-2', itemId: null, error: 'Webflow timeout', attempt: 2 });
+  });
+
+  it('marks a run that ended with an error as failed', async () => {
+    await syncRunHistory.startRun('sync-1', 'incremental');
+
+    const finished = await syncRunHistory.finishRun('sync-1', { error: new Error('Mysolution unavailable') });
+
+    expect(finished).to.include({ status: 'failed', error: 'Mysolution unavailable' });
+  });
+
+  it('drops job records of a run that is not in the history', async () => {
+    expect(await syncRunHistory.recordJobs('sync-unknown', [{ mysolutionId: 'job-1', action: 'updated' }])).to.equal(false);
+    expect(await syncRunHistory.finishRun('sync-unknown')).to.equal(null);
+  });
+
+  it('keeps the newest runs up to the run limit', async () => {
+    for (let index = 1; index <= syncRunHistory.runLimit + 1; index++) {
+      await syncRunHistory.startRun(`sync-${index}`, 'full');
+    }
+
+    const runs = await syncRunHistory.listRuns();
+    expect(runs).to.have.lengthOf(syncRunHistory.runLimit);
+    expect(runs[0].syncId).to.equal(`sync-${syncRunHistory.runLimit + 1}`);
+  });
+
+  it('counts job records beyond the job limit without storing them', async () => {
+    await syncRunHistory.startRun('sync-1', 'full');
+    const records = Array.from({ length: syncRunHistory.jobLimit + 2 }, (value, index) => ({ mysolutionId: `job-${index}`, action: 'updated' }));
+
+    await syncRunHistory.recordJobs('sync-1', records);
+
+    const run = await syncRunHistory.getRun('sync-1');
+    expect(run).to.include({ jobCount: syncRunHistory.jobLimit + 2, droppedJobRecords: 2 });
+    expect(run.jobs).to.have.lengthOf(syncRunHistory.jobLimit);
+  });
+});
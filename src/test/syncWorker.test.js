@@ -0,0 +1,185 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { drainQueue } from '../services/syncWorker.js';
+import syncQueue from '../services/syncQueue.js';
+import { getWebflowAPI } from '../api/webflow.js';
+import jobRoutingService from '../services/jobRoutingService.js';
+import syncStateStore from '../utils/syncStateStore.js';
+
+// Client of the default tenant, which the exported webflowAPI forwards to
+const webflowAPI = getWebflowAPI();
+
+describe('Sync worker', () => {
+  const mysolutionJob = { Id: 'job-1', Name: 'Vacature', LastModifiedDate: '2026-01-05T09:00:00.000Z' };
+  const upsertTask = (payload = {}) => ({
+    type: 'upsert-job',
+    key: 'upsert-job:job-1',
+    payload: { mysolutionJob, existingJobId: 'item-1', existingItemState: { isArchived: false, isDraft: false }, ...payload }
+  });
+  let createOrUpdate;
+
+  beforeEach(() => {
+    sinon.stub(webflowAPI, 'getOptionFields').resolves({});
+    sinon.stub(jobRoutingService, 'getRules').resolves([]);
+    createOrUpdate = sinon.stub(webflowAPI, 'createOrUpdateJobByMysolutionId').resolves({ id: 'item-1', action: 'updated' });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('content hash', () => {
+    it('stores the content hash of an upserted job', async () => {
+      await syncQueue.enqueue([upsertTask()]);
+
+      const summary = await drainQueue({ owner: 'worker-a' });
+
+      expect(summary).to.include({ upserted: 1, skipped: 0 });
+      expect(await syncStateStore.getJobContentHash('job-1')).to.match(/^[0-9a-f]{64}$/);
+    });
+
+    it('skips the update of a live item whose content is unchanged', async () => {
+      await syncQueue.enqueue([upsertTask()]);
+      await drainQueue({ owner: 'worker-a' });
+
+      await syncQueue.enqueue([upsertTask()]);
+      const summary = await drainQueue({ owner: 'worker-a' });
+
+      expect(summary).to.include({ upserted: 0, skipped: 1 });
+      expect(createOrUpdate.calledOnce).to.equal(true);
+    });
+
+    it('updates unchanged content when forced or when the item is archived or a draft', async () => {
+      await syncQueue.enqueue([upsertTask()]);
+      await drainQueue({ owner: 'worker-a' });
+
+      await syncQueue.enqueue([upsertTask({ force: true })]);
+      await drainQueue({ owner: 'worker-a' });
+      await syncQueue.enqueue([upsertTask({ existingItemState: { isArchived: true, isDraft: false } })]);
+      await drainQueue({ owner: 'worker-a' });
+      await syncQueue.enqueue([upsertTask({ existingItemState: { isArchived: false, isDraft: true } })]);
+      const summary = await drainQueue({ owner: 'worker-a' });
+
+      expect(summary).to.include({ upserted: 1, skipped: 0 });
+      expect(createOrUpdate.callCount).to.equal(4);
+    });
+
+    it('updates the item when the transformed content changed', async () => {
+      await syncQueue.enqueue([upsertTask()]);
+      await drainQueue({ owner: 'worker-a' });
+      const firstHash = await syncStateStore.getJobContentHash('job-1');
+
+      await syncQueue.enqueue([upsertTask({ mysolutionJob: { ...mysolutionJob, Name: 'Nieuwe vacature' } })]);
+      const summary = await drainQueue({ owner: 'worker-a' });
+
+      expect(summary).to.include({ upserted: 1, skipped: 0 });
+      expect(await syncStateStore.getJobContentHash('job-1')).to.not.equal(firstHash);
+    });
+
+    it('reads the stored content hashes once per drain', async () => {
+      await syncQueue.enqueue([upsertTask()]);
+      await drainQueue({ owner: 'worker-a' });
+      const getJobContentHash = sinon.spy(syncStateStore, 'getJobContentHash');
+      const getJobContentHashes = sinon.spy(syncStateStore, 'getJobContentHashes');
+
+      await syncQueue.enqueue([upsertTask(), { ...upsertTask(), key: 'upsert-job:job-2', payload: { ...upsertTask().payload, mysolutionJob: { ...mysolutionJob, Id: 'job-2' } } }]);
+      const summary = await drainQueue({ owner: 'worker-a', concurrency: 1 });
+
+      expect(summary).to.include({ upserted: 1, skipped: 1 });
+      expect(getJobContentHashes.calledOnce).to.equal(true);
+      expect(getJobContentHash.called).to.equal(false);
+    });
+  });
+
+  describe('queue writes', () => {
+    it('settles each leased batch with one queue write', async () => {
+      createOrUpdate.onSecondCall().rejects(new Error('Webflow timeout'));
+      const settle = sinon.spy(syncQueue, 'settle');
+      const complete = sinon.spy(syncQueue, 'complete');
+      const fail = sinon.spy(syncQueue, 'fail');
+      await syncQueue.enqueue([upsertTask(), { ...upsertTask(), key: 'upsert-job:job-2', payload: { ...upsertTask().payload, mysolutionJob: { ...mysolutionJob, Id: 'job-2' } } }]);
+
+      const summary = await drainQueue({ owner: 'worker-a', concurrency: 2 });
+
+      expect(summary).to.include({ upserted: 1, upsertFailed: 1 });
+      expect(settle.calledOnce).to.equal(true);
+      expect(complete.called || fail.called).to.equal(false);
+      expect(await syncQueue.getStats()).to.include({ total: 1, pending: 1 });
+    });
+  });
+
+  describe('archive tasks', () => {
+    const archiveTask = collectionId => ({
+      type: 'archive-item',
+      key: 'archive-item:item-9',
+      payload: { itemId: 'item-9', collectionId, mysolutionId: 'job-9', name: 'Interne vacature', reason: 'Status changed to "Closed"' }
+    });
+
+    it('archives the item of a routed job in its own collection', async () => {
+      const archiveJob = sinon.stub(webflowAPI, 'archiveJob').resolves({ action: 'archived' });
+      await syncQueue.enqueue([archiveTask('internal-collection')]);
+
+      const summary = await drainQueue({ owner: 'worker-a' });
+
+      expect(summary).to.include({ archived: 1 });
+      expect(archiveJob.calledOnceWith('item-9', { collectionId: 'internal-collection' })).to.equal(true);
+    });
+
+    it('leaves the item of a routed job out of the bulk requests', async () => {
+      const archiveJob = sinon.stub(webflowAPI, 'archiveJob').resolves({ action: 'archived' });
+      const bulkWriteJobs = sinon.stub(webflowAPI, 'bulkWriteJobs').resolves([]);
+      await syncQueue.enqueue([archiveTask('internal-collection')]);
+
+      await drainQueue({ owner: 'worker-a', bulk: true });
+
+      expect(archiveJob.calledOnceWith('item-9', { collectionId: 'internal-collection' })).to.equal(true);
+      expect(bulkWriteJobs.called).to.equal(false);
+    });
+  });
+
+  describe('bulk writes', () => {
+    const jobTask = (id, existingJobId) => ({
+      type: 'upsert-job',
+      key: `upsert-job:${id}`,
+      payload: { mysolutionJob: { ...mysolutionJob, Id: id }, existingJobId, existingItemState: existingJobId ? { isArchived: false, isDraft: false } : undefined }
+    });
+    let bulkWriteJobs;
+
+    beforeEach(() => {
+      sinon.stub(webflowAPI, 'bulkSize').value(2);
+      bulkWriteJobs = sinon.stub(webflowAPI, 'bulkWriteJobs').callsFake(async operations => operations.map(operation => ({
+        mysolutionId: operation.mysolutionId,
+        action: `${operation.action}d`,
+        itemId: operation.itemId || `item-${operation.mysolutionId}`
+      })));
+    });
+
+    it('writes the leased tasks with one bulk call per lease of bulkSize tasks', async () => {
+      await syncQueue.enqueue([jobTask('job-1', 'item-1'), jobTask('job-2'), jobTask('job-3')]);
+
+      const summary = await drainQueue({ owner: 'worker-a', bulk: true });
+
+      expect(summary).to.include({ upserted: 3, upsertFailed: 0 });
+      expect(bulkWriteJobs.callCount).to.equal(2);
+      expect(bulkWriteJobs.firstCall.args[0].map(operation => [operation.mysolutionId, operation.action, operation.itemId]))
+        .to.deep.equal([['job-1', 'update', 'item-1'], ['job-2', 'create', undefined]]);
+      expect(bulkWriteJobs.secondCall.args[0]).to.have.lengthOf(1);
+      expect(createOrUpdate.called).to.equal(false);
+      expect(await syncStateStore.getJobContentHash('job-2')).to.match(/^[0-9a-f]{64}$/);
+    });
+
+    it('only fails the task of a job whose write failed', async () => {
+      bulkWriteJobs.callsFake(async operations => operations.map(operation => (operation.mysolutionId === 'job-2'
+        ? { mysolutionId: 'job-2', action: 'failed', error: 'Validation failed' }
+        : { mysolutionId: operation.mysolutionId, action: 'updated', itemId: operation.itemId })));
+      await syncQueue.enqueue([jobTask('job-1', 'item-1'), jobTask('job-2', 'item-2')]);
+
+      const summary = await drainQueue({ owner: 'worker-a', bulk: true });
+
+      expect(summary).to.include({ upserted: 1, upsertFailed: 1 });
+      const [failed] = await syncQueue.list();
+      expect(failed).to.include({ key: 'upsert-job:job-2', lastError: 'Job job-2: Validation failed' });
+    });
+  });
+});
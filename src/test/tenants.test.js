@@ -0,0 +1,169 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../utils/config.js';
+import { runWithTenant } from '../utils/tenants.js';
+import { getWebflowAPI } from '../api/webflow.js';
+import syncStateStore from '../utils/syncStateStore.js';
+import { describeSyncPlan } from '../services/syncPlan.js';
+
+describe('Tenants', () => {
+  let directory;
+
+  /**
+   * Load a fresh copy of the tenants module that reads the given tenants file
+   * The shared module has already loaded the tenants of the test environment and keeps them.
+   */
+  async function loadTenants(tenants) {
+    const file = path.join(directory, 'tenants.json');
+    fs.writeFileSync(file, JSON.stringify({ tenants }));
+    sinon.stub(config.tenants, 'file').value(file);
+    return import(`../utils/tenants.js?test=${Date.now()}-${Math.random()}`);
+  }
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tenants-'));
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('getTenants', () => {
+    it('fills in missing Webflow settings and gives every tenant but the default its own state', async () => {
+      process.env.TEST_SITE_B_TOKEN = 'site-b-token';
+      const { getTenants } = await loadTenants([
+        { id: 'default' },
+        { id: 'site-b', name: 'Site B', webflow: { siteId: 'site-b', jobsCollectionId: 'site-b-jobs', apiTokenEnv: 'TEST_SITE_B_TOKEN' } }
+      ]);
+
+      const [siteA, siteB] = getTenants();
+
+      expect(siteA.webflow).to.include({ apiKey: config.webflow.apiKey, jobsCollectionId: config.webflow.jobsCollectionId });
+      expect(siteA.storage).to.equal(config.storage);
+      expect(siteB.webflow).to.include({ apiKey: 'site-b-token', siteId: 'site-b', jobsCollectionId: 'site-b-jobs' });
+      expect(siteB.storage).to.include({ key: `${config.storage.key}:site-b`, filePath: config.storage.filePath.replace(/\.json$/, '.site-b.json') });
+      delete process.env.TEST_SITE_B_TOKEN;
+    });
+
+    it('rejects tenants that write to the same jobs collection', async () => {
+      const { getTenants } = await loadTenants([{ id: 'default' }, { id: 'site-b', webflow: { siteId: 'site-b' } }]);
+
+      expect(() => getTenants()).to.throw('tenants "default" and "site-b" use the same jobs collection');
+    });
+  });
+
+  describe('forEachTenant', () => {
+    const twoTenants = [
+      { id: 'site-a', webflow: { jobsCollectionId: 'site-a-jobs' } },
+      { id: 'site-b', webflow: { jobsCollectionId: 'site-b-jobs' } }
+    ];
+
+    it('runs for every tenant with that tenant as the current tenant', async () => {
+      const { forEachTenant, getCurrentTenant } = await loadTenants(twoTenants);
+
+      const result = await forEachTenant(async tenant => `${tenant.id}:${getCurrentTenant().webflow.jobsCollectionId}`);
+
+      expect(result).to.deep.equal({ tenants: { 'site-a': 'site-a:site-a-jobs', 'site-b': 'site-b:site-b-jobs' } });
+    });
+
+    it('keeps going when a tenant fails and only throws when every tenant failed', async () => {
+      const { forEachTenant } = await loadTenants(twoTenants);
+      const failure = Object.assign(new Error('Webflow unavailable'), { code: 'WEBFLOW_DOWN' });
+
+      const result = await forEachTenant(async tenant => {
+        if (tenant.id === 'site-a') {
+          throw failure;
+        }
+        return 'synced';
+      });
+
+      expect(result).to.deep.equal({ tenants: { 'site-a': { error: 'Webflow unavailable', code: 'WEBFLOW_DOWN' }, 'site-b': 'synced' } });
+
+      let error;
+      try {
+        await forEachTenant(async () => {
+          throw failure;
+        });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).to.equal(failure);
+    });
+
+    it('only runs for the named tenant', async () => {
+      const { forEachTenant } = await loadTenants(twoTenants);
+      const fn = sinon.stub().resolves('synced');
+
+      expect(await forEachTenant(fn, { tenant: 'site-b' })).to.equal('synced');
+      expect(fn.calledOnce).to.equal(true);
+      expect(fn.firstCall.args[0]).to.include({ id: 'site-b' });
+    });
+
+    it('passes the result of a single tenant through', async () => {
+      const { forEachTenant } = await loadTenants([twoTenants[0]]);
+
+      expect(await forEachTenant(async tenant => tenant.id)).to.equal('site-a');
+    });
+  });
+
+  describe('summarizeTenantResults', () => {
+    const plan = creates => ({ summary: { creates, updates: 0, archives: 1 } });
+
+    it('describes the result of every tenant, and the tenants that failed', async () => {
+      const { forEachTenant, summarizeTenantResults } = await loadTenants([
+        { id: 'site-a', webflow: { jobsCollectionId: 'site-a-jobs' } },
+        { id: 'site-b', webflow: { jobsCollectionId: 'site-b-jobs' } },
+        { id: 'site-c', webflow: { jobsCollectionId: 'site-c-jobs' } }
+      ]);
+
+      const result = await forEachTenant(async tenant => {
+        if (tenant.id === 'site-c') {
+          throw new Error('Webflow unavailable');
+        }
+        return plan(tenant.id === 'site-a' ? 2 : 0);
+      });
+
+      expect(summarizeTenantResults(result, describeSyncPlan)).to.equal(
+        'site-a: 2 creates, 0 updates, 1 archives; site-b: 0 creates, 0 updates, 1 archives; site-c: failed (Webflow unavailable)'
+      );
+    });
+
+    it('describes the result of a single tenant as it is', async () => {
+      const { forEachTenant, summarizeTenantResults } = await loadTenants([{ id: 'site-a', webflow: { jobsCollectionId: 'site-a-jobs' } }]);
+
+      const result = await forEachTenant(async () => plan(2));
+
+      expect(summarizeTenantResults(result, describeSyncPlan)).to.equal('2 creates, 0 updates, 1 archives');
+    });
+  });
+
+  describe('isolation', () => {
+    const otherTenant = {
+      id: 'site-b',
+      webflow: { ...config.webflow, siteId: 'site-b', jobsCollectionId: 'site-b-jobs' },
+      storage: { ...config.storage, key: `${config.storage.key}:site-b` }
+    };
+
+    it('keeps a sync state and a Webflow client per tenant', async () => {
+      await syncStateStore.updateSyncState(state => {
+        state.syncCount = 5;
+      });
+
+      await runWithTenant(otherTenant, async () => {
+        expect((await syncStateStore.getSyncState()).syncCount).to.equal(0);
+        await syncStateStore.updateSyncState(state => {
+          state.syncCount = 1;
+        });
+      });
+
+      expect((await syncStateStore.getSyncState()).syncCount).to.equal(5);
+      expect(getWebflowAPI(otherTenant)).to.not.equal(getWebflowAPI());
+      expect(getWebflowAPI(otherTenant).jobsCollectionId).to.equal('site-b-jobs');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import './setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { getWebflowAPI } from '../api/webflow.js';
+
+// Client of the default tenant, which the exported webflowAPI forwards to
+const webflowAPI = getWebflowAPI();
+
+describe('Webflow bulk item requests', () => {
+  const collectionId = webflowAPI.jobsCollectionId;
+  const fieldData = id => ({ name: `Vacature ${id}`, slug: `vacature-${id}`, 'mysolution-id': id });
+  let makeRequest;
+
+  beforeEach(() => {
+    sinon.stub(webflowAPI, '_prepareJobData').callsFake(async data => ({ ...data }));
+    makeRequest = sinon.stub(webflowAPI, '_makeRequest').callsFake(async (method, url, body) => ({
+      items: body.items.map((item, index) => ({ id: item.id || `item-${item.fieldData['mysolution-id'] || index}`, ...item }))
+    }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('createItems, updateItems and archiveItems', () => {
+    it('send all items in one request', async () => {
+      await webflowAPI.createItems(collectionId, [fieldData('job-1'), fieldData('job-2')], { isDraft: true });
+      await webflowAPI.updateItems(collectionId, [{ id: 'item-1', fieldData: { name: 'Vacature' } }]);
+      await webflowAPI.archiveItems(collectionId, ['item-1', 'item-2']);
+
+      expect(makeRequest.args.map(([method, url]) => `${method} ${url}`)).to.deep.equal([
+        `post collections/${collectionId}/items`,
+        `patch collections/${collectionId}/items`,
+        `patch collections/${collectionId}/items`
+      ]);
+      expect(makeRequest.firstCall.args[2].items[1]).to.deep.equal({ fieldData: fieldData('job-2'), isDraft: true, isArchived: false });
+      expect(makeRequest.secondCall.args[2].items).to.deep.equal([{ id: 'item-1', fieldData: { name: 'Vacature' }, isDraft: false, isArchived: false }]);
+      expect(makeRequest.thirdCall.args[2].items.map(item => [item.id, item.isArchived])).to.deep.equal([['item-1', true], ['item-2', true]]);
+    });
+  });
+
+  describe('bulkWriteJobs', () => {
+    it('groups operations by action into requests of at most bulkSize items', async () => {
+      sinon.stub(webflowAPI, 'bulkSize').value(2);
+
+      const results = await webflowAPI.bulkWriteJobs([
+        { mysolutionId: 'job-1', action: 'create', fieldData: fieldData('job-1') },
+        { mysolutionId: 'job-2', action: 'update', itemId: 'item-2', fieldData: fieldData('job-2') },
+        { mysolutionId: 'job-3', action: 'create', fieldData: fieldData('job-3') },
+        { mysolutionId: 'job-4', action: 'create', fieldData: fieldData('job-4') },
+        { mysolutionId: 'job-5', action: 'archive', itemId: 'item-5' }
+      ]);
+
+      expect(makeRequest.args.map(([method, , body]) => `${method} ${body.items.length}`)).to.deep.equal(['post 2', 'post 1', 'patch 1', 'patch 1']);
+      expect(results).to.deep.equal([
+        { mysolutionId: 'job-1', action: 'created', itemId: 'item-job-1' },
+        { mysolutionId: 'job-2', action: 'updated', itemId: 'item-2' },
+        { mysolutionId: 'job-3', action: 'created', itemId: 'item-job-3' },
+        { mysolutionId: 'job-4', action: 'created', itemId: 'item-job-4' },
+        { mysolutionId: 'job-5', action: 'archived', itemId: 'item-5' }
+      ]);
+    });
+
+    it('keeps the slug of updated items', async () => {
+      await webflowAPI.bulkWriteJobs([{ mysolutionId: 'job-1', action: 'update', itemId: 'item-1', fieldData: fieldData('job-1') }]);
+
+      expect(makeRequest.firstCall.args[2].items[0].fieldData).to.not.have.property('slug');
+    });
+
+    it('sends the jobs of a failed bulk request one by one', async () => {
+      makeRequest.onFirstCall().rejects(new Error('Request failed with status 400'));
+      const updateJob = sinon.stub(webflowAPI, 'updateJob');
+      updateJob.withArgs('item-1').resolves({ id: 'item-1', action: 'updated' });
+      updateJob.withArgs('item-2').rejects(new Error('Validation Error: name is too long'));
+
+      const results = await webflowAPI.bulkWriteJobs([
+        { mysolutionId: 'job-1', action: 'update', itemId: 'item-1', fieldData: fieldData('job-1') },
+        { mysolutionId: 'job-2', action: 'update', itemId: 'item-2', fieldData: fieldData('job-2') }
+      ]);
+
+      expect(updateJob.callCount).to.equal(2);
+      expect(results).to.deep.equal([
+        { mysolutionId: 'job-1', action: 'updated', itemId: 'item-1' },
+        { mysolutionId: 'job-2', action: 'failed', itemId: 'item-2', error: 'Validation Error: name is too long' }
+      ]);
+    });
+
+    it('updates the items a failed bulk create made instead of creating them again', async () => {
+      makeRequest.onFirstCall().rejects(new Error('timeout of 30000ms exceeded'));
+      sinon.stub(webflowAPI, 'getAllItems').resolves([{ id: 'item-created', isArchived: false, isDraft: false, fieldData: fieldData('job-1') }]);
+      const updateJob = sinon.stub(webflowAPI, 'updateJob').resolves({ id: 'item-created', action: 'updated' });
+      const createJob = sinon.stub(webflowAPI, 'createJob').resolves({ id: 'item-new', action: 'created' });
+
+      const results = await webflowAPI.bulkWriteJobs([
+        { mysolutionId: 'job-1', action: 'create', fieldData: fieldData('job-1') },
+        { mysolutionId: 'job-2', action: 'create', fieldData: fieldData('job-2') }
+      ]);
+
+      expect(updateJob.calledOnce).to.equal(true);
+      expect(updateJob.firstCall.args[0]).to.equal('item-created');
+      expect(updateJob.firstCall.args[1]).to.not.have.property('slug');
+      expect(createJob.calledOnce).to.equal(true);
+      expect(results).to.deep.equal([
+        { mysolutionId: 'job-1', action: 'updated', itemId: 'item-created' },
+        { mysolutionId: 'job-2', action: 'created', itemId: 'item-new' }
+      ]);
+    });
+
+    it('fails the jobs of a failed bulk create when the existing items cannot be checked', async () => {
+      makeRequest.onFirstCall().rejects(new Error('timeout of 30000ms exceeded'));
+      sinon.stub(webflowAPI, 'getAllItems').rejects(new Error('Webflow unavailable'));
+      const createJob = sinon.stub(webflowAPI, 'createJob');
+
+      const results = await webflowAPI.bulkWriteJobs([{ mysolutionId: 'job-1', action: 'create', fieldData: fieldData('job-1') }]);
+
+      expect(createJob.called).to.equal(false);
+      expect(results[0]).to.include({ mysolutionId: 'job-1', action: 'failed' });
+    });
+
+    it('fails only the job whose field data could not be prepared', async () => {
+      webflowAPI._prepareJobData.withArgs(sinon.match({ 'mysolution-id': 'job-2' })).rejects(new Error('Job name is required'));
+
+      const results = await webflowAPI.bulkWriteJobs([
+        { mysolutionId: 'job-1', action: 'create', fieldData: fieldData('job-1') },
+        { mysolutionId: 'job-2', action: 'create', fieldData: fieldData('job-2') }
+      ]);
+
+      expect(makeRequest.firstCall.args[2].items).to.have.lengthOf(1);
+      expect(results[1]).to.deep.equal({ mysolutionId: 'job-2', action: 'failed', itemId: undefined, error: 'Job name is required' });
+    });
+  });
+});
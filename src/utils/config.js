@@ -38,6 +38,29 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+/**
+ * Pick the sync state backend when SYNC_STATE_BACKEND isn't set
+ * Serverless instances share neither a file system nor memory: there Redis is used when it is
+ * configured, and otherwise startup fails, as state kept in memory is lost between invocations.
+ * Set SYNC_STATE_BACKEND=memory to accept that explicitly.
+ * @returns {string} Backend name
+ */
+function getDefaultStorageBackend() {
+  if (!(process.env.VERCEL || process.env.VERCEL_ENV || process.env.AWS_LAMBDA_FUNCTION_NAME)) {
+    return 'file';
+  }
+
+  if (process.env.REDIS_URL || process.env.REDIS_REST_URL || process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL) {
+    return 'redis';
+  }
+
+  console.error('Error: No persistent sync state storage is configured on a serverless platform.');
+  console.error('The sync lock, work queue and job modification dates would be lost between invocations.');
+  console.error('\nConfigure Redis (REDIS_URL, REDIS_REST_URL or Vercel KV) or set SYNC_STATE_BACKEND=redis,');
+  console.error('or set SYNC_STATE_BACKEND=memory to keep the state in memory anyway.');
+  process.exit(1);
+}
+
 // Config object with all environment variables
 const config = {
   // Core application settings
@@ -57,6 +80,14 @@ const config = {
     timeout: parseInt(process.env.MYSOLUTION_API_TIMEOUT || '30000', 10),
     retryAttempts: parseInt(process.env.MYSOLUTION_API_RETRY_ATTEMPTS || '3', 10),
     retryDelay: parseInt(process.env.MYSOLUTION_API_RETRY_DELAY || '1000', 10),
+    // Query parameter of the job Get endpoint that filters on modification date, if Mysolution supports one
+    changedSinceParam: process.env.MYSOLUTION_CHANGED_SINCE_PARAM || null,
+    // Query parameter of the job Get endpoint that filters on job ID, used to fetch a single job
+    jobIdParam: process.env.MYSOLUTION_JOB_ID_PARAM || 'Id',
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.MYSOLUTION_CIRCUIT_FAILURE_THRESHOLD || '5', 10), // Failures in a row that stop all Mysolution calls
+      resetTimeout: parseInt(process.env.MYSOLUTION_CIRCUIT_RESET_TIMEOUT || '60000', 10) // How long calls fail fast before a trial request
+    }
   },
   
   // Webflow API settings
@@ -68,7 +99,19 @@ const config = {
     sectorsCollectionId: process.env.WEBFLOW_SECTORS_COLLECTION_ID,
     timeout: parseInt(process.env.WEBFLOW_API_TIMEOUT || '30000', 10),
     rateLimit: parseInt(process.env.WEBFLOW_RATE_LIMIT || '60', 10), // Requests per minute
+    bulkSize: parseInt(process.env.WEBFLOW_BULK_SIZE || '100', 10), // Items per bulk create/update/archive request (at most 100)
+    maxRetries: parseInt(process.env.WEBFLOW_MAX_RETRIES || '3', 10), // Retries of rate-limited (429) and failed (5xx) requests
+    retryBaseDelay: parseInt(process.env.WEBFLOW_RETRY_BASE_DELAY || '1000', 10), // Backoff before the first retry, doubled for every next one
     autoPublish: process.env.WEBFLOW_AUTO_PUBLISH === 'true', // Whether to automatically publish changes
+    // What an automatic publish publishes: 'site' (the whole site) or 'items' (only the items the sync wrote)
+    publishMode: process.env.WEBFLOW_PUBLISH_MODE === 'items' ? 'items' : 'site',
+    schemaCacheTtl: parseInt(process.env.WEBFLOW_SCHEMA_CACHE_TTL || '600000', 10), // How long collection schemas (Option field choices) are cached: 10 minutes
+  },
+  
+  // Tenants: several Webflow sites synced from the same Mysolution org (see tenants.example.json)
+  // Without a tenants file the Webflow settings above form the single "default" tenant
+  tenants: {
+    file: process.env.TENANTS_FILE ? path.resolve(rootDir, process.env.TENANTS_FILE) : null,
   },
   
   // Sync settings
@@ -79,8 +122,94 @@ const config = {
     },
     maxBatchSize: parseInt(process.env.SYNC_MAX_BATCH_SIZE || '100', 10),
     concurrency: parseInt(process.env.SYNC_CONCURRENCY || '5', 10),
+    // Syncs with more queued tasks than this write jobs with bulk Webflow requests (0 = never)
+    bulkThreshold: parseInt(process.env.SYNC_BULK_THRESHOLD || '10', 10),
     retryFailedAfter: parseInt(process.env.SYNC_RETRY_FAILED_AFTER || '1800000', 10), // 30 minutes
     enableScheduledSync: process.env.ENABLE_SCHEDULED_SYNC === 'true', // Whether to enable scheduled auto-sync
+    // Time a sync may spend draining the work queue before leaving the rest for the next invocation (0 = no limit)
+    timeBudgetMs: parseInt(process.env.SYNC_TIME_BUDGET_MS || ((process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME) ? '45000' : '0'), 10),
+    runHistoryLimit: parseInt(process.env.SYNC_RUN_HISTORY_LIMIT || '25', 10), // Number of sync runs kept in the history
+    runHistoryJobLimit: parseInt(process.env.SYNC_RUN_HISTORY_JOB_LIMIT || '1000', 10), // Per-job records kept per run
+    // How long the sync lock is held without being refreshed (a crashed run releases it after this time)
+    lockTtlMs: parseInt(process.env.SYNC_LOCK_TTL_MS || '300000', 10), // 5 minutes
+    // Incremental syncs archive jobs deleted in Mysolution; more deletions than these limits are held for the full sync
+    incrementalDeletions: process.env.SYNC_INCREMENTAL_DELETIONS !== 'false',
+    maxIncrementalDeletions: parseInt(process.env.SYNC_MAX_INCREMENTAL_DELETIONS || '10', 10),
+    maxIncrementalDeletionRatio: parseFloat(process.env.SYNC_MAX_INCREMENTAL_DELETION_RATIO || '0.2'), // Share of the known jobs
+  },
+
+  // Sync state storage settings
+  storage: {
+    // Backend for the sync state: 'file', 'sqlite', 'redis' or 'memory'
+    // Defaults to 'file', or on serverless platforms to 'redis'; startup fails there when Redis isn't configured
+    backend: process.env.SYNC_STATE_BACKEND || getDefaultStorageBackend(),
+    filePath: process.env.SYNC_STATE_FILE || path.join(rootDir, 'data/sync-state.json'),
+    sqlitePath: process.env.SYNC_STATE_SQLITE_FILE || path.join(rootDir, 'data/sync-state.db'),
+    // Redis over TCP (requires the ioredis package) or a Redis REST API such as Upstash / Vercel KV
+    redisUrl: process.env.REDIS_URL,
+    redisRestUrl: process.env.REDIS_REST_URL || process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL,
+    redisRestToken: process.env.REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN,
+    key: process.env.SYNC_STATE_KEY || 'mysolution-webflow-sync:state',
+  },
+
+  // Work queue settings (sync tasks are queued and drained by a worker)
+  queue: {
+    leaseMs: parseInt(process.env.QUEUE_LEASE_MS || '120000', 10), // 2 minutes
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10),
+    retryDelay: parseInt(process.env.QUEUE_RETRY_DELAY || '30000', 10), // Base delay, doubled per attempt
+  },
+
+  // Publication windows: jobs are published / archived when their start or end date is reached
+  publicationWindows: {
+    enabled: process.env.PUBLICATION_WINDOWS !== 'false',
+    // Only boundaries within this many hours are queued; the daily full sync queues the rest in time
+    horizonHours: parseInt(process.env.PUBLICATION_WINDOW_HORIZON_HOURS || '36', 10),
+    // How often due window checks are processed outside serverless platforms (Vercel uses the queue cron)
+    checkIntervalMinutes: parseInt(process.env.PUBLICATION_WINDOW_CHECK_MINUTES || '5', 10),
+  },
+
+  // Mass-archive guard: a sync that would archive more live jobs than this waits for an admin's approval
+  archiveGuard: {
+    enabled: process.env.ARCHIVE_GUARD !== 'false',
+    maxRatio: parseFloat(process.env.ARCHIVE_GUARD_MAX_RATIO || '0.2'), // Share of the live jobs
+    maxCount: parseInt(process.env.ARCHIVE_GUARD_MAX_COUNT || '25', 10),
+    historyLimit: parseInt(process.env.ARCHIVE_GUARD_HISTORY_LIMIT || '20', 10), // Decided batches kept in the sync state
+  },
+
+  // Slugs of new job items (see src/utils/slugPolicy.js)
+  slugs: {
+    // title, title-number, title-city or a template such as {title}-{city}-{number}
+    pattern: process.env.SLUG_PATTERN || 'title',
+    numberField: process.env.SLUG_NUMBER_FIELD || 'msf__Job_Number__c',
+    cityField: process.env.SLUG_CITY_FIELD || 'msf__Work_Address_City__c',
+    maxLength: parseInt(process.env.SLUG_MAX_LENGTH || '100', 10),
+    // Path of the job pages in redirects, e.g. /vacatures (defaults to /<collection slug>)
+    pathPrefix: process.env.SLUG_PATH_PREFIX || '',
+  },
+
+  // Field mapping settings
+  mapping: {
+    // Declarative Mysolution -> Webflow job field mapping (see src/models/jobFieldMapping.json)
+    jobFieldsFile: process.env.JOB_FIELD_MAPPING_FILE || path.join(rootDir, 'src/models/jobFieldMapping.json'),
+    // Rules that route jobs to a fixed sector or another collection, e.g. internal jobs (see src/models/jobRoutingRules.json)
+    jobRoutingFile: process.env.JOB_ROUTING_RULES_FILE || path.join(rootDir, 'src/models/jobRoutingRules.json'),
+    // Rules a job has to pass to be published on the website (see src/models/publicationRules.json)
+    publicationRulesFile: process.env.PUBLICATION_RULES_FILE || path.join(rootDir, 'src/models/publicationRules.json'),
+  },
+  
+  // Sector settings
+  sectors: {
+    // Use a fuzzy name match for sectors that are not in the mapping table (they are still reported as unmapped)
+    fuzzyMatching: process.env.SECTOR_FUZZY_MATCHING !== 'false',
+  },
+  
+  // Reference items (sectors, employees) that jobs link to
+  referenceItems: {
+    // Create a missing sector / employee item instead of leaving the job's reference empty
+    createSectors: process.env.AUTO_CREATE_SECTORS === 'true',
+    createEmployees: process.env.AUTO_CREATE_EMPLOYEES === 'true',
+    // Create those items as drafts so they can be reviewed before they are published
+    requireReview: process.env.REFERENCE_ITEMS_REQUIRE_REVIEW === 'true',
   },
   
   // Logging settings
@@ -0,0 +1,41 @@
+import crypto from 'crypto';
+
+/**
+ * Serialize a value to JSON with object keys sorted, so equal content always gives the same string
+ * @param {any} value - Value to serialize
+ * @returns {string} Stable JSON string
+ */
+function stableStringify(value) {
+  if (value === undefined) {
+    return 'null';
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item)).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * Create a content hash of Webflow field data
+ * @param {Object} fieldData - Transformed Webflow field data
+ * @returns {string} SHA-256 hex digest
+ */
+function hashFieldData(fieldData) {
+  return crypto.createHash('sha256').update(stableStringify(fieldData || {})).digest('hex');
+}
+
+export {
+  stableStringify,
+  hashFieldData
+};
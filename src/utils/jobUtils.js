@@ -1,5 +1,5 @@
 import { logger } from './logger.js';
-import config from './config.js';
+import { evaluatePublication, matchesTenantFilter } from '../models/publicationRules.js';
 
 /**
  * Analyzes a Mysolution job object to identify modification date fields
@@ -61,6 +61,36 @@ function analyzeJobModificationDates(job) {
   };
 }
 
+/**
+ * Get the latest modification date of a job, including its child records
+ * Related records (e.g. linked publications) come as "__r" fields: a record, a list of records or a
+ * Salesforce sub-query result ({ records: [...] }). A change to one of them changes what the job shows,
+ * so the latest of all their modification dates counts.
+ * @param {Object} job - The job object from Mysolution
+ * @returns {string|null} ISO timestamp, or null if the job has no valid modification date
+ */
+function getJobModificationDate(job) {
+  if (!job) {
+    return null;
+  }
+
+  const dates = [analyzeJobModificationDates(job).recommendedValue];
+  Object.keys(job)
+    .filter(key => key.endsWith('__r') && job[key] && typeof job[key] === 'object')
+    .forEach(key => {
+      const value = job[key];
+      const records = Array.isArray(value) ? value : (Array.isArray(value.records) ? value.records : [value]);
+      records.forEach(record => dates.push(analyzeJobModificationDates(record).recommendedValue));
+    });
+
+  const latest = dates
+    .map(date => (date ? new Date(date).getTime() : NaN))
+    .filter(time => !Number.isNaN(time))
+    .reduce((max, time) => Math.max(max, time), -Infinity);
+
+  return latest === -Infinity ? null : new Date(latest).toISOString();
+}
+
 /**
  * Determines if a job has been modified since a given timestamp
  * @param {Object} job - The job object from Mysolution
@@ -83,7 +113,8 @@ function isJobModifiedSince(job, timestamp) {
 }
 
 /**
- * Determines if a job should be visible on the website based on Mysolution criteria
+ * Determines if a job should be visible on the website based on the publication rules
+ * Jobs outside the publication filter of the current tenant are not published on its site.
  * @param {Object} job - The job object from Mysolution
  * @returns {boolean} - True if the job should be published
  */
@@ -92,46 +123,35 @@ function shouldJobBePublished(job) {
     logger.warn('Cannot determine publication status: job object is null or undefined');
     return false;
   }
-  
-  // Check status is "Online"
-  const hasOnlineStatus = job.msf__Status__c === 'Online';
-  
-  // Check "Publish to Web" is enabled
-  const isPublishToWebEnabled = !!job.msf__Show_On_Website__c;
-  
-  // Check end date is in the future (if it exists)
-  let isEndDateValid = true;
-  if (job.msf__On_Website_To__c) {
-    const endDate = new Date(job.msf__On_Website_To__c);
-    const now = new Date();
-    isEndDateValid = endDate >= now;
-  }
-  
-  // Log detailed information about publication criteria for this job
-  // Use a safer approach than isLevelEnabled which is not available
-  try {
-    // Only log in debug mode if the logger has the debug method
-    if (logger.debug && config?.logging?.level === 'debug') {
-      logger.debug(`Job publication criteria for "${job.Name || job.Id}":`, {
-        jobId: job.Id,
-        status: job.msf__Status__c,
-        hasOnlineStatus,
-        showOnWebsite: job.msf__Show_On_Website__c,
-        isPublishToWebEnabled,
-        endDate: job.msf__On_Website_To__c,
-        isEndDateValid,
-        shouldPublish: hasOnlineStatus && isPublishToWebEnabled && isEndDateValid
-      });
-    }
-  } catch (error) {
-    // Silently ignore any logging errors to prevent disruption
-  }
-  
-  return hasOnlineStatus && isPublishToWebEnabled && isEndDateValid;
+
+  return evaluatePublication(job).publish;
+}
+
+/**
+ * Describe why a Mysolution job no longer qualifies for the website
+ * @param {Object} job - The job object from Mysolution
+ * @returns {string} - Human-readable archive reason (the messages of all failed publication rules)
+ */
+function getArchiveReason(job) {
+  const { reasons } = evaluatePublication(job);
+  return reasons.length > 0 ? reasons.map(reason => reason.message).join('; ') : 'Unknown';
+}
+
+/**
+ * Get the codes of the publication rules a Mysolution job fails
+ * @param {Object} job - The job object from Mysolution
+ * @returns {Array<string>} - Reason codes, empty if the job can be published
+ */
+function getArchiveReasonCodes(job) {
+  return evaluatePublication(job).reasons.map(reason => reason.code);
 }
 
 export {
   analyzeJobModificationDates,
+  getJobModificationDate,
   isJobModifiedSince,
-  shouldJobBePublished
+  shouldJobBePublished,
+  matchesTenantFilter,
+  getArchiveReason,
+  getArchiveReasonCodes
 }; 
\ No newline at end of file
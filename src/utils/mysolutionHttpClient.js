@@ -0,0 +1,285 @@
+import axios from 'axios';
+import { logger } from './logger.js';
+import config from './config.js';
+import mysolutionAuthClient from './mysolutionAuthClient.js';
+
+/**
+ * Resilient HTTP layer for all Mysolution (Salesforce) calls
+ *
+ * Every Mysolution client is created with createMysolutionClient, which adds:
+ * - the access token to each request, and on a 401 a fresh token and one replay of the request
+ * - retries with a growing delay on network errors and 5xx responses (MYSOLUTION_API_RETRY_ATTEMPTS)
+ * - a circuit breaker shared by all clients: after a number of failures in a row it opens and
+ *   requests fail right away with code MYSOLUTION_UNAVAILABLE, instead of each one waiting for the
+ *   timeout. After the reset timeout one trial request is let through; it closes the circuit again
+ *   when it succeeds.
+ */
+
+const UNAVAILABLE_CODE = 'MYSOLUTION_UNAVAILABLE';
+
+// Connection errors where the request never reached Mysolution, so even a POST can be sent again
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNRESET'];
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Failures in a row that open the circuit
+   * @param {number} options.resetTimeout - How long the circuit stays open before a trial request (ms)
+   */
+  constructor({ failureThreshold, resetTimeout }) {
+    this.failureThreshold = Math.max(1, failureThreshold);
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Check whether a request may be made, and claim the trial request when the circuit is half-open
+   * @returns {boolean} True if the request may be made
+   */
+  allowRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half-open';
+      logger.info('Mysolution circuit half-open, sending a trial request');
+    }
+
+    if (this.state === 'half-open' && !this.trialInProgress) {
+      this.trialInProgress = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether requests currently fail fast (open and not yet due for a trial request)
+   * @returns {boolean} True if the circuit is open
+   */
+  isOpen() {
+    return this.state === 'open' && Date.now() - this.openedAt < this.resetTimeout;
+  }
+
+  /**
+   * Give up the trial request without an outcome, so another request can be the trial
+   */
+  releaseTrial() {
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Record a request that Mysolution answered
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info('Mysolution is reachable again, circuit closed');
+      console.log('✅ Mysolution is reachable again');
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Record a request that failed because Mysolution is unreachable or erroring
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = { message: error.message, time: new Date().toISOString() };
+    this.trialInProgress = false;
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      logger.error(`Mysolution circuit open after ${this.failures} failures; requests fail fast for ${this.resetTimeout}ms`, {
+        error: error.message
+      });
+      console.log(`❌ Mysolution unavailable, requests fail fast until ${new Date(this.openedAt + this.resetTimeout).toLocaleTimeString()}`);
+    }
+  }
+
+  /**
+   * Get the state of the circuit, e.g. for status endpoints
+   * @returns {Object} { state, failures, openedAt, retryAt, lastError }
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+// One breaker for all Mysolution clients: they talk to the same org
+const mysolutionCircuitBreaker = new CircuitBreaker(config.mysolution.circuitBreaker);
+
+/**
+ * Create the error requests fail with while the circuit is open
+ * @returns {Error} Error with code MYSOLUTION_UNAVAILABLE
+ */
+function createUnavailableError() {
+  const { retryAt, lastError } = mysolutionCircuitBreaker.getStatus();
+  const error = new Error(`Mysolution is unavailable${lastError ? ` (${lastError.message})` : ''}; requests are paused until ${retryAt}`);
+  error.code = UNAVAILABLE_CODE;
+  error.retryAt = retryAt;
+  return error;
+}
+
+/**
+ * Throw right away if Mysolution calls currently fail fast, e.g. before starting a sync run
+ * @throws {Error} Error with code MYSOLUTION_UNAVAILABLE if the circuit is open
+ */
+function assertMysolutionAvailable() {
+  if (mysolutionCircuitBreaker.isOpen()) {
+    throw createUnavailableError();
+  }
+}
+
+/**
+ * Check whether an error means Mysolution is unreachable or failing (as opposed to rejecting the request)
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, timeouts and 5xx responses
+ */
+function isServiceFailure(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+/**
+ * Check whether a failed request is sent again
+ * A POST is only retried when it never reached Mysolution, so applications aren't created twice.
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryable(error) {
+  if (!isServiceFailure(error)) {
+    return false;
+  }
+  if (error.config?.method === 'post') {
+    return !error.response && CONNECTION_ERROR_CODES.includes(error.code);
+  }
+  return true;
+}
+
+/**
+ * Create an axios client for the Mysolution API with authentication, retries and the circuit breaker
+ * @param {Object} options - Client options
+ * @param {number} options.timeout - Request timeout in ms
+ * @returns {import('axios').AxiosInstance} Client
+ */
+function createMysolutionClient({ timeout = config.mysolution.timeout } = {}) {
+  const retryAttempts = Math.max(1, config.mysolution.retryAttempts);
+  const retryDelay = config.mysolution.retryDelay;
+
+  const client = axios.create({
+    baseURL: config.mysolution.apiUrl,
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    timeout
+  });
+
+  // Fail fast while the circuit is open, otherwise add the auth token
+  client.interceptors.request.use(
+    async requestConfig => {
+      if (!mysolutionCircuitBreaker.allowRequest()) {
+        throw createUnavailableError();
+      }
+
+      try {
+        const token = await mysolutionAuthClient.getAccessToken();
+        requestConfig.headers['Authorization'] = `Bearer ${token}`;
+      } catch (error) {
+        // No token means no request: count it, and free the trial request when half-open
+        if (isServiceFailure(error)) {
+          mysolutionCircuitBreaker.recordFailure(error);
+        } else {
+          mysolutionCircuitBreaker.releaseTrial();
+        }
+        // The error belongs to the token request; mark it so it isn't retried as this request
+        error.tokenRequestFailed = true;
+        throw error;
+      }
+      return requestConfig;
+    },
+    error => Promise.reject(error)
+  );
+
+  client.interceptors.response.use(
+    response => {
+      mysolutionCircuitBreaker.recordSuccess();
+      return response;
+    },
+    async error => {
+      // Rejected before sending (open circuit, no token): nothing to log or retry
+      if (error.code === UNAVAILABLE_CODE || error.tokenRequestFailed || !error.config) {
+        return Promise.reject(error);
+      }
+
+      const requestConfig = error.config;
+      logger.error('Mysolution API error:', {
+        url: requestConfig.url,
+        method: requestConfig.method,
+        status: error.response?.status,
+        data: error.response?.data,
+        message: error.message
+      });
+
+      if (isServiceFailure(error)) {
+        mysolutionCircuitBreaker.recordFailure(error);
+      } else {
+        // Mysolution answered, so it is reachable
+        mysolutionCircuitBreaker.recordSuccess();
+      }
+
+      // Handle authentication errors by invalidating the token; replay once with a fresh token on a 401
+      const status = error.response?.status;
+      if (status === 401 || status === 403 || error.response?.data?.error === 'invalid_token') {
+        logger.warn('Authentication error detected, invalidating token');
+        mysolutionAuthClient.invalidateToken();
+
+        if (status !== 403 && !requestConfig._tokenRefreshed) {
+          requestConfig._tokenRefreshed = true;
+          logger.info(`Replaying ${requestConfig.method?.toUpperCase()} ${requestConfig.url} with a new token`);
+          return client.request(requestConfig);
+        }
+        return Promise.reject(error);
+      }
+
+      const attempt = requestConfig._attempt || 1;
+      if (isRetryable(error) && attempt < retryAttempts) {
+        const waitTime = retryDelay * attempt;
+        requestConfig._attempt = attempt + 1;
+        logger.warn(`Mysolution request failed. Retrying in ${waitTime}ms (attempt ${attempt}/${retryAttempts})`, {
+          error: error.message,
+          url: requestConfig.url,
+          method: requestConfig.method
+        });
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        return client.request(requestConfig);
+      }
+
+      return Promise.reject(error);
+    }
+  );
+
+  return client;
+}
+
+export {
+  UNAVAILABLE_CODE as MYSOLUTION_UNAVAILABLE,
+  CircuitBreaker,
+  mysolutionCircuitBreaker,
+  assertMysolutionAvailable,
+  createMysolutionClient
+};
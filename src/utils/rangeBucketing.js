@@ -0,0 +1,308 @@
+/**
+ * Numeric range bucketing
+ *
+ * Maps free-text amounts from Mysolution ("€ 4.500 per maand", "40k", "60 – 65 p/u", "45.000,-")
+ * onto a set of range options such as "40.000-45.000" or "125+". Every result names the rule
+ * that produced it, so unexpected buckets can be traced back to the input.
+ *
+ * Bucket set settings:
+ * - options: option labels; labels without a number (e.g. "In overleg") are not buckets
+ * - period: 'year', 'month' or 'hour' - what the options are expressed in; amounts in another period
+ *   are converted (month <-> year) or rejected (hour <-> month/year)
+ * - monthlyToYearly: factor used to convert monthly amounts to yearly (default 12)
+ * - monthlyBelow: for a yearly set, amounts without a period below this value are taken as monthly
+ * - negotiableKeywords / negotiableOption: text that maps to a fixed option (e.g. "overleg" -> "In overleg")
+ * - boundary: 'lower' or 'upper' - which bucket gets a value on the edge of two buckets (40.000 in
+ *   "35.000-40.000" and "40.000-45.000"); 'lower' picks the bucket that ends at the value
+ * - overlap: how a range that fits no single bucket is placed:
+ *   'lower' (bucket where the range starts), 'upper' (where it ends), 'midpoint', 'most-overlap'
+ *   (bucket covering most of the range) or 'reject' (no bucket)
+ * Values outside every bucket (below the lowest, or in a gap between buckets) go to the bucket with
+ * the nearest edge.
+ */
+
+export const RULES = {
+  NEGOTIABLE: 'negotiable',
+  UNPARSEABLE: 'unparseable',
+  NO_BUCKETS: 'no-buckets',
+  PERIOD_MISMATCH: 'period-mismatch',
+  SINGLE_IN_BUCKET: 'single-in-bucket',
+  RANGE_IN_BUCKET: 'range-in-bucket',
+  OPEN_ENDED: 'open-ended',
+  RANGE_OVERLAP: 'range-overlap',
+  RANGE_REJECTED: 'range-rejected',
+  NEAREST_BUCKET: 'nearest-bucket'
+};
+
+const OVERLAP_POLICIES = ['lower', 'upper', 'midpoint', 'most-overlap', 'reject'];
+const BOUNDARY_POLICIES = ['lower', 'upper'];
+
+const DEFAULT_NEGOTIABLE_KEYWORDS = ['overleg'];
+
+// Number with Dutch formatting: "4.500", "4.500,50", "32,5", "32.5" (1-2 decimals) and an optional "k"
+const NUMBER_PATTERN = /(\d{1,3}(?:\.\d{3})+|\d+)(?:[.,](\d{1,2})(?!\d))?(?:\s*(k)(?![a-z]))?/gi;
+
+// Text allowed between the two numbers of a range
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|\/|tot(?:\s+en\s+met)?|t\/m|à|a|to)\s*(?:€|eur)?\s*$/i;
+
+const PERIOD_PATTERNS = [
+  { period: 'hour', pattern: /per\s*uur|p\/u\b|p\.u\.|\/\s*uur|uurtarief|per\s*hour|\/\s*h(?:ou)?r\b/i },
+  { period: 'month', pattern: /per\s*maand|p\/m\b|p\.m\.|\/\s*maand|maandsalaris|maandelijks|per\s*month|\/\s*mnd|per\s*mnd/i },
+  { period: 'year', pattern: /per\s*jaar|p\/j\b|\/\s*jaar|jaarsalaris|jaarlijks|per\s*year|per\s*annum/i }
+];
+
+/**
+ * Parse a number token matched by NUMBER_PATTERN
+ * @param {Array} match - Regex match
+ * @returns {number} Parsed number
+ */
+function toNumber(match) {
+  const [, whole, decimals, thousands] = match;
+  let number = parseInt(whole.replace(/\./g, ''), 10);
+  if (decimals) {
+    number += parseInt(decimals, 10) / Math.pow(10, decimals.length);
+  }
+  if (thousands) {
+    number *= 1000;
+  }
+  return number;
+}
+
+/**
+ * Detect the period an amount is expressed in
+ * @param {string} text - Amount text
+ * @returns {string|null} 'hour', 'month', 'year' or null if the text doesn't say
+ */
+export function detectPeriod(text) {
+  const match = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.period : null;
+}
+
+/**
+ * Parse an amount or range written in Dutch notation
+ * @param {string|number} value - e.g. "€ 4.500 per maand", "40k", "60 – 65 p/u", 32
+ * @returns {Object|null} { lower, upper, period } (lower === upper for a single amount), or null if no number was found
+ */
+export function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { lower: value, upper: value, period: null } : null;
+  }
+
+  const text = String(value);
+  const matches = [...text.matchAll(NUMBER_PATTERN)];
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const first = toNumber(matches[0]);
+  let lower = first;
+  let upper = first;
+
+  if (matches.length > 1) {
+    const between = text.slice(matches[0].index + matches[0][0].length, matches[1].index);
+    if (RANGE_SEPARATOR.test(between)) {
+      const second = toNumber(matches[1]);
+      // "40 - 45k": the "k" of the upper bound applies to both
+      const scale = !matches[0][3] && matches[1][3] && first < 1000 ? 1000 : 1;
+      lower = Math.min(first * scale, second);
+      upper = Math.max(first * scale, second);
+    }
+  }
+
+  return { lower, upper, period: detectPeriod(text) };
+}
+
+/**
+ * Parse a range option label such as "40.000-45.000", "16-24 uur" or "125.000+"
+ * @param {string} option - Option label
+ * @returns {Object|null} { option, lower, upper, openEnded }, or null for non-numeric options
+ */
+export function parseBucketLabel(option) {
+  const parsed = parseAmount(option);
+  if (!parsed) {
+    return null;
+  }
+
+  if (String(option).trim().endsWith('+')) {
+    return { option, lower: parsed.lower, upper: Infinity, openEnded: true };
+  }
+  return { option, lower: parsed.lower, upper: parsed.upper, openEnded: false };
+}
+
+/**
+ * Convert an amount between periods
+ * @param {number} amount - Amount
+ * @param {string} from - Period of the amount
+ * @param {string} to - Wanted period
+ * @param {number} monthlyToYearly - Months per year factor
+ * @returns {number|null} Converted amount, or null if the periods can't be converted
+ */
+function convertPeriod(amount, from, to, monthlyToYearly) {
+  if (!from || !to || from === to) {
+    return amount;
+  }
+  if (from === 'month' && to === 'year') {
+    return amount * monthlyToYearly;
+  }
+  if (from === 'year' && to === 'month') {
+    return amount / monthlyToYearly;
+  }
+  return null;
+}
+
+/**
+ * Check a bucket set's settings
+ * @param {Object} bucketSet - Bucket set settings (see module comment)
+ * @returns {Array<string>} Problems found, empty if the settings are valid
+ */
+export function validateBucketSet(bucketSet = {}) {
+  const problems = [];
+  if (bucketSet.overlap !== undefined && !OVERLAP_POLICIES.includes(bucketSet.overlap)) {
+    problems.push(`overlap must be one of ${OVERLAP_POLICIES.join(', ')}`);
+  }
+  if (bucketSet.boundary !== undefined && !BOUNDARY_POLICIES.includes(bucketSet.boundary)) {
+    problems.push(`boundary must be one of ${BOUNDARY_POLICIES.join(', ')}`);
+  }
+  if (bucketSet.period !== undefined && !['year', 'month', 'hour'].includes(bucketSet.period)) {
+    problems.push('period must be one of year, month, hour');
+  }
+  return problems;
+}
+
+/**
+ * Buckets containing a value, ordered by the boundary policy
+ */
+function bucketsContaining(buckets, value, boundary) {
+  const containing = buckets.filter(bucket => value >= bucket.lower && value <= bucket.upper);
+  return boundary === 'upper' ? containing.reverse() : containing;
+}
+
+/**
+ * Bucket whose nearest edge is closest to a value (the lower bucket wins ties)
+ */
+function nearestBucket(buckets, value) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const bucket of buckets) {
+    const distance = value < bucket.lower ? bucket.lower - value : Math.max(0, value - bucket.upper);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = bucket;
+    }
+  }
+  return best;
+}
+
+/**
+ * Place a single value in a bucket
+ */
+function placeValue(buckets, value, boundary, rule) {
+  const [bucket] = bucketsContaining(buckets, value, boundary);
+  if (bucket) {
+    return { bucket, rule: bucket.openEnded ? RULES.OPEN_ENDED : rule };
+  }
+  return { bucket: nearestBucket(buckets, value), rule: RULES.NEAREST_BUCKET };
+}
+
+/**
+ * Place a range that no single bucket contains, following the overlap policy
+ */
+function placeOverlappingRange(buckets, lower, upper, overlap, boundary) {
+  switch (overlap) {
+  case 'reject':
+    return { bucket: null, rule: RULES.RANGE_REJECTED };
+  case 'upper':
+    // The bucket where the range ends, so a range ending on an edge stays below it
+    return placeValue(buckets, upper, 'lower', RULES.RANGE_OVERLAP);
+  case 'midpoint':
+    return placeValue(buckets, (lower + upper) / 2, boundary, RULES.RANGE_OVERLAP);
+  case 'most-overlap': {
+    let best = null;
+    let bestOverlap = 0;
+    for (const bucket of buckets) {
+      const covered = Math.min(upper, bucket.upper) - Math.max(lower, bucket.lower);
+      if (covered > bestOverlap) {
+        bestOverlap = covered;
+        best = bucket;
+      }
+    }
+    if (best) {
+      return { bucket: best, rule: RULES.RANGE_OVERLAP };
+    }
+    return placeValue(buckets, (lower + upper) / 2, boundary, RULES.RANGE_OVERLAP);
+  }
+  default:
+    // 'lower': the bucket where the range starts, so a range starting on an edge goes above it
+    return placeValue(buckets, lower, 'upper', RULES.RANGE_OVERLAP);
+  }
+}
+
+/**
+ * Map an amount or range onto a bucket set
+ * @param {string|number} value - Source value, e.g. "40.000 - 45.000", "€ 4.500 per maand", 32
+ * @param {Object} bucketSet - Bucket set settings (see module comment)
+ * @returns {Object} { option, rule, parsed } - option is null when no bucket applies;
+ *   parsed holds the amount as read ({ lower, upper, period }) and as bucketed ({ lower, upper })
+ */
+export function bucketValue(value, bucketSet = {}) {
+  const {
+    options = [],
+    period: bucketPeriod = null,
+    monthlyToYearly = 12,
+    monthlyBelow = null,
+    negotiableOption = null,
+    boundary = 'lower',
+    overlap = 'lower'
+  } = bucketSet;
+  const negotiableKeywords = bucketSet.negotiableKeywords || DEFAULT_NEGOTIABLE_KEYWORDS;
+
+  if (typeof value !== 'number' && negotiableOption) {
+    const text = String(value).toLowerCase();
+    if (negotiableKeywords.some(keyword => text.includes(keyword.toLowerCase()))) {
+      return { option: negotiableOption, rule: RULES.NEGOTIABLE, parsed: null };
+    }
+  }
+
+  const amount = parseAmount(value);
+  if (!amount) {
+    return { option: null, rule: RULES.UNPARSEABLE, parsed: null };
+  }
+
+  let { period } = amount;
+  if (!period && bucketPeriod === 'year' && monthlyBelow && amount.upper < monthlyBelow) {
+    period = 'month';
+  }
+
+  const lower = convertPeriod(amount.lower, period, bucketPeriod, monthlyToYearly);
+  const upper = convertPeriod(amount.upper, period, bucketPeriod, monthlyToYearly);
+  const parsed = { ...amount, assumedPeriod: period !== amount.period ? period : undefined, bucketed: { lower, upper } };
+
+  if (lower === null) {
+    return { option: null, rule: RULES.PERIOD_MISMATCH, parsed };
+  }
+
+  const buckets = options.map(parseBucketLabel).filter(Boolean).sort((a, b) => a.lower - b.lower);
+  if (buckets.length === 0) {
+    return { option: null, rule: RULES.NO_BUCKETS, parsed };
+  }
+
+  let placement;
+  if (lower === upper) {
+    placement = placeValue(buckets, lower, boundary, RULES.SINGLE_IN_BUCKET);
+  } else {
+    // Prefer a bucket that holds the whole range
+    const containing = buckets.filter(bucket => bucket.lower <= lower && bucket.upper >= upper);
+    if (containing.length > 0) {
+      const bucket = boundary === 'upper' ? containing[containing.length - 1] : containing[0];
+      placement = { bucket, rule: bucket.openEnded ? RULES.OPEN_ENDED : RULES.RANGE_IN_BUCKET };
+    } else {
+      placement = placeOverlappingRange(buckets, lower, upper, overlap, boundary);
+    }
+  }
+
+  return {
+    option: placement.bucket ? placement.bucket.option : null,
+    rule: placement.rule,
+    parsed
+  };
+}
@@ -0,0 +1,199 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Rate limiting for API clients
+ *
+ * A token bucket holds the requests that may be made right now and refills at the configured rate.
+ * The rate-limit headers of the responses correct it: x-ratelimit-remaining lowers the tokens to what
+ * the server still allows, and a 429 (Retry-After / x-ratelimit-reset) pauses the bucket until the
+ * server accepts requests again. Requests carry a priority, so a client can let candidate-facing
+ * calls go before bulk sync traffic that is waiting for a token.
+ */
+
+// Request priorities, lowest number first
+const REQUEST_PRIORITIES = {
+  high: 0,
+  normal: 1,
+  low: 2
+};
+
+const priorityStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request priority for every API request it makes
+ * @param {string} priority - 'high', 'normal' or 'low'
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+function runWithPriority(priority, fn) {
+  if (!(priority in REQUEST_PRIORITIES)) {
+    throw new Error(`Unknown request priority "${priority}"`);
+  }
+  return priorityStorage.run(priority, fn);
+}
+
+/**
+ * Get the request priority of the code that is running
+ * @returns {string} 'high', 'normal' or 'low'
+ */
+function getRequestPriority() {
+  return priorityStorage.getStore() || 'normal';
+}
+
+/**
+ * Express middleware that gives the API requests made while handling a route a priority
+ * @param {string} priority - 'high', 'normal' or 'low'
+ * @returns {Function} Middleware
+ */
+function priorityMiddleware(priority) {
+  return (req, res, next) => runWithPriority(priority, next);
+}
+
+/**
+ * Parse a rate-limit reset header into a timestamp
+ * Accepts epoch seconds, epoch milliseconds or a number of seconds from now.
+ * @param {string|number} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Reset time in ms, or null if the header is missing or invalid
+ */
+function parseResetTime(value, now = Date.now()) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < 0) {
+    return null;
+  }
+  if (number > 1e12) {
+    return number;
+  }
+  if (number > 1e9) {
+    return number * 1000;
+  }
+  return now + number * 1000;
+}
+
+/**
+ * Parse a Retry-After header into a number of milliseconds to wait
+ * @param {string} value - Header value: seconds or an HTTP date
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Wait time in ms, or null if the header is missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+/**
+ * Get the delay before a retry: exponential backoff with jitter
+ * The delay is a random value between half and all of baseDelay * 2^attempt, so clients that failed
+ * together don't retry together.
+ * @param {number} attempt - Number of retries already made
+ * @param {number} baseDelay - Delay of the first retry in ms
+ * @param {number} maxDelay - Longest delay in ms
+ * @returns {number} Delay in ms
+ */
+function getBackoffDelay(attempt, baseDelay = 1000, maxDelay = 60000) {
+  const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+class TokenBucket {
+  /**
+   * @param {Object} options - Bucket options
+   * @param {number} options.capacity - Most requests that can be made at once
+   * @param {number} options.perMinute - Requests per minute the bucket refills with
+   */
+  constructor({ capacity, perMinute }) {
+    this.capacity = Math.max(1, capacity);
+    this.refillPerMs = Math.max(1, perMinute) / 60000;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.blockedUntil = 0;
+  }
+
+  /**
+   * Add the tokens that refilled since the last call
+   * @param {number} now - Current time in ms
+   * @private
+   */
+  _refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Get how long to wait before the next request may be made
+   * @param {number} now - Current time in ms
+   * @returns {number} Wait time in ms (0 if a request can be made now)
+   */
+  getWaitTime(now = Date.now()) {
+    this._refill(now);
+    if (now < this.blockedUntil) {
+      return this.blockedUntil - now;
+    }
+    if (this.tokens >= 1) {
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  /**
+   * Use a token for a request
+   * @param {number} now - Current time in ms
+   */
+  take(now = Date.now()) {
+    this._refill(now);
+    this.tokens -= 1;
+  }
+
+  /**
+   * Make no requests until the given time
+   * @param {number} until - Time in ms
+   */
+  pauseUntil(until) {
+    this.blockedUntil = Math.max(this.blockedUntil, until);
+  }
+
+  /**
+   * Correct the bucket with the rate-limit headers of a response
+   * @param {Object} headers - Response headers
+   * @param {number} now - Current time in ms
+   */
+  updateFromHeaders(headers = {}, now = Date.now()) {
+    const limit = parseInt(headers['x-ratelimit-limit'], 10);
+    if (Number.isFinite(limit) && limit > 0 && limit < this.capacity) {
+      this.capacity = limit;
+      this.refillPerMs = limit / 60000;
+    }
+
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    if (!Number.isFinite(remaining)) {
+      return;
+    }
+    this._refill(now);
+    this.tokens = Math.min(this.tokens, remaining);
+
+    if (remaining <= 0) {
+      const reset = parseResetTime(headers['x-ratelimit-reset'], now);
+      if (reset && reset > now) {
+        this.pauseUntil(reset);
+      }
+    }
+  }
+}
+
+export {
+  REQUEST_PRIORITIES,
+  TokenBucket,
+  runWithPriority,
+  getRequestPriority,
+  priorityMiddleware,
+  parseResetTime,
+  parseRetryAfter,
+  getBackoffDelay
+};
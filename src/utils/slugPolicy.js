@@ -0,0 +1,128 @@
+import config from './config.js';
+
+/**
+ * Slug policy for job items
+ *
+ * A slug is built from a pattern with the placeholders {title}, {number} (job number) and {city}, or
+ * one of the named patterns below. Parts that are empty for a job are left out, so a job without a
+ * city still gets a title slug. Text is transliterated the Dutch way before it is made URL-safe:
+ * accents are dropped (ë -> e), the ĳ ligature becomes ij and & becomes "en".
+ *
+ * Syncs only set the slug of new items; existing items keep theirs, so links stay valid. A slug is
+ * only changed by an explicit regenerate (see slugHistoryService), which records a redirect.
+ */
+
+// Named patterns that can be used instead of a template
+const SLUG_PATTERNS = {
+  title: '{title}',
+  'title-number': '{title}-{number}',
+  'title-city': '{title}-{city}'
+};
+
+// Characters that Unicode normalisation doesn't split into a letter and an accent
+const TRANSLITERATIONS = {
+  'ĳ': 'ij',
+  'Ĳ': 'IJ',
+  'ß': 'ss',
+  'æ': 'ae',
+  'Æ': 'AE',
+  'œ': 'oe',
+  'Œ': 'OE',
+  'ø': 'o',
+  'Ø': 'O',
+  'ł': 'l',
+  'Ł': 'L',
+  '&': ' en ',
+  '€': ' euro '
+};
+
+const PLACEHOLDER_REGEX = /\{(\w+)\}/g;
+
+/**
+ * Transliterate text to plain ASCII letters the Dutch way
+ * @param {string} text - Text
+ * @returns {string} Transliterated text
+ */
+function transliterate(text) {
+  return String(text)
+    .replace(/[ĳĲßæÆœŒøØłŁ&€]/g, char => TRANSLITERATIONS[char])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, ''); // Accents split off by NFD
+}
+
+/**
+ * Turn text into a URL-safe slug
+ * @param {string} text - Text
+ * @param {number} maxLength - Longest slug
+ * @returns {string} Slug of lowercase letters, digits and hyphens (may be empty)
+ */
+function slugify(text, maxLength = 100) {
+  return transliterate(text)
+    .toLowerCase()
+    .replace(/['’`]/g, '') // "auto's" -> "autos" rather than "auto-s"
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, maxLength)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Get the template of a slug pattern
+ * @param {string} pattern - Named pattern (see SLUG_PATTERNS) or a template with placeholders
+ * @returns {string} Template
+ * @throws {Error} If the pattern is unknown or uses an unknown placeholder
+ */
+function getSlugTemplate(pattern = config.slugs.pattern) {
+  const template = SLUG_PATTERNS[pattern] || pattern;
+  const placeholders = [...String(template).matchAll(PLACEHOLDER_REGEX)].map(match => match[1]);
+
+  if (!placeholders.includes('title')) {
+    throw new Error(`Unknown slug pattern "${pattern}"; use ${Object.keys(SLUG_PATTERNS).join(', ')} or a template with {title}`);
+  }
+  const unknown = placeholders.filter(name => !['title', 'number', 'city'].includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Slug pattern "${pattern}" uses unknown placeholders: ${unknown.join(', ')}`);
+  }
+  return template;
+}
+
+/**
+ * Build the slug of a job
+ * The title is shortened when the slug gets too long, so the job number or city is never cut off.
+ * @param {string} title - Cleaned job title
+ * @param {Object} job - Mysolution job the number and city are read from
+ * @param {Object} options - Options
+ * @param {string} options.pattern - Slug pattern (defaults to SLUG_PATTERN)
+ * @param {number} options.maxLength - Longest slug (defaults to SLUG_MAX_LENGTH)
+ * @returns {string} Slug ('job' if the title has no usable characters)
+ */
+function buildJobSlug(title, job = {}, { pattern = config.slugs.pattern, maxLength = config.slugs.maxLength } = {}) {
+  const values = {
+    number: (job && job[config.slugs.numberField]) || '',
+    city: (job && job[config.slugs.cityField]) || ''
+  };
+
+  // Slugify every part but the title, and leave out the empty ones
+  const parts = getSlugTemplate(pattern)
+    .split(/(\{\w+\})/)
+    .map(part => {
+      const placeholder = part.match(/^\{(\w+)\}$/);
+      if (placeholder && placeholder[1] === 'title') {
+        return null;
+      }
+      return slugify(placeholder ? values[placeholder[1]] : part, maxLength);
+    })
+    .filter(part => part !== '');
+
+  const otherLength = parts.filter(part => part !== null).reduce((length, part) => length + part.length + 1, 0);
+  const titleSlug = slugify(title, Math.max(maxLength - otherLength, 1)) || 'job';
+  return parts.map(part => (part === null ? titleSlug : part)).join('-');
+}
+
+export {
+  SLUG_PATTERNS,
+  transliterate,
+  slugify,
+  getSlugTemplate,
+  buildJobSlug
+};
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../logger.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * JSON file state storage
+ * Writes go to a temporary file that is renamed over the state file, and updates hold a
+ * lock file so concurrent processes on the same machine don't clobber each other.
+ */
+class FileStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.filePath - Path of the state file
+   * @param {number} options.lockTimeoutMs - How long to wait for the lock before failing
+   * @param {number} options.staleLockMs - Age after which a lock is considered abandoned
+   */
+  constructor({ filePath, lockTimeoutMs = 10000, staleLockMs = 30000 }) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.staleLockMs = staleLockMs;
+  }
+
+  async read() {
+    let data;
+    try {
+      data = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`Sync state file does not exist: ${this.filePath}, using default state`);
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (jsonError) {
+      console.error('Failed to parse sync state file - corrupted JSON:', jsonError);
+      logger.error('Sync state file contains invalid JSON, using default state', jsonError);
+      // If JSON is corrupted, backup the file and start from the default state
+      const backupFile = `${this.filePath}.corrupted.${Date.now()}`;
+      await fs.promises.writeFile(backupFile, data, 'utf8');
+      console.log(`Backed up corrupted state file to ${backupFile}`);
+      return null;
+    }
+  }
+
+  async write(state) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempFile = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(state, null, 2), 'utf8');
+    await fs.promises.rename(tempFile, this.filePath);
+    return true;
+  }
+
+  /**
+   * Atomically read, transform and write the state
+   * @param {Function} transform - Receives the current state (or null) and returns { state, result }
+   * @returns {Promise<any>} The result returned by the transform
+   */
+  async update(transform) {
+    const token = await this._acquireLock();
+    try {
+      const current = await this.read();
+      const { state, result } = transform(current);
+      await this.write(state);
+      return result;
+    } finally {
+      await this._releaseLock(token);
+    }
+  }
+
+  /**
+   * Create the lock file, waiting while another process holds it
+   * @returns {Promise<string>} Token written to the lock file, needed to release it
+   * @private
+   */
+  async _acquireLock() {
+    await fs.promises.mkdir(path.dirname(this.lockPath), { recursive: true });
+    const token = `${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const startedAt = Date.now();
+
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(this.lockPath, 'wx');
+        await handle.writeFile(token);
+        await handle.close();
+        return token;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      // Remove locks left behind by a crashed process
+      try {
+        const stats = await fs.promises.stat(this.lockPath);
+        if (Date.now() - stats.mtimeMs > this.staleLockMs) {
+          logger.warn(`Removing stale sync state lock ${this.lockPath}`);
+          await fs.promises.unlink(this.lockPath);
+          continue;
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+
+      if (Date.now() - startedAt > this.lockTimeoutMs) {
+        throw new Error(`Timed out waiting for sync state lock ${this.lockPath}`);
+      }
+      await sleep(25 + Math.random() * 50);
+    }
+  }
+
+  /**
+   * Remove the lock file if it still holds our token
+   * Another process may have taken the lock over as stale while we held it; its lock is left alone.
+   * @param {string} token - Token returned by _acquireLock
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _releaseLock(token) {
+    let current;
+    try {
+      current = await fs.promises.readFile(this.lockPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read sync state lock ${this.lockPath}: ${error.message}`);
+      }
+      return;
+    }
+
+    if (current !== token) {
+      logger.warn(`Sync state lock ${this.lockPath} was taken over by another process, leaving it in place`);
+      return;
+    }
+    await fs.promises.unlink(this.lockPath).catch(() => undefined);
+  }
+}
+
+export default FileStorage;
@@ -0,0 +1,36 @@
+import config from '../config.js';
+import { logger } from '../logger.js';
+import FileStorage from './fileStorage.js';
+import SqliteStorage from './sqliteStorage.js';
+import RedisStorage from './redisStorage.js';
+import MemoryStorage from './memoryStorage.js';
+
+/**
+ * Create the state storage backend
+ * Every backend implements read(), write(state) and update(transform), where update runs
+ * transform(currentState) => { state, result } atomically and resolves to result.
+ * @param {Object} storageConfig - Storage settings (defaults to config.storage)
+ * @returns {FileStorage|SqliteStorage|RedisStorage|MemoryStorage} Storage backend
+ */
+function createStateStorage(storageConfig = config.storage) {
+  switch (storageConfig.backend) {
+  case 'file':
+    return new FileStorage({ filePath: storageConfig.filePath });
+  case 'sqlite':
+    return new SqliteStorage({ filePath: storageConfig.sqlitePath, key: storageConfig.key });
+  case 'redis':
+    return new RedisStorage({
+      url: storageConfig.redisUrl,
+      restUrl: storageConfig.redisRestUrl,
+      restToken: storageConfig.redisRestToken,
+      key: storageConfig.key
+    });
+  case 'memory':
+    logger.warn('Using in-memory sync state storage - state is lost when the process exits. Set SYNC_STATE_BACKEND to persist it.');
+    return new MemoryStorage();
+  default:
+    throw new Error(`Unknown sync state backend "${storageConfig.backend}" (expected file, sqlite, redis or memory)`);
+  }
+}
+
+export { createStateStorage };
@@ -0,0 +1,34 @@
+/**
+ * In-memory state storage
+ * State only lives as long as the process, so on serverless platforms it is lost between invocations.
+ */
+class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.state = null;
+  }
+
+  async read() {
+    return this.state === null ? null : JSON.parse(JSON.stringify(this.state));
+  }
+
+  async write(state) {
+    this.state = JSON.parse(JSON.stringify(state));
+    return true;
+  }
+
+  /**
+   * Atomically read, transform and write the state
+   * @param {Function} transform - Receives the current state (or null) and returns { state, result }
+   * @returns {Promise<any>} The result returned by the transform
+   */
+  async update(transform) {
+    // Runs synchronously between reading and writing, so no other update can interleave
+    const current = this.state === null ? null : JSON.parse(JSON.stringify(this.state));
+    const { state, result } = transform(current);
+    this.state = JSON.parse(JSON.stringify(state));
+    return result;
+  }
+}
+
+export default MemoryStorage;
@@ -0,0 +1,126 @@
+import axios from 'axios';
+import { logger } from '../logger.js';
+
+// Write the state only if the version key still holds the version that was read
+const COMPARE_AND_SET_SCRIPT = `
+local version = redis.call('GET', KEYS[2]) or ''
+if version ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2])
+redis.call('INCR', KEYS[2])
+return 1
+`;
+
+const WRITE_SCRIPT = `
+redis.call('SET', KEYS[1], ARGV[1])
+return redis.call('INCR', KEYS[2])
+`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Redis state storage
+ * Talks to Redis over TCP (REDIS_URL, requires the optional ioredis package) or to a Redis REST API
+ * such as Upstash or Vercel KV. Updates use optimistic locking on a version key and retry on conflicts.
+ */
+class RedisStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.url - redis:// connection URL
+   * @param {string} options.restUrl - Redis REST API URL
+   * @param {string} options.restToken - Redis REST API token
+   * @param {string} options.key - Key under which the state is stored
+   * @param {number} options.maxRetries - Update attempts before giving up on conflicts
+   */
+  constructor({ url, restUrl, restToken, key, maxRetries = 20 }) {
+    if (!url && !restUrl) {
+      throw new Error('Redis sync state storage requires REDIS_URL or a Redis REST URL (REDIS_REST_URL / KV_REST_API_URL)');
+    }
+
+    this.name = 'redis';
+    this.url = url;
+    this.restUrl = restUrl;
+    this.restToken = restToken;
+    this.key = key;
+    this.versionKey = `${key}:version`;
+    this.maxRetries = maxRetries;
+    this.client = null;
+  }
+
+  /**
+   * Send a single Redis command
+   * @param {Array<string>} args - Command and arguments, e.g. ['GET', 'key']
+   * @returns {Promise<any>} Command reply
+   */
+  async _command(args) {
+    if (this.restUrl) {
+      const response = await axios.post(this.restUrl, args, {
+        headers: { Authorization: `Bearer ${this.restToken}` },
+        timeout: 10000
+      });
+      if (response.data.error) {
+        throw new Error(`Redis error: ${response.data.error}`);
+      }
+      return response.data.result;
+    }
+
+    if (!this.client) {
+      let Redis;
+      try {
+        ({ default: Redis } = await import('ioredis'));
+      } catch (error) {
+        throw new Error(`Redis sync state storage over REDIS_URL requires the ioredis package (npm install ioredis): ${error.message}`);
+      }
+      this.client = new Redis(this.url, { maxRetriesPerRequest: 3 });
+    }
+
+    return this.client.call(...args);
+  }
+
+  async _readWithVersion() {
+    const [data, version] = await this._command(['MGET', this.key, this.versionKey]);
+    return {
+      state: data ? JSON.parse(data) : null,
+      version: version === null || version === undefined ? '' : String(version)
+    };
+  }
+
+  async read() {
+    const { state } = await this._readWithVersion();
+    return state;
+  }
+
+  async write(state) {
+    await this._command(['EVAL', WRITE_SCRIPT, '2', this.key, this.versionKey, JSON.stringify(state)]);
+    return true;
+  }
+
+  /**
+   * Atomically read, transform and write the state
+   * The transform may run more than once when another process wrote in between.
+   * @param {Function} transform - Receives the current state (or null) and returns { state, result }
+   * @returns {Promise<any>} The result returned by the transform
+   */
+  async update(transform) {
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      const { state: current, version } = await this._readWithVersion();
+      const { state, result } = transform(current);
+
+      const written = await this._command([
+        'EVAL', COMPARE_AND_SET_SCRIPT, '2', this.key, this.versionKey, version, JSON.stringify(state)
+      ]);
+
+      if (Number(written) === 1) {
+        return result;
+      }
+
+      logger.debug(`Sync state changed during update, retrying (attempt ${attempt}/${this.maxRetries})`);
+      await sleep(20 * attempt + Math.random() * 50);
+    }
+
+    throw new Error(`Could not update sync state after ${this.maxRetries} attempts due to concurrent writes`);
+  }
+}
+
+export default RedisStorage;
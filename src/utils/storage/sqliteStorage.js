@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * SQLite state storage (requires the optional better-sqlite3 package)
+ * The state is stored as one JSON row; updates run in an IMMEDIATE transaction,
+ * which takes the database write lock before reading.
+ */
+class SqliteStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.filePath - Path of the SQLite database file
+   * @param {string} options.key - Row key of the state
+   */
+  constructor({ filePath, key }) {
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    this.key = key;
+    this.db = null;
+  }
+
+  async _getDb() {
+    if (this.db) {
+      return this.db;
+    }
+
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error(`SQLite sync state storage requires the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 10000');
+    this.db.exec('CREATE TABLE IF NOT EXISTS sync_state (key TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at TEXT NOT NULL)');
+
+    this.selectStatement = this.db.prepare('SELECT data FROM sync_state WHERE key = ?');
+    this.upsertStatement = this.db.prepare(
+      'INSERT INTO sync_state (key, data, updated_at) VALUES (?, ?, ?) ' +
+      'ON CONFLICT(key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at'
+    );
+
+    return this.db;
+  }
+
+  _readRow() {
+    const row = this.selectStatement.get(this.key);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  _writeRow(state) {
+    this.upsertStatement.run(this.key, JSON.stringify(state), new Date().toISOString());
+  }
+
+  async read() {
+    await this._getDb();
+    return this._readRow();
+  }
+
+  async write(state) {
+    await this._getDb();
+    this._writeRow(state);
+    return true;
+  }
+
+  /**
+   * Atomically read, transform and write the state
+   * @param {Function} transform - Receives the current state (or null) and returns { state, result }
+   * @returns {Promise<any>} The result returned by the transform
+   */
+  async update(transform) {
+    const db = await this._getDb();
+    const runUpdate = db.transaction(() => {
+      const { state, result } = transform(this._readRow());
+      this._writeRow(state);
+      return result;
+    });
+    return runUpdate.immediate();
+  }
+}
+
+export default SqliteStorage;
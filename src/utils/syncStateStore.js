@@ -1,28 +1,69 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { logger } from './logger.js';
+import { createStateStorage } from './storage/index.js';
+import { getCurrentTenant } from './tenants.js';
 
-// Helper for __dirname in ES modules
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const SYNC_STATE_FILE = path.join(__dirname, '../../data/sync-state.json');
+// Storage backend (file, sqlite, redis or memory) per tenant, created on first use
+const storages = new Map();
 
-// Detect if we're running in Vercel's serverless environment
-const isServerless = process.env.VERCEL || process.env.VERCEL_ENV || process.env.AWS_LAMBDA_FUNCTION_NAME;
+function getStorage() {
+  const tenant = getCurrentTenant();
+  if (!storages.has(tenant.id)) {
+    const storage = createStateStorage(tenant.storage);
+    console.log(`Using ${storage.name} sync state storage for tenant ${tenant.id}`);
+    storages.set(tenant.id, storage);
+  }
+  return storages.get(tenant.id);
+}
 
-// In-memory state for serverless environments
-let inMemorySyncState = null;
+// Data that changes with every queued task or job record is kept under its own storage key
+// (or file), so those writes don't rewrite the whole sync state
+const SECTIONS = ['workQueue', 'syncRuns'];
 
-// Ensure the data directory exists (only in development/non-serverless environments)
-if (!isServerless) {
-  const dataDir = path.dirname(SYNC_STATE_FILE);
-  try {
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
+// Section storages per tenant and section, and the sections already moved out of the sync state
+const sectionStorages = new Map();
+const migratedSections = new Set();
+
+function getSectionStorage(name) {
+  if (!SECTIONS.includes(name)) {
+    throw new Error(`Unknown sync state section "${name}"`);
+  }
+
+  const tenant = getCurrentTenant();
+  const id = `${tenant.id}:${name}`;
+  if (!sectionStorages.has(id)) {
+    sectionStorages.set(id, createStateStorage({
+      ...tenant.storage,
+      filePath: tenant.storage.filePath.replace(/(\.json)?$/, `.${name}.json`),
+      key: `${tenant.storage.key}:${name}`
+    }));
+  }
+  return sectionStorages.get(id);
+}
+
+/**
+ * Move a section that an earlier version kept in the sync state to its own storage
+ * @param {string} name - Section name
+ * @returns {Promise<void>}
+ * @private
+ */
+async function migrateSection(name) {
+  const id = `${getCurrentTenant().id}:${name}`;
+  if (migratedSections.has(id)) {
+    return;
+  }
+
+  const storage = getSectionStorage(name);
+  if ((await storage.read()) === null) {
+    const legacy = (await getStorage().read() || {})[name];
+    if (legacy !== undefined) {
+      await storage.update(current => ({ state: current || { [name]: legacy }, result: null }));
+      await updateSyncState(state => {
+        delete state[name];
+      });
+      console.log(`Moved ${name} out of the sync state to its own storage`);
     }
-  } catch (error) {
-    console.warn(`Warning: Could not create data directory: ${error.message}`);
   }
+  migratedSections.add(id);
 }
 
 /**
@@ -37,271 +78,214 @@ const DEFAULT_SYNC_STATE = {
   jobModificationDates: {} // Object of job IDs mapped to their last modification dates
 };
 
+// Data kept in the sync state that a reset must not wipe: it is edited by hand, not rebuilt by a sync,
+// or belongs to work in progress (the lock of a running sync, a pending archive batch)
+const PRESERVED_ON_RESET = ['sectorMappings', 'slugHistory', 'syncLock', 'archiveApprovals', 'routedJobs', 'pendingPublishItems'];
+
 /**
- * Load sync state from disk or memory
- * @returns {Object} Current sync state
+ * Fill in missing properties of a stored state
+ * @param {Object|null} state - State as read from storage
+ * @returns {Object} Complete sync state
  */
-function loadSyncState() {
-  // If in serverless environment, use in-memory state
-  if (isServerless) {
-    if (inMemorySyncState === null) {
-      console.log('Initializing in-memory sync state in serverless environment');
-      inMemorySyncState = { ...DEFAULT_SYNC_STATE };
-    }
-    return { ...inMemorySyncState }; // Return a copy to avoid reference issues
+function normalizeState(state) {
+  if (!state || typeof state !== 'object') {
+    return { ...DEFAULT_SYNC_STATE, jobModificationDates: {} };
   }
 
-  // In non-serverless environment, load from file
+  // Ensure jobModificationDates exists (for backward compatibility)
+  if (!state.jobModificationDates) {
+    state.jobModificationDates = {};
+  }
+
+  return state;
+}
+
+/**
+ * Load sync state from storage
+ * @returns {Promise<Object>} Current sync state
+ */
+async function loadSyncState() {
   try {
-    if (fs.existsSync(SYNC_STATE_FILE)) {
-      console.log(`Loading sync state from file: ${SYNC_STATE_FILE}`);
-      const data = fs.readFileSync(SYNC_STATE_FILE, 'utf8');
-      console.log(`Read ${data.length} bytes from sync state file`);
-      
-      // Validate JSON before parsing
-      let state;
-      try {
-        state = JSON.parse(data);
-      } catch (jsonError) {
-        console.error('Failed to parse sync state file - corrupted JSON:', jsonError);
-        logger.error('Sync state file contains invalid JSON, using default state', jsonError);
-        // If JSON is corrupted, backup the file and return default state
-        const backupFile = `${SYNC_STATE_FILE}.corrupted.${Date.now()}`;
-        fs.writeFileSync(backupFile, data, 'utf8');
-        console.log(`Backed up corrupted state file to ${backupFile}`);
-        return { ...DEFAULT_SYNC_STATE };
-      }
-      
-      // Ensure state is an object
-      if (!state || typeof state !== 'object') {
-        console.error('Sync state file does not contain a valid state object');
-        return { ...DEFAULT_SYNC_STATE };
-      }
-      
-      // Ensure jobModificationDates exists (for backward compatibility)
-      if (!state.jobModificationDates) {
-        console.log('Adding missing jobModificationDates property to loaded state');
-        state.jobModificationDates = {};
-      } else {
-        console.log(`Loaded state has ${Object.keys(state.jobModificationDates).length} job modification dates`);
-      }
-      
-      return state;
-    } else {
-      console.log(`Sync state file does not exist: ${SYNC_STATE_FILE}, using default state`);
-    }
+    const state = normalizeState(await getStorage().read());
+    logger.debug(`Loaded sync state with ${Object.keys(state.jobModificationDates).length} job modification dates`);
+    return state;
   } catch (error) {
-    logger.error('Error loading sync state file:', error);
-    console.error('Error loading sync state file:', error);
+    logger.error('Error loading sync state:', error);
+    console.error('Error loading sync state:', error);
+    throw error;
   }
-  
-  // Return default state if file doesn't exist or is corrupted
-  console.log('Returning default sync state');
-  return { ...DEFAULT_SYNC_STATE };
 }
 
 /**
- * Save sync state to disk or memory
+ * Save sync state to storage, replacing what is stored
+ * Prefer updateSyncState, which does not overwrite concurrent changes.
  * @param {Object} state - State to save
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-function saveSyncState(state) {
+async function saveSyncState(state) {
   // Validate state before saving
   if (!state || typeof state !== 'object') {
     console.error('Invalid state object provided to saveSyncState');
     return false;
   }
-  
-  // Log what we're saving
-  console.log(`Saving sync state with ${Object.keys(state.jobModificationDates || {}).length} job modification dates`);
-  
-  // Create a deep copy of the state to avoid reference issues
-  const stateCopy = JSON.parse(JSON.stringify(state));
-  
-  // Ensure jobModificationDates exists
-  if (!stateCopy.jobModificationDates) {
-    stateCopy.jobModificationDates = {};
-    console.log('Initialized missing jobModificationDates property');
-  }
-  
-  // Check if state has expected properties
-  const expectedProps = ['lastSync', 'syncCount', 'lastError', 'jobModificationDates'];
-  expectedProps.forEach(prop => {
-    if (!(prop in stateCopy)) {
-      console.log(`WARNING: Missing expected property '${prop}' in sync state`);
-    }
-  });
 
-  // If in serverless environment, store in memory and return
-  if (isServerless) {
-    inMemorySyncState = stateCopy;
-    console.log('Saved sync state in memory (serverless mode)');
-    return true;
-  }
-  
-  // In non-serverless environment, save to file
   try {
-    // Convert to JSON string with formatting for readability
-    const jsonData = JSON.stringify(stateCopy, null, 2);
-    
-    // Validate JSON before writing to file
-    try {
-      JSON.parse(jsonData); // This will throw if the JSON is invalid
-    } catch (jsonError) {
-      console.error('Generated invalid JSON data:', jsonError);
-      return false;
-    }
-    
-    // Write to file
-    fs.writeFileSync(SYNC_STATE_FILE, jsonData, 'utf8');
-    
-    // Verify file was written successfully
-    if (fs.existsSync(SYNC_STATE_FILE)) {
-      const writtenData = fs.readFileSync(SYNC_STATE_FILE, 'utf8');
-      console.log(`Successfully wrote ${writtenData.length} bytes to sync state file`);
-      
-      // Verify the written data can be parsed as JSON
-      try {
-        const parsedData = JSON.parse(writtenData);
-        console.log(`File verification: contains ${Object.keys(parsedData.jobModificationDates || {}).length} job modification dates`);
-      } catch (verifyError) {
-        console.error('Written file contains invalid JSON:', verifyError);
-      }
-    }
-    
+    await getStorage().write(normalizeState(JSON.parse(JSON.stringify(state))));
+    console.log(`Saved sync state with ${Object.keys(state.jobModificationDates || {}).length} job modification dates`);
     return true;
   } catch (error) {
-    logger.error('Error saving sync state file:', error);
-    console.error('Error saving sync state file:', error);
+    logger.error('Error saving sync state:', error);
+    console.error('Error saving sync state:', error);
     return false;
   }
 }
 
+/**
+ * Read, modify and write the sync state in one atomic step
+ * The mutator must be synchronous and may run more than once if another process
+ * changed the state in between, so it should only modify the state it receives.
+ * @param {Function} mutator - Receives the current state; may mutate it and return a result
+ * @returns {Promise<any>} The value returned by the mutator
+ */
+async function updateSyncState(mutator) {
+  return getStorage().update(current => {
+    const state = normalizeState(current);
+    const result = mutator(state);
+    return { state, result };
+  });
+}
+
+/**
+ * Load a section kept under its own storage key (see SECTIONS)
+ * @param {string} name - Section name, e.g. 'workQueue'
+ * @returns {Promise<Object>} Section state, with the data under the section name (e.g. state.workQueue)
+ */
+async function loadSection(name) {
+  await migrateSection(name);
+  return (await getSectionStorage(name).read()) || {};
+}
+
+/**
+ * Read, modify and write a section in one atomic step (see updateSyncState)
+ * @param {string} name - Section name, e.g. 'workQueue'
+ * @param {Function} mutator - Receives the section state; may mutate it and return a result
+ * @returns {Promise<any>} The value returned by the mutator
+ */
+async function updateSection(name, mutator) {
+  await migrateSection(name);
+  return getSectionStorage(name).update(current => {
+    const state = current || {};
+    const result = mutator(state);
+    return { state, result };
+  });
+}
+
+/**
+ * Replace a section, e.g. to empty it
+ * @param {string} name - Section name
+ * @param {Object} state - Section state
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveSection(name, state) {
+  await getSectionStorage(name).write(state || {});
+  migratedSections.add(`${getCurrentTenant().id}:${name}`);
+  return true;
+}
+
 /**
  * Get the last successful sync time
- * @returns {string|null} ISO timestamp of last successful sync, or null if never synced
+ * @returns {Promise<string|null>} ISO timestamp of last successful sync, or null if never synced
  */
-function getLastSyncTime() {
-  const state = loadSyncState();
+async function getLastSyncTime() {
+  const state = await loadSyncState();
   return state.lastSync;
 }
 
 /**
  * Update the sync state after a successful sync
- * @returns {Object} Updated sync state
+ * @returns {Promise<Object>} Updated sync state
  */
-function updateLastSyncTime() {
-  const state = loadSyncState();
-  const now = new Date();
-  
-  // Make sure we're using the current time in UTC format
-  const nowISO = now.toISOString();
-  
-  // Log the previous and new sync times
-  if (state.lastSync) {
-    const prevSyncDate = new Date(state.lastSync);
-    const diffMinutes = Math.floor((now - prevSyncDate) / (1000 * 60));
-    console.log(`Updating sync timestamp from ${state.lastSync} to ${nowISO} (${diffMinutes} minutes difference)`);
-  } else {
-    console.log(`Setting initial sync timestamp to ${nowISO}`);
-  }
-  
-  // Explicitly ensure we're not overwriting jobModificationDates
-  // Make a defensive copy to avoid reference issues
-  const jobModificationDates = { ...(state.jobModificationDates || {}) };
-  console.log(`Preserving ${Object.keys(jobModificationDates).length} job modification dates during lastSync update`);
-  
-  // Create a new state object instead of modifying the existing one
-  const updatedState = {
-    ...state,
-    lastSync: nowISO,
-    syncCount: (state.syncCount || 0) + 1,
-    lastError: null,
-    jobModificationDates: jobModificationDates
-  };
-  
-  // Log before saving to verify the state contains the expected data
-  console.log(`Updated state contains ${Object.keys(updatedState.jobModificationDates).length} job modification dates`);
-  
-  saveSyncState(updatedState);
-  return updatedState;
+async function updateLastSyncTime() {
+  return updateSyncState(state => {
+    const now = new Date();
+    const nowISO = now.toISOString();
+
+    // Log the previous and new sync times
+    if (state.lastSync) {
+      const diffMinutes = Math.floor((now - new Date(state.lastSync)) / (1000 * 60));
+      console.log(`Updating sync timestamp from ${state.lastSync} to ${nowISO} (${diffMinutes} minutes difference)`);
+    } else {
+      console.log(`Setting initial sync timestamp to ${nowISO}`);
+    }
+
+    state.lastSync = nowISO;
+    state.syncCount = (state.syncCount || 0) + 1;
+    state.lastError = null;
+    return { ...state };
+  });
 }
 
 /**
  * Update the sync state after a successful full sync
- * @returns {Object} Updated sync state
+ * @returns {Promise<Object>} Updated sync state
  */
-function updateLastFullSyncTime() {
-  const state = loadSyncState();
-  const now = new Date();
-  const nowISO = now.toISOString();
-  
-  console.log(`Updating full sync timestamp to ${nowISO}`);
-  
-  const updatedState = {
-    ...state,
-    lastSync: nowISO,
-    lastFullSync: nowISO,
-    syncCount: (state.syncCount || 0) + 1,
-    lastError: null,
-    jobModificationDates: { ...(state.jobModificationDates || {}) }
-  };
-  
-  saveSyncState(updatedState);
-  return updatedState;
+async function updateLastFullSyncTime() {
+  return updateSyncState(state => {
+    const nowISO = new Date().toISOString();
+    console.log(`Updating full sync timestamp to ${nowISO}`);
+
+    state.lastSync = nowISO;
+    state.lastFullSync = nowISO;
+    state.syncCount = (state.syncCount || 0) + 1;
+    state.lastError = null;
+    return { ...state };
+  });
 }
 
 /**
  * Update the sync state after a successful incremental sync
- * @returns {Object} Updated sync state
+ * @returns {Promise<Object>} Updated sync state
  */
-function updateLastIncrementalSyncTime() {
-  const state = loadSyncState();
-  const now = new Date();
-  const nowISO = now.toISOString();
-  
-  console.log(`Updating incremental sync timestamp to ${nowISO}`);
-  
-  const updatedState = {
-    ...state,
-    lastSync: nowISO,
-    lastIncrementalSync: nowISO,
-    syncCount: (state.syncCount || 0) + 1,
-    lastError: null,
-    jobModificationDates: { ...(state.jobModificationDates || {}) }
-  };
-  
-  saveSyncState(updatedState);
-  return updatedState;
+async function updateLastIncrementalSyncTime() {
+  return updateSyncState(state => {
+    const nowISO = new Date().toISOString();
+    console.log(`Updating incremental sync timestamp to ${nowISO}`);
+
+    state.lastSync = nowISO;
+    state.lastIncrementalSync = nowISO;
+    state.syncCount = (state.syncCount || 0) + 1;
+    state.lastError = null;
+    return { ...state };
+  });
 }
 
 /**
  * Get the last full sync time
- * @returns {string|null} ISO timestamp of last full sync, or null if never synced
+ * @returns {Promise<string|null>} ISO timestamp of last full sync, or null if never synced
  */
-function getLastFullSyncTime() {
-  const state = loadSyncState();
+async function getLastFullSyncTime() {
+  const state = await loadSyncState();
   return state.lastFullSync || null;
 }
 
 /**
  * Get the last incremental sync time
- * @returns {string|null} ISO timestamp of last incremental sync, or null if never synced
+ * @returns {Promise<string|null>} ISO timestamp of last incremental sync, or null if never synced
  */
-function getLastIncrementalSyncTime() {
-  const state = loadSyncState();
+async function getLastIncrementalSyncTime() {
+  const state = await loadSyncState();
   return state.lastIncrementalSync || state.lastSync || null;
 }
 
 /**
  * Record an error in the sync state
  * @param {Error} error - Error object
- * @returns {Object} Updated sync state
+ * @returns {Promise<Object|null>} Updated sync state
  */
-function recordSyncError(error) {
+async function recordSyncError(error) {
   const errorId = `error-${Date.now()}`;
   console.error(`[${errorId}] Recording sync error:`, error);
-  
+
   // Log error with all available details
   logger.error('Sync error details', {
     errorId,
@@ -311,18 +295,17 @@ function recordSyncError(error) {
     code: error.code,
     details: error.details || 'No additional details'
   });
-  
+
   try {
-    const state = loadSyncState();
-    state.lastError = {
-      message: error.message,
-      timestamp: new Date().toISOString(),
-      stack: error.stack,
-      errorId: errorId
-    };
-    
-    saveSyncState(state);
-    return state;
+    return await updateSyncState(state => {
+      state.lastError = {
+        message: error.message,
+        timestamp: new Date().toISOString(),
+        stack: error.stack,
+        errorId: errorId
+      };
+      return { ...state };
+    });
   } catch (stateError) {
     console.error('Error while recording sync error:', stateError);
     logger.error('Failed to record sync error in state', {
@@ -336,15 +319,30 @@ function recordSyncError(error) {
 
 /**
  * Reset the sync state to default values
- * @returns {Object} Reset sync state
+ * The data listed in PRESERVED_ON_RESET is kept, such as the sector mapping table and the sync lock,
+ * and so are the sections in their own storage (the work queue and run history).
+ * @returns {Promise<Object>} Reset sync state
  */
-function resetSyncState() {
-  const defaultState = { ...DEFAULT_SYNC_STATE };
-  // Explicitly ensure jobModificationDates is initialized as an empty object
-  defaultState.jobModificationDates = {};
+async function resetSyncState() {
+  // Sections still in the state of an earlier version are moved out first, so a reset keeps them too
+  for (const name of SECTIONS) {
+    await migrateSection(name);
+  }
+
+  const defaultState = await updateSyncState(state => {
+    const reset = normalizeState(null);
+    PRESERVED_ON_RESET
+      .filter(key => state[key] !== undefined)
+      .forEach(key => {
+        reset[key] = state[key];
+      });
+
+    Object.keys(state).forEach(key => delete state[key]);
+    Object.assign(state, reset);
+    return reset;
+  });
   console.log('Reset sync state with empty job modification dates object');
-  
-  saveSyncState(defaultState);
+
   return defaultState;
 }
 
@@ -352,15 +350,15 @@ function resetSyncState() {
  * Check if a job needs to be updated based on its modification date
  * @param {string} jobId - Mysolution job ID
  * @param {string} modificationDate - ISO date string of job modification
- * @returns {boolean} Whether the job needs to be updated
+ * @returns {Promise<boolean>} Whether the job needs to be updated
  */
-function jobNeedsUpdate(jobId, modificationDate) {
+async function jobNeedsUpdate(jobId, modificationDate) {
   if (!jobId || !modificationDate) {
     // If either parameter is missing, assume update is needed
     console.log(`Job needs update check called with invalid parameters: jobId=${jobId}, modDate=${modificationDate}`);
     return true;
   }
-  
+
   try {
     // Convert both dates to comparable formats (milliseconds since epoch)
     const newModDate = new Date(modificationDate).getTime();
@@ -368,29 +366,29 @@ function jobNeedsUpdate(jobId, modificationDate) {
       console.log(`Invalid modification date provided: ${modificationDate}`);
       return true;
     }
-    
+
     // Load current state
-    const state = loadSyncState();
-    
+    const state = await loadSyncState();
+
     // Check if we have a record for this job
-    if (state.jobModificationDates && state.jobModificationDates[jobId]) {
+    if (state.jobModificationDates[jobId]) {
       const oldModDate = new Date(state.jobModificationDates[jobId]).getTime();
-      
+
       if (isNaN(oldModDate)) {
         console.log(`Invalid stored modification date for job ${jobId}: ${state.jobModificationDates[jobId]}`);
         return true;
       }
-      
+
       // Compare dates
       const needsUpdate = newModDate > oldModDate;
-      
+
       // Log the decision with date information
       if (needsUpdate) {
         console.log(`Job ${jobId} needs update - old: ${new Date(oldModDate).toISOString()}, new: ${new Date(newModDate).toISOString()}`);
       } else {
         console.log(`Job ${jobId} does NOT need update - same modification date`);
       }
-      
+
       return needsUpdate;
     } else {
       // No record found, so update is needed
@@ -408,45 +406,33 @@ function jobNeedsUpdate(jobId, modificationDate) {
  * Update the modification date for a job
  * @param {string} jobId - Mysolution job ID
  * @param {string} modificationDate - ISO date string of job modification
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-function updateJobModificationDate(jobId, modificationDate) {
+async function updateJobModificationDate(jobId, modificationDate) {
   if (!jobId || !modificationDate) {
     console.error(`Invalid parameters for updateJobModificationDate: jobId=${jobId}, modDate=${modificationDate}`);
     return false;
   }
-  
+
+  // Validate date
+  if (isNaN(new Date(modificationDate).getTime())) {
+    console.error(`Invalid modification date: ${modificationDate}`);
+    return false;
+  }
+
   try {
-    // Validate date
-    const modDate = new Date(modificationDate);
-    if (isNaN(modDate.getTime())) {
-      console.error(`Invalid modification date: ${modificationDate}`);
-      return false;
-    }
-    
-    // Load state
-    const state = loadSyncState();
-    
-    // Ensure jobModificationDates exists
-    if (!state.jobModificationDates) {
-      state.jobModificationDates = {};
-    }
-    
-    // Record previous value for logging
-    const prevDate = state.jobModificationDates[jobId];
-    
-    // Update modification date
-    state.jobModificationDates[jobId] = modificationDate;
-    
-    // Log the update
-    if (prevDate) {
-      console.log(`Updated modification date for job ${jobId}: ${prevDate} -> ${modificationDate}`);
-    } else {
-      console.log(`Set initial modification date for job ${jobId}: ${modificationDate}`);
-    }
-    
-    // Save state
-    return saveSyncState(state);
+    await updateSyncState(state => {
+      // Record previous value for logging
+      const prevDate = state.jobModificationDates[jobId];
+      state.jobModificationDates[jobId] = modificationDate;
+
+      if (prevDate) {
+        console.log(`Updated modification date for job ${jobId}: ${prevDate} -> ${modificationDate}`);
+      } else {
+        console.log(`Set initial modification date for job ${jobId}: ${modificationDate}`);
+      }
+    });
+    return true;
   } catch (error) {
     console.error(`Error updating modification date for job ${jobId}:`, error);
     return false;
@@ -455,65 +441,107 @@ function updateJobModificationDate(jobId, modificationDate) {
 
 /**
  * Get all stored job modification dates
- * @returns {Object} Map of job IDs to modification dates
+ * @returns {Promise<Object>} Map of job IDs to modification dates
  */
-function getJobModificationDates() {
-  const state = loadSyncState();
-  return state.jobModificationDates || {};
+async function getJobModificationDates() {
+  const state = await loadSyncState();
+  return state.jobModificationDates;
 }
 
 /**
  * Store multiple job modification dates at once
  * @param {Object} jobDates - Map of job IDs to modification dates
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-function storeMultipleJobDates(jobDates) {
+async function storeMultipleJobDates(jobDates) {
   if (!jobDates || typeof jobDates !== 'object') {
     console.error('Invalid jobDates parameter provided to storeMultipleJobDates');
     return false;
   }
-  
+
   try {
-    // Load state
-    const state = loadSyncState();
-    
-    // Ensure jobModificationDates exists
-    if (!state.jobModificationDates) {
-      state.jobModificationDates = {};
-    }
-    
-    // Count how many new and updated entries we'll have
-    let newCount = 0;
-    let updatedCount = 0;
-    
-    // Update all provided job dates
-    Object.entries(jobDates).forEach(([jobId, modDate]) => {
-      if (state.jobModificationDates[jobId]) {
-        updatedCount++;
-      } else {
-        newCount++;
-      }
-      state.jobModificationDates[jobId] = modDate;
+    await updateSyncState(state => {
+      // Count how many new and updated entries we'll have
+      let newCount = 0;
+      let updatedCount = 0;
+
+      // Update all provided job dates
+      Object.entries(jobDates).forEach(([jobId, modDate]) => {
+        if (state.jobModificationDates[jobId]) {
+          updatedCount++;
+        } else {
+          newCount++;
+        }
+        state.jobModificationDates[jobId] = modDate;
+      });
+
+      console.log(`Stored ${Object.keys(jobDates).length} job modification dates (${newCount} new, ${updatedCount} updated)`);
     });
-    
-    console.log(`Stored ${Object.keys(jobDates).length} job modification dates (${newCount} new, ${updatedCount} updated)`);
-    
-    // Save state
-    return saveSyncState(state);
+    return true;
   } catch (error) {
     console.error('Error storing multiple job dates:', error);
     return false;
   }
 }
 
+/**
+ * Get the stored content hash of a job's transformed Webflow data
+ * @param {string} jobId - Mysolution job ID
+ * @returns {Promise<string|null>} Content hash, or null if none is stored
+ */
+async function getJobContentHash(jobId) {
+  const state = await loadSyncState();
+  return (state.jobContentHashes && state.jobContentHashes[jobId]) || null;
+}
+
+/**
+ * Get all stored content hashes, e.g. to look them up without a state read per job
+ * @returns {Promise<Object>} Map of job IDs to content hashes
+ */
+async function getJobContentHashes() {
+  const state = await loadSyncState();
+  return state.jobContentHashes || {};
+}
+
+/**
+ * Store content hashes for multiple jobs at once
+ * @param {Object} jobHashes - Map of job IDs to content hashes
+ * @returns {Promise<boolean>} Success status
+ */
+async function storeJobContentHashes(jobHashes) {
+  if (!jobHashes || typeof jobHashes !== 'object') {
+    console.error('Invalid jobHashes parameter provided to storeJobContentHashes');
+    return false;
+  }
+
+  try {
+    await updateSyncState(state => {
+      state.jobContentHashes = { ...(state.jobContentHashes || {}), ...jobHashes };
+    });
+    console.log(`Stored ${Object.keys(jobHashes).length} job content hashes`);
+    return true;
+  } catch (error) {
+    console.error('Error storing job content hashes:', error);
+    return false;
+  }
+}
+
 /**
  * Get the current sync state object
- * @returns {Object} Current sync state
+ * @returns {Promise<Object>} Current sync state
  */
-function getSyncState() {
+async function getSyncState() {
   return loadSyncState();
 }
 
+/**
+ * Get the name of the active storage backend
+ * @returns {string} Backend name ('file', 'sqlite', 'redis' or 'memory')
+ */
+function getStorageBackend() {
+  return getStorage().name;
+}
+
 // Export all functions
 export default {
   getLastSyncTime,
@@ -528,7 +556,15 @@ export default {
   updateJobModificationDate,
   getJobModificationDates,
   storeMultipleJobDates,
+  getJobContentHash,
+  getJobContentHashes,
+  storeJobContentHashes,
   loadSyncState,
   saveSyncState,
-  getSyncState
-}; 
\ No newline at end of file
+  getSyncState,
+  updateSyncState,
+  loadSection,
+  updateSection,
+  saveSection,
+  getStorageBackend
+};
@@ -0,0 +1,268 @@
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { logger } from './logger.js';
+import config from './config.js';
+
+/**
+ * Tenants: Webflow sites that are synced from the same Mysolution org
+ *
+ * Each tenant has its own Webflow site, token and collections, a publication filter that selects
+ * its jobs, its own field mapping, routing and publication rules, and its own sync state. Code that runs for a
+ * tenant is wrapped in runWithTenant; webflowAPI, syncStateStore and publishingService then work
+ * on that tenant without passing it around. Outside a tenant the first tenant is used.
+ *
+ * Without TENANTS_FILE there is one tenant, "default", built from the WEBFLOW_* settings.
+ */
+
+const DEFAULT_TENANT_ID = 'default';
+
+const tenantStorage = new AsyncLocalStorage();
+
+// Loaded tenants, in the order of the tenants file
+let tenants = null;
+
+/**
+ * Turn a tenant from the tenants file into a complete tenant
+ * Missing Webflow settings are taken from the environment (WEBFLOW_*); the token can be given as the
+ * name of an environment variable (apiTokenEnv) so it doesn't end up in the file.
+ * @param {Object} entry - Tenant from the tenants file
+ * @returns {Object} Tenant
+ * @private
+ */
+function buildTenant(entry = {}) {
+  const id = entry.id || DEFAULT_TENANT_ID;
+  const { apiTokenEnv, ...webflowSettings } = entry.webflow || {};
+  const webflow = { ...config.webflow, ...webflowSettings };
+  if (apiTokenEnv) {
+    webflow.apiKey = process.env[apiTokenEnv];
+  }
+
+  // The default tenant keeps the configured state location, others get their own
+  const storage = id === DEFAULT_TENANT_ID
+    ? config.storage
+    : {
+      ...config.storage,
+      filePath: config.storage.filePath.replace(/(\.json)?$/, `.${id}.json`),
+      key: `${config.storage.key}:${id}`
+    };
+
+  const resolvePath = file => (file ? path.resolve(path.dirname(config.tenants.file || '.'), file) : null);
+
+  return {
+    id,
+    name: entry.name || id,
+    webflow,
+    filter: entry.filter || null,
+    mappingFile: resolvePath(entry.mappingFile) || config.mapping.jobFieldsFile,
+    routingFile: resolvePath(entry.routingFile) || config.mapping.jobRoutingFile,
+    publicationRulesFile: resolvePath(entry.publicationRulesFile) || config.mapping.publicationRulesFile,
+    storage
+  };
+}
+
+/**
+ * Check the tenants
+ * @param {Array<Object>} list - Tenants
+ * @throws {Error} If a tenant is incomplete or two tenants write to the same collection
+ * @private
+ */
+function validateTenants(list) {
+  const problems = [];
+  const ids = new Set();
+  const collections = new Map();
+
+  list.forEach(tenant => {
+    if (!/^[a-z0-9_-]+$/i.test(tenant.id)) {
+      problems.push(`tenant id "${tenant.id}" may only contain letters, digits, - and _`);
+    }
+    if (ids.has(tenant.id)) {
+      problems.push(`tenant "${tenant.id}" is defined more than once`);
+    }
+    ids.add(tenant.id);
+
+    ['apiKey', 'siteId', 'jobsCollectionId'].forEach(setting => {
+      if (!tenant.webflow[setting]) {
+        problems.push(`tenant "${tenant.id}" has no webflow.${setting}`);
+      }
+    });
+
+    const other = collections.get(tenant.webflow.jobsCollectionId);
+    if (other) {
+      problems.push(`tenants "${other}" and "${tenant.id}" use the same jobs collection`);
+    }
+    collections.set(tenant.webflow.jobsCollectionId, tenant.id);
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid tenants in ${config.tenants.file}: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Load the tenants from the tenants file
+ * @returns {Array<Object>} Tenants
+ * @throws {Error} If the file can't be read or a tenant is invalid
+ * @private
+ */
+function loadTenants() {
+  if (!config.tenants.file) {
+    return [buildTenant()];
+  }
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(config.tenants.file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load tenants from ${config.tenants.file}: ${error.message}`);
+  }
+
+  if (!Array.isArray(file.tenants) || file.tenants.length === 0) {
+    throw new Error(`Invalid tenants in ${config.tenants.file}: expected a non-empty "tenants" array`);
+  }
+
+  const list = file.tenants.map(buildTenant);
+  validateTenants(list);
+  logger.info(`Loaded ${list.length} tenants from ${config.tenants.file}: ${list.map(tenant => tenant.id).join(', ')}`);
+  return list;
+}
+
+/**
+ * Get all tenants
+ * @returns {Array<Object>} Tenants as { id, name, webflow, filter, mappingFile, routingFile, publicationRulesFile, storage }
+ */
+function getTenants() {
+  if (!tenants) {
+    tenants = loadTenants();
+  }
+  return tenants;
+}
+
+/**
+ * Get a tenant by ID
+ * @param {string} id - Tenant ID
+ * @returns {Object|null} Tenant, or null if there is no such tenant
+ */
+function getTenant(id) {
+  return getTenants().find(tenant => tenant.id === id) || null;
+}
+
+/**
+ * Get the tenant the current code runs for
+ * @returns {Object} Tenant (the first tenant outside runWithTenant)
+ */
+function getCurrentTenant() {
+  return tenantStorage.getStore() || getTenants()[0];
+}
+
+/**
+ * Run a function for a tenant
+ * @param {Object|string} tenant - Tenant or tenant ID
+ * @param {Function} fn - Function to run; everything it calls (also asynchronously) sees the tenant
+ * @returns {any} What fn returns
+ */
+function runWithTenant(tenant, fn) {
+  const resolved = typeof tenant === 'string' ? getTenant(tenant) : tenant;
+  if (!resolved) {
+    const error = new Error(`Unknown tenant "${tenant}"`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return tenantStorage.run(resolved, fn);
+}
+
+/**
+ * Run a function for every tenant, one after the other
+ * A failing tenant doesn't stop the others. With a single tenant the result (or error) is passed
+ * through unchanged; with several the results are returned by tenant ID, and an error is only
+ * thrown when every tenant failed. Code that already runs for a tenant (e.g. a request naming a
+ * tenant) only runs fn for that tenant.
+ * @param {Function} fn - Receives the tenant
+ * @param {Object} options - Options
+ * @param {string} options.tenant - Only run for this tenant ID
+ * @returns {Promise<any>} Result of fn, or { tenants: { id: result | { error } } }
+ */
+async function forEachTenant(fn, { tenant } = {}) {
+  if (tenant) {
+    return runWithTenant(tenant, () => fn(getCurrentTenant()));
+  }
+  if (tenantStorage.getStore()) {
+    return fn(tenantStorage.getStore());
+  }
+
+  const list = getTenants();
+  if (list.length === 1) {
+    return runWithTenant(list[0], () => fn(list[0]));
+  }
+
+  const results = {};
+  let firstError = null;
+  for (const current of list) {
+    try {
+      results[current.id] = await runWithTenant(current, () => fn(current));
+    } catch (error) {
+      logger.error(`Tenant ${current.id} failed: ${error.message}`, { tenant: current.id });
+      results[current.id] = { error: error.message, code: error.code };
+      firstError = firstError || error;
+    }
+  }
+
+  if (firstError && Object.values(results).every(result => result && result.error)) {
+    throw firstError;
+  }
+  return { tenants: results };
+}
+
+/**
+ * Describe the result of a forEachTenant call, whichever shape it has
+ * @param {any} result - Result of forEachTenant
+ * @param {Function} describe - Turns the result of one tenant into text
+ * @returns {string} The description of a single result, or one per tenant as "id: description; ..."
+ */
+function summarizeTenantResults(result, describe) {
+  if (!result || !result.tenants) {
+    return describe(result);
+  }
+
+  return Object.entries(result.tenants)
+    .map(([id, tenantResult]) => `${id}: ${tenantResult && tenantResult.error ? `failed (${tenantResult.error})` : describe(tenantResult)}`)
+    .join('; ');
+}
+
+/**
+ * Express middleware that runs the request for the tenant named in the x-tenant-id header or the
+ * tenant query parameter. Requests that don't name a tenant read from the first tenant, and syncs
+ * they start cover all tenants.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function tenantMiddleware(req, res, next) {
+  const id = req.headers['x-tenant-id'] || req.query.tenant;
+  if (!id) {
+    return next();
+  }
+
+  const tenant = getTenant(id);
+  if (!tenant) {
+    return res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: `Unknown tenant "${id}"`
+    });
+  }
+
+  req.tenant = tenant;
+  return tenantStorage.run(tenant, next);
+}
+
+export {
+  DEFAULT_TENANT_ID,
+  getTenants,
+  getTenant,
+  getCurrentTenant,
+  runWithTenant,
+  forEachTenant,
+  summarizeTenantResults,
+  tenantMiddleware
+};